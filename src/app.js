@@ -27,6 +27,7 @@ import indexRoutes from './routes/index.js';
 import webhookRoutes from './routes/webhooks.js';
 import simulatorRoutes from './routes/simulator.js';
 import adminRoutes from './routes/admin.js';
+import fileRoutes from './routes/files.js';
 
 class App {
 constructor() {
@@ -95,12 +96,19 @@ setupBasicMiddleware() {
         error.status = 400;
         throw error;
       }
+
+      // Conservar el body original para verificar firmas de webhooks
+      req.rawBody = buf;
     }
   }));
 
   this.app.use(express.urlencoded({ 
     extended: true, 
-    limit: '10mb' 
+    limit: '10mb',
+    verify: (req, res, buf) => {
+      // Algunos proveedores envían el webhook como formulario: también se firma el body original
+      req.rawBody = buf;
+    }
   }));
 
   // Sanitización de entrada
@@ -183,6 +191,7 @@ setupRoutes() {
   this.app.use('/api/webhooks', webhookRoutes);
   this.app.use('/api/simulator', simulatorRoutes);
   this.app.use('/api/admin', adminRoutes);
+  this.app.use('/api/files', fileRoutes);
 
   // Ruta para favicon (evitar logs de error innecesarios)
   this.app.get('/favicon.ico', (req, res) => {
@@ -238,17 +247,25 @@ setupGracefulShutdown() {
         logger.info('Servidor HTTP cerrado');
       }
 
+      // Procesar mensajes en cola antes de cerrar
+      const { default: messageQueueService } = await import('./services/messageQueueService.js');
+      await messageQueueService.drain();
+
+      // Detener programador de tareas (las pendientes quedan en BD)
+      const { default: schedulerService } = await import('./services/schedulerService.js');
+      schedulerService.stop();
+
+      // Detener cola de mensajes salientes (los pendientes quedan en BD)
+      const { default: outboundQueueService } = await import('./services/outboundQueueService.js');
+      outboundQueueService.stop();
+
       // Cerrar conexión a base de datos
       const { closePrismaClient } = await import('./config/database.js');
       await closePrismaClient();
 
-      // Limpiar timeouts de conversaciones
+      // Limpiar cache de conversaciones
       const { default: conversationManager } = await import('./core/conversationManager.js');
       conversationManager.activeConversations.clear();
-      for (const timeout of conversationManager.timeouts.values()) {
-        clearTimeout(timeout);
-      }
-      conversationManager.timeouts.clear();
 
       logger.info('Graceful shutdown completado');
       process.exit(0);
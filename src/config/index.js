@@ -62,18 +62,181 @@ export const openai = {
 };
 
 /**
- * Configuración de UltraMSG (WhatsApp)
+ * Configuración de WhatsApp (UltraMSG, WhatsApp Cloud API o mock)
  */
 export const whatsapp = {
+  // Proveedor activo: ultramsg | meta | mock
+  provider: process.env.WHATSAPP_PROVIDER || 'ultramsg',
+  // UltraMSG
   instanceId: process.env.ULTRAMSG_INSTANCE_ID,
   token: process.env.ULTRAMSG_TOKEN,
   baseUrl: `https://api.ultramsg.com/${process.env.ULTRAMSG_INSTANCE_ID}`,
+  // Almacenamiento desde el que se descargan archivos recibidos, tomado de las URLs de media de
+  // los webhooks de la instancia: "host" (incluye subdominios) o "host/bucket" si el host es
+  // compartido. Sin valor por defecto: validateConfig lo exige con el proveedor ultramsg
+  mediaHosts: (process.env.ULTRAMSG_MEDIA_HOSTS || '')
+    .split(',')
+    .map(host => host.trim())
+    .filter(Boolean),
+  // WhatsApp Cloud API (Meta)
+  meta: {
+    phoneNumberId: process.env.META_WHATSAPP_PHONE_NUMBER_ID,
+    accessToken: process.env.META_WHATSAPP_TOKEN,
+    verifyToken: process.env.META_WEBHOOK_VERIFY_TOKEN,
+    apiVersion: process.env.META_GRAPH_API_VERSION || 'v19.0',
+    // Hosts a los que se envía el token para descargar archivos (CDN de media de Meta)
+    mediaHosts: (process.env.META_MEDIA_HOSTS || 'fbsbx.com')
+      .split(',')
+      .map(host => host.trim())
+      .filter(Boolean)
+  },
   // Configuración de timeouts y reintentos
   timeout: 15000,
   maxRetries: 3,
   retryDelay: 2000
 };
 
+/**
+ * Configuración de transcripción de notas de voz
+ */
+export const transcription = {
+  // Motor activo: whisper_cpp | stub
+  provider: process.env.TRANSCRIPTION_PROVIDER || 'whisper_cpp',
+  language: process.env.TRANSCRIPTION_LANGUAGE || 'es',
+  // Notas de voz más largas no se transcriben
+  maxDurationSeconds: parseInt(process.env.TRANSCRIPTION_MAX_DURATION) || 300,
+  ffmpegPath: process.env.FFMPEG_PATH || 'ffmpeg',
+  // whisper.cpp (https://github.com/ggerganov/whisper.cpp)
+  whisperCpp: {
+    binaryPath: process.env.WHISPER_CPP_BIN || 'whisper-cli',
+    modelPath: process.env.WHISPER_MODEL_PATH || 'models/ggml-base.bin',
+    threads: parseInt(process.env.WHISPER_THREADS) || 2
+  },
+  // Texto que devuelve el motor stub
+  stubText: process.env.TRANSCRIPTION_STUB_TEXT || ''
+};
+
+/**
+ * Configuración de extracción de fotos desde videos del inmueble
+ */
+export const videoFrames = {
+  ffmpegPath: process.env.FFMPEG_PATH || 'ffmpeg',
+  // WhatsApp permite videos de hasta 16MB
+  maxVideoSize: 16 * 1024 * 1024,
+  // Solo se analizan los primeros segundos del video
+  maxVideoSeconds: parseInt(process.env.VIDEO_MAX_SECONDS) || 180,
+  // Un cuadro cada N segundos
+  sampleIntervalSeconds: parseFloat(process.env.VIDEO_SAMPLE_INTERVAL) || 1,
+  // Máximo de fotos que se guardan por video
+  maxFrames: parseInt(process.env.VIDEO_MAX_FRAMES) || 8,
+  // Varianza del laplaciano por debajo de la cual un cuadro se considera borroso
+  blurThreshold: parseFloat(process.env.VIDEO_BLUR_THRESHOLD) || 100,
+  // Distancia de Hamming (hash de 64 bits) hasta la cual dos cuadros se consideran iguales
+  duplicateDistance: parseInt(process.env.VIDEO_DUPLICATE_DISTANCE) || 10
+};
+
+/**
+ * Configuración de detección de fotos duplicadas (hash perceptual)
+ */
+export const photoDuplicates = {
+  // Ambas distancias deben ser menores que 8: la búsqueda solo trae fotos que comparten una de las 8 bandas del hash
+  // Distancia de Hamming hasta la cual una foto se considera repetida en la misma propiedad
+  sameProperty: parseInt(process.env.PHOTO_DUPLICATE_DISTANCE) || 6,
+  // Más estricta entre propiedades: solo se marcan copias casi exactas
+  otherProperties: parseInt(process.env.PHOTO_FOREIGN_DUPLICATE_DISTANCE) || 4
+};
+
+/**
+ * Configuración de calidad mínima de las fotos del inmueble
+ */
+export const photoQuality = {
+  // Lado menor en píxeles (miniaturas y capturas de pantalla suelen quedar por debajo)
+  minShortSide: parseInt(process.env.PHOTO_MIN_SHORT_SIDE) || 600,
+  // Varianza del laplaciano por debajo de la cual la foto se considera borrosa
+  blurThreshold: parseFloat(process.env.PHOTO_BLUR_THRESHOLD) || 100,
+  // Brillo medio aceptable (0 a 255)
+  minBrightness: parseInt(process.env.PHOTO_MIN_BRIGHTNESS) || 60,
+  maxBrightness: parseInt(process.env.PHOTO_MAX_BRIGHTNESS) || 210,
+  // Puntaje mínimo (0 a 100) para que la foto cuente; los umbrales anteriores solo generan consejos
+  minScore: parseInt(process.env.PHOTO_MIN_SCORE) || 90
+};
+
+/**
+ * Configuración de las versiones para publicar de las fotos del inmueble
+ */
+export const imageDerivatives = {
+  // Lado mayor en píxeles de cada versión
+  webSize: parseInt(process.env.PHOTO_WEB_SIZE) || 1600,
+  thumbnailSize: parseInt(process.env.PHOTO_THUMBNAIL_SIZE) || 400,
+  webQuality: parseInt(process.env.PHOTO_WEB_QUALITY) || 82,
+  thumbnailQuality: parseInt(process.env.PHOTO_THUMBNAIL_QUALITY) || 70,
+  // PNG con transparencia de la agencia (solo en la versión web); sin definir = sin marca de agua
+  watermarkPath: process.env.WATERMARK_PATH || null,
+  // Ancho de la marca de agua relativo al ancho de la foto
+  watermarkScale: parseFloat(process.env.WATERMARK_SCALE) || 0.2,
+  // Posición según sharp (southeast, southwest, center, ...)
+  watermarkGravity: process.env.WATERMARK_POSITION || 'southeast'
+};
+
+/**
+ * Configuración del almacenamiento de archivos (documentos, fotos y sus versiones)
+ */
+export const storage = {
+  // Backend activo: local | s3
+  provider: process.env.STORAGE_PROVIDER || 'local',
+  // Vigencia de las URLs firmadas de descarga (segundos)
+  signedUrlExpiresSeconds: parseInt(process.env.STORAGE_SIGNED_URL_EXPIRES) || 15 * 60,
+  local: {
+    // Las claves (uploads/..., derivatives/...) son rutas relativas a esta carpeta
+    rootDir: process.env.STORAGE_LOCAL_DIR || '.',
+    // URL pública del servidor para armar los enlaces de descarga (/api/files)
+    publicBaseUrl: process.env.PUBLIC_BASE_URL || `http://localhost:${process.env.PORT || 3000}`,
+    signingSecret: process.env.STORAGE_SIGNING_SECRET
+  },
+  // S3 o compatible; para MinIO: STORAGE_S3_ENDPOINT=http://localhost:9000
+  s3: {
+    bucket: process.env.STORAGE_S3_BUCKET,
+    region: process.env.STORAGE_S3_REGION || 'us-east-1',
+    endpoint: process.env.STORAGE_S3_ENDPOINT,
+    accessKeyId: process.env.STORAGE_S3_ACCESS_KEY_ID,
+    secretAccessKey: process.env.STORAGE_S3_SECRET_ACCESS_KEY,
+    // MinIO necesita URLs con el bucket en la ruta
+    forcePathStyle: process.env.STORAGE_S3_FORCE_PATH_STYLE
+      ? process.env.STORAGE_S3_FORCE_PATH_STYLE === 'true'
+      : Boolean(process.env.STORAGE_S3_ENDPOINT)
+  }
+};
+
+/**
+ * Configuración del antivirus (ClamAV a través del daemon clamd)
+ */
+export const antivirus = {
+  // Sin CLAMAV_HOST ni CLAMAV_SOCKET no se escanea (solo se verifica el tipo real del archivo)
+  enabled: Boolean(process.env.CLAMAV_HOST || process.env.CLAMAV_SOCKET),
+  host: process.env.CLAMAV_HOST,
+  port: parseInt(process.env.CLAMAV_PORT) || 3310,
+  // Socket Unix de clamd (tiene prioridad sobre host y puerto)
+  socket: process.env.CLAMAV_SOCKET,
+  timeout: parseInt(process.env.CLAMAV_TIMEOUT) || 30000,
+  // Si clamd no responde: false = rechazar el archivo, true = aceptarlo sin escanear
+  failOpen: process.env.CLAMAV_FAIL_OPEN === 'true'
+};
+
+/**
+ * Configuración de autenticación de webhooks entrantes
+ */
+export const webhookSecurity = {
+  // Secreto compartido para firmas HMAC (X-Webhook-Signature)
+  secret: process.env.WEBHOOK_SECRET,
+  // Token en la URL (?token=) para proveedores que no firman, como UltraMSG
+  token: process.env.WEBHOOK_TOKEN,
+  // App secret de Meta para validar X-Hub-Signature-256
+  metaAppSecret: process.env.META_APP_SECRET,
+  // Diferencia máxima entre el timestamp firmado y la hora del servidor
+  maxClockSkew: parseInt(process.env.WEBHOOK_MAX_CLOCK_SKEW) || 5 * 60 * 1000,
+  allowedIPs: process.env.WEBHOOK_ALLOWED_IPS?.split(',').filter(Boolean) || []
+};
+
 /**
  * Configuración de Resend (Email)
  */
@@ -117,6 +280,64 @@ export const app = {
   }
 };
 
+/**
+ * Configuración del programador de tareas persistente
+ */
+export const scheduler = {
+  // Frecuencia con la que se buscan tareas vencidas
+  pollInterval: parseInt(process.env.SCHEDULER_POLL_INTERVAL) || 60000,
+  // Reintentos antes de marcar una tarea como FALLIDO
+  maxAttempts: 3,
+  // Tiempo tras el cual una tarea EJECUTANDO se considera abandonada (ej: crash)
+  staleJobTimeout: 10 * 60 * 1000,
+  // Días que se conservan las tareas COMPLETADO y CANCELADO antes de eliminarlas
+  finishedJobRetentionDays: parseInt(process.env.SCHEDULER_JOB_RETENTION_DAYS) || 7,
+  // Recordatorios de inactividad, en horas desde el último mensaje del propietario
+  reminderHours: (process.env.CONVERSATION_REMINDER_HOURS || '2,24,72')
+    .split(',')
+    .map(hours => parseFloat(hours))
+    .filter(hours => hours > 0),
+  // Timeout definitivo de la conversación, en horas desde el último mensaje
+  conversationTimeoutHours: parseFloat(process.env.CONVERSATION_TIMEOUT_HOURS) || 96
+};
+
+/**
+ * Configuración de la cola persistente de mensajes salientes
+ */
+export const outboundQueue = {
+  // Mensajes por minuto que envía esta instancia (límite del proveedor de WhatsApp)
+  ratePerMinute: parseInt(process.env.WHATSAPP_RATE_PER_MINUTE) || 60,
+  // Frecuencia con la que se buscan mensajes pendientes
+  pollInterval: parseInt(process.env.OUTBOUND_POLL_INTERVAL) || 2000,
+  // Intentos antes de mover el mensaje a dead letter
+  maxAttempts: parseInt(process.env.OUTBOUND_MAX_ATTEMPTS) || 5,
+  // Backoff exponencial entre intentos: base * 2^(intento - 1), con tope
+  baseRetryDelay: 2000,
+  maxRetryDelay: 10 * 60 * 1000,
+  // Tiempo tras el cual un mensaje ENVIANDO se considera abandonado (ej: crash)
+  staleTimeout: 5 * 60 * 1000,
+  // Espera antes de reintentar un acuse que llegó antes de registrar el ID del proveedor
+  unmatchedAckRetryDelay: 15 * 1000
+};
+
+/**
+ * Configuración de la cola de mensajes entrantes por número
+ */
+export const messageQueue = {
+  // Espera tras el último texto antes de procesar la ráfaga completa
+  debounceMs: parseInt(process.env.MESSAGE_DEBOUNCE_MS) || 2500,
+  // Espera máxima desde el primer texto (evita demorar indefinidamente)
+  maxWaitMs: parseInt(process.env.MESSAGE_MAX_WAIT_MS) || 10000
+};
+
+/**
+ * Configuración de traspaso a atención humana
+ */
+export const handoff = {
+  // Mensajes de confusión seguidos antes de pasar la conversación a un asesor
+  confusionThreshold: parseInt(process.env.HANDOFF_CONFUSION_THRESHOLD) || 3
+};
+
 /**
  * Configuración de campos requeridos
  */
@@ -127,27 +348,9 @@ export const requiredFields = {
     'pais', 'celular', 'email', 'ciudad_inmueble', 
     'direccion_inmueble', 'matricula_inmobiliaria'
   ],
-  
-  // Campos que debe recopilar el bot conversacionalmente
-  physical: [
-    'tipo_propiedad', 'area_construida', 'habitaciones', 'banos',
-    'parqueaderos', 'piso', 'estrato', 'ano_construccion', 'estado_propiedad'
-  ],
-  
-  commercial: [
-    'precio_venta', 'precio_negociable', 'motivo_venta',
-    'tiempo_estimado_venta', 'acepta_credito', 'deudas_pendientes'
-  ],
-  
-  documentation: [
-    'certificado_existencia', 'escritura_publica', 'paz_salvo_admin',
-    'recibo_servicios', 'certificado_predial', 'fotos_inmueble'
-  ],
-  
-  description: [
-    'descripcion', 'caracteristicas_especiales', 
-    'servicios_incluidos', 'restricciones'
-  ]
+
+  // Los campos que recopila el bot se definen en config/fields.json
+  // (extensible desde la tabla field_definitions)
 };
 
 /**
@@ -185,11 +388,28 @@ export function validateConfig() {
     'DATABASE_URL',
     'WEAVIATE_URL', 'WEAVIATE_API_KEY',
     'OPENAI_API_KEY',
-    'ULTRAMSG_INSTANCE_ID', 'ULTRAMSG_TOKEN',
     'RESEND_API_KEY', 'FROM_EMAIL', 'NOTIFICATION_EMAIL',
     'GOOGLE_SHEETS_ID'
   ];
 
+  // Variables según el proveedor de WhatsApp
+  const providerRequired = {
+    ultramsg: ['ULTRAMSG_INSTANCE_ID', 'ULTRAMSG_TOKEN', 'ULTRAMSG_MEDIA_HOSTS'],
+    meta: ['META_WHATSAPP_PHONE_NUMBER_ID', 'META_WHATSAPP_TOKEN', 'META_WEBHOOK_VERIFY_TOKEN'],
+    mock: []
+  };
+
+  if (!providerRequired[whatsapp.provider]) {
+    throw new Error(`Proveedor de WhatsApp no soportado: ${whatsapp.provider}`);
+  }
+
+  required.push(...providerRequired[whatsapp.provider]);
+
+  // Los webhooks deben autenticarse con al menos un mecanismo (el mock no usa webhookAuth)
+  if (whatsapp.provider !== 'mock' && !webhookSecurity.secret && !webhookSecurity.token && !webhookSecurity.metaAppSecret) {
+    throw new Error('Configura WEBHOOK_SECRET, WEBHOOK_TOKEN o META_APP_SECRET para autenticar los webhooks');
+  }
+
   const missing = required.filter(key => !process.env[key]);
   
   if (missing.length > 0) {
@@ -216,9 +436,21 @@ export default {
   weaviate,
   openai,
   whatsapp,
+  transcription,
+  videoFrames,
+  photoDuplicates,
+  photoQuality,
+  imageDerivatives,
+  storage,
+  antivirus,
+  webhookSecurity,
   email,
   googleSheets,
   app,
+  scheduler,
+  outboundQueue,
+  messageQueue,
+  handoff,
   requiredFields,
   validation,
   messages,
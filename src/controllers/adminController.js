@@ -5,8 +5,17 @@
 import conversationManager from '../core/conversationManager.js';
 import fieldTracker from '../core/fieldTracker.js';
 import completionChecker from '../core/completionChecker.js';
+import fieldRegistry from '../core/fieldRegistry.js';
+import schedulerService from '../services/schedulerService.js';
+import outboundQueueService from '../services/outboundQueueService.js';
+import certificateService from '../services/certificateService.js';
+import documentService from '../services/documentService.js';
+import storageService from '../services/storageService.js';
+import fileScanService from '../services/fileScanService.js';
 import createPrismaClient from '../config/database.js';
+import { whatsapp as whatsappConfig } from '../config/index.js';
 import logger from '../config/logger.js';
+import { CONVERSATION_MODES, HANDOFF_REASONS } from '../utils/constants.js';
 
 class AdminController {
   constructor() {
@@ -216,8 +225,13 @@ class AdminController {
    */
   async getActiveConversations(req, res) {
     try {
-      const conversations = await this.prisma.conversation.findMany({
-        where: { estado: 'ACTIVA' },
+      const { modo, bienvenidaNoLeida } = req.query;
+
+      let conversations = await this.prisma.conversation.findMany({
+        where: {
+          estado: 'ACTIVA',
+          ...(modo && { modo })
+        },
         include: {
           property: {
             select: {
@@ -237,6 +251,33 @@ class AdminController {
         orderBy: { ultimo_mensaje: 'desc' }
       });
 
+      // Entrega del mensaje de bienvenida (primer mensaje enviado de cada conversación)
+      const welcomeMessages = await this.prisma.message.findMany({
+        where: {
+          conversation_id: { in: conversations.map(conversation => conversation.id) },
+          direccion: 'ENVIADO'
+        },
+        distinct: ['conversation_id'],
+        orderBy: { createdAt: 'asc' },
+        select: {
+          conversation_id: true,
+          estado_entrega: true,
+          entregado_en: true,
+          leido_en: true,
+          createdAt: true
+        }
+      });
+      const welcomeByConversation = new Map(welcomeMessages.map(message => [message.conversation_id, message]));
+
+      conversations = conversations.map(conversation => ({
+        ...conversation,
+        bienvenida: welcomeByConversation.get(conversation.id) || null
+      }));
+
+      if (bienvenidaNoLeida === 'true') {
+        conversations = conversations.filter(conversation => !conversation.bienvenida?.leido_en);
+      }
+
       return res.status(200).json({
         success: true,
         data: {
@@ -298,6 +339,9 @@ class AdminController {
         }
       });
 
+      // Cancelar recordatorios pendientes
+      await conversationManager.cancelInactivityJobs(conversationId);
+
       logger.info('Conversación completada manualmente', {
         conversationId,
         propertyId: conversation.property_id,
@@ -332,7 +376,7 @@ class AdminController {
   async sendManualMessage(req, res) {
     try {
       const { conversationId } = req.params;
-      const { message, type = 'ADMIN' } = req.body;
+      const { message, type = 'ADMIN', takeover = false } = req.body;
 
       if (!message || message.trim() === '') {
         return res.status(400).json({
@@ -353,6 +397,14 @@ class AdminController {
         });
       }
 
+      // Tomar el control antes de escribir para que el bot no responda en paralelo
+      if (takeover && !conversationManager.isInHandoff(conversation)) {
+        await conversationManager.startHandoff(conversation, {
+          reason: HANDOFF_REASONS.ADMIN,
+          agent: req.user?.username
+        });
+      }
+
       // Enviar mensaje por WhatsApp
       const whatsappResult = await conversationManager.sendMessage(
         conversation.whatsapp_number,
@@ -369,7 +421,8 @@ class AdminController {
         message,
         type,
         'ENVIADO',
-        { sentBy: 'admin', manual: true }
+        { sentBy: req.user?.username || 'admin', manual: true },
+        whatsappResult
       );
 
       return res.status(200).json({
@@ -391,6 +444,93 @@ class AdminController {
     }
   }
 
+  /**
+   * Tomar el control de una conversación (el bot deja de responder)
+   * @param {Object} req - Request de Express
+   * @param {Object} res - Response de Express
+   */
+  async takeoverConversation(req, res) {
+    try {
+      const { conversationId } = req.params;
+
+      const conversation = await this.prisma.conversation.findUnique({
+        where: { id: conversationId },
+        include: { property: true }
+      });
+
+      if (!conversation || conversation.estado !== 'ACTIVA') {
+        return res.status(404).json({
+          success: false,
+          error: 'Conversación activa no encontrada'
+        });
+      }
+
+      if (conversationManager.isInHandoff(conversation) && conversation.asesor === req.user?.username) {
+        return res.status(409).json({
+          success: false,
+          error: 'Ya atiendes esta conversación'
+        });
+      }
+
+      await conversationManager.startHandoff(conversation, {
+        reason: HANDOFF_REASONS.ADMIN,
+        agent: req.user?.username
+      });
+
+      return res.status(200).json({
+        success: true,
+        message: 'Conversación tomada por un asesor',
+        data: {
+          conversationId,
+          modo: CONVERSATION_MODES.HUMANO,
+          asesor: req.user?.username
+        }
+      });
+
+    } catch (error) {
+      logger.error('Error al tomar conversación:', error);
+      return res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Devolver una conversación al bot
+   * @param {Object} req - Request de Express
+   * @param {Object} res - Response de Express
+   */
+  async releaseConversation(req, res) {
+    try {
+      const { conversationId } = req.params;
+
+      const result = await conversationManager.releaseHandoff(conversationId, req.user?.username);
+
+      if (!result.success) {
+        return res.status(409).json(result);
+      }
+
+      return res.status(200).json({
+        success: true,
+        message: 'Conversación devuelta al bot',
+        data: {
+          conversationId,
+          modo: CONVERSATION_MODES.BOT,
+          nextField: result.nextField || null,
+          botMessage: result.message
+        }
+      });
+
+    } catch (error) {
+      logger.error('Error al devolver conversación al bot:', error);
+      return res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+
   /**
    * Obtener logs del sistema
    * @param {Object} req - Request de Express
@@ -467,7 +607,7 @@ class AdminController {
           minDescriptionWords: 50
         },
         integrations: {
-          whatsapp: 'UltraMSG',
+          whatsapp: whatsappConfig.provider,
           ai: 'OpenAI GPT-4',
           rag: 'Weaviate',
           database: 'Neon PostgreSQL',
@@ -499,6 +639,8 @@ class AdminController {
     try {
       const memoryUsage = process.memoryUsage();
       const uptime = process.uptime();
+      const jobStats = await schedulerService.getJobStats();
+      const outboundStats = await outboundQueueService.getStats();
 
       const performance = {
         system: {
@@ -522,8 +664,11 @@ class AdminController {
         },
         cache: {
           activeConversations: conversationManager.activeConversations?.size || 0,
-          activeTimeouts: conversationManager.timeouts?.size || 0
-        }
+          pendingJobs: jobStats.PENDIENTE || 0,
+          pendingOutbound: outboundStats.PENDIENTE || 0
+        },
+        scheduledJobs: jobStats,
+        outboundQueue: outboundStats
       };
 
       return res.status(200).json({
@@ -540,6 +685,442 @@ class AdminController {
     }
   }
 
+  /**
+   * Listar tareas programadas
+   * @param {Object} req - Request de Express
+   * @param {Object} res - Response de Express
+   */
+  async getScheduledJobs(req, res) {
+    try {
+      const {
+        page = 1,
+        limit = 50,
+        estado,
+        tipo,
+        entidad_id
+      } = req.query;
+
+      const { jobs, totalCount } = await schedulerService.getJobs({
+        estado,
+        tipo,
+        entityId: entidad_id,
+        page: parseInt(page),
+        limit: parseInt(limit)
+      });
+
+      const totalPages = Math.ceil(totalCount / parseInt(limit));
+
+      return res.status(200).json({
+        success: true,
+        data: {
+          jobs,
+          stats: await schedulerService.getJobStats(),
+          pagination: {
+            page: parseInt(page),
+            limit: parseInt(limit),
+            totalCount,
+            totalPages,
+            hasNext: parseInt(page) < totalPages,
+            hasPrev: parseInt(page) > 1
+          }
+        }
+      });
+
+    } catch (error) {
+      logger.error('Error al obtener tareas programadas:', error);
+      return res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Cancelar una tarea programada pendiente
+   * @param {Object} req - Request de Express
+   * @param {Object} res - Response de Express
+   */
+  async cancelScheduledJob(req, res) {
+    try {
+      const { jobId } = req.params;
+
+      const cancelled = await schedulerService.cancelJob(jobId);
+
+      if (!cancelled) {
+        return res.status(404).json({
+          success: false,
+          error: 'Tarea no encontrada o ya no está pendiente'
+        });
+      }
+
+      logger.info('Tarea programada cancelada manualmente', { jobId });
+
+      return res.status(200).json({
+        success: true,
+        message: 'Tarea cancelada exitosamente',
+        data: { jobId }
+      });
+
+    } catch (error) {
+      logger.error('Error al cancelar tarea programada:', error);
+      return res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Listar mensajes salientes en dead letter
+   * @param {Object} req - Request de Express
+   * @param {Object} res - Response de Express
+   */
+  async getDeadLetters(req, res) {
+    try {
+      const {
+        page = 1,
+        limit = 50,
+        reenviado
+      } = req.query;
+
+      const { messages, totalCount } = await outboundQueueService.getDeadLetters({
+        reenviado,
+        page: parseInt(page),
+        limit: parseInt(limit)
+      });
+
+      const totalPages = Math.ceil(totalCount / parseInt(limit));
+
+      return res.status(200).json({
+        success: true,
+        data: {
+          messages,
+          stats: await outboundQueueService.getStats(),
+          pagination: {
+            page: parseInt(page),
+            limit: parseInt(limit),
+            totalCount,
+            totalPages,
+            hasNext: parseInt(page) < totalPages,
+            hasPrev: parseInt(page) > 1
+          }
+        }
+      });
+
+    } catch (error) {
+      logger.error('Error al obtener mensajes en dead letter:', error);
+      return res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Reenviar un mensaje de dead letter (vuelve a la cola de salida)
+   * @param {Object} req - Request de Express
+   * @param {Object} res - Response de Express
+   */
+  async replayDeadLetter(req, res) {
+    try {
+      const { deadLetterId } = req.params;
+
+      const result = await outboundQueueService.replayDeadLetter(
+        deadLetterId,
+        req.user?.username || 'admin'
+      );
+
+      if (!result.success) {
+        return res.status(result.error === 'Mensaje no encontrado' ? 404 : 409).json({
+          success: false,
+          error: result.error
+        });
+      }
+
+      return res.status(200).json({
+        success: true,
+        message: 'Mensaje encolado nuevamente',
+        data: { deadLetterId, outboundId: result.outboundId }
+      });
+
+    } catch (error) {
+      logger.error('Error al reenviar mensaje de dead letter:', error);
+      return res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Listar documentos marcados para revisión (certificados con diferencias o gravámenes)
+   * @param {Object} req - Request de Express
+   * @param {Object} res - Response de Express
+   */
+  async getDocumentsForReview(req, res) {
+    try {
+      const {
+        page = 1,
+        limit = 50
+      } = req.query;
+
+      const { documents, totalCount } = await certificateService.getDocumentsForReview({
+        page: parseInt(page),
+        limit: parseInt(limit)
+      });
+
+      const totalPages = Math.ceil(totalCount / parseInt(limit));
+
+      return res.status(200).json({
+        success: true,
+        data: {
+          documents,
+          pagination: {
+            page: parseInt(page),
+            limit: parseInt(limit),
+            totalCount,
+            totalPages,
+            hasNext: parseInt(page) < totalPages,
+            hasPrev: parseInt(page) > 1
+          }
+        }
+      });
+
+    } catch (error) {
+      logger.error('Error al obtener documentos para revisión:', error);
+      return res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * URLs firmadas de descarga de un documento
+   * @param {Object} req - Request de Express
+   * @param {Object} res - Response de Express
+   */
+  async getDocumentDownload(req, res) {
+    try {
+      const { documentId } = req.params;
+
+      const document = await this.prisma.document.findUnique({
+        where: { id: documentId },
+        select: { id: true, nombre: true, tipo: true, ruta: true, ruta_web: true, ruta_miniatura: true }
+      });
+
+      if (!document?.ruta) {
+        return res.status(404).json({
+          success: false,
+          error: 'Documento no encontrado'
+        });
+      }
+
+      const signUrl = key => (key ? storageService.getSignedUrl(key) : null);
+      const [original, web, thumbnail] = await Promise.all([
+        signUrl(document.ruta),
+        signUrl(document.ruta_web),
+        signUrl(document.ruta_miniatura)
+      ]);
+
+      return res.status(200).json({
+        success: true,
+        data: {
+          documentId,
+          nombre: document.nombre,
+          tipo: document.tipo,
+          urls: { original, web, thumbnail },
+          expiresIn: storageService.signedUrlExpiresSeconds
+        }
+      });
+
+    } catch (error) {
+      logger.error('Error al generar URLs de descarga:', error);
+      return res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Marcar un documento como revisado
+   * @param {Object} req - Request de Express
+   * @param {Object} res - Response de Express
+   */
+  async resolveDocumentReview(req, res) {
+    try {
+      const { documentId } = req.params;
+
+      const result = await certificateService.resolveReview(
+        documentId,
+        req.user?.username || 'admin'
+      );
+
+      if (!result.success) {
+        return res.status(404).json({
+          success: false,
+          error: result.error
+        });
+      }
+
+      return res.status(200).json({
+        success: true,
+        message: 'Documento marcado como revisado',
+        data: { documentId }
+      });
+
+    } catch (error) {
+      logger.error('Error al marcar documento como revisado:', error);
+      return res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Regenerar las versiones para publicar de las fotos de una propiedad
+   * @param {Object} req - Request de Express
+   * @param {Object} res - Response de Express
+   */
+  async regeneratePhotoDerivatives(req, res) {
+    try {
+      const { propertyId } = req.params;
+
+      const property = await this.prisma.property.findUnique({
+        where: { id: propertyId },
+        select: { id: true }
+      });
+
+      if (!property) {
+        return res.status(404).json({
+          success: false,
+          error: 'Propiedad no encontrada'
+        });
+      }
+
+      const result = await documentService.regeneratePropertyDerivatives(propertyId);
+
+      return res.status(200).json({
+        success: true,
+        message: 'Versiones de las fotos regeneradas',
+        data: { propertyId, ...result }
+      });
+
+    } catch (error) {
+      logger.error('Error al regenerar versiones de las fotos:', error);
+      return res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Listar archivos en cuarentena
+   * @param {Object} req - Request de Express
+   * @param {Object} res - Response de Express
+   */
+  async getQuarantinedFiles(req, res) {
+    try {
+      const {
+        page = 1,
+        limit = 50,
+        motivo
+      } = req.query;
+
+      const { files, totalCount } = await fileScanService.getQuarantinedFiles({
+        page: parseInt(page),
+        limit: parseInt(limit),
+        motivo
+      });
+
+      const totalPages = Math.ceil(totalCount / parseInt(limit));
+
+      return res.status(200).json({
+        success: true,
+        data: {
+          files,
+          pagination: {
+            page: parseInt(page),
+            limit: parseInt(limit),
+            totalCount,
+            totalPages,
+            hasNext: parseInt(page) < totalPages,
+            hasPrev: parseInt(page) > 1
+          }
+        }
+      });
+
+    } catch (error) {
+      logger.error('Error al obtener archivos en cuarentena:', error);
+      return res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Listar campos que recopila el bot
+   * @param {Object} req - Request de Express
+   * @param {Object} res - Response de Express
+   */
+  async getFieldDefinitions(req, res) {
+    try {
+      const fields = fieldRegistry.getFields();
+
+      return res.status(200).json({
+        success: true,
+        data: {
+          fields,
+          totalCount: fields.length,
+          extraCount: fieldRegistry.getExtraFields().length
+        }
+      });
+
+    } catch (error) {
+      logger.error('Error al obtener campos configurables:', error);
+      return res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Crear o actualizar un campo configurable
+   * @param {Object} req - Request de Express
+   * @param {Object} res - Response de Express
+   */
+  async saveFieldDefinition(req, res) {
+    try {
+      const { fieldName } = req.params;
+
+      const result = await fieldRegistry.saveDefinition(fieldName, req.body);
+
+      if (!result.success) {
+        return res.status(400).json(result);
+      }
+
+      logger.info('Campo configurable actualizado manualmente', { fieldName });
+
+      return res.status(200).json({
+        success: true,
+        message: 'Campo guardado exitosamente',
+        data: result.field
+      });
+
+    } catch (error) {
+      logger.error('Error al guardar campo configurable:', error);
+      return res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+
   /**
    * Obtener actividad reciente del sistema
    * @returns {Promise<Object>} Actividad reciente
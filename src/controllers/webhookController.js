@@ -1,11 +1,22 @@
 /**
- * Controlador para webhooks de UltraMSG (WhatsApp)
+ * Controlador para webhooks de WhatsApp (UltraMSG, WhatsApp Cloud API o mock)
  * Procesa mensajes entrantes y archivos recibidos
  */
 import conversationManager from '../core/conversationManager.js';
 import documentService from '../services/documentService.js';
+import messageQueueService from '../services/messageQueueService.js';
+import whatsappService from '../services/whatsappService.js';
+import transcriptionService from '../services/transcriptionService.js';
 import logger from '../config/logger.js';
-import { MESSAGE_TYPES, ERROR_CODES, DOCUMENT_TYPES } from '../utils/constants.js';
+import {
+  MESSAGE_TYPES,
+  MESSAGE_TEMPLATES,
+  ERROR_CODES,
+  DOCUMENT_TYPES,
+  DOCUMENT_CLASSIFICATION,
+  UNCLASSIFIED_DOCUMENT_TYPE,
+  WHATSAPP_PROVIDERS
+} from '../utils/constants.js';
 
 class WebhookController {
   /**
@@ -14,91 +25,139 @@ class WebhookController {
    * @param {Object} res - Response de Express
    */
   async handleUltraMSGWebhook(req, res) {
+    return this.handleWebhook(req, res, WHATSAPP_PROVIDERS.ULTRAMSG);
+  }
+
+  /**
+   * Manejar webhook de WhatsApp Cloud API (Meta)
+   * @param {Object} req - Request de Express
+   * @param {Object} res - Response de Express
+   */
+  async handleMetaWebhook(req, res) {
+    return this.handleWebhook(req, res, WHATSAPP_PROVIDERS.META);
+  }
+
+  /**
+   * Verificar suscripción del webhook de Meta (hub.challenge)
+   * @param {Object} req - Request de Express
+   * @param {Object} res - Response de Express
+   */
+  async verifyMetaWebhook(req, res) {
+    const challenge = whatsappService.verifyWebhook(req.query);
+
+    if (challenge === null) {
+      logger.warn('Verificación de webhook de Meta rechazada', {
+        mode: req.query['hub.mode']
+      });
+      return res.status(403).json({
+        success: false,
+        error: 'Token de verificación inválido'
+      });
+    }
+
+    logger.whatsapp('Webhook de Meta verificado');
+    return res.status(200).send(challenge);
+  }
+
+  /**
+   * Simular un mensaje entrante con el proveedor mock (desarrollo)
+   * @param {Object} req - Request de Express
+   * @param {Object} res - Response de Express
+   */
+  async handleMockWebhook(req, res) {
+    if (whatsappService.getProviderName() !== WHATSAPP_PROVIDERS.MOCK) {
+      return res.status(404).json({
+        success: false,
+        error: 'El proveedor mock no está activo'
+      });
+    }
+
+    return this.handleWebhook(req, res, WHATSAPP_PROVIDERS.MOCK);
+  }
+
+  /**
+   * Obtener mensajes salientes registrados por el proveedor mock
+   * @param {Object} req - Request de Express
+   * @param {Object} res - Response de Express
+   */
+  async getMockOutbox(req, res) {
+    if (whatsappService.getProviderName() !== WHATSAPP_PROVIDERS.MOCK) {
+      return res.status(404).json({
+        success: false,
+        error: 'El proveedor mock no está activo'
+      });
+    }
+
+    const provider = whatsappService.getProvider(WHATSAPP_PROVIDERS.MOCK);
+    const messages = provider.getOutbox(req.query.to);
+
+    if (req.query.clear === 'true') {
+      provider.clearOutbox();
+    }
+
+    return res.status(200).json({
+      success: true,
+      total: messages.length,
+      messages
+    });
+  }
+
+  /**
+   * Procesar webhook entrante de cualquier proveedor
+   * @param {Object} req - Request de Express
+   * @param {Object} res - Response de Express
+   * @param {string} providerName - Proveedor que envía el webhook
+   */
+  async handleWebhook(req, res, providerName) {
     try {
       // LOGS DE DEBUG PARA WHATSAPP REAL
-      console.log('🔥 WEBHOOK RECIBIDO DE ULTRAMSG:');
+      console.log(`🔥 WEBHOOK RECIBIDO (${providerName}):`);
       console.log('📱 Body:', JSON.stringify(req.body, null, 2));
-      console.log('📱 Headers:', JSON.stringify(req.headers, null, 2));
-      console.log('📱 Method:', req.method);
-      console.log('📱 URL:', req.originalUrl);
-      
-      logger.whatsapp('Webhook recibido de UltraMSG', {
+
+      logger.whatsapp('Webhook recibido', {
+        provider: providerName,
         body: req.body,
         headers: req.headers
       });
 
-      const { data } = req.body;
-      
-      if (!data) {
-        console.log('❌ No hay data en el webhook');
-        return res.status(400).json({
-          success: false,
-          error: 'Datos de webhook inválidos'
-        });
+      // Acuses de entrega y lectura de mensajes enviados
+      const statusUpdates = whatsappService.parseStatusUpdates(req.body, providerName);
+      for (const update of statusUpdates) {
+        await conversationManager.updateDeliveryStatus(update);
       }
 
-      console.log('📝 Tipo de mensaje:', data.type);
-      console.log('📝 De:', data.from);
-      console.log('📝 Contenido:', data.body || data.text);
-
-      // Verificar que es un mensaje entrante (no enviado por el bot)
-      if (data.type === 'sent') {
-        console.log('🤖 Mensaje enviado por el bot, ignorando');
-        logger.whatsapp('Mensaje enviado por el bot, ignorando webhook');
-        return res.status(200).json({ success: true, message: 'Mensaje enviado ignorado' });
-      }
+      // Extraer mensajes entrantes en formato interno
+      const messages = whatsappService.parseWebhook(req.body, providerName);
 
-      // Extraer información del mensaje
-      const messageData = this.extractMessageData(data);
-      
-      if (!messageData) {
-        console.log('❌ Tipo de mensaje no soportado:', data.type);
-        logger.whatsapp('Tipo de mensaje no soportado', { type: data.type });
-        return res.status(200).json({ success: true, message: 'Tipo de mensaje no soportado' });
+      if (messages.length === 0) {
+        // Acuses, mensajes enviados por el bot o tipos no soportados
+        logger.whatsapp('Webhook sin mensajes para procesar', {
+          provider: providerName,
+          statusUpdates: statusUpdates.length
+        });
+        return res.status(200).json({
+          success: true,
+          message: statusUpdates.length > 0 ? 'Estados de entrega actualizados' : 'Sin mensajes para procesar',
+          statusUpdates: statusUpdates.length
+        });
       }
 
-      console.log('✅ Datos del mensaje extraídos:', messageData);
-
-      // Procesar mensaje según su tipo
-      let result;
-      switch (messageData.type) {
-        case 'text':
-          console.log('📝 Procesando mensaje de texto...');
-          result = await this.processTextMessage(messageData);
-          break;
-        case 'document':
-        case 'image':
-          console.log('📎 Procesando documento/imagen...');
-          result = await this.processDocumentMessage(messageData);
-          break;
-        case 'audio':
-        case 'video':
-          console.log('🎵 Procesando audio/video...');
-          result = await this.processMediaMessage(messageData);
-          break;
-        default:
-          console.log('❌ Tipo de mensaje no manejado:', messageData.type);
-          logger.whatsapp('Tipo de mensaje no manejado', { type: messageData.type });
-          return res.status(200).json({ success: true, message: 'Tipo de mensaje no manejado' });
+      const results = [];
+      for (const messageData of messages) {
+        console.log('✅ Datos del mensaje extraídos:', messageData);
+        results.push(await this.processIncomingMessage(messageData));
       }
 
-      console.log('🎯 Resultado del procesamiento:', result);
-
-      logger.whatsapp('Mensaje procesado exitosamente', {
-        whatsappNumber: messageData.from,
-        type: messageData.type,
-        result: result.success
-      });
-
       return res.status(200).json({
         success: true,
         message: 'Webhook procesado exitosamente',
-        result
+        result: results.length === 1 ? results[0] : results
       });
 
     } catch (error) {
       console.error('💥 ERROR EN WEBHOOK:', error);
-      logger.error('Error al procesar webhook de UltraMSG:', {
+      logger.error('Error al procesar webhook de WhatsApp:', {
+        provider: providerName,
         error: error.message,
         stack: error.stack,
         body: req.body
@@ -112,121 +171,59 @@ class WebhookController {
   }
 
   /**
- * Extraer datos del mensaje desde el webhook
- * @param {Object} data - Datos del webhook
- * @returns {Object|null} Datos del mensaje extraídos
- */
-extractMessageData(data) {
-  try {
-    console.log('🔍 Extrayendo datos del mensaje:', data);
-    
-    // Estructura común para todos los tipos de mensaje
-    const baseData = {
-      id: data.id,
-      from: data.from,
-      timestamp: data.timestamp || data.time || Date.now(),
-      chatId: data.chatId || data.from
-    };
-
-    console.log('📋 Base data:', baseData);
-
-    switch (data.type) {
-      case 'chat':
-        // UltraMSG envía tipo "chat" para mensajes de texto
-        const chatData = {
-          ...baseData,
-          type: 'text', // Convertir a text para procesamiento interno
-          message: data.body || data.text,
-          metadata: {
-            pushname: data.pushname,
-            fromMe: data.fromMe,
-            isForwarded: data.isForwarded,
-            originalType: 'chat'
-          }
-        };
-        console.log('💬 Datos de chat (UltraMSG) extraídos:', chatData);
-        return chatData;
+   * Procesar un mensaje entrante normalizado
+   * @param {Object} messageData - Datos del mensaje ({ id, from, type, message, metadata })
+   * @returns {Promise<Object>} Resultado del procesamiento
+   */
+  async processIncomingMessage(messageData) {
+    // Los proveedores reintentan entregas: un mismo ID solo se procesa una vez
+    const claimed = await conversationManager.claimInboundMessage(messageData);
+    if (!claimed) {
+      logger.whatsapp('Mensaje duplicado ignorado', {
+        messageId: messageData.id,
+        whatsappNumber: messageData.from
+      });
+      return { success: true, message: 'Mensaje duplicado ignorado', duplicate: true };
+    }
 
+    // Procesar mensaje según su tipo (en orden por número, ver messageQueueService)
+    let result;
+    switch (messageData.type) {
       case 'text':
-        const textData = {
-          ...baseData,
-          type: 'text',
-          message: data.body || data.text,
-          metadata: {}
-        };
-        console.log('📝 Datos de texto extraídos:', textData);
-        return textData;
-
+        console.log('📝 Procesando mensaje de texto...');
+        result = await this.processTextMessage(messageData);
+        break;
       case 'document':
-        return {
-          ...baseData,
-          type: 'document',
-          message: data.caption || 'Documento recibido',
-          metadata: {
-            filename: data.filename,
-            url: data.body,
-            mimeType: data.mimetype,
-            size: data.size
-          }
-        };
-
       case 'image':
-        return {
-          ...baseData,
-          type: 'image',
-          message: data.caption || 'Imagen recibida',
-          metadata: {
-            filename: data.filename || `image_${Date.now()}.jpg`,
-            url: data.body,
-            mimeType: data.mimetype || 'image/jpeg',
-            size: data.size
-          }
-        };
-
+        console.log('📎 Procesando documento/imagen...');
+        result = await messageQueueService.runAfterPending(messageData.from,
+          () => this.processDocumentMessage(messageData));
+        break;
       case 'audio':
-        return {
-          ...baseData,
-          type: 'audio',
-          message: 'Audio recibido (no procesado automáticamente)',
-          metadata: {
-            filename: data.filename || `audio_${Date.now()}.ogg`,
-            url: data.body,
-            mimeType: data.mimetype,
-            duration: data.duration,
-            size: data.size
-          }
-        };
-
+        logger.whatsapp('Procesando nota de voz', { messageId: messageData.id, whatsappNumber: messageData.from });
+        result = await messageQueueService.runAfterPending(messageData.from,
+          () => this.processAudioMessage(messageData));
+        break;
       case 'video':
-        return {
-          ...baseData,
-          type: 'video',
-          message: data.caption || 'Video recibido (no procesado automáticamente)',
-          metadata: {
-            filename: data.filename || `video_${Date.now()}.mp4`,
-            url: data.body,
-            mimeType: data.mimetype,
-            duration: data.duration,
-            size: data.size
-          }
-        };
-
-      case 'sent':
-        // Mensaje enviado por el bot - ignorar
-        console.log('🤖 Mensaje enviado por el bot, ignorando');
-        return null;
-
+        logger.whatsapp('Procesando video del inmueble', { messageId: messageData.id, whatsappNumber: messageData.from });
+        result = await messageQueueService.runAfterPending(messageData.from,
+          () => this.processDocumentMessage(messageData));
+        break;
       default:
-        console.log('❌ Tipo de mensaje desconocido:', data.type);
-        return null;
+        logger.whatsapp('Tipo de mensaje no manejado', { type: messageData.type });
+        return { success: true, message: 'Tipo de mensaje no manejado' };
     }
 
-  } catch (error) {
-    console.error('💥 Error al extraer datos del mensaje:', error);
-    logger.error('Error al extraer datos del mensaje:', error);
-    return null;
+    console.log('🎯 Resultado del procesamiento:', result);
+
+    logger.whatsapp('Mensaje procesado exitosamente', {
+      whatsappNumber: messageData.from,
+      type: messageData.type,
+      result: result.success
+    });
+
+    return result;
   }
-}
 
   /**
    * Procesar mensaje de texto
@@ -237,10 +234,12 @@ extractMessageData(data) {
     try {
       console.log('🧠 Enviando a conversationManager:', messageData);
       
-      const result = await conversationManager.processUserMessage(
+      // Los textos seguidos del mismo número se agrupan en una sola interpretación
+      const result = await messageQueueService.enqueueText(
         messageData.from,
         messageData.message,
-        messageData.metadata
+        { ...messageData.metadata, messageId: messageData.id },
+        (text, metadata) => conversationManager.processUserMessage(messageData.from, text, metadata)
       );
 
       console.log('✅ Resultado de conversationManager:', result);
@@ -263,16 +262,27 @@ extractMessageData(data) {
   }
 
   /**
-   * Procesar mensaje con documento o imagen
+   * Procesar mensaje con documento, imagen o video (se extraen fotos)
    * @param {Object} messageData - Datos del mensaje
    * @returns {Promise<Object>} Resultado del procesamiento
    */
   async processDocumentMessage(messageData) {
     try {
-      // Obtener conversación activa para determinar el contexto
-      const conversation = await conversationManager.getActiveConversation(messageData.from);
+      // Obtener conversación activa (o retomar una expirada) para determinar el contexto
+      const conversation = await conversationManager.getActiveConversation(messageData.from)
+        || await conversationManager.resumeTimedOutConversation(messageData.from);
       
       if (!conversation) {
+        // Varias propiedades abiertas sin foco: pedir al propietario que elija
+        const openConversations = await conversationManager.getOpenConversations(messageData.from);
+        if (openConversations.length > 1) {
+          await conversationManager.requestPropertySelection(messageData.from, openConversations);
+          return {
+            success: false,
+            error: 'Varias propiedades activas, se solicitó al propietario elegir una'
+          };
+        }
+
         // Si no hay conversación activa, informar al usuario
         await conversationManager.handleUnknownUser(messageData.from, 'Documento recibido');
         return {
@@ -281,45 +291,145 @@ extractMessageData(data) {
         };
       }
 
-      // Determinar tipo de documento basado en el contexto
-      const documentType = this.detectDocumentType(messageData, conversation);
-
-      // Procesar documento
-      const documentResult = await documentService.processDocument(
-        {
-          filename: messageData.metadata.filename,
-          url: messageData.metadata.url,
-          size: messageData.metadata.size,
-          mimeType: messageData.metadata.mimeType
-        },
-        conversation.property_id,
-        documentType
-      );
+      const inHandoff = conversationManager.isInHandoff(conversation);
+
+      // Asociar el mensaje (reservado al recibirlo) a la conversación antes de procesar el documento
+      await conversationManager.saveInboundMessages(conversation.id, messageData.message, {
+        ...messageData.metadata,
+        messageId: messageData.id,
+        ...(inHandoff && { handoff: true })
+      });
+
+      const fileData = {
+        filename: messageData.metadata.filename,
+        url: messageData.metadata.url,
+        mediaId: messageData.metadata.mediaId,
+        path: messageData.metadata.path,
+        size: messageData.metadata.size,
+        mimeType: messageData.metadata.mimeType
+      };
+
+      // Procesar documento (un video se convierte en varias fotos del inmueble)
+      const documentResult = messageData.type === 'video'
+        ? await documentService.extractVideoFrames(fileData, conversation.property_id)
+        : await documentService.processDocument(fileData, conversation.property_id);
 
       if (!documentResult.success) {
+        if (inHandoff) return documentResult;
+
         // Informar al usuario sobre el error
         await conversationManager.sendMessage(
           messageData.from,
-          `❌ No pude procesar el documento: ${documentResult.message}`
+          `❌ No pude procesar ${messageData.type === 'video' ? 'el video' : 'el documento'}: ${documentResult.message}`
         );
         
         return documentResult;
       }
 
-      // Actualizar registro del documento en la propiedad
-      await this.updatePropertyDocument(conversation.property_id, documentType, documentResult);
+      // Determinar el tipo por contenido, contrastado con el documento que se está pidiendo
+      const context = JSON.parse(conversation.contexto_actual || '{}');
+      const { documentType, candidates } = this.chooseDocumentType(messageData, context, documentResult.classification);
+
+      if (candidates) {
+        // Con un asesor a cargo el documento queda sin clasificar para revisión manual
+        if (inHandoff) {
+          await conversationManager.saveDocumentRecord(conversation.property_id, UNCLASSIFIED_DOCUMENT_TYPE, documentResult);
+          return {
+            success: true,
+            type: 'document_unclassified',
+            candidates,
+            documentResult
+          };
+        }
+
+        const question = await conversationManager.requestDocumentType(conversation, documentResult, candidates);
+        return {
+          ...question,
+          candidates,
+          documentResult
+        };
+      }
 
-      // Confirmar recepción al usuario
-      const confirmationMessage = this.generateDocumentConfirmation(documentType, documentResult);
+      // La validación se hizo con el tipo detectado; repetirla si se eligió otro
+      if (!documentResult.frames && documentType !== documentResult.classification?.type) {
+        documentResult.validation = await documentService.validateDocumentContent(documentResult.extractedText, documentType);
+      }
+
+      // Documento expedido hace demasiado tiempo: queda registrado pero no cuenta como recibido
+      const freshness = documentResult.validation?.freshness;
+      if (freshness?.isExpired) {
+        await conversationManager.saveDocumentRecord(conversation.property_id, documentType, documentResult);
+
+        if (!inHandoff) {
+          await conversationManager.sendMessage(
+            messageData.from,
+            conversationManager.buildDocumentTooOldMessage(documentType, freshness)
+          );
+        }
+
+        return {
+          success: true,
+          type: 'document_expired',
+          documentType,
+          freshness,
+          documentResult
+        };
+      }
+
+      // Actualizar registro del documento en la propiedad (fotos repetidas o de mala calidad no suman)
+      const documents = [];
+      for (const item of documentResult.frames || [documentResult]) {
+        documents.push(await conversationManager.registerPropertyDocument(conversation.property_id, documentType, item));
+      }
+      const newDocuments = documents.filter(document =>
+        document && !document.duplicado_de && conversationManager.countsTowardProperty(document)
+      );
+
+      // Un asesor atiende la conversación: sin respuesta automática
+      if (inHandoff) {
+        return {
+          success: true,
+          type: 'document_processed',
+          documentType,
+          documentResult
+        };
+      }
+
+      // Ninguna foto nueva y utilizable: explicar por qué sin continuar la conversación
+      if (documentType === DOCUMENT_TYPES.FOTOS_INMUEBLE && newDocuments.length === 0 && documents.every(Boolean)) {
+        const lowQuality = documents.find(document => !document.duplicado_de);
+        const message = lowQuality
+          ? conversationManager.buildPhotoQualityMessage(lowQuality.problemas_calidad, lowQuality.puntaje_calidad)
+          : (documentResult.frames ? MESSAGE_TEMPLATES.VIDEO_FRAMES_DUPLICATE : MESSAGE_TEMPLATES.PHOTO_DUPLICATE);
+
+        await conversationManager.sendMessage(messageData.from, message);
+
+        return {
+          success: true,
+          type: lowQuality ? 'low_quality_photo' : 'duplicate_photo',
+          documentType,
+          documentResult
+        };
+      }
+
+      // Confirmar recepción al usuario (con consejo si la foto se puede mejorar)
+      let confirmationMessage = documentResult.frames
+        ? MESSAGE_TEMPLATES.VIDEO_FRAMES_EXTRACTED.replace('{count}', newDocuments.length)
+        : this.generateDocumentConfirmation(documentType, documentResult);
+      if (documentType === DOCUMENT_TYPES.FOTOS_INMUEBLE && documentResult.quality?.issues.length > 0) {
+        confirmationMessage += `\n${conversationManager.buildPhotoQualityMessage(documentResult.quality.issues, documentResult.quality.score)}`;
+      }
       await conversationManager.sendMessage(messageData.from, confirmationMessage);
 
-      // Si es una imagen/foto, procesar como respuesta de conversación también
-      if (messageData.type === 'image') {
+      // Si es una imagen/foto o un video, procesar como respuesta de conversación también
+      if (messageData.type === 'image' || messageData.type === 'video') {
         await conversationManager.processUserMessage(
           messageData.from,
           messageData.message,
           {
             ...messageData.metadata,
+            messageId: messageData.id,
+            messageRecorded: true,
             documentProcessed: true,
             documentType
           }
@@ -344,29 +454,84 @@ extractMessageData(data) {
   }
 
   /**
-   * Procesar mensaje de audio/video
+   * Procesar nota de voz: se transcribe y se maneja como una respuesta escrita
    * @param {Object} messageData - Datos del mensaje
    * @returns {Promise<Object>} Resultado del procesamiento
    */
-  async processMediaMessage(messageData) {
+  async processAudioMessage(messageData) {
     try {
-      // Por ahora, solo informar que se recibió el medio
-      const mediaType = messageData.type === 'audio' ? 'audio' : 'video';
-      const message = `He recibido tu ${mediaType}. Por el momento no puedo procesar archivos de ${mediaType} automáticamente. 
+      const audio = {
+        mediaId: messageData.metadata.mediaId,
+        url: messageData.metadata.url,
+        filename: messageData.metadata.filename,
+        mimeType: messageData.metadata.mimeType,
+        duration: messageData.metadata.duration,
+        size: messageData.metadata.size
+      };
+
+      if (transcriptionService.isTooLong(audio.duration)) {
+        await conversationManager.sendMessage(messageData.from, MESSAGE_TEMPLATES.VOICE_NOTE_TOO_LONG
+          .replace('{minutes}', Math.floor(transcriptionService.maxDurationSeconds / 60)));
+
+        return {
+          success: true,
+          type: 'audio_too_long',
+          duration: audio.duration
+        };
+      }
+
+      // Como cualquier archivo recibido: se verifica el tipo real y se escanea antes de procesarlo
+      const extension = transcriptionService.getAudioExtension(audio);
+      const { buffer: audioBuffer, inspection } = await documentService.downloadAndInspect(
+        { ...audio, path: messageData.metadata.path },
+        null,
+        extension
+      );
+
+      if (!inspection.safe) {
+        await conversationManager.sendMessage(messageData.from, documentService.getRejectionMessage(inspection, extension));
+
+        return {
+          success: true,
+          type: 'audio_rejected',
+          quarantined: Boolean(inspection.reason)
+        };
+      }
+
+      const transcription = await transcriptionService.transcribe(audioBuffer, audio);
 
-¿Podrías enviar la información por texto o como documento/imagen?`;
+      if (!transcription.success || !transcription.text) {
+        await conversationManager.sendMessage(messageData.from, MESSAGE_TEMPLATES.VOICE_NOTE_NOT_UNDERSTOOD);
 
-      await conversationManager.sendMessage(messageData.from, message);
+        return {
+          success: true,
+          type: 'audio_not_transcribed',
+          error: transcription.error
+        };
+      }
+
+      // La transcripción sigue el mismo flujo que un texto y se guarda con la metadata del audio
+      const result = await conversationManager.processUserMessage(messageData.from, transcription.text, {
+        messageId: messageData.id,
+        pushname: messageData.metadata.pushname,
+        voiceNote: true,
+        audio,
+        transcription: {
+          provider: transcription.provider,
+          language: transcription.language,
+          durationMs: transcription.durationMs
+        }
+      });
 
       return {
         success: true,
-        type: 'media_received',
-        mediaType,
-        message: 'Medio recibido pero no procesado'
+        type: 'audio_transcribed',
+        transcript: transcription.text,
+        result
       };
 
     } catch (error) {
-      logger.error('Error al procesar mensaje multimedia:', error);
+      logger.error('Error al procesar nota de voz:', error);
       return {
         success: false,
         error: ERROR_CODES.FILE_ERROR,
@@ -376,100 +541,50 @@ extractMessageData(data) {
   }
 
   /**
-   * Detectar tipo de documento basado en contexto
+   * Elegir el tipo de documento según su contenido y el documento que se está pidiendo
    * @param {Object} messageData - Datos del mensaje
-   * @param {Object} conversation - Conversación activa
-   * @returns {string} Tipo de documento detectado
+   * @param {Object} context - Contexto de la conversación
+   * @param {Object} classification - Clasificación por contenido ({ type, confidence })
+   * @returns {Object} { documentType } o { candidates } si hay que preguntar al propietario
    */
-  detectDocumentType(messageData, conversation) {
-    const filename = messageData.metadata.filename?.toLowerCase() || '';
-    const caption = messageData.message?.toLowerCase() || '';
-    const context = JSON.parse(conversation.contexto_actual || '{}');
-
-    // Detectar por nombre de archivo o caption
-    if (filename.includes('existencia') || caption.includes('existencia')) {
-      return DOCUMENT_TYPES.CERTIFICADO_EXISTENCIA;
-    }
-    if (filename.includes('escritura') || caption.includes('escritura')) {
-      return DOCUMENT_TYPES.ESCRITURA_PUBLICA;
-    }
-    if (filename.includes('paz') || caption.includes('paz') || caption.includes('salvo')) {
-      return DOCUMENT_TYPES.PAZ_SALVO_ADMIN;
-    }
-    if (filename.includes('servicio') || caption.includes('servicio') || caption.includes('recibo')) {
-      return DOCUMENT_TYPES.RECIBO_SERVICIOS;
-    }
-    if (filename.includes('predial') || caption.includes('predial') || caption.includes('tradicion')) {
-      return DOCUMENT_TYPES.CERTIFICADO_PREDIAL;
+  chooseDocumentType(messageData, context, classification) {
+    // Los videos son recorridos del inmueble: se extraen fotos
+    if (messageData.type === 'video') {
+      return { documentType: DOCUMENT_TYPES.FOTOS_INMUEBLE };
     }
 
-    // Si es imagen y no se detectó otro tipo, asumir que es foto del inmueble
-    if (messageData.type === 'image') {
-      return DOCUMENT_TYPES.FOTOS_INMUEBLE;
-    }
+    const isImage = messageData.type === 'image';
+    const detected = classification?.type || null;
+    const expected = Object.values(DOCUMENT_TYPES).includes(context.currentField) ? context.currentField : null;
+    const confident = detected && classification.confidence >= DOCUMENT_CLASSIFICATION.MIN_CONFIDENCE;
 
-    // Detectar por contexto de conversación
-    if (context.currentField && context.currentField.includes('certificado')) {
-      return DOCUMENT_TYPES.CERTIFICADO_EXISTENCIA;
+    if (confident) {
+      // El contenido contradice lo que se pidió: confirmar en lugar de archivarlo mal
+      return !expected || expected === detected
+        ? { documentType: detected }
+        : { candidates: [detected, expected] };
     }
 
-    // Por defecto, tratar como documento general
-    return DOCUMENT_TYPES.CERTIFICADO_EXISTENCIA;
-  }
-
-  /**
-   * Actualizar registro de documento en la propiedad
-   * @param {string} propertyId - ID de la propiedad
-   * @param {string} documentType - Tipo de documento
-   * @param {Object} documentResult - Resultado del procesamiento
-   */
-  async updatePropertyDocument(propertyId, documentType, documentResult) {
-    try {
-      const prisma = conversationManager.prisma;
-
-      // Crear registro del documento
-      await prisma.document.create({
-        data: {
-          property_id: propertyId,
-          nombre: documentResult.filename,
-          tipo: documentType,
-          ruta: documentResult.path,
-          tamano: documentResult.fileSize,
-          procesado: true,
-          ocr_texto: documentResult.extractedText || null
-        }
-      });
-
-      // Actualizar campo correspondiente en la propiedad
-      const updateData = {};
-      
-      if (documentType === DOCUMENT_TYPES.FOTOS_INMUEBLE) {
-        // Incrementar contador de fotos
-        const property = await prisma.property.findUnique({
-          where: { id: propertyId },
-          select: { fotos_inmueble: true }
-        });
-        
-        updateData.fotos_inmueble = (property.fotos_inmueble || 0) + 1;
-      } else {
-        // Marcar documento como recibido
-        updateData[documentType] = true;
+    if (expected) {
+      if (!detected || detected === expected) {
+        // Una imagen sin texto reconocible puede ser una foto y no el documento pedido
+        return isImage && expected !== DOCUMENT_TYPES.FOTOS_INMUEBLE && !detected
+          ? { candidates: [expected, DOCUMENT_TYPES.FOTOS_INMUEBLE] }
+          : { documentType: expected };
       }
+      return { candidates: [expected, detected] };
+    }
 
-      await prisma.property.update({
-        where: { id: propertyId },
-        data: updateData
-      });
-
-      logger.info('Documento registrado exitosamente', {
-        propertyId,
-        documentType,
-        filename: documentResult.filename
-      });
-
-    } catch (error) {
-      logger.error('Error al actualizar registro de documento:', error);
+    // Sin texto reconocible ni documento pedido, una imagen es una foto del inmueble
+    if (isImage && !detected) {
+      return { documentType: DOCUMENT_TYPES.FOTOS_INMUEBLE };
     }
+
+    return {
+      candidates: detected
+        ? [detected, ...Object.values(DOCUMENT_TYPES).filter(type => type !== detected && type !== DOCUMENT_TYPES.FOTOS_INMUEBLE)]
+        : Object.values(DOCUMENT_TYPES).filter(type => type !== DOCUMENT_TYPES.FOTOS_INMUEBLE)
+    };
   }
 
   /**
@@ -511,18 +626,13 @@ extractMessageData(data) {
 
   /**
    * Validar webhook de UltraMSG (opcional)
+   * La autenticación (firma o token) la realiza webhookAuth
    * @param {Object} req - Request de Express
    * @param {Object} res - Response de Express
    * @param {Function} next - Next middleware
    */
   async validateUltraMSGWebhook(req, res, next) {
     try {
-      // Validar que el webhook viene de UltraMSG
-      const userAgent = req.headers['user-agent'];
-      if (!userAgent || !userAgent.includes('UltraMsg')) {
-        logger.whatsapp('Webhook con User-Agent sospechoso', { userAgent });
-      }
-
       // Validar estructura básica del body
       if (!req.body || !req.body.data) {
         return res.status(400).json({
@@ -4,14 +4,15 @@
  */
 import createPrismaClient from '../config/database.js';
 import logger from '../config/logger.js';
+import fieldRegistry from './fieldRegistry.js';
 import fieldTracker from './fieldTracker.js';
-import { requiredFields, validation } from '../config/index.js';
-import { PROPERTY_STATES } from '../utils/constants.js';
+import propertySchema from './propertySchema.js';
+import { validation } from '../config/index.js';
+import { PROPERTY_STATES, FIELD_CATEGORIES } from '../utils/constants.js';
 
 class CompletionChecker {
   constructor() {
     this.prisma = createPrismaClient();
-    this.requiredFields = requiredFields;
     this.validation = validation;
   }
 
@@ -106,18 +107,20 @@ class CompletionChecker {
    * @returns {Promise<Object>} Estado de campos físicos
    */
   async checkPhysicalFields(property) {
-    const requiredPhysical = this.requiredFields.physical;
+    const requiredPhysical = propertySchema.getRequiredFields(property.tipo_propiedad).physical;
     const issues = [];
     
     for (const field of requiredPhysical) {
+      const value = fieldRegistry.getFieldValue(property, field);
+
       // Verificar si el campo tiene valor
-      if (!this.hasValidValue(property[field], field)) {
+      if (!this.hasValidValue(value, field)) {
         issues.push(`Falta: ${this.getFieldLabel(field)}`);
         continue;
       }
 
       // Validación específica por campo
-      const validation = await this.validateSpecificField(field, property[field], property);
+      const validation = await this.validateSpecificField(field, value, property);
       if (!validation.valid) {
         issues.push(`${this.getFieldLabel(field)}: ${validation.error}`);
       }
@@ -138,16 +141,18 @@ class CompletionChecker {
    * @returns {Promise<Object>} Estado de campos comerciales
    */
   async checkCommercialFields(property) {
-    const requiredCommercial = this.requiredFields.commercial;
+    const requiredCommercial = propertySchema.getRequiredFields(property.tipo_propiedad).commercial;
     const issues = [];
     
     for (const field of requiredCommercial) {
-      if (!this.hasValidValue(property[field], field)) {
+      const value = fieldRegistry.getFieldValue(property, field);
+
+      if (!this.hasValidValue(value, field)) {
         issues.push(`Falta: ${this.getFieldLabel(field)}`);
         continue;
       }
 
-      const validation = await this.validateSpecificField(field, property[field], property);
+      const validation = await this.validateSpecificField(field, value, property);
       if (!validation.valid) {
         issues.push(`${this.getFieldLabel(field)}: ${validation.error}`);
       }
@@ -168,7 +173,7 @@ class CompletionChecker {
  * @returns {Promise<Object>} Estado de documentación
  */
 async checkDocumentationFields(property) {
-  const requiredDocs = this.requiredFields.documentation;
+  const requiredDocs = propertySchema.getRequiredFields(property.tipo_propiedad).documentation;
   const issues = [];
   
   // Verificar documentos obligatorios
@@ -215,11 +220,11 @@ async checkDocumentationFields(property) {
    * @returns {Promise<Object>} Estado de descripción
    */
   async checkDescriptionFields(property) {
-    const requiredDescription = this.requiredFields.description;
+    const requiredDescription = propertySchema.getRequiredFields(property.tipo_propiedad).description;
     const issues = [];
     
     for (const field of requiredDescription) {
-      if (!this.hasValidValue(property[field], field)) {
+      if (!this.hasValidValue(fieldRegistry.getFieldValue(property, field), field)) {
         issues.push(`Falta: ${this.getFieldLabel(field)}`);
         continue;
       }
@@ -227,8 +232,8 @@ async checkDocumentationFields(property) {
       // Validación especial para descripción
       if (field === 'descripcion') {
         const wordCount = property[field].trim().split(/\s+/).length;
-        if (wordCount < this.validationConfig.minDescriptionWords) {
-          issues.push(`Descripción muy corta: ${wordCount}/${this.validationConfig.minDescriptionWords} palabras mínimo`);
+        if (wordCount < this.validation.minDescriptionWords) {
+          issues.push(`Descripción muy corta: ${wordCount}/${this.validation.minDescriptionWords} palabras mínimo`);
         }
       }
     }
@@ -269,15 +274,15 @@ async checkDocumentationFields(property) {
  
     // Mínimo de fotos
     const photosCount = property.fotos_inmueble || 0;
-    if (photosCount < this.validationConfig.minPhotos) {
-      issues.push(`Fotos insuficientes: ${photosCount}/${this.validationConfig.minPhotos} mínimo`);
+    if (photosCount < this.validation.minPhotos) {
+      issues.push(`Fotos insuficientes: ${photosCount}/${this.validation.minPhotos} mínimo`);
     }
  
     // Descripción con mínimo de palabras
     if (property.descripcion) {
       const wordCount = property.descripcion.trim().split(/\s+/).length;
-      if (wordCount < this.validationConfig.minDescriptionWords) {
-        issues.push(`Descripción insuficiente: ${wordCount}/${this.validationConfig.minDescriptionWords} palabras mínimo`);
+      if (wordCount < this.validation.minDescriptionWords) {
+        issues.push(`Descripción insuficiente: ${wordCount}/${this.validation.minDescriptionWords} palabras mínimo`);
       }
     }
  
@@ -303,9 +308,13 @@ async checkDocumentationFields(property) {
   async checkDataCoherence(property) {
     const issues = [];
  
-    // Verificar piso vs tipo de propiedad
-    if (property.piso && !['apartamento', 'oficina'].includes(property.tipo_propiedad)) {
-      issues.push('El piso solo aplica para apartamentos y oficinas');
+    // Verificar que no haya datos que no aplican al tipo de propiedad
+    for (const field of fieldRegistry.getFieldsByCategory(FIELD_CATEGORIES.PHYSICAL)) {
+      const value = fieldRegistry.getFieldValue(property, field);
+      if (value !== null && value !== undefined &&
+          !propertySchema.isFieldApplicable(field, property.tipo_propiedad)) {
+        issues.push(`${this.getFieldLabel(field)} no aplica para ${property.tipo_propiedad}`);
+      }
     }
  
     // Verificar año de construcción vs estado
@@ -375,44 +384,81 @@ async checkDocumentationFields(property) {
    * @returns {string} Etiqueta amigable
    */
   getFieldLabel(field) {
-    const labels = {
-      // Campos físicos
-      tipo_propiedad: 'Tipo de propiedad',
-      area_construida: 'Área construida',
-      habitaciones: 'Habitaciones',
-      banos: 'Baños',
-      parqueaderos: 'Parqueaderos',
-      piso: 'Piso',
-      estrato: 'Estrato',
-      ano_construccion: 'Año de construcción',
-      estado_propiedad: 'Estado de la propiedad',
-      
-      // Campos comerciales
-      precio_venta: 'Precio de venta',
-      precio_negociable: 'Precio negociable',
-      motivo_venta: 'Motivo de venta',
-      tiempo_estimado_venta: 'Tiempo estimado de venta',
-      acepta_credito: 'Acepta crédito',
-      deudas_pendientes: 'Deudas pendientes',
-      
-      // Documentación
-      certificado_existencia: 'Certificado de Existencia',
-      escritura_publica: 'Escritura Pública',
-      paz_salvo_admin: 'Paz y Salvo de Administración',
-      recibo_servicios: 'Recibo de Servicios',
-      certificado_predial: 'Certificado de Tradición y Libertad',
-      fotos_inmueble: 'Fotos del inmueble',
-      
-      // Descripción
-      descripcion: 'Descripción',
-      caracteristicas_especiales: 'Características especiales',
-      servicios_incluidos: 'Servicios incluidos',
-      restricciones: 'Restricciones'
-    };
- 
-    return labels[field] || field;
+    return fieldRegistry.getLabel(field);
+  }
+
+  /**
+   * Formatear valor de un campo para mostrarlo al propietario
+   * @param {string} field - Nombre del campo
+   * @param {*} value - Valor del campo
+   * @returns {string} Valor formateado
+   */
+  formatFieldValue(field, value) {
+    if (field === 'fotos_inmueble') {
+      return `${value || 0} recibidas`;
+    }
+
+    if (fieldRegistry.getField(field)?.type === 'document') {
+      return value ? 'Recibido' : 'Pendiente';
+    }
+
+    if (value === null || value === undefined || value === '') {
+      return '—';
+    }
+
+    if (typeof value === 'boolean') {
+      return value ? 'Sí' : 'No';
+    }
+
+    if (field === 'area_construida') {
+      return `${value} m²`;
+    }
+
+    if (field === 'precio_venta') {
+      return `$${new Intl.NumberFormat('es-CO').format(value)}`;
+    }
+
+    const text = String(value);
+    return text.length > 300 ? `${text.slice(0, 300)}…` : text;
+  }
+
+  /**
+   * Generar resumen de revisión con todos los campos agrupados por categoría
+   * @param {Object} property - Datos de la propiedad
+   * @returns {string} Resumen formateado para WhatsApp
+   */
+  buildReviewSummary(property) {
+    const sections = [
+      { title: '🏠 *Características físicas*', category: FIELD_CATEGORIES.PHYSICAL },
+      { title: '💰 *Información comercial*', category: FIELD_CATEGORIES.COMMERCIAL },
+      { title: '📝 *Descripción*', category: FIELD_CATEGORIES.DESCRIPTION },
+      { title: '📄 *Documentos*', category: FIELD_CATEGORIES.DOCUMENTATION }
+    ];
+
+    return sections
+      .map(({ title, category }) => {
+        const lines = this.getReviewFields(property, category).map(field =>
+          `• ${this.getFieldLabel(field)}: ${this.formatFieldValue(field, fieldRegistry.getFieldValue(property, field))}`
+        );
+        return `${title}\n${lines.join('\n')}`;
+      })
+      .join('\n\n');
   }
  
+  /**
+   * Obtener campos de una categoría que se muestran en la revisión
+   * (los obligatorios y los opcionales que ya tienen valor)
+   * @param {Object} property - Datos de la propiedad
+   * @param {string} category - Categoría (FIELD_CATEGORIES)
+   * @returns {Array<string>} Campos a mostrar
+   */
+  getReviewFields(property, category) {
+    return fieldRegistry.getFieldsByCategory(category)
+      .filter(field => propertySchema.isFieldApplicable(field, property.tipo_propiedad))
+      .filter(field => propertySchema.isFieldRequired(field, property.tipo_propiedad) ||
+        this.hasValidValue(fieldRegistry.getFieldValue(property, field), field));
+  }
+
   /**
    * Generar resumen de completitud
    * @param {Object} property - Datos de la propiedad
@@ -459,7 +505,7 @@ async checkDocumentationFields(property) {
     try {
       const properties = await this.prisma.property.findMany({
         where: {
-          estado_recoleccion: 'EN_PROGRESO',
+          estado_recoleccion: { in: [PROPERTY_STATES.EN_PROGRESO, PROPERTY_STATES.EN_REVISION] },
           porcentaje_completitud: {
             gte: 95 // 95% o más de completitud
           }
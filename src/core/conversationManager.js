@@ -9,22 +9,58 @@ import ragService from '../services/ragService.js';
 import whatsappService from '../services/whatsappService.js';
 import fieldTracker from './fieldTracker.js';
 import completionChecker from './completionChecker.js';
+import propertySchema from './propertySchema.js';
+import fieldRegistry from './fieldRegistry.js';
+import schedulerService from '../services/schedulerService.js';
+import outboundQueueService from '../services/outboundQueueService.js';
+import certificateService from '../services/certificateService.js';
+import documentService from '../services/documentService.js';
+import {
+ scheduler as schedulerConfig,
+ handoff as handoffConfig,
+ outboundQueue as outboundQueueConfig
+} from '../config/index.js';
 import { 
  CONVERSATION_STATES, 
+ CONVERSATION_MODES,
+ HANDOFF_REASONS,
+ HANDOFF_PATTERNS,
+ PROPERTY_STATES,
  MESSAGE_TYPES, 
  MESSAGE_DIRECTIONS,
- FIELD_COLLECTION_ORDER,
- FIELD_QUESTIONS,
+ DELIVERY_STATES,
+ OUTBOUND_STATES,
  MESSAGE_TEMPLATES,
  ERROR_CODES,
- TIMEOUTS
+ SCHEDULED_JOB_TYPES,
+ SCHEDULED_JOB_STATES,
+ DOCUMENT_TYPES,
+ DOCUMENT_LABELS,
+ DOCUMENT_REPLY_OPTIONS,
+ DOCUMENT_CLASSIFICATION,
+ DOCUMENT_VALIDITY_DAYS,
+ PHOTO_QUALITY_ADVICE,
+ UNCLASSIFIED_DOCUMENT_TYPE
 } from '../utils/constants.js';
 
+// Orden de los estados de entrega: un acuse atrasado no retrocede el estado
+const DELIVERY_STATE_ORDER = [
+ DELIVERY_STATES.ENCOLADO,
+ DELIVERY_STATES.ENVIADO,
+ DELIVERY_STATES.ENTREGADO,
+ DELIVERY_STATES.LEIDO
+];
+
 class ConversationManager {
  constructor() {
    this.prisma = createPrismaClient();
    this.activeConversations = new Map(); // Cache de conversaciones activas
-   this.timeouts = new Map(); // Timeouts de conversaciones
+
+   // Recordatorios y timeouts persistentes (sobreviven reinicios)
+   schedulerService.registerHandler(SCHEDULED_JOB_TYPES.CONVERSATION_REMINDER, job => this.handleConversationReminder(job));
+   schedulerService.registerHandler(SCHEDULED_JOB_TYPES.CONVERSATION_TIMEOUT, job => this.handleConversationTimeout(job));
+   schedulerService.registerHandler(SCHEDULED_JOB_TYPES.DOCUMENT_EXPIRY, job => this.handleDocumentExpiry(job));
+   schedulerService.registerHandler(SCHEDULED_JOB_TYPES.DELIVERY_STATUS_RETRY, job => this.updateDeliveryStatus(job.payload, { isRetry: true }));
  }
 
  /**
@@ -50,9 +86,10 @@ class ConversationManager {
          property_id: property.id,
          whatsapp_number: propertyData.celular,
          estado: CONVERSATION_STATES.ACTIVA,
+         seleccionada_en: new Date(),
          contexto_actual: JSON.stringify({
            step: 'welcome',
-           currentField: null,
+           currentField: 'tipo_propiedad',
            collectedFields: []
          })
        }
@@ -65,15 +102,22 @@ class ConversationManager {
        state: 'welcome'
      });
 
-     // Configurar timeout de inactividad
-     this.setupConversationTimeout(propertyData.celular);
+     // Programar recordatorios de inactividad
+     await this.scheduleInactivityJobs(conversation.id);
 
-     // Enviar mensaje de bienvenida
-     const welcomeMessage = this.generateWelcomeMessage(propertyData);
-     await this.sendMessage(propertyData.celular, welcomeMessage);
+     // Enviar mensaje de bienvenida (avisando si el número ya tiene otras propiedades en proceso)
+     let welcomeMessage = this.generateWelcomeMessage(propertyData);
+     const openConversations = await this.getOpenConversations(propertyData.celular);
+     if (openConversations.length > 1) {
+       welcomeMessage += '\n\n' + MESSAGE_TEMPLATES.MULTIPLE_PROPERTIES_NOTE
+         .replace('{count}', openConversations.length)
+         .replace('{direccion}', propertyData.direccion_inmueble);
+     }
+     // La bienvenida termina preguntando el tipo de inmueble
+     const sendResult = await this.sendMessage(propertyData.celular, welcomeMessage, 'tipo_propiedad');
 
      // Registrar mensaje del sistema
-     await this.saveMessage(conversation.id, welcomeMessage, MESSAGE_TYPES.BOT, MESSAGE_DIRECTIONS.ENVIADO);
+     await this.saveMessage(conversation.id, welcomeMessage, MESSAGE_TYPES.BOT, MESSAGE_DIRECTIONS.ENVIADO, {}, sendResult);
 
      logger.conversation('Conversación inicializada exitosamente', {
        propertyId: property.id,
@@ -111,37 +155,62 @@ class ConversationManager {
   */
  async processUserMessage(whatsappNumber, message, metadata = {}) {
    try {
-     // Obtener conversación activa
-     const conversation = await this.getActiveConversation(whatsappNumber);
+     // Varias propiedades por número: resolver a cuál se refiere el propietario
+     const selection = await this.resolvePropertySelection(whatsappNumber, message, metadata);
+     if (selection) {
+       return selection;
+     }
+
+     // Obtener conversación activa (o retomar una que expiró por inactividad)
+     let conversation = await this.getActiveConversation(whatsappNumber);
+     let resumed = false;
      if (!conversation) {
-       return await this.handleUnknownUser(whatsappNumber, message);
+       conversation = await this.resumeTimedOutConversation(whatsappNumber);
+       if (!conversation) {
+         return await this.handleUnknownUser(whatsappNumber, message);
+       }
+       resumed = true;
      }
 
      // Actualizar timestamp de última actividad
      await this.updateConversationActivity(conversation.id);
 
-     // Reiniciar timeout
-     this.resetConversationTimeout(whatsappNumber);
+     // Un asesor atiende la conversación: solo registrar el mensaje
+     if (this.isInHandoff(conversation)) {
+       await this.saveInboundMessages(conversation.id, message, { ...metadata, handoff: true });
+
+       logger.conversation('Mensaje recibido en atención humana', {
+         conversationId: conversation.id,
+         asesor: conversation.asesor
+       });
+
+       return {
+         success: true,
+         message: null,
+         type: 'handoff_message'
+       };
+     }
+
+     // Reprogramar recordatorios de inactividad
+     await this.scheduleInactivityJobs(conversation.id);
 
      // Guardar mensaje del usuario
-     await this.saveMessage(conversation.id, message, MESSAGE_TYPES.USER, MESSAGE_DIRECTIONS.RECIBIDO, metadata);
+     await this.saveInboundMessages(conversation.id, message, metadata);
 
-     // Detectar intención del mensaje
-     const intention = await aiService.detectIntention(message);
+     const context = JSON.parse(conversation.contexto_actual || '{}');
 
      let response;
-     if (intention.type === 'pregunta') {
-       // El usuario está haciendo una pregunta - usar RAG
-       response = await this.handleUserQuestion(conversation, message);
+     if (resumed) {
+       // El propietario volvió tras el timeout - retomar la pregunta pendiente
+       response = this.buildResumeResponse(conversation, context);
      } else {
-       // El usuario está respondiendo - procesar información
-       response = await this.handleUserResponse(conversation, message, metadata);
+       response = await this.routeUserMessage(conversation, message, metadata, context);
      }
 
-     // Enviar respuesta y guardarla
+     // Enviar respuesta y guardarla (con botones si pregunta por un campo de opciones)
      if (response.message) {
-       await this.sendMessage(whatsappNumber, response.message);
-       await this.saveMessage(conversation.id, response.message, MESSAGE_TYPES.BOT, MESSAGE_DIRECTIONS.ENVIADO);
+       const sendResult = await this.sendMessage(whatsappNumber, response.message, response.nextField || response.currentField);
+       await this.saveMessage(conversation.id, response.message, MESSAGE_TYPES.BOT, MESSAGE_DIRECTIONS.ENVIADO, {}, sendResult);
      }
 
      return response;
@@ -165,6 +234,70 @@ class ConversationManager {
    }
  }
 
+ /**
+  * Enrutar el mensaje según la intención detectada y el paso actual
+  * @param {Object} conversation - Conversación
+  * @param {string} message - Mensaje del usuario
+  * @param {Object} metadata - Metadata adicional
+  * @param {Object} context - Contexto actual de la conversación
+  * @returns {Promise<Object>} Respuesta generada
+  */
+ async routeUserMessage(conversation, message, metadata, context) {
+   // El propietario pide hablar con una persona
+   if (this.isHandoffRequest(message)) {
+     return await this.startHandoff(conversation, { reason: HANDOFF_REASONS.SOLICITUD_PROPIETARIO });
+   }
+
+   // Respuesta a la pregunta de qué documento envió
+   if (context.pendingDocument) {
+     const documentType = this.resolveDocumentTypeReply(message, metadata, context.pendingDocument.candidates);
+     if (documentType) {
+       return await this.classifyPendingDocument(conversation, context, documentType);
+     }
+   }
+
+   // Respuesta a botones o lista: el valor se registra directamente, sin AI
+   const optionReply = this.resolveOptionReply(message, metadata, context);
+   if (optionReply) {
+     return await this.handleUserResponse(conversation, message, { ...metadata, optionReply });
+   }
+
+   // Detectar intención del mensaje
+   const intention = await aiService.detectIntention(message);
+
+   // Contar confusiones seguidas: si se repiten, pasar la conversación a un asesor
+   const confusionCount = intention.type === 'confusion' ? (context.confusionCount || 0) + 1 : 0;
+   if (confusionCount !== (context.confusionCount || 0)) {
+     conversation.contexto_actual = this.serializeContext({ ...context, confusionCount });
+     await this.prisma.conversation.update({
+       where: { id: conversation.id },
+       data: { contexto_actual: conversation.contexto_actual }
+     });
+   }
+
+   if (confusionCount >= handoffConfig.confusionThreshold) {
+     return await this.startHandoff(conversation, { reason: HANDOFF_REASONS.CONFUSION_REPETIDA });
+   }
+
+   if (intention.type === 'pregunta') {
+     // El usuario está haciendo una pregunta - usar RAG
+     return await this.handleUserQuestion(conversation, message);
+   }
+
+   if (context.step === 'review') {
+     // Esperando confirmación del resumen final
+     return await this.handleReviewResponse(conversation, message);
+   }
+
+   if (intention.type === 'correccion') {
+     // El usuario está corrigiendo un dato que ya había dado
+     return await this.handleFieldCorrection(conversation, message);
+   }
+
+   // El usuario está respondiendo - procesar información
+   return await this.handleUserResponse(conversation, message, metadata);
+ }
+
  /**
   * Manejar pregunta del usuario usando RAG
   * @param {Object} conversation - Datos de la conversación
@@ -182,9 +315,11 @@ class ConversationManager {
      // Agregar sugerencia para continuar si es apropiado
      const context = JSON.parse(conversation.contexto_actual);
      let fullResponse = ragResponse;
+     let currentField = null;
 
      if (context.currentField) {
-       fullResponse += `\n\n¿Te gustaría continuar con ${FIELD_QUESTIONS[context.currentField]}`;
+       currentField = context.currentField;
+       fullResponse += `\n\n¿Te gustaría continuar con ${propertySchema.getFieldQuestion(context.currentField, conversation.property?.tipo_propiedad)}`;
      }
 
      logger.conversation('Pregunta del usuario respondida con RAG', {
@@ -196,7 +331,8 @@ class ConversationManager {
      return {
        success: true,
        message: fullResponse,
-       type: 'question_response'
+       type: 'question_response',
+       currentField
      };
 
    } catch (error) {
@@ -227,15 +363,17 @@ class ConversationManager {
        throw new Error('Propiedad no encontrada');
      }
 
-     // Interpretar respuesta usando AI (NO regex)
-     const interpretation = await aiService.interpretUserResponse(
-       response, 
-       context.currentField,
-       { 
-         propertyType: property.tipo_propiedad,
-         currentStep: context.step
-       }
-     );
+     // Interpretar respuesta usando AI (NO regex); las opciones elegidas ya traen el valor
+     const interpretation = metadata?.optionReply
+       ? { success: true, data: { [metadata.optionReply.field]: metadata.optionReply.value } }
+       : await aiService.interpretUserResponse(
+         response,
+         context.currentField,
+         {
+           propertyType: property.tipo_propiedad,
+           currentStep: context.step
+         }
+       );
 
      if (!interpretation.success) {
        return {
@@ -278,11 +416,11 @@ class ConversationManager {
      const completionStatus = await completionChecker.checkCompleteness(property.id);
 
      if (completionStatus.isComplete) {
-       return await this.handleCompletedProperty(conversation, property);
+       return await this.startPropertyReview(conversation, property.id, updatedContext);
      }
 
      // Generar respuesta para el siguiente campo
-     const botResponse = await this.generateNextFieldResponse(interpretation.data, nextField, property);
+     const botResponse = await this.generateNextFieldResponse(interpretation.data, nextField, updateResult.property);
 
      // Actualizar conversación en cache
      this.activeConversations.set(conversation.whatsapp_number, {
@@ -295,6 +433,7 @@ class ConversationManager {
      logger.conversation('Respuesta del usuario procesada exitosamente', {
        conversationId: conversation.id,
        extractedFields: Object.keys(interpretation.data),
+       fromReplyOption: !!metadata?.optionReply,
        nextField,
        completionPercentage: completionStatus.percentage
      });
@@ -318,6 +457,275 @@ class ConversationManager {
    }
  }
 
+ /**
+  * Manejar corrección de un campo que el usuario ya había respondido
+  * @param {Object} conversation - Datos de la conversación
+  * @param {string} message - Mensaje de corrección del usuario
+  * @returns {Promise<Object>} Resultado de la corrección
+  */
+ async handleFieldCorrection(conversation, message) {
+   try {
+     const context = JSON.parse(conversation.contexto_actual);
+     const property = await this.prisma.property.findUnique({
+       where: { id: conversation.property_id }
+     });
+
+     if (!property) {
+       throw new Error('Propiedad no encontrada');
+     }
+
+     // Identificar el campo corregido y su nuevo valor usando AI
+     const interpretation = await aiService.interpretUserResponse(
+       message,
+       context.currentField,
+       {
+         propertyType: property.tipo_propiedad,
+         currentStep: context.step,
+         isCorrection: true
+       }
+     );
+
+     const requestedChanges = interpretation.success
+       ? Object.entries(interpretation.data).filter(([field]) => fieldTracker.isValidPropertyField(field))
+       : [];
+
+     if (requestedChanges.length === 0) {
+       return {
+         success: false,
+         message: MESSAGE_TEMPLATES.CORRECTION_NOT_UNDERSTOOD,
+         type: 'clarification_needed'
+       };
+     }
+
+     // Re-validar cada valor antes de sobrescribir
+     const correctedFields = {};
+     const rejected = [];
+
+     for (const [field, value] of requestedChanges) {
+       const validation = await fieldTracker.validateFieldValue(field, value, property);
+       if (validation.valid) {
+         correctedFields[field] = validation.processedValue ?? value;
+       } else {
+         rejected.push(`• ${completionChecker.getFieldLabel(field)}: ${validation.error}`);
+       }
+     }
+
+     if (Object.keys(correctedFields).length === 0) {
+       return {
+         success: false,
+         message: `No pude aplicar la corrección:\n${rejected.join('\n')}`,
+         type: 'correction_rejected'
+       };
+     }
+
+     const updateResult = await fieldTracker.updatePropertyFields(property.id, correctedFields);
+
+     if (!updateResult.success) {
+       throw new Error('Error al actualizar campos corregidos');
+     }
+
+     // Volver a la pregunta pendiente
+     const nextField = await this.getNextFieldToCollect(property.id);
+
+     const updatedContext = {
+       ...context,
+       step: context.step === 'review' ? 'collecting' : context.step,
+       currentField: nextField,
+       collectedFields: [...new Set([...(context.collectedFields || []), ...Object.keys(correctedFields)])],
+       corrections: [
+         ...(context.corrections || []),
+         ...Object.entries(correctedFields).map(([field, value]) => ({
+           field,
+           previousValue: property[field],
+           newValue: value,
+           correctedAt: new Date().toISOString()
+         }))
+       ],
+       lastUpdate: new Date().toISOString()
+     };
+
+     await this.prisma.conversation.update({
+       where: { id: conversation.id },
+       data: {
+         contexto_actual: this.serializeContext(updatedContext),
+         campo_actual: nextField
+       }
+     });
+
+     const completionStatus = await completionChecker.checkCompleteness(property.id);
+
+     // Confirmar el cambio y repetir la pregunta pendiente
+     const changes = Object.entries(correctedFields)
+       .map(([field, value]) => this.formatFieldConfirmation(field, value))
+       .join('\n');
+
+     let botResponse = MESSAGE_TEMPLATES.CORRECTION_CONFIRMED.replace('{changes}', changes);
+
+     if (rejected.length > 0) {
+       botResponse += `\n\n⚠️ No pude corregir:\n${rejected.join('\n')}`;
+     }
+
+     if (completionStatus.isComplete) {
+       // Mostrar de nuevo el resumen actualizado para su confirmación
+       const review = await this.startPropertyReview(conversation, property.id, updatedContext);
+       return {
+         ...review,
+         message: `${botResponse}\n\n${review.message}`,
+         correctedData: correctedFields
+       };
+     }
+
+     if (nextField) {
+       botResponse += `\n\nSigamos: ${propertySchema.getFieldQuestion(nextField, updateResult.property.tipo_propiedad)}`;
+     }
+
+     this.activeConversations.set(conversation.whatsapp_number, {
+       conversationId: conversation.id,
+       propertyId: property.id,
+       state: 'collecting',
+       currentField: nextField
+     });
+
+     logger.conversation('Corrección de campos aplicada', {
+       conversationId: conversation.id,
+       correctedFields: Object.keys(correctedFields),
+       rejectedCount: rejected.length,
+       nextField
+     });
+
+     return {
+       success: true,
+       message: botResponse,
+       type: 'field_correction',
+       correctedData: correctedFields,
+       nextField,
+       completionPercentage: completionStatus.percentage
+     };
+
+   } catch (error) {
+     logger.error('Error al manejar corrección del usuario:', error);
+     return {
+       success: false,
+       message: "Hubo un error al aplicar tu corrección. ¿Puedes intentar de nuevo?",
+       type: 'error'
+     };
+   }
+ }
+
+ /**
+  * Iniciar etapa de revisión: enviar resumen completo y esperar confirmación
+  * @param {Object} conversation - Datos de la conversación
+  * @param {string} propertyId - ID de la propiedad
+  * @param {Object} context - Contexto actual de la conversación
+  * @returns {Promise<Object>} Resumen para confirmar
+  */
+ async startPropertyReview(conversation, propertyId, context) {
+   const property = await this.prisma.property.findUnique({
+     where: { id: propertyId }
+   });
+
+   if (!property) {
+     throw new Error('Propiedad no encontrada');
+   }
+
+   await this.prisma.conversation.update({
+     where: { id: conversation.id },
+     data: {
+       contexto_actual: this.serializeContext({
+         ...context,
+         step: 'review',
+         currentField: null,
+         reviewStartedAt: new Date().toISOString()
+       }),
+       campo_actual: null
+     }
+   });
+
+   await this.prisma.property.update({
+     where: { id: propertyId },
+     data: { estado_recoleccion: PROPERTY_STATES.EN_REVISION }
+   });
+
+   this.activeConversations.set(conversation.whatsapp_number, {
+     conversationId: conversation.id,
+     propertyId,
+     state: 'review'
+   });
+
+   logger.conversation('Propiedad enviada a revisión del propietario', {
+     propertyId,
+     conversationId: conversation.id
+   });
+
+   return {
+     success: true,
+     message: MESSAGE_TEMPLATES.REVIEW_SUMMARY
+       .replace('{summary}', completionChecker.buildReviewSummary(property)),
+     type: 'review',
+     propertyId
+   };
+ }
+
+ /**
+  * Manejar respuesta del propietario al resumen de revisión
+  * @param {Object} conversation - Datos de la conversación
+  * @param {string} message - Mensaje del usuario
+  * @returns {Promise<Object>} Resultado del procesamiento
+  */
+ async handleReviewResponse(conversation, message) {
+   try {
+     const reviewResponse = await aiService.detectReviewResponse(message);
+
+     if (reviewResponse.type === 'correccion') {
+       return await this.handleFieldCorrection(conversation, message);
+     }
+
+     if (reviewResponse.type !== 'confirmacion') {
+       return {
+         success: true,
+         message: MESSAGE_TEMPLATES.REVIEW_CONFIRMATION_REQUIRED,
+         type: 'review_pending'
+       };
+     }
+
+     // Verificar de nuevo antes de cerrar (los datos pudieron cambiar)
+     const completionStatus = await completionChecker.checkCompleteness(conversation.property_id);
+     if (!completionStatus.isComplete) {
+       const context = JSON.parse(conversation.contexto_actual || '{}');
+       const nextField = await this.getNextFieldToCollect(conversation.property_id);
+
+       await this.prisma.conversation.update({
+         where: { id: conversation.id },
+         data: {
+           contexto_actual: JSON.stringify({ ...context, step: 'collecting', currentField: nextField }),
+           campo_actual: nextField
+         }
+       });
+
+       return {
+         success: true,
+         message: `Antes de confirmar aún falta información. ${propertySchema.getFieldQuestion(nextField, conversation.property?.tipo_propiedad) || ''}`.trim(),
+         type: 'field_collection',
+         nextField
+       };
+     }
+
+     const property = await this.prisma.property.findUnique({
+       where: { id: conversation.property_id }
+     });
+
+     return await this.handleCompletedProperty(conversation, property);
+
+   } catch (error) {
+     logger.error('Error al manejar respuesta de revisión:', error);
+     return {
+       success: false,
+       message: "Hubo un error al procesar tu confirmación. ¿Puedes intentar de nuevo?",
+       type: 'error'
+     };
+   }
+ }
+
  /**
   * Manejar propiedad completada
   * @param {Object} conversation - Datos de la conversación
@@ -330,21 +738,37 @@ class ConversationManager {
      await this.prisma.property.update({
        where: { id: property.id },
        data: {
-         estado_recoleccion: 'COMPLETADO',
+         estado_recoleccion: PROPERTY_STATES.COMPLETADO,
          fecha_completado: new Date(),
          porcentaje_completitud: 100
        }
      });
 
      // Cerrar conversación
+     const context = JSON.parse(conversation.contexto_actual || '{}');
      await this.prisma.conversation.update({
        where: { id: conversation.id },
-       data: { estado: CONVERSATION_STATES.COMPLETADA }
+       data: {
+         estado: CONVERSATION_STATES.COMPLETADA,
+         contexto_actual: JSON.stringify({
+           ...context,
+           step: 'completed',
+           confirmedAt: new Date().toISOString()
+         })
+       }
      });
 
-     // Remover de cache y cancelar timeout
+     // Remover de cache y cancelar recordatorios pendientes
      this.activeConversations.delete(conversation.whatsapp_number);
-     this.clearConversationTimeout(conversation.whatsapp_number);
+     await this.cancelInactivityJobs(conversation.id);
+
+     // Recordar otras propiedades del mismo número que siguen en proceso
+     let completionMessage = MESSAGE_TEMPLATES.COMPLETION;
+     const openConversations = await this.getOpenConversations(conversation.whatsapp_number);
+     if (openConversations.length > 0) {
+       completionMessage += '\n\n' + MESSAGE_TEMPLATES.OTHER_PROPERTIES_PENDING
+         .replace('{direcciones}', openConversations.map(c => c.property.direccion_inmueble).join(', '));
+     }
 
      // Exportar a Google Sheets y enviar notificación
      // (esto se ejecutará en background)
@@ -359,7 +783,7 @@ class ConversationManager {
 
      return {
        success: true,
-       message: MESSAGE_TEMPLATES.COMPLETION,
+       message: completionMessage,
        type: 'completion',
        propertyId: property.id
      };
@@ -457,20 +881,11 @@ class ConversationManager {
        return confirmation + "¡Excelente! Vamos muy bien con la información. 👍";
      }
 
-     // Verificar si necesita contexto especial (ej: piso solo para apartamentos)
-     if (nextField === 'piso' && property.tipo_propiedad !== 'apartamento') {
-       // Saltar este campo para casas/lotes/etc
-       const subsequentField = await this.getNextFieldToCollect(property.id, [nextField]);
-       if (subsequentField) {
-         return confirmation + FIELD_QUESTIONS[subsequentField];
-       }
-     }
-
-     return confirmation + FIELD_QUESTIONS[nextField];
+     return confirmation + propertySchema.getFieldQuestion(nextField, property.tipo_propiedad);
 
    } catch (error) {
      logger.error('Error al generar respuesta del siguiente campo:', error);
-     return `Perfecto. ${FIELD_QUESTIONS[nextField] || 'Continuemos con la siguiente información.'}`;
+     return `Perfecto. ${propertySchema.getFieldQuestion(nextField, property?.tipo_propiedad) || 'Continuemos con la siguiente información.'}`;
    }
  }
 
@@ -492,7 +907,7 @@ class ConversationManager {
      precio_venta: 'Precio'
    };
 
-   const label = fieldLabels[field] || field;
+   const label = fieldLabels[field] || completionChecker.getFieldLabel(field);
    
    if (field === 'area_construida') {
      return `• ${label}: ${value} m²`;
@@ -525,18 +940,11 @@ class ConversationManager {
      // Filtrar campos que se deben omitir
      const availableFields = missingFields.filter(field => !skipFields.includes(field));
 
-     // Buscar el primer campo disponible en el orden de recolección
-     for (const field of FIELD_COLLECTION_ORDER) {
-       if (availableFields.includes(field)) {
-         // Verificar contexto especial
-         if (field === 'piso' && property.tipo_propiedad !== 'apartamento') {
-           continue; // Saltar piso para no-apartamentos
-         }
-         return field;
-       }
-     }
+     // Buscar el primer campo disponible en el orden de recolección del tipo de propiedad
+     const nextField = propertySchema.getCollectionOrder(property.tipo_propiedad)
+       .find(field => availableFields.includes(field));
 
-     return null; // No hay más campos que recopilar
+     return nextField || null; // No hay más campos que recopilar
 
    } catch (error) {
      logger.error('Error al obtener siguiente campo:', error);
@@ -568,15 +976,9 @@ class ConversationManager {
        }
      }
 
-     // Buscar en base de datos
-     const conversation = await this.prisma.conversation.findFirst({
-       where: {
-         whatsapp_number: whatsappNumber,
-         estado: CONVERSATION_STATES.ACTIVA
-       },
-       include: { property: true },
-       orderBy: { createdAt: 'desc' }
-     });
+     // Buscar en base de datos (puede haber varias propiedades por número)
+     const openConversations = await this.getOpenConversations(whatsappNumber);
+     const conversation = this.pickFocusedConversation(openConversations);
 
      if (conversation) {
        // Agregar a cache
@@ -596,105 +998,1237 @@ class ConversationManager {
  }
 
  /**
-  * Manejar usuario desconocido
+  * Obtener las conversaciones activas de un número (una por propiedad)
   * @param {string} whatsappNumber - Número de WhatsApp
-  * @param {string} message - Mensaje del usuario
-  * @returns {Promise<Object>} Respuesta para usuario desconocido
+  * @returns {Promise<Array>} Conversaciones activas con su propiedad
   */
- async handleUnknownUser(whatsappNumber, message) {
-   const unknownUserMessage = `Hola! 👋 
-
-No tengo registro de una propiedad asociada a este número.
-
-Si acabas de registrar una propiedad en nuestro formulario, por favor espera unos minutos mientras procesamos tu información.
-
-Si necesitas ayuda, puedes contactar a nuestro equipo de soporte.`;
-
-   await this.sendMessage(whatsappNumber, unknownUserMessage);
-
-   logger.conversation('Mensaje de usuario desconocido', {
-     whatsappNumber,
-     message
-   });
-
-   return {
-     success: true,
-     message: unknownUserMessage,
-     type: 'unknown_user'
-   };
+ async getOpenConversations(whatsappNumber) {
+   try {
+     return await this.prisma.conversation.findMany({
+       where: {
+         whatsapp_number: whatsappNumber,
+         estado: CONVERSATION_STATES.ACTIVA
+       },
+       include: { property: true },
+       orderBy: { createdAt: 'asc' }
+     });
+   } catch (error) {
+     logger.error('Error al obtener conversaciones abiertas:', error);
+     return [];
+   }
  }
 
  /**
-  * Configurar timeout de conversación por inactividad
-  * @param {string} whatsappNumber - Número de WhatsApp
+  * Elegir la conversación en foco entre las activas de un número
+  * @param {Array} openConversations - Conversaciones activas
+  * @returns {Object|null} Conversación en foco o null si es ambiguo
   */
- setupConversationTimeout(whatsappNumber) {
-   // Limpiar timeout existente si existe
-   this.clearConversationTimeout(whatsappNumber);
+ pickFocusedConversation(openConversations) {
+   if (openConversations.length <= 1) {
+     return openConversations[0] || null;
+   }
 
-   // Configurar nuevo timeout
-   const timeoutId = setTimeout(async () => {
-     await this.handleConversationTimeout(whatsappNumber);
-   }, TIMEOUTS.CONVERSATION_INACTIVE);
+   // La última propiedad elegida por el propietario (o creada) tiene el foco
+   const selected = openConversations
+     .filter(c => c.seleccionada_en)
+     .sort((a, b) => new Date(b.seleccionada_en) - new Date(a.seleccionada_en));
 
-   this.timeouts.set(whatsappNumber, timeoutId);
+   return selected[0] || null;
  }
 
  /**
-  * Reiniciar timeout de conversación
+  * Resolver a qué propiedad se refiere el propietario cuando tiene varias abiertas
   * @param {string} whatsappNumber - Número de WhatsApp
+  * @param {string} message - Mensaje del usuario
+  * @param {Object} metadata - Metadata del mensaje
+  * @returns {Promise<Object|null>} Respuesta si el mensaje fue de selección, null para seguir el flujo normal
   */
- resetConversationTimeout(whatsappNumber) {
-   this.setupConversationTimeout(whatsappNumber);
- }
+ async resolvePropertySelection(whatsappNumber, message, metadata = {}) {
+   const openConversations = await this.getOpenConversations(whatsappNumber);
+   if (openConversations.length < 2) return null;
 
- /**
-  * Limpiar timeout de conversación
-  * @param {string} whatsappNumber - Número de WhatsApp
-  */
- clearConversationTimeout(whatsappNumber) {
-   const timeoutId = this.timeouts.get(whatsappNumber);
-   if (timeoutId) {
-     clearTimeout(timeoutId);
-     this.timeouts.delete(whatsappNumber);
+   const focused = this.pickFocusedConversation(openConversations);
+
+   // Con un asesor atendiendo, los mensajes siguen en la conversación en foco
+   if (this.isInHandoff(focused)) return null;
+
+   // Respuesta a la lista enviada: "2", una matrícula o una dirección eligen la propiedad
+   if (focused && JSON.parse(focused.contexto_actual || '{}').pendingPropertySelection) {
+     const selected = this.matchPropertyReference(message, openConversations);
+     if (!selected) {
+       return await this.requestPropertySelection(whatsappNumber, openConversations, focused);
+     }
+
+     await this.setPendingPropertySelection(focused, false);
+     return await this.switchToConversation(selected, message, metadata);
+   }
+
+   if (focused && !this.isPropertySwitchRequest(message, openConversations, focused)) return null;
+
+   let target = this.matchPropertyReference(message, openConversations);
+
+   // "la otra propiedad" con solo dos abiertas no es ambiguo
+   if (!target && focused && openConversations.length === 2) {
+     target = openConversations.find(c => c.id !== focused.id);
+   }
+
+   if (!target) {
+     return await this.requestPropertySelection(whatsappNumber, openConversations, focused);
+   }
+
+   return await this.switchToConversation(target, message, metadata);
+ }
+
+ /**
+  * Detectar si el mensaje pide cambiar de propiedad
+  * Un verbo de cambio solo cuenta si nombra otra propiedad abierta: "quiero cambiar el precio"
+  * es una corrección, "pasemos a la de la calle 45" es un cambio
+  * @param {string} message - Mensaje del usuario
+  * @param {Array} openConversations - Conversaciones activas
+  * @param {Object} focused - Conversación en foco
+  * @returns {boolean} True si es un comando de cambio
+  */
+ isPropertySwitchRequest(message, openConversations, focused) {
+   const text = this.normalizeReference(message);
+   if (/\b(otra propiedad|otro inmueble)\b/.test(text)) {
+     return true;
+   }
+
+   if (!/\b(cambiar|cambia|cambiemos|pasar|pasemos|hablemos|seguir con|continuar con)\b/.test(text)) {
+     return false;
+   }
+
+   // Un solo término de dirección (ej: "3") no basta, puede ser el valor de un campo
+   const target = this.matchPropertyReference(message, openConversations, { minAddressTokens: 2 });
+   return Boolean(target) && target.id !== focused?.id;
+ }
+
+ /**
+  * Identificar la propiedad mencionada por número de lista, matrícula o dirección
+  * @param {string} message - Mensaje del usuario
+  * @param {Array} openConversations - Conversaciones activas
+  * @param {Object} options - minAddressTokens: términos de dirección en común requeridos
+  * @returns {Object|null} Conversación de la propiedad mencionada
+  */
+ matchPropertyReference(message, openConversations, { minAddressTokens = 1 } = {}) {
+   const text = this.normalizeReference(message);
+
+   // Número de la lista enviada
+   const option = text.trim().match(/^(\d{1,2})$/);
+   if (option) {
+     return openConversations[parseInt(option[1]) - 1] || null;
+   }
+
+   // Matrícula inmobiliaria (ignorando guiones y espacios)
+   const compactText = text.replace(/[^a-z0-9]/g, '');
+   const byMatricula = openConversations.filter(c => {
+     const matricula = this.normalizeReference(c.property.matricula_inmobiliaria).replace(/[^a-z0-9]/g, '');
+     return matricula.length >= 4 && compactText.includes(matricula);
+   });
+   if (byMatricula.length === 1) {
+     return byMatricula[0];
+   }
+
+   // Dirección: la propiedad con más términos en común, si no hay empate
+   const messageTokens = new Set(this.tokenizeAddress(text));
+   const scored = openConversations
+     .map(c => ({
+       conversation: c,
+       score: this.tokenizeAddress(this.normalizeReference(c.property.direccion_inmueble))
+         .filter(token => messageTokens.has(token)).length
+     }))
+     .sort((a, b) => b.score - a.score);
+
+   if (scored[0].score >= minAddressTokens && scored[0].score > (scored[1]?.score || 0)) {
+     return scored[0].conversation;
+   }
+
+   return null;
+ }
+
+ /**
+  * Normalizar texto para comparar referencias (minúsculas, sin tildes)
+  * @param {string} text - Texto original
+  * @returns {string} Texto normalizado
+  */
+ normalizeReference(text) {
+   return (text || '')
+     .toLowerCase()
+     .normalize('NFD')
+     .replace(/[\u0300-\u036f]/g, '')
+     .replace(/#/g, ' ');
+ }
+
+ /**
+  * Separar una dirección en términos comparables (expande abreviaturas comunes)
+  * @param {string} text - Texto normalizado
+  * @returns {Array<string>} Términos
+  */
+ tokenizeAddress(text) {
+   const abbreviations = {
+     cra: 'carrera', kra: 'carrera', kr: 'carrera', cr: 'carrera',
+     cll: 'calle', cl: 'calle',
+     av: 'avenida', ak: 'avenida', ac: 'avenida',
+     tv: 'transversal', dg: 'diagonal'
+   };
+   const ignored = new Set(['de', 'la', 'el', 'los', 'las', 'a', 'en', 'no', 'con', 'propiedad', 'inmueble', 'cambiar']);
+
+   return text
+     .split(/[^a-z0-9]+/)
+     .filter(Boolean)
+     .map(token => abbreviations[token] || token)
+     .filter(token => !ignored.has(token));
+ }
+
+ /**
+  * Pedir al propietario que elija la propiedad de la que habla
+  * @param {string} whatsappNumber - Número de WhatsApp
+  * @param {Array} openConversations - Conversaciones activas
+  * @param {Object|null} focused - Conversación en foco (guarda que la próxima respuesta es la elección)
+  * @returns {Promise<Object>} Respuesta enviada
+  */
+ async requestPropertySelection(whatsappNumber, openConversations, focused = null) {
+   const properties = openConversations
+     .map((c, index) => `${index + 1}. ${c.property.direccion_inmueble}, ${c.property.ciudad_inmueble} (matrícula ${c.property.matricula_inmobiliaria}) - ${c.property.porcentaje_completitud}% completado`)
+     .join('\n');
+
+   const selectionMessage = MESSAGE_TEMPLATES.PROPERTY_SELECTION_REQUIRED
+     .replace('{properties}', properties);
+
+   // Sin foco cada mensaje ya se interpreta como referencia a una propiedad
+   if (focused) {
+     await this.setPendingPropertySelection(focused, true);
+   }
+
+   await this.sendMessage(whatsappNumber, selectionMessage);
+
+   logger.conversation('Selección de propiedad solicitada', {
+     whatsappNumber,
+     openConversations: openConversations.length
+   });
+
+   return {
+     success: true,
+     message: selectionMessage,
+     type: 'property_selection'
+   };
+ }
+
+ /**
+  * Marcar o limpiar la espera de la elección de propiedad en la conversación en foco
+  * @param {Object} conversation - Conversación en foco
+  * @param {boolean} pending - True si se envió la lista de propiedades
+  */
+ async setPendingPropertySelection(conversation, pending) {
+   const { pendingPropertySelection, ...context } = JSON.parse(conversation.contexto_actual || '{}');
+   conversation.contexto_actual = this.serializeContext(pending
+     ? { ...context, pendingPropertySelection: { requestedAt: new Date().toISOString() } }
+     : context);
+
+   await this.prisma.conversation.update({
+     where: { id: conversation.id },
+     data: { contexto_actual: conversation.contexto_actual }
+   });
+ }
+
+ /**
+  * Poner en foco la conversación de otra propiedad del mismo número
+  * @param {Object} conversation - Conversación elegida
+  * @param {string} message - Mensaje del usuario que pidió el cambio
+  * @param {Object} metadata - Metadata del mensaje
+  * @returns {Promise<Object>} Respuesta enviada
+  */
+ async switchToConversation(conversation, message, metadata = {}) {
+   await this.prisma.conversation.update({
+     where: { id: conversation.id },
+     data: {
+       seleccionada_en: new Date(),
+       ultimo_mensaje: new Date()
+     }
+   });
+
+   this.activeConversations.set(conversation.whatsapp_number, {
+     conversationId: conversation.id,
+     propertyId: conversation.property_id,
+     state: 'active'
+   });
+
+   await this.scheduleInactivityJobs(conversation.id);
+
+   const context = JSON.parse(conversation.contexto_actual || '{}');
+   const switchMessage = MESSAGE_TEMPLATES.PROPERTY_SWITCHED
+     .replace('{direccion}', conversation.property.direccion_inmueble)
+     .replace('{ciudad}', conversation.property.ciudad_inmueble)
+     .replace('{pregunta}', this.getPendingQuestion(context, conversation.property.tipo_propiedad));
+
+   await this.saveInboundMessages(conversation.id, message, metadata);
+   const sendResult = await this.sendMessage(conversation.whatsapp_number, switchMessage);
+   await this.saveMessage(conversation.id, switchMessage, MESSAGE_TYPES.BOT, MESSAGE_DIRECTIONS.ENVIADO, {}, sendResult);
+
+   logger.conversation('Propietario cambió de propiedad', {
+     conversationId: conversation.id,
+     propertyId: conversation.property_id,
+     whatsappNumber: conversation.whatsapp_number
+   });
+
+   return {
+     success: true,
+     message: switchMessage,
+     type: 'property_switched',
+     conversationId: conversation.id
+   };
+ }
+
+ /**
+  * Reactivar la última conversación que expiró por inactividad
+  * @param {string} whatsappNumber - Número de WhatsApp
+  * @returns {Promise<Object|null>} Conversación reactivada o null
+  */
+ async resumeTimedOutConversation(whatsappNumber) {
+   try {
+     const timedOut = await this.prisma.conversation.findFirst({
+       where: {
+         whatsapp_number: whatsappNumber,
+         estado: CONVERSATION_STATES.TIMEOUT
+       },
+       include: { property: true },
+       orderBy: { createdAt: 'desc' }
+     });
+
+     if (!timedOut || timedOut.property.estado_recoleccion === PROPERTY_STATES.COMPLETADO) {
+       return null;
+     }
+
+     // Conservar el contexto guardado y marcar la reanudación
+     const context = JSON.parse(timedOut.contexto_actual || '{}');
+     const conversation = await this.prisma.conversation.update({
+       where: { id: timedOut.id },
+       data: {
+         estado: CONVERSATION_STATES.ACTIVA,
+         seleccionada_en: new Date(),
+         contexto_actual: this.serializeContext({
+           ...context,
+           resumedAt: new Date().toISOString()
+         })
+       },
+       include: { property: true }
+     });
+
+     this.activeConversations.set(whatsappNumber, {
+       conversationId: conversation.id,
+       propertyId: conversation.property_id,
+       state: context.step || 'active'
+     });
+
+     logger.conversation('Conversación reanudada tras timeout', {
+       conversationId: conversation.id,
+       whatsappNumber,
+       currentField: context.currentField
+     });
+
+     return conversation;
+
+   } catch (error) {
+     logger.error('Error al reanudar conversación:', error);
+     return null;
+   }
+ }
+
+ /**
+  * Construir respuesta de bienvenida de vuelta con la pregunta pendiente
+  * @param {Object} conversation - Conversación reanudada
+  * @param {Object} context - Contexto guardado
+  * @returns {Object} Respuesta
+  */
+ buildResumeResponse(conversation, context) {
+   const message = MESSAGE_TEMPLATES.CONVERSATION_RESUMED
+     .replace('{nombre}', conversation.property.nombre)
+     .replace('{pregunta}', this.getPendingQuestion(context, conversation.property.tipo_propiedad));
+
+   return {
+     success: true,
+     message,
+     type: 'conversation_resumed',
+     currentField: context.currentField
+   };
+ }
+
+ /**
+  * Obtener la pregunta pendiente según el paso actual de la conversación
+  * @param {Object} context - Contexto de la conversación
+  * @param {string} propertyType - Tipo de propiedad
+  * @returns {string} Pregunta a repetir
+  */
+ getPendingQuestion(context, propertyType) {
+   if (context.step === 'review') {
+     return MESSAGE_TEMPLATES.REVIEW_CONFIRMATION_REQUIRED;
+   }
+
+   return propertySchema.getFieldQuestion(context.currentField || propertySchema.getCollectionOrder(propertyType)[0], propertyType);
+ }
+
+ /**
+  * Identificar una respuesta de opción cerrada (botón, lista o número de la lista en texto)
+  * @param {string} message - Mensaje del usuario
+  * @param {Object} metadata - Metadata del mensaje (replyId)
+  * @param {Object} context - Contexto de la conversación
+  * @returns {Object|null} { field, value } o null si debe interpretarse con AI
+  */
+ resolveOptionReply(message, metadata, context) {
+   // En la revisión final las respuestas se interpretan como confirmación o corrección
+   if (context.step === 'review') return null;
+
+   // Un lote de varios mensajes se interpreta completo con AI
+   if (metadata?.batchSize > 1) return null;
+
+   if (metadata?.replyId) {
+     return fieldRegistry.parseReplyId(metadata.replyId);
+   }
+
+   // Sin mensajes interactivos las opciones se envían numeradas: aceptar el número
+   if (!whatsappService.supportsInteractive() && context.currentField && /^\s*\d{1,2}\s*$/.test(message)) {
+     const option = fieldRegistry.getReplyOptions(context.currentField)[parseInt(message, 10) - 1];
+     return option ? { field: context.currentField, value: option.value } : null;
+   }
+
+   return null;
+ }
+
+ /**
+  * Verificar si un asesor atiende la conversación
+  * @param {Object} conversation - Conversación
+  * @returns {boolean} True si el bot no debe responder
+  */
+ isInHandoff(conversation) {
+   return conversation?.modo === CONVERSATION_MODES.HUMANO;
+ }
+
+ /**
+  * Detectar si el propietario pide hablar con un asesor
+  * @param {string} message - Mensaje del usuario
+  * @returns {boolean} True si pide atención humana
+  */
+ isHandoffRequest(message) {
+   const normalized = this.normalizeReference(message);
+   return HANDOFF_PATTERNS.some(pattern => pattern.test(normalized));
+ }
+
+ /**
+  * Pasar la conversación a un asesor (el bot deja de responder)
+  * @param {Object} conversation - Conversación
+  * @param {Object} options - reason (HANDOFF_REASONS) y agent (usuario del panel)
+  * @returns {Promise<Object>} Respuesta para el propietario
+  */
+ async startHandoff(conversation, { reason, agent = null }) {
+   const context = JSON.parse(conversation.contexto_actual || '{}');
+
+   await this.prisma.conversation.update({
+     where: { id: conversation.id },
+     data: {
+       modo: CONVERSATION_MODES.HUMANO,
+       asesor: agent,
+       traspaso_en: new Date(),
+       motivo_traspaso: reason,
+       contexto_actual: this.serializeContext({ ...context, confusionCount: 0 })
+     }
+   });
+
+   // Sin recordatorios automáticos mientras atiende un asesor
+   await this.cancelInactivityJobs(conversation.id);
+
+   await this.logActivity(conversation.id, 'TRASPASO_ASESOR', 'Conversación pasada a atención humana', {
+     reason,
+     agent,
+     propertyId: conversation.property_id
+   });
+
+   logger.conversation('Conversación pasada a atención humana', {
+     conversationId: conversation.id,
+     reason,
+     agent
+   });
+
+   return {
+     success: true,
+     message: MESSAGE_TEMPLATES.HANDOFF_STARTED
+       .replace('{nombre}', conversation.property?.nombre || ''),
+     type: 'handoff_started',
+     reason
+   };
+ }
+
+ /**
+  * Devolver la conversación al bot y retomar en el campo pendiente
+  * @param {string} conversationId - ID de la conversación
+  * @param {string} agent - Usuario del panel que libera la conversación
+  * @returns {Promise<Object>} Resultado de la operación
+  */
+ async releaseHandoff(conversationId, agent = null) {
+   const conversation = await this.prisma.conversation.findUnique({
+     where: { id: conversationId },
+     include: { property: true }
+   });
+
+   if (!conversation || !this.isInHandoff(conversation)) {
+     return {
+       success: false,
+       error: 'La conversación no está en atención humana'
+     };
+   }
+
+   await this.prisma.conversation.update({
+     where: { id: conversationId },
+     data: {
+       modo: CONVERSATION_MODES.BOT,
+       asesor: null,
+       traspaso_en: null,
+       motivo_traspaso: null
+     }
+   });
+
+   // El asesor pudo haber completado datos: recalcular el campo pendiente
+   const context = JSON.parse(conversation.contexto_actual || '{}');
+   const nextField = await this.getNextFieldToCollect(conversation.property_id);
+
+   let response;
+   if (!nextField) {
+     response = await this.startPropertyReview(conversation, conversation.property_id, context);
+   } else {
+     await this.prisma.conversation.update({
+       where: { id: conversationId },
+       data: {
+         contexto_actual: this.serializeContext({ ...context, step: 'collecting', currentField: nextField }),
+         campo_actual: nextField
+       }
+     });
+
+     response = {
+       success: true,
+       message: MESSAGE_TEMPLATES.HANDOFF_RELEASED
+         .replace('{nombre}', conversation.property.nombre)
+         .replace('{pregunta}', propertySchema.getFieldQuestion(nextField, conversation.property.tipo_propiedad)),
+       type: 'handoff_released',
+       nextField
+     };
+   }
+
+   const sendResult = await this.sendMessage(conversation.whatsapp_number, response.message, response.nextField);
+   await this.saveMessage(conversationId, response.message, MESSAGE_TYPES.BOT, MESSAGE_DIRECTIONS.ENVIADO, {}, sendResult);
+   await this.scheduleInactivityJobs(conversationId);
+
+   await this.logActivity(conversationId, 'RETORNO_BOT', 'Conversación devuelta al bot', {
+     agent,
+     nextField,
+     propertyId: conversation.property_id
+   });
+
+   logger.conversation('Conversación devuelta al bot', {
+     conversationId,
+     agent,
+     nextField
+   });
+
+   return response;
+ }
+
+ /**
+  * Registrar un documento recibido y marcarlo en la propiedad
+  * @param {string} propertyId - ID de la propiedad
+  * @param {string} documentType - Tipo de documento
+  * @param {Object} documentResult - Resultado de documentService
+  * @returns {Promise<Object|null>} Documento creado
+  */
+ async registerPropertyDocument(propertyId, documentType, documentResult) {
+   try {
+     const document = await this.saveDocumentRecord(propertyId, documentType, documentResult);
+
+     // Una foto repetida o de mala calidad queda registrada pero no suma al conteo
+     document.duplicado_de = await this.checkDuplicatePhoto(document);
+     if (!document.duplicado_de && this.countsTowardProperty(document)) {
+       await this.markDocumentReceived(propertyId, documentType);
+       await this.scheduleDocumentExpiry(document);
+       this.reviewDocument(document.id, documentType);
+     }
+
+     logger.info('Documento registrado exitosamente', {
+       propertyId,
+       documentType,
+       filename: documentResult.filename,
+       duplicateOf: document.duplicado_de
+     });
+
+     return document;
+
+   } catch (error) {
+     logger.error('Error al actualizar registro de documento:', error);
+     return null;
+   }
+ }
+
+ /**
+  * Crear el registro del documento
+  * @param {string} propertyId - ID de la propiedad
+  * @param {string} documentType - Tipo de documento (o sin clasificar)
+  * @param {Object} documentResult - Resultado de documentService
+  * @returns {Promise<Object>} Documento creado
+  */
+ async saveDocumentRecord(propertyId, documentType, documentResult) {
+   return this.prisma.document.create({
+     data: {
+       property_id: propertyId,
+       nombre: documentResult.filename,
+       tipo: documentType,
+       tipo_detectado: documentResult.classification?.type || null,
+       confianza_clasificacion: documentResult.classification?.confidence ?? null,
+       ruta: documentResult.storageKey,
+       tamano: documentResult.fileSize,
+       procesado: true,
+       ocr_texto: documentResult.extractedText || null,
+       fecha_expedicion: documentResult.validation?.freshness?.issueDate || null,
+       vence_en: documentResult.validation?.freshness?.expiresAt || null,
+       hash_perceptual: documentResult.perceptualHash || null,
+       hash_bandas: documentService.getHashBands(documentResult.perceptualHash),
+       puntaje_calidad: documentResult.quality?.score ?? null,
+       problemas_calidad: documentResult.quality?.issues
+     }
+   });
+ }
+
+ /**
+  * Verificar si un documento suma a la propiedad (las fotos deben tener calidad suficiente)
+  * @param {Object} document - Documento registrado
+  * @returns {boolean} True si se marca como recibido
+  */
+ countsTowardProperty(document) {
+   if (document.tipo !== DOCUMENT_TYPES.FOTOS_INMUEBLE) return true;
+   return documentService.isPhotoAccepted(document.puntaje_calidad);
+ }
+
+ /**
+  * Construir el consejo para el propietario según los problemas de calidad de una foto
+  * @param {Array<string>} issues - Problemas de calidad
+  * @param {number|null} score - Puntaje de calidad
+  * @returns {string} Mensaje para el propietario (vacío si no hay consejos)
+  */
+ buildPhotoQualityMessage(issues = [], score = null) {
+   if (issues.length === 0) return '';
+
+   const advice = issues.map(issue => PHOTO_QUALITY_ADVICE[issue]).join('; ');
+
+   return documentService.isPhotoAccepted(score)
+     ? MESSAGE_TEMPLATES.PHOTO_TIP.replace('{consejo}', advice)
+     : MESSAGE_TEMPLATES.PHOTO_LOW_QUALITY.replace('{consejos}', advice);
+ }
+
+ /**
+  * Detectar si una foto ya se recibió para la propiedad o pertenece a otra propiedad
+  * Las copias de otras propiedades se marcan para revisión (señal de publicación fraudulenta)
+  * @param {Object} document - Documento registrado
+  * @returns {Promise<string|null>} ID de la foto original si es repetida en la misma propiedad
+  */
+ async checkDuplicatePhoto(document) {
+   if (document.tipo !== DOCUMENT_TYPES.FOTOS_INMUEBLE || !document.hash_perceptual) return null;
+
+   const { sameProperty, otherProperties } = await documentService.findSimilarPhotos(
+     document.property_id,
+     document.hash_perceptual,
+     document.id
+   );
+
+   if (!sameProperty && otherProperties.length === 0) return null;
+
+   await this.prisma.document.update({
+     where: { id: document.id },
+     data: {
+       duplicado_de: sameProperty?.documentId || null,
+       ...(otherProperties.length > 0 && {
+         requiere_revision: true,
+         discrepancias: otherProperties.map(match => ({
+           campo: 'foto_duplicada',
+           documentoId: match.documentId,
+           propiedadId: match.propertyId,
+           distancia: match.distance
+         }))
+       })
+     }
+   });
+
+   if (otherProperties.length > 0) {
+     logger.warn('Foto ya registrada en otra propiedad', {
+       propertyId: document.property_id,
+       documentId: document.id,
+       matches: otherProperties
+     });
+
+     await this.prisma.activityLog.create({
+       data: {
+         entidad: 'Property',
+         entidad_id: document.property_id,
+         accion: 'FOTO_DE_OTRA_PROPIEDAD',
+         descripcion: 'Foto recibida que ya está asociada a otra propiedad',
+         metadata: { documentId: document.id, matches: otherProperties }
+       }
+     });
+   }
+
+   return sameProperty?.documentId || null;
+ }
+
+ /**
+  * Programar la nueva solicitud de un documento cuando termine su vigencia
+  * @param {Object} document - Documento registrado
+  */
+ async scheduleDocumentExpiry(document) {
+   if (!document.vence_en) return;
+
+   await schedulerService.schedule(SCHEDULED_JOB_TYPES.DOCUMENT_EXPIRY, document.vence_en, {
+     entityId: document.property_id,
+     payload: { documentId: document.id, documentType: document.tipo }
+   });
+ }
+
+ /**
+  * Construir el mensaje para un documento expedido hace demasiado tiempo
+  * @param {string} documentType - Tipo de documento
+  * @param {Object} freshness - Vigencia (documentService.getDocumentFreshness)
+  * @returns {string} Mensaje para el propietario
+  */
+ buildDocumentTooOldMessage(documentType, freshness) {
+   const formatDate = date => date.toLocaleDateString('es-CO', { day: 'numeric', month: 'long', year: 'numeric' });
+   const minimumDate = new Date(Date.now() - freshness.maxAgeDays * 24 * 60 * 60 * 1000);
+
+   return MESSAGE_TEMPLATES.DOCUMENT_TOO_OLD
+     .replace('{documento}', DOCUMENT_LABELS[documentType])
+     .replace('{fecha}', formatDate(freshness.issueDate))
+     .replace('{dias}', freshness.maxAgeDays)
+     .replace('{fechaMinima}', formatDate(minimumDate));
+ }
+
+ /**
+  * Pedir de nuevo un documento que venció mientras la publicación sigue abierta (handler de tarea programada)
+  * Si la propiedad ya estaba completada, se reabre su conversación
+  * @param {Object} job - Tarea programada
+  */
+ async handleDocumentExpiry(job) {
+   const { documentId, documentType } = job.payload || {};
+
+   const [property, document] = await Promise.all([
+     this.prisma.property.findUnique({ where: { id: job.entidad_id } }),
+     this.prisma.document.findUnique({ where: { id: documentId } })
+   ]);
+
+   // Una publicación cerrada o vendida ya no necesita documentos vigentes
+   const closedStates = [PROPERTY_STATES.CERRADO, PROPERTY_STATES.VENDIDO];
+   if (!property || !document || closedStates.includes(property.estado_recoleccion)) return;
+
+   // Un documento más reciente del mismo tipo reemplaza al vencido
+   const newer = await this.prisma.document.findFirst({
+     where: {
+       property_id: property.id,
+       tipo: documentType,
+       createdAt: { gt: document.createdAt }
+     }
+   });
+   if (newer) return;
+
+   await this.prisma.property.update({
+     where: { id: property.id },
+     data: { [documentType]: false }
+   });
+
+   // Una propiedad completada vuelve a recolección hasta recibir el documento actualizado
+   const reopened = property.estado_recoleccion === PROPERTY_STATES.COMPLETADO;
+
+   const completeness = await fieldTracker.calculateCompleteness(property.id);
+   await this.prisma.property.update({
+     where: { id: property.id },
+     data: {
+       porcentaje_completitud: completeness.percentage,
+       estado_recoleccion: PROPERTY_STATES.EN_PROGRESO,
+       ...(reopened && { fecha_completado: null })
+     }
+   });
+
+   logger.conversation('Documento vencido, se solicita de nuevo', {
+     propertyId: property.id,
+     documentId,
+     documentType,
+     reopened,
+     percentage: completeness.percentage
+   });
+
+   const conversation = await this.prisma.conversation.findFirst({
+     where: { property_id: property.id },
+     orderBy: { createdAt: 'desc' }
+   });
+
+   if (!conversation || this.isInHandoff(conversation)) return;
+
+   if (reopened) {
+     await this.reopenConversation(conversation, documentType, { documentId, jobId: job.id });
+   }
+
+   const expiredMessage = MESSAGE_TEMPLATES[reopened ? 'DOCUMENT_EXPIRED_REOPENED' : 'DOCUMENT_EXPIRED']
+     .replace('{nombre}', property.nombre)
+     .replace('{documento}', DOCUMENT_LABELS[documentType])
+     .replace('{direccion}', property.direccion_inmueble)
+     .replace('{dias}', DOCUMENT_VALIDITY_DAYS[documentType]);
+
+   const result = await this.sendMessage(conversation.whatsapp_number, expiredMessage);
+   if (!result.success) {
+     throw new Error(`No se pudo solicitar el documento vencido: ${result.message || result.error}`);
    }
+
+   await this.saveMessage(conversation.id, expiredMessage, MESSAGE_TYPES.BOT, MESSAGE_DIRECTIONS.ENVIADO, {
+     documentExpired: true,
+     reopened,
+     documentId,
+     jobId: job.id
+   }, result);
  }
 
  /**
-  * Manejar timeout de conversación
-  * @param {string} whatsappNumber - Número de WhatsApp
+  * Reabrir la conversación de una propiedad completada para pedir un documento
+  * @param {Object} conversation - Conversación completada
+  * @param {string} documentType - Documento que se pide de nuevo
+  * @param {Object} metadata - Información para el registro de actividad
   */
- async handleConversationTimeout(whatsappNumber) {
-   try {
-     const conversation = await this.getActiveConversation(whatsappNumber);
-     if (!conversation) return;
+ async reopenConversation(conversation, documentType, metadata = {}) {
+   const context = JSON.parse(conversation.contexto_actual || '{}');
+
+   await this.prisma.conversation.update({
+     where: { id: conversation.id },
+     data: {
+       estado: CONVERSATION_STATES.ACTIVA,
+       seleccionada_en: new Date(),
+       ultimo_mensaje: new Date(),
+       contexto_actual: this.serializeContext({
+         ...context,
+         step: 'collecting',
+         currentField: documentType,
+         reopenedAt: new Date().toISOString()
+       })
+     }
+   });
 
-     // Marcar conversación como timeout
-     await this.prisma.conversation.update({
-       where: { id: conversation.id },
-       data: { estado: CONVERSATION_STATES.TIMEOUT }
+   this.activeConversations.set(conversation.whatsapp_number, {
+     conversationId: conversation.id,
+     propertyId: conversation.property_id,
+     state: 'collecting'
+   });
+
+   await this.scheduleInactivityJobs(conversation.id);
+
+   await this.logActivity(conversation.id, 'REAPERTURA', 'Propiedad completada reabierta por documento vencido', {
+     ...metadata,
+     documentType
+   });
+
+   logger.conversation('Conversación reabierta por documento vencido', {
+     conversationId: conversation.id,
+     propertyId: conversation.property_id,
+     documentType
+   });
+ }
+
+ /**
+  * Marcar un documento como recibido en la propiedad (las fotos se cuentan)
+  * @param {string} propertyId - ID de la propiedad
+  * @param {string} documentType - Tipo de documento
+  */
+ async markDocumentReceived(propertyId, documentType) {
+   const updateData = {};
+
+   if (documentType === DOCUMENT_TYPES.FOTOS_INMUEBLE) {
+     updateData.fotos_inmueble = { increment: 1 };
+   } else {
+     updateData[documentType] = true;
+   }
+
+   await this.prisma.property.update({
+     where: { id: propertyId },
+     data: updateData
+   });
+ }
+
+ /**
+  * Procesar en background un documento recibido: el certificado se contrasta con el formulario
+  * y las fotos se preparan para publicar
+  * @param {string} documentId - ID del documento
+  * @param {string} documentType - Tipo de documento
+  */
+ reviewDocument(documentId, documentType) {
+   if (documentType === DOCUMENT_TYPES.FOTOS_INMUEBLE) {
+     documentService.createImageDerivatives(documentId).catch(error => {
+       logger.error('Error al generar versiones de la foto:', error);
      });
+     return;
+   }
+
+   if (documentType !== DOCUMENT_TYPES.CERTIFICADO_PREDIAL) return;
+
+   certificateService.reviewCertificate(documentId).catch(error => {
+     logger.error('Error en revisión de certificado:', error);
+   });
+ }
+
+ /**
+  * Preguntar al propietario qué documento envió (clasificación dudosa o distinta a la esperada)
+  * @param {Object} conversation - Conversación activa
+  * @param {Object} documentResult - Resultado de documentService
+  * @param {Array<string>} candidates - Tipos posibles
+  * @returns {Promise<Object>} Respuesta enviada
+  */
+ async requestDocumentType(conversation, documentResult, candidates) {
+   const document = await this.saveDocumentRecord(conversation.property_id, UNCLASSIFIED_DOCUMENT_TYPE, documentResult);
+
+   const context = JSON.parse(conversation.contexto_actual || '{}');
+   await this.prisma.conversation.update({
+     where: { id: conversation.id },
+     data: {
+       contexto_actual: this.serializeContext({
+         ...context,
+         pendingDocument: { documentId: document.id, candidates }
+       })
+     }
+   });
 
-     // Enviar mensaje de timeout
-     const timeoutMessage = MESSAGE_TEMPLATES.TIMEOUT_WARNING
-       .replace('{nombre}', conversation.property.nombre);
+   const questions = candidates.map(type => DOCUMENT_REPLY_OPTIONS[type].question);
+   const message = MESSAGE_TEMPLATES.DOCUMENT_TYPE_QUESTION.replace('{opciones}',
+     questions.length > 1 ? `${questions.slice(0, -1).join(', ')} o ${questions.at(-1)}` : questions[0]);
+
+   const replyOptions = candidates.map(type => ({
+     id: `${DOCUMENT_CLASSIFICATION.REPLY_ID_PREFIX}${type}`,
+     title: DOCUMENT_REPLY_OPTIONS[type].title,
+     value: type
+   }));
+
+   const sendResult = await this.sendMessage(conversation.whatsapp_number, message, null, replyOptions);
+   await this.saveMessage(conversation.id, message, MESSAGE_TYPES.BOT, MESSAGE_DIRECTIONS.ENVIADO, {
+     documentId: document.id
+   }, sendResult);
+
+   logger.conversation('Tipo de documento solicitado al propietario', {
+     conversationId: conversation.id,
+     documentId: document.id,
+     detectedType: documentResult.classification?.type,
+     confidence: documentResult.classification?.confidence,
+     candidates
+   });
 
-     await this.sendMessage(whatsappNumber, timeoutMessage);
+   return {
+     success: true,
+     message,
+     type: 'document_type_requested',
+     documentId: document.id
+   };
+ }
 
-     // Limpiar cache
-     this.activeConversations.delete(whatsappNumber);
-     this.timeouts.delete(whatsappNumber);
+ /**
+  * Identificar el tipo de documento elegido por el propietario
+  * @param {string} message - Mensaje del usuario
+  * @param {Object} metadata - Metadata del mensaje (replyId)
+  * @param {Array<string>} candidates - Tipos ofrecidos
+  * @returns {string|null} Tipo elegido o null si el mensaje no responde la pregunta
+  */
+ resolveDocumentTypeReply(message, metadata, candidates) {
+   if (metadata?.replyId?.startsWith(DOCUMENT_CLASSIFICATION.REPLY_ID_PREFIX)) {
+     const type = metadata.replyId.slice(DOCUMENT_CLASSIFICATION.REPLY_ID_PREFIX.length);
+     return candidates.includes(type) ? type : null;
+   }
 
-     logger.conversation('Conversación marcada como timeout', {
-       conversationId: conversation.id,
-       whatsappNumber
+   // Sin mensajes interactivos las opciones se envían numeradas
+   if (!whatsappService.supportsInteractive() && /^\s*\d{1,2}\s*$/.test(message)) {
+     return candidates[parseInt(message, 10) - 1] || null;
+   }
+
+   const normalized = message.toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+   const matches = candidates.filter(type =>
+     DOCUMENT_REPLY_OPTIONS[type].keywords.some(keyword => normalized.includes(keyword))
+   );
+
+   return matches.length === 1 ? matches[0] : null;
+ }
+
+ /**
+  * Registrar el documento pendiente con el tipo que indicó el propietario
+  * @param {Object} conversation - Conversación activa
+  * @param {Object} context - Contexto de la conversación
+  * @param {string} documentType - Tipo elegido
+  * @returns {Promise<Object>} Respuesta a enviar
+  */
+ async classifyPendingDocument(conversation, context, documentType) {
+   const { pendingDocument, ...remainingContext } = context;
+
+   const pending = await this.prisma.document.findUnique({ where: { id: pendingDocument.documentId } });
+   const freshness = documentService.getDocumentFreshness(documentType, pending?.ocr_texto || '');
+
+   const document = await this.prisma.document.update({
+     where: { id: pendingDocument.documentId },
+     data: {
+       tipo: documentType,
+       fecha_expedicion: freshness.issueDate,
+       vence_en: freshness.expiresAt
+     }
+   });
+
+   // Un documento vencido o una foto repetida queda registrado pero no cuenta como recibido
+   const duplicateOf = await this.checkDuplicatePhoto(document);
+   const lowQuality = !this.countsTowardProperty(document);
+   if (!freshness.isExpired && !duplicateOf && !lowQuality) {
+     await this.markDocumentReceived(conversation.property_id, documentType);
+     await this.scheduleDocumentExpiry(document);
+     this.reviewDocument(document.id, documentType);
+   }
+
+   conversation.contexto_actual = this.serializeContext(remainingContext);
+   await this.prisma.conversation.update({
+     where: { id: conversation.id },
+     data: { contexto_actual: conversation.contexto_actual }
+   });
+
+   logger.conversation('Tipo de documento confirmado por el propietario', {
+     conversationId: conversation.id,
+     documentId: pendingDocument.documentId,
+     documentType,
+     expired: freshness.isExpired,
+     duplicateOf
+   });
+
+   if (lowQuality) {
+     return {
+       success: true,
+       message: this.buildPhotoQualityMessage(document.problemas_calidad, document.puntaje_calidad),
+       type: 'low_quality_photo',
+       documentType,
+       currentField: remainingContext.currentField
+     };
+   }
+
+   if (duplicateOf) {
+     return {
+       success: true,
+       message: `${MESSAGE_TEMPLATES.PHOTO_DUPLICATE}\n\n${this.getPendingQuestion(remainingContext, conversation.property?.tipo_propiedad)}`,
+       type: 'duplicate_photo',
+       documentType,
+       currentField: remainingContext.currentField
+     };
+   }
+
+   if (freshness.isExpired) {
+     return {
+       success: true,
+       message: this.buildDocumentTooOldMessage(documentType, freshness),
+       type: 'document_expired',
+       documentType,
+       currentField: remainingContext.currentField
+     };
+   }
+
+   const message = MESSAGE_TEMPLATES.DOCUMENT_TYPE_CONFIRMED.replace('{documento}', DOCUMENT_LABELS[documentType]) +
+     `\n\n${this.getPendingQuestion(remainingContext, conversation.property?.tipo_propiedad)}`;
+
+   return {
+     success: true,
+     message,
+     type: 'document_classified',
+     documentType,
+     currentField: remainingContext.currentField
+   };
+ }
+
+ /**
+  * Registrar actividad de una conversación en activity_logs
+  * @param {string} conversationId - ID de la conversación
+  * @param {string} action - Acción realizada
+  * @param {string} description - Descripción legible
+  * @param {Object} metadata - Información adicional
+  */
+ async logActivity(conversationId, action, description, metadata = {}) {
+   try {
+     await this.prisma.activityLog.create({
+       data: {
+         entidad: 'Conversation',
+         entidad_id: conversationId,
+         accion: action,
+         descripcion: description,
+         metadata
+       }
+     });
+   } catch (error) {
+     logger.error('Error al registrar actividad:', error);
+   }
+ }
+
+ /**
+  * Manejar usuario desconocido
+  * @param {string} whatsappNumber - Número de WhatsApp
+  * @param {string} message - Mensaje del usuario
+  * @returns {Promise<Object>} Respuesta para usuario desconocido
+  */
+ async handleUnknownUser(whatsappNumber, message) {
+   const unknownUserMessage = `Hola! 👋 
+
+No tengo registro de una propiedad asociada a este número.
+
+Si acabas de registrar una propiedad en nuestro formulario, por favor espera unos minutos mientras procesamos tu información.
+
+Si necesitas ayuda, puedes contactar a nuestro equipo de soporte.`;
+
+   await this.sendMessage(whatsappNumber, unknownUserMessage);
+
+   logger.conversation('Mensaje de usuario desconocido', {
+     whatsappNumber,
+     message
+   });
+
+   return {
+     success: true,
+     message: unknownUserMessage,
+     type: 'unknown_user'
+   };
+ }
+
+ /**
+  * Programar recordatorios de inactividad y timeout definitivo (persistentes en BD)
+  * @param {string} conversationId - ID de la conversación
+  */
+ async scheduleInactivityJobs(conversationId) {
+   try {
+     // Mover los recordatorios pendientes a partir de ahora (se crean los que ya se enviaron)
+     const now = Date.now();
+     const hourMs = 60 * 60 * 1000;
+
+     for (const [reminderIndex, hours] of schedulerConfig.reminderHours.entries()) {
+       if (hours >= schedulerConfig.conversationTimeoutHours) continue;
+
+       await schedulerService.reschedule(
+         SCHEDULED_JOB_TYPES.CONVERSATION_REMINDER,
+         new Date(now + hours * hourMs),
+         { entityId: conversationId, payload: { reminderIndex } }
+       );
+     }
+
+     await schedulerService.reschedule(
+       SCHEDULED_JOB_TYPES.CONVERSATION_TIMEOUT,
+       new Date(now + schedulerConfig.conversationTimeoutHours * hourMs),
+       { entityId: conversationId }
+     );
+
+   } catch (error) {
+     logger.error('Error al programar recordatorios de inactividad:', {
+       conversationId,
+       error: error.message
      });
+   }
+ }
 
+ /**
+  * Cancelar recordatorios y timeout pendientes de una conversación
+  * @param {string} conversationId - ID de la conversación
+  */
+ async cancelInactivityJobs(conversationId) {
+   try {
+     await schedulerService.cancel({
+       types: [SCHEDULED_JOB_TYPES.CONVERSATION_REMINDER, SCHEDULED_JOB_TYPES.CONVERSATION_TIMEOUT],
+       entityId: conversationId
+     });
    } catch (error) {
-     logger.error('Error al manejar timeout de conversación:', error);
+     logger.error('Error al cancelar recordatorios de inactividad:', {
+       conversationId,
+       error: error.message
+     });
    }
  }
 
+ /**
+  * Enviar recordatorio de inactividad (handler de tarea programada)
+  * @param {Object} job - Tarea programada
+  */
+ async handleConversationReminder(job) {
+   const conversation = await this.prisma.conversation.findUnique({
+     where: { id: job.entidad_id },
+     include: { property: true }
+   });
+
+   if (!conversation || conversation.estado !== CONVERSATION_STATES.ACTIVA || this.isInHandoff(conversation)) return;
+
+   const context = JSON.parse(conversation.contexto_actual || '{}');
+   const templates = MESSAGE_TEMPLATES.INACTIVITY_REMINDERS;
+   const reminderIndex = job.payload?.reminderIndex ?? 0;
+   const template = templates[Math.min(reminderIndex, templates.length - 1)];
+
+   // Repetir la pregunta pendiente para que el propietario pueda responder directamente
+   const pendingQuestion = this.getPendingQuestion(context, conversation.property.tipo_propiedad);
+
+   const reminderMessage = template
+     .replace('{nombre}', conversation.property.nombre)
+     .replace('{direccion}', conversation.property.direccion_inmueble)
+     .replace('{pregunta}', pendingQuestion);
+
+   const result = await this.sendMessage(conversation.whatsapp_number, reminderMessage);
+   if (!result.success) {
+     throw new Error(`No se pudo enviar el recordatorio: ${result.message || result.error}`);
+   }
+
+   await this.saveMessage(conversation.id, reminderMessage, MESSAGE_TYPES.BOT, MESSAGE_DIRECTIONS.ENVIADO, {
+     reminder: true,
+     reminderIndex,
+     jobId: job.id
+   }, result);
+
+   logger.conversation('Recordatorio de inactividad enviado', {
+     conversationId: conversation.id,
+     reminderIndex
+   });
+ }
+
+ /**
+  * Manejar timeout definitivo de conversación (handler de tarea programada)
+  * @param {Object} job - Tarea programada
+  */
+ async handleConversationTimeout(job) {
+   const conversation = await this.prisma.conversation.findUnique({
+     where: { id: job.entidad_id },
+     include: { property: true }
+   });
+
+   if (!conversation || conversation.estado !== CONVERSATION_STATES.ACTIVA || this.isInHandoff(conversation)) return;
+
+   // Marcar conversación como timeout
+   await this.prisma.conversation.update({
+     where: { id: conversation.id },
+     data: { estado: CONVERSATION_STATES.TIMEOUT }
+   });
+
+   // Enviar mensaje de timeout
+   const timeoutMessage = MESSAGE_TEMPLATES.TIMEOUT_WARNING
+     .replace('{nombre}', conversation.property.nombre);
+
+   const sendResult = await this.sendMessage(conversation.whatsapp_number, timeoutMessage);
+   await this.saveMessage(conversation.id, timeoutMessage, MESSAGE_TYPES.BOT, MESSAGE_DIRECTIONS.ENVIADO, {
+     timeout: true,
+     jobId: job.id
+   }, sendResult);
+
+   // Limpiar cache
+   this.activeConversations.delete(conversation.whatsapp_number);
+
+   logger.conversation('Conversación marcada como timeout', {
+     conversationId: conversation.id,
+     whatsappNumber: conversation.whatsapp_number
+   });
+ }
+
+ /**
+  * Serializar contexto de conversación (los BigInt de Prisma no son serializables)
+  * @param {Object} context - Contexto de la conversación
+  * @returns {string} Contexto en JSON
+  */
+ serializeContext(context) {
+   return JSON.stringify(context, (key, value) => typeof value === 'bigint' ? value.toString() : value);
+ }
+
  /**
   * Actualizar actividad de conversación
   * @param {string} conversationId - ID de la conversación
@@ -717,35 +2251,257 @@ Si necesitas ayuda, puedes contactar a nuestro equipo de soporte.`;
   * @param {string} type - Tipo de mensaje
   * @param {string} direction - Dirección del mensaje
   * @param {Object} metadata - Metadata adicional
+  * @param {Object} sendResult - Resultado del envío por WhatsApp (mensajes enviados)
+  */
+ async saveMessage(conversationId, content, type, direction, metadata = {}, sendResult = null) {
+   try {
+     const providerMessageId = direction === MESSAGE_DIRECTIONS.RECIBIDO
+       ? metadata.messageId
+       : sendResult?.messageId;
+
+     const data = {
+       conversation_id: conversationId,
+       contenido: content,
+       tipo: type,
+       direccion: direction,
+       whatsapp_message_id: providerMessageId ? String(providerMessageId) : null,
+       ...(sendResult && {
+         referencia_envio: sendResult.referenceId || null,
+         estado_entrega: sendResult.success ? DELIVERY_STATES.ENCOLADO : DELIVERY_STATES.FALLIDO,
+         error_entrega: sendResult.success ? null : sendResult.message || sendResult.error || null
+       }),
+       metadata: metadata,
+       procesado: false
+     };
+
+     // Un mensaje recibido ya se registró al reservarlo: asociarlo a la conversación
+     if (direction === MESSAGE_DIRECTIONS.RECIBIDO && data.whatsapp_message_id) {
+       await this.prisma.message.upsert({
+         where: { whatsapp_message_id: data.whatsapp_message_id },
+         update: {
+           conversation_id: conversationId,
+           contenido: content,
+           metadata: metadata
+         },
+         create: data
+       });
+       return;
+     }
+
+     await this.prisma.message.create({ data });
+   } catch (error) {
+     if (error.code === 'P2002') {
+       logger.warn('Mensaje de WhatsApp ya registrado', { messageId: metadata.messageId });
+       return;
+     }
+
+     logger.error('Error al guardar mensaje:', error);
+   }
+ }
+
+ /**
+  * Guardar mensajes recibidos (una ráfaga agrupada se guarda mensaje por mensaje)
+  * @param {string} conversationId - ID de la conversación
+  * @param {string} message - Texto procesado
+  * @param {Object} metadata - Metadata del mensaje
+  */
+ async saveInboundMessages(conversationId, message, metadata = {}) {
+   // Ya registrado antes de procesarlo (ej: documentos)
+   if (metadata.messageRecorded) return;
+
+   const { batchedMessages, ...messageMetadata } = metadata;
+
+   if (batchedMessages?.length > 1) {
+     for (const { text, messageId } of batchedMessages) {
+       await this.saveMessage(conversationId, text, MESSAGE_TYPES.USER, MESSAGE_DIRECTIONS.RECIBIDO, {
+         ...messageMetadata,
+         messageId,
+         batchSize: batchedMessages.length
+       });
+     }
+     return;
+   }
+
+   await this.saveMessage(conversationId, message, MESSAGE_TYPES.USER, MESSAGE_DIRECTIONS.RECIBIDO, messageMetadata);
+ }
+
+ /**
+  * Reservar un mensaje entrante para procesarlo una sola vez
+  * Se inserta el mensaje antes de procesarlo: el índice único de whatsapp_message_id hace
+  * la reserva atómica y queda registrado aunque nunca se asocie a una conversación
+  * (usuario desconocido, selección de propiedad)
+  * @param {Object} messageData - Mensaje normalizado ({ id, from, type, message })
+  * @returns {Promise<boolean>} False si el mensaje ya se procesó
   */
- async saveMessage(conversationId, content, type, direction, metadata = {}) {
+ async claimInboundMessage(messageData) {
+   if (!messageData.id) return true;
+
    try {
      await this.prisma.message.create({
        data: {
-         conversation_id: conversationId,
-         contenido: content,
-         tipo: type,
-         direccion: direction,
-         metadata: metadata,
+         conversation_id: null,
+         contenido: messageData.message || '',
+         tipo: MESSAGE_TYPES.USER,
+         direccion: MESSAGE_DIRECTIONS.RECIBIDO,
+         whatsapp_message_id: String(messageData.id),
+         metadata: {
+           whatsappNumber: messageData.from,
+           type: messageData.type
+         },
          procesado: false
        }
      });
+     return true;
+
    } catch (error) {
-     logger.error('Error al guardar mensaje:', error);
+     if (error.code === 'P2002') return false;
+
+     // Ante otro error de BD se procesa el mensaje (saveMessage lo registra al asociarlo)
+     logger.error('Error al registrar mensaje entrante:', error);
+     return true;
+   }
+ }
+
+ /**
+  * Actualizar el estado de entrega de un mensaje enviado (acuse del proveedor)
+  * @param {Object} update - Cambio de estado ({ messageIds, referenceId, recipient, status, timestamp, error })
+  * @param {Object} options - isRetry: segundo intento de un acuse sin mensaje registrado
+  * @returns {Promise<boolean>} True si se actualizó un mensaje
+  */
+ async updateDeliveryStatus(update, { isRetry = false } = {}) {
+   try {
+     const identifiers = [
+       ...(update.messageIds || []).map(id => ({ whatsapp_message_id: id })),
+       ...(update.referenceId ? [{ referencia_envio: update.referenceId }] : [])
+     ];
+
+     if (identifiers.length === 0) return false;
+
+     // Mensajes enviados por la cola: el ID del proveedor se guarda en la cola, no en el mensaje
+     if (update.messageIds?.length) {
+       const outbound = await this.prisma.outboundMessage.findFirst({
+         where: { proveedor_message_id: { in: update.messageIds } },
+         select: { id: true }
+       });
+       if (outbound) {
+         identifiers.push({ referencia_envio: outbound.id });
+       }
+     }
+
+     const message = await this.prisma.message.findFirst({
+       where: {
+         direccion: MESSAGE_DIRECTIONS.ENVIADO,
+         OR: identifiers
+       }
+     });
+
+     if (!message) {
+       // El acuse pudo llegar antes de que la cola guardara el ID del proveedor: reintentar una vez,
+       // solo si aún hay un envío en curso para ese número (no se reintentan acuses ajenos)
+       const willRetry = !isRetry && Boolean(update.messageIds?.length) &&
+         await this.hasOutboundInFlight(update.recipient);
+       if (willRetry) {
+         await schedulerService.schedule(
+           SCHEDULED_JOB_TYPES.DELIVERY_STATUS_RETRY,
+           new Date(Date.now() + outboundQueueConfig.unmatchedAckRetryDelay),
+           { payload: update }
+         );
+       }
+
+       logger.whatsapp('Acuse de entrega sin mensaje registrado', {
+         messageIds: update.messageIds,
+         referenceId: update.referenceId,
+         status: update.status,
+         willRetry
+       });
+       return false;
+     }
+
+     const currentIndex = DELIVERY_STATE_ORDER.indexOf(message.estado_entrega);
+     const newIndex = DELIVERY_STATE_ORDER.indexOf(update.status);
+     const statusAt = new Date(update.timestamp || Date.now());
+
+     const data = {};
+     if (update.status === DELIVERY_STATES.FALLIDO) {
+       // Un fallo solo aplica si el mensaje no llegó al propietario
+       if (currentIndex < DELIVERY_STATE_ORDER.indexOf(DELIVERY_STATES.ENTREGADO)) {
+         data.estado_entrega = DELIVERY_STATES.FALLIDO;
+         data.error_entrega = update.error || null;
+       }
+     } else if (newIndex > currentIndex) {
+       data.estado_entrega = update.status;
+     }
+
+     // Leído implica entregado
+     if (newIndex >= DELIVERY_STATE_ORDER.indexOf(DELIVERY_STATES.ENTREGADO) && !message.entregado_en) {
+       data.entregado_en = statusAt;
+     }
+     if (update.status === DELIVERY_STATES.LEIDO && !message.leido_en) {
+       data.leido_en = statusAt;
+     }
+
+     if (Object.keys(data).length === 0) return false;
+
+     await this.prisma.message.update({
+       where: { id: message.id },
+       data
+     });
+
+     logger.whatsapp('Estado de entrega actualizado', {
+       messageId: message.id,
+       conversationId: message.conversation_id,
+       status: data.estado_entrega || message.estado_entrega
+     });
+
+     return true;
+
+   } catch (error) {
+     logger.error('Error al actualizar estado de entrega:', {
+       update,
+       error: error.message
+     });
+     return false;
    }
  }
 
  /**
-  * Enviar mensaje por WhatsApp
+  * Verificar si la cola de salida tiene un envío en curso (sin ID del proveedor guardado aún)
+  * @param {string} whatsappNumber - Número del destinatario (si el acuse lo trae)
+  * @returns {Promise<boolean>} True si hay un mensaje PENDIENTE o ENVIANDO
+  */
+ async hasOutboundInFlight(whatsappNumber) {
+   const outbound = await this.prisma.outboundMessage.findFirst({
+     where: {
+       estado: { in: [OUTBOUND_STATES.PENDIENTE, OUTBOUND_STATES.ENVIANDO] },
+       ...(whatsappNumber && { whatsapp_number: whatsappNumber })
+     },
+     select: { id: true }
+   });
+
+   return Boolean(outbound);
+ }
+
+ /**
+  * Enviar mensaje por WhatsApp (se encola; el envío real lo hace la cola de salida)
   * @param {string} whatsappNumber - Número de WhatsApp
   * @param {string} message - Mensaje a enviar
-  * @returns {Promise<Object>} Resultado del envío
+  * @param {string} field - Campo que se pregunta; si tiene opciones cerradas se envían como botones o lista
+  * @param {Array<Object>} replyOptions - Opciones explícitas ({ id, title }), en lugar de las del campo
+  * @returns {Promise<Object>} Resultado del encolado (referenceId es el ID en la cola)
   */
- async sendMessage(whatsappNumber, message) {
+ async sendMessage(whatsappNumber, message, field = null, replyOptions = null) {
    try {
-     return await whatsappService.sendMessageWithRetry(whatsappNumber, message);
+     replyOptions = replyOptions || (field ? fieldRegistry.getReplyOptions(field) : []);
+     const outbound = await outboundQueueService.enqueue(whatsappNumber, message, replyOptions);
+
+     return {
+       success: true,
+       queued: true,
+       messageId: null,
+       referenceId: outbound.id
+     };
    } catch (error) {
-     logger.error('Error al enviar mensaje:', error);
+     logger.error('Error al encolar mensaje:', error);
      return { success: false, error: error.message };
    }
  }
@@ -783,14 +2539,26 @@ Si necesitas ayuda, puedes contactar a nuestro equipo de soporte.`;
        }
      });
 
+     result.enAtencionHumana = await this.prisma.conversation.count({
+       where: {
+         estado: CONVERSATION_STATES.ACTIVA,
+         modo: CONVERSATION_MODES.HUMANO
+       }
+     });
+
      result.cacheSize = this.activeConversations.size;
-     result.activeTimeouts = this.timeouts.size;
+     result.activeTimeouts = await this.prisma.scheduledJob.count({
+       where: {
+         estado: SCHEDULED_JOB_STATES.PENDIENTE,
+         tipo: SCHEDULED_JOB_TYPES.CONVERSATION_TIMEOUT
+       }
+     });
 
      return result;
 
    } catch (error) {
      logger.error('Error al obtener estadísticas de conversaciones:', error);
-     return { total: 0, activas: 0, completadas: 0, timeout: 0, cacheSize: 0, activeTimeouts: 0 };
+     return { total: 0, activas: 0, completadas: 0, timeout: 0, enAtencionHumana: 0, cacheSize: 0, activeTimeouts: 0 };
    }
  }
 
@@ -800,11 +2568,13 @@ Si necesitas ayuda, puedes contactar a nuestro equipo de soporte.`;
   */
  async cleanupExpiredConversations() {
    try {
-     const expiredDate = new Date(Date.now() - TIMEOUTS.CONVERSATION_INACTIVE);
+     // Red de seguridad para conversaciones sin tarea de timeout programada
+     const expiredDate = new Date(Date.now() - schedulerConfig.conversationTimeoutHours * 60 * 60 * 1000);
      
      const result = await this.prisma.conversation.updateMany({
        where: {
          estado: CONVERSATION_STATES.ACTIVA,
+         modo: CONVERSATION_MODES.BOT, // Las atendidas por un asesor no expiran
          ultimo_mensaje: {
            lt: expiredDate
          }
@@ -0,0 +1,371 @@
+/**
+ * Registro de campos configurables
+ * Define qué información recopila el bot (etiquetas, preguntas, tipos y almacenamiento).
+ * La base está en config/fields.json y se extiende desde la tabla field_definitions
+ */
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+import { readFileSync } from 'fs';
+import createPrismaClient from '../config/database.js';
+import logger from '../config/logger.js';
+import { FIELD_CATEGORIES } from '../utils/constants.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+
+// Atributos de un campo base que se pueden ajustar desde la base de datos
+const OVERRIDABLE_ATTRIBUTES = ['label', 'question', 'required', 'order', 'aiDescription'];
+
+// Separador entre campo y valor en el ID de botones y listas (ej: "tipo_propiedad=casa")
+const REPLY_ID_SEPARATOR = '=';
+
+// Tipos de campo que el AI puede extraer de una respuesta
+const EXTRACTABLE_TYPES = {
+  string: 'string',
+  text: 'string',
+  enum: 'string',
+  integer: 'integer',
+  number: 'number',
+  boolean: 'boolean'
+};
+
+class FieldRegistry {
+  constructor() {
+    this.prisma = createPrismaClient();
+    this.baseFields = JSON.parse(readFileSync(join(__dirname, '../config/fields.json'), 'utf8'));
+    this.fields = new Map();
+    this.setFields(this.baseFields);
+  }
+
+  /**
+   * Reemplazar las definiciones activas (ordenadas por orden de recolección)
+   * @param {Array<Object>} definitions - Definiciones de campos
+   */
+  setFields(definitions) {
+    const sorted = [...definitions].sort((a, b) => a.order - b.order);
+    this.fields = new Map(sorted.map(definition => [definition.name, definition]));
+  }
+
+  /**
+   * Cargar campos configurados en base de datos sobre la base del JSON
+   * @returns {Promise<number>} Total de campos registrados
+   */
+  async loadFromDatabase() {
+    try {
+      const rows = await this.prisma.fieldDefinition.findMany({
+        where: { activo: true }
+      });
+
+      const merged = new Map(this.baseFields.map(definition => [definition.name, { ...definition }]));
+
+      for (const row of rows) {
+        const base = merged.get(row.nombre);
+        const definition = this.fromDatabaseRow(row);
+
+        if (base) {
+          // Un campo con columna propia solo admite ajustes de presentación
+          for (const attribute of OVERRIDABLE_ATTRIBUTES) {
+            if (definition[attribute] !== undefined) base[attribute] = definition[attribute];
+          }
+        } else {
+          merged.set(row.nombre, definition);
+        }
+      }
+
+      this.setFields([...merged.values()]);
+
+      logger.info('Registro de campos cargado', {
+        total: this.fields.size,
+        fromDatabase: rows.length
+      });
+
+      return this.fields.size;
+
+    } catch (error) {
+      logger.error('Error al cargar campos configurables:', error);
+      return this.fields.size;
+    }
+  }
+
+  /**
+   * Convertir registro de base de datos a definición de campo
+   * @param {Object} row - Registro de FieldDefinition
+   * @returns {Object} Definición de campo
+   */
+  fromDatabaseRow(row) {
+    return {
+      name: row.nombre,
+      label: row.etiqueta,
+      question: row.pregunta,
+      category: row.categoria,
+      type: row.tipo,
+      options: row.opciones || undefined,
+      min: row.minimo ?? undefined,
+      max: row.maximo ?? undefined,
+      required: row.requerido,
+      order: row.orden,
+      propertyTypes: row.tipos_propiedad?.length ? row.tipos_propiedad : undefined,
+      aiDescription: row.descripcion_ia || row.etiqueta,
+      // Los campos creados desde base de datos no tienen columna propia
+      storage: 'extra'
+    };
+  }
+
+  /**
+   * Crear o actualizar un campo configurable y recargar el registro
+   * @param {string} name - Nombre del campo
+   * @param {Object} data - Datos del campo (columnas de FieldDefinition)
+   * @returns {Promise<Object>} Resultado de la operación
+   */
+  async saveDefinition(name, data) {
+    try {
+      const base = this.baseFields.find(definition => definition.name === name);
+
+      if (!base && (!data.categoria || !data.tipo)) {
+        return {
+          success: false,
+          error: 'Los campos nuevos requieren categoria y tipo'
+        };
+      }
+
+      // Los campos base conservan su categoría y tipo
+      const record = {
+        ...data,
+        categoria: base ? base.category : data.categoria,
+        tipo: base ? base.type : data.tipo
+      };
+
+      const saved = await this.prisma.fieldDefinition.upsert({
+        where: { nombre: name },
+        create: { nombre: name, ...record },
+        update: record
+      });
+
+      await this.loadFromDatabase();
+
+      logger.info('Campo configurable guardado', {
+        name,
+        isBaseField: !!base
+      });
+
+      return {
+        success: true,
+        definition: saved,
+        field: this.getField(name)
+      };
+
+    } catch (error) {
+      logger.error('Error al guardar campo configurable:', {
+        name,
+        error: error.message
+      });
+
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Obtener definición de un campo
+   * @param {string} name - Nombre del campo
+   * @returns {Object|null} Definición
+   */
+  getField(name) {
+    return this.fields.get(name) || null;
+  }
+
+  /**
+   * Verificar si un campo está registrado
+   * @param {string} name - Nombre del campo
+   * @returns {boolean} True si existe
+   */
+  hasField(name) {
+    return this.fields.has(name);
+  }
+
+  /**
+   * Obtener todas las definiciones en orden de recolección
+   * @returns {Array<Object>} Definiciones
+   */
+  getFields() {
+    return [...this.fields.values()];
+  }
+
+  /**
+   * Obtener nombres de campos en orden de recolección
+   * @returns {Array<string>} Nombres de campos
+   */
+  getCollectionOrder() {
+    return [...this.fields.keys()];
+  }
+
+  /**
+   * Obtener nombres de campos de una categoría
+   * @param {string} category - Categoría (FIELD_CATEGORIES)
+   * @returns {Array<string>} Nombres de campos
+   */
+  getFieldsByCategory(category) {
+    return this.getFields()
+      .filter(definition => definition.category === category)
+      .map(definition => definition.name);
+  }
+
+  /**
+   * Obtener campos obligatorios agrupados por categoría
+   * @returns {Object} Campos obligatorios (physical, commercial, documentation, description)
+   */
+  getRequiredFieldsByCategory() {
+    const result = {};
+
+    for (const category of Object.values(FIELD_CATEGORIES)) {
+      result[category] = this.getFields()
+        .filter(definition => definition.category === category && definition.required)
+        .map(definition => definition.name);
+    }
+
+    return result;
+  }
+
+  /**
+   * Obtener etiqueta amigable de un campo
+   * @param {string} name - Nombre del campo
+   * @returns {string} Etiqueta
+   */
+  getLabel(name) {
+    return this.getField(name)?.label || name;
+  }
+
+  /**
+   * Obtener pregunta de un campo
+   * @param {string} name - Nombre del campo
+   * @returns {string|undefined} Pregunta
+   */
+  getQuestion(name) {
+    return this.getField(name)?.question;
+  }
+
+  /**
+   * Verificar si un campo se guarda en atributos_extra
+   * @param {string} name - Nombre del campo
+   * @returns {boolean} True si no tiene columna propia
+   */
+  isExtraField(name) {
+    return this.getField(name)?.storage === 'extra';
+  }
+
+  /**
+   * Obtener campos sin columna propia
+   * @returns {Array<Object>} Definiciones
+   */
+  getExtraFields() {
+    return this.getFields().filter(definition => definition.storage === 'extra');
+  }
+
+  /**
+   * Leer el valor de un campo de la propiedad (columna o atributos_extra)
+   * @param {Object} property - Propiedad
+   * @param {string} name - Nombre del campo
+   * @returns {*} Valor del campo
+   */
+  getFieldValue(property, name) {
+    if (this.isExtraField(name)) {
+      return property.atributos_extra?.[name];
+    }
+
+    return property[name];
+  }
+
+  /**
+   * Separar datos de campos entre columnas y atributos extra
+   * @param {Object} data - Datos de campos
+   * @returns {Object} { columns, extras }
+   */
+  splitByStorage(data) {
+    const columns = {};
+    const extras = {};
+
+    for (const [name, value] of Object.entries(data)) {
+      if (this.isExtraField(name)) {
+        extras[name] = value;
+      } else {
+        columns[name] = value;
+      }
+    }
+
+    return { columns, extras };
+  }
+
+  /**
+   * Obtener opciones de respuesta cerrada de un campo (enum o boolean)
+   * @param {string} name - Nombre del campo
+   * @returns {Array<Object>} Opciones ({ id, title, value }), vacío si el campo es abierto
+   */
+  getReplyOptions(name) {
+    const definition = this.getField(name);
+    if (!definition) return [];
+
+    if (definition.type === 'boolean') {
+      return [
+        { id: `${name}${REPLY_ID_SEPARATOR}true`, title: 'Sí', value: true },
+        { id: `${name}${REPLY_ID_SEPARATOR}false`, title: 'No', value: false }
+      ];
+    }
+
+    if (definition.type === 'enum' && definition.options) {
+      return definition.options.map(option => ({
+        id: `${name}${REPLY_ID_SEPARATOR}${option}`,
+        title: option.charAt(0).toUpperCase() + option.slice(1),
+        value: option
+      }));
+    }
+
+    return [];
+  }
+
+  /**
+   * Convertir el ID de una respuesta de botón o lista en campo y valor
+   * @param {string} replyId - ID de la opción elegida
+   * @returns {Object|null} { field, value } o null si no corresponde a una opción válida
+   */
+  parseReplyId(replyId) {
+    if (typeof replyId !== 'string') return null;
+
+    const separatorIndex = replyId.indexOf(REPLY_ID_SEPARATOR);
+    if (separatorIndex === -1) return null;
+
+    const field = replyId.slice(0, separatorIndex);
+    const option = this.getReplyOptions(field).find(candidate => candidate.id === replyId);
+
+    return option ? { field, value: option.value } : null;
+  }
+
+  /**
+   * Construir propiedades JSON Schema para la extracción con AI
+   * @returns {Object} Propiedades por campo
+   */
+  getAIExtractionProperties() {
+    const properties = {};
+
+    for (const definition of this.getFields()) {
+      const jsonType = EXTRACTABLE_TYPES[definition.type];
+      if (!jsonType) continue; // Documentos y fotos llegan como archivos
+
+      properties[definition.name] = {
+        type: jsonType,
+        description: definition.aiDescription || definition.label
+      };
+
+      if (definition.type === 'enum' && definition.options) {
+        properties[definition.name].enum = definition.options;
+      }
+    }
+
+    return properties;
+  }
+}
+
+// Crear instancia singleton
+const fieldRegistry = new FieldRegistry();
+
+export default fieldRegistry;
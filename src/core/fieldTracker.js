@@ -4,13 +4,15 @@
  */
 import createPrismaClient from '../config/database.js';
 import logger from '../config/logger.js';
-import { requiredFields, validation } from '../config/index.js';
-import { ERROR_CODES } from '../utils/constants.js';
+import fieldRegistry from './fieldRegistry.js';
+import propertySchema from './propertySchema.js';
+import { validation } from '../config/index.js';
+import { ERROR_CODES, PROPERTY_STATES, PROPERTY_TYPES } from '../utils/constants.js';
 
 class FieldTracker {
   constructor() {
     this.prisma = createPrismaClient();
-    this.requiredFields = requiredFields;
+    this.registry = fieldRegistry;
     this.validation = validation;
   }
 
@@ -42,24 +44,29 @@ class FieldTracker {
         };
       }
 
+      // Los campos configurables sin columna propia se guardan en atributos_extra
+      const { columns, extras } = this.registry.splitByStorage(validatedData.validFields);
+      const data = { ...columns, updatedAt: new Date() };
+
+      if (Object.keys(extras).length > 0) {
+        data.atributos_extra = { ...(property.atributos_extra || {}), ...extras };
+      }
+
       // Actualizar propiedad
       const updatedProperty = await this.prisma.property.update({
         where: { id: propertyId },
-        data: {
-          ...validatedData.validFields,
-          updatedAt: new Date()
-        }
+        data
       });
 
       // Calcular nuevo porcentaje de completitud
       const completeness = await this.calculateCompleteness(propertyId);
       
-      // Actualizar porcentaje
+      // Actualizar porcentaje (COMPLETADO solo se asigna tras la confirmación del propietario)
       await this.prisma.property.update({
         where: { id: propertyId },
         data: {
           porcentaje_completitud: completeness.percentage,
-          estado_recoleccion: completeness.percentage === 100 ? 'COMPLETADO' : 'EN_PROGRESO'
+          estado_recoleccion: completeness.percentage === 100 ? PROPERTY_STATES.EN_REVISION : PROPERTY_STATES.EN_PROGRESO
         }
       });
 
@@ -103,7 +110,11 @@ class FieldTracker {
     const validFields = {};
     const issues = [];
 
-    for (const [field, value] of Object.entries(fieldData)) {
+    // Procesar primero el tipo de propiedad: define qué campos aplican al resto
+    const entries = Object.entries(fieldData)
+      .sort(([a], [b]) => (b === 'tipo_propiedad') - (a === 'tipo_propiedad'));
+
+    for (const [field, value] of entries) {
       try {
         // Verificar si el campo es válido
         if (!this.isValidPropertyField(field)) {
@@ -112,7 +123,7 @@ class FieldTracker {
         }
 
         // Validar valor según tipo de campo
-        const validation = await this.validateFieldValue(field, value, property);
+        const validation = await this.validateFieldValue(field, value, { ...property, ...validFields });
         
         if (validation.valid) {
           validFields[field] = validation.processedValue || value;
@@ -136,37 +147,46 @@ class FieldTracker {
    * @returns {Promise<Object>} Resultado de validación
    */
   async validateFieldValue(field, value, property) {
+    const propertyType = property?.tipo_propiedad;
+
+    // Verificar que el campo aplique al tipo de propiedad
+    if (!propertySchema.isFieldApplicable(field, propertyType)) {
+      return { valid: false, error: `Este dato no aplica para ${propertyType}` };
+    }
+
+    const range = propertySchema.getFieldRange(field, propertyType);
+
     // Validaciones específicas por campo
     switch (field) {
       case 'tipo_propiedad':
         return this.validatePropertyType(value);
       
       case 'area_construida':
-        return this.validateArea(value);
+        return this.validateArea(value, range);
       
       case 'habitaciones':
-        return this.validateRooms(value);
+        return this.validateRooms(value, range);
       
       case 'banos':
-        return this.validateBathrooms(value);
+        return this.validateBathrooms(value, range);
       
       case 'parqueaderos':
-        return this.validateParking(value);
+        return this.validateParking(value, range);
       
       case 'piso':
-        return this.validateFloor(value, property.tipo_propiedad);
+        return this.validateFloor(value, range);
       
       case 'estrato':
-        return this.validateStratum(value);
+        return this.validateStratum(value, range);
       
       case 'ano_construccion':
-        return this.validateConstructionYear(value);
+        return this.validateConstructionYear(value, range);
       
       case 'estado_propiedad':
         return this.validatePropertyCondition(value);
       
       case 'precio_venta':
-        return this.validatePrice(value);
+        return this.validatePrice(value, range);
       
       case 'precio_negociable':
       case 'acepta_credito':
@@ -178,6 +198,61 @@ class FieldTracker {
       case 'descripcion':
         return this.validateDescription(value);
       
+      default:
+        // Validación según la definición del campo en el registro
+        return this.validateByDefinition(field, value, range);
+    }
+  }
+
+  /**
+   * Validar un campo configurable según su tipo en el registro
+   * @param {string} field - Nombre del campo
+   * @param {*} value - Valor a validar
+   * @param {Object|null} range - Rango válido { min, max }
+   * @returns {Object} Resultado de validación
+   */
+  validateByDefinition(field, value, range) {
+    const definition = this.registry.getField(field);
+
+    switch (definition?.type) {
+      case 'boolean':
+        return this.validateBoolean(value);
+
+      case 'integer':
+      case 'number': {
+        const numValue = parseFloat(value.toString().replace(/[$,]/g, ''));
+
+        if (isNaN(numValue)) {
+          return { valid: false, error: `${definition.label} debe ser un número válido` };
+        }
+
+        if (range && (numValue < range.min || numValue > range.max)) {
+          return {
+            valid: false,
+            error: `${definition.label} debe estar entre ${range.min ?? '-'} y ${range.max ?? '-'}`
+          };
+        }
+
+        return {
+          valid: true,
+          processedValue: definition.type === 'integer' ? Math.round(numValue) : numValue
+        };
+      }
+
+      case 'enum': {
+        const normalizedValue = value.toString().toLowerCase().trim();
+        const option = definition.options?.find(opt => opt.toLowerCase() === normalizedValue);
+
+        if (option) {
+          return { valid: true, processedValue: option };
+        }
+
+        return {
+          valid: false,
+          error: `${definition.label} debe ser uno de: ${(definition.options || []).join(', ')}`
+        };
+      }
+
       default:
         // Validación básica para otros campos
         return this.validateGenericField(value);
@@ -190,7 +265,7 @@ class FieldTracker {
    * @returns {Object} Resultado de validación
    */
   validatePropertyType(value) {
-    const validTypes = ['apartamento', 'casa', 'oficina', 'lote', 'bodega'];
+    const validTypes = Object.values(PROPERTY_TYPES);
     const normalizedValue = value.toLowerCase().trim();
     
     if (validTypes.includes(normalizedValue)) {
@@ -206,19 +281,20 @@ class FieldTracker {
   /**
    * Validar área construida
    * @param {*} value - Valor a validar
+   * @param {Object} range - Rango válido { min, max }
    * @returns {Object} Resultado de validación
    */
-  validateArea(value) {
+  validateArea(value, range) {
     const numValue = parseFloat(value);
     
     if (isNaN(numValue)) {
       return { valid: false, error: 'El área debe ser un número' };
     }
     
-    if (numValue < 10 || numValue > 10000) {
+    if (numValue < range.min || numValue > range.max) {
       return {
         valid: false,
-        error: `El área debe estar entre 10 y 10,000 m²`
+        error: `El área debe estar entre ${range.min.toLocaleString('en-US')} y ${range.max.toLocaleString('en-US')} m²`
       };
     }
     
@@ -228,19 +304,20 @@ class FieldTracker {
   /**
    * Validar número de habitaciones
    * @param {*} value - Valor a validar
+   * @param {Object} range - Rango válido { min, max }
    * @returns {Object} Resultado de validación
    */
-  validateRooms(value) {
+  validateRooms(value, range) {
     const numValue = parseInt(value);
     
     if (isNaN(numValue)) {
       return { valid: false, error: 'El número de habitaciones debe ser un número entero' };
     }
     
-    if (numValue < 0 || numValue > 20) {
+    if (numValue < range.min || numValue > range.max) {
       return {
         valid: false,
-        error: `Las habitaciones deben estar entre 0 y 20`
+        error: `Las habitaciones deben estar entre ${range.min} y ${range.max}`
       };
     }
     
@@ -250,19 +327,20 @@ class FieldTracker {
   /**
    * Validar número de baños
    * @param {*} value - Valor a validar
+   * @param {Object} range - Rango válido { min, max }
    * @returns {Object} Resultado de validación
    */
-  validateBathrooms(value) {
+  validateBathrooms(value, range) {
     const numValue = parseFloat(value);
     
     if (isNaN(numValue)) {
       return { valid: false, error: 'El número de baños debe ser un número' };
     }
     
-    if (numValue < 0.5 || numValue > 10) {
+    if (numValue < range.min || numValue > range.max) {
       return {
         valid: false,
-        error: `Los baños deben estar entre 0.5 y 10`
+        error: `Los baños deben estar entre ${range.min} y ${range.max}`
       };
     }
     
@@ -272,19 +350,20 @@ class FieldTracker {
   /**
    * Validar número de parqueaderos
    * @param {*} value - Valor a validar
+   * @param {Object} range - Rango válido { min, max }
    * @returns {Object} Resultado de validación
    */
-  validateParking(value) {
+  validateParking(value, range) {
     const numValue = parseInt(value);
     
     if (isNaN(numValue)) {
       return { valid: false, error: 'El número de parqueaderos debe ser un número entero' };
     }
     
-    if (numValue < 0 || numValue > 10) {
+    if (numValue < range.min || numValue > range.max) {
       return {
         valid: false,
-        error: `Los parqueaderos deben estar entre 0 y 10`
+        error: `Los parqueaderos deben estar entre ${range.min} y ${range.max}`
       };
     }
     
@@ -294,25 +373,20 @@ class FieldTracker {
   /**
    * Validar número de piso
    * @param {*} value - Valor a validar
-   * @param {string} propertyType - Tipo de propiedad
+   * @param {Object} range - Rango válido { min, max }
    * @returns {Object} Resultado de validación
    */
-  validateFloor(value, propertyType) {
-    // Solo aplicable para apartamentos y oficinas
-    if (propertyType && !['apartamento', 'oficina'].includes(propertyType)) {
-      return { valid: false, error: 'El piso solo aplica para apartamentos y oficinas' };
-    }
-    
+  validateFloor(value, range) {
     const numValue = parseInt(value);
     
     if (isNaN(numValue)) {
       return { valid: false, error: 'El piso debe ser un número entero' };
     }
     
-    if (numValue < -5 || numValue > 100) {
+    if (numValue < range.min || numValue > range.max) {
       return {
         valid: false,
-        error: `El piso debe estar entre -5 y 100`
+        error: `El piso debe estar entre ${range.min} y ${range.max}`
       };
     }
     
@@ -322,17 +396,18 @@ class FieldTracker {
   /**
    * Validar estrato
    * @param {*} value - Valor a validar
+   * @param {Object} range - Rango válido { min, max }
    * @returns {Object} Resultado de validación
    */
-  validateStratum(value) {
+  validateStratum(value, range) {
     const numValue = parseInt(value);
     
     if (isNaN(numValue)) {
       return { valid: false, error: 'El estrato debe ser un número entero' };
     }
     
-    if (numValue < 1 || numValue > 6) {
-      return { valid: false, error: 'El estrato debe estar entre 1 y 6' };
+    if (numValue < range.min || numValue > range.max) {
+      return { valid: false, error: `El estrato debe estar entre ${range.min} y ${range.max}` };
     }
     
     return { valid: true, processedValue: numValue };
@@ -341,20 +416,20 @@ class FieldTracker {
   /**
    * Validar año de construcción
    * @param {*} value - Valor a validar
+   * @param {Object} range - Rango válido { min, max }
    * @returns {Object} Resultado de validación
    */
-  validateConstructionYear(value) {
+  validateConstructionYear(value, range) {
     const numValue = parseInt(value);
-    const currentYear = new Date().getFullYear();
     
     if (isNaN(numValue)) {
       return { valid: false, error: 'El año de construcción debe ser un número' };
     }
     
-    if (numValue < 1900 || numValue > currentYear + 1) {
+    if (numValue < range.min || numValue > range.max) {
       return {
         valid: false,
-        error: `El año de construcción debe estar entre 1900 y ${currentYear + 1}`
+        error: `El año de construcción debe estar entre ${range.min} y ${range.max}`
       };
     }
     
@@ -383,9 +458,10 @@ class FieldTracker {
   /**
    * Validar precio de venta
    * @param {*} value - Valor a validar
+   * @param {Object} range - Rango válido { min, max }
    * @returns {Object} Resultado de validación
    */
-  validatePrice(value) {
+  validatePrice(value, range) {
     // Limpiar formato de precio (remover símbolos y separadores)
     let cleanValue = value.toString().replace(/[$,.]/g, '');
     const numValue = parseFloat(cleanValue);
@@ -394,10 +470,10 @@ class FieldTracker {
       return { valid: false, error: 'El precio debe ser un número válido' };
     }
     
-    if (numValue < 50000000 || numValue > 50000000000) {
+    if (numValue < range.min || numValue > range.max) {
       return {
         valid: false,
-        error: `El precio debe estar entre $50,000,000 y $50,000,000,000`
+        error: `El precio debe estar entre $${range.min.toLocaleString('en-US')} y $${range.max.toLocaleString('en-US')}`
       };
     }
     
@@ -494,14 +570,7 @@ class FieldTracker {
    * @returns {boolean} True si es válido
    */
   isValidPropertyField(field) {
-    const allRequiredFields = [
-      ...this.requiredFields.physical,
-      ...this.requiredFields.commercial,
-      ...this.requiredFields.documentation,
-      ...this.requiredFields.description
-    ];
-    
-    return allRequiredFields.includes(field);
+    return this.registry.hasField(field);
   }
 
   /**
@@ -521,30 +590,31 @@ class FieldTracker {
       }
 
       const missingFields = [];
+      const typeRequiredFields = propertySchema.getRequiredFields(property.tipo_propiedad);
 
-      // Verificar campos físicos
-      for (const field of this.requiredFields.physical) {
-        if (!this.hasValidValue(property[field], field)) {
+      // Verificar campos físicos (según el tipo de propiedad)
+      for (const field of typeRequiredFields.physical) {
+        if (!this.hasValidValue(this.registry.getFieldValue(property, field), field)) {
           missingFields.push(field);
         }
       }
 
       // Verificar campos comerciales
-      for (const field of this.requiredFields.commercial) {
-        if (!this.hasValidValue(property[field], field)) {
+      for (const field of typeRequiredFields.commercial) {
+        if (!this.hasValidValue(this.registry.getFieldValue(property, field), field)) {
           missingFields.push(field);
         }
       }
 
       // Verificar descripción
-      for (const field of this.requiredFields.description) {
-        if (!this.hasValidValue(property[field], field)) {
+      for (const field of typeRequiredFields.description) {
+        if (!this.hasValidValue(this.registry.getFieldValue(property, field), field)) {
           missingFields.push(field);
         }
       }
 
       // Verificar documentos
-      const documentFields = this.requiredFields.documentation;
+      const documentFields = typeRequiredFields.documentation;
       for (const docField of documentFields) {
         if (docField === 'fotos_inmueble') {
           if ((property.fotos_inmueble || 0) < this.validation.minPhotos) {
@@ -576,13 +646,15 @@ class FieldTracker {
       return false;
     }
 
+    const type = this.registry.getField(field)?.type;
+
     // Para campos booleanos, verificar explícitamente
-    if (field.includes('negociable') || field.includes('acepta') || field.includes('certificado') || field.includes('escritura')) {
+    if (type === 'boolean' || field.includes('certificado') || field.includes('escritura')) {
       return typeof value === 'boolean';
     }
 
     // Para campos numéricos
-    if (['area_construida', 'habitaciones', 'banos', 'parqueaderos', 'piso', 'estrato', 'ano_construccion', 'precio_venta'].includes(field)) {
+    if (type === 'number' || type === 'integer') {
       return !isNaN(parseFloat(value)) && isFinite(value);
     }
 
@@ -601,12 +673,14 @@ class FieldTracker {
    */
   async calculateCompleteness(propertyId) {
     try {
+      const property = await this.prisma.property.findUnique({
+        where: { id: propertyId },
+        select: { tipo_propiedad: true }
+      });
+
       const missingFields = await this.getMissingFields(propertyId);
-      const totalRequiredFields = 
-        this.requiredFields.physical.length +
-        this.requiredFields.commercial.length +
-        this.requiredFields.documentation.length +
-        this.requiredFields.description.length;
+      const totalRequiredFields = Object.values(propertySchema.getRequiredFields(property?.tipo_propiedad))
+        .reduce((total, fields) => total + fields.length, 0);
 
       const completedFields = totalRequiredFields - missingFields.length;
       const percentage = Math.round((completedFields / totalRequiredFields) * 100);
@@ -652,13 +726,8 @@ class FieldTracker {
 
       const categories = {};
 
-      // Calcular para cada categoría
-      for (const [categoryName, fields] of Object.entries({
-        physical: this.requiredFields.physical,
-        commercial: this.requiredFields.commercial,
-        documentation: this.requiredFields.documentation,
-        description: this.requiredFields.description
-      })) {
+      // Calcular para cada categoría (según el tipo de propiedad)
+      for (const [categoryName, fields] of Object.entries(propertySchema.getRequiredFields(property.tipo_propiedad))) {
         let completed = 0;
         
         for (const field of fields) {
@@ -666,7 +735,7 @@ class FieldTracker {
             if ((property.fotos_inmueble || 0) >= this.validation.minPhotos) {
               completed++;
             }
-          } else if (this.hasValidValue(property[field], field)) {
+          } else if (this.hasValidValue(this.registry.getFieldValue(property, field), field)) {
             completed++;
           }
         }
@@ -674,7 +743,7 @@ class FieldTracker {
         categories[categoryName] = {
           completed,
           total: fields.length,
-          percentage: Math.round((completed / fields.length) * 100)
+          percentage: fields.length > 0 ? Math.round((completed / fields.length) * 100) : 100
         };
       }
 
@@ -0,0 +1,141 @@
+/**
+ * Esquema de campos por tipo de propiedad
+ * Fuente única de qué campos aplican, cuáles son obligatorios y sus rangos
+ */
+import fieldRegistry from './fieldRegistry.js';
+import {
+  FIELD_CATEGORIES,
+  FIELD_RANGES,
+  PROPERTY_TYPE_SCHEMAS
+} from '../utils/constants.js';
+
+class PropertySchema {
+  constructor() {
+    this.registry = fieldRegistry;
+    this.schemas = PROPERTY_TYPE_SCHEMAS;
+
+    // Campos cuya aplicabilidad define el esquema del tipo (no el registro)
+    this.typeGovernedFields = new Set(
+      Object.values(PROPERTY_TYPE_SCHEMAS).flatMap(schema => schema.fields)
+    );
+  }
+
+  /**
+   * Obtener esquema de un tipo de propiedad
+   * @param {string} propertyType - Tipo de propiedad
+   * @returns {Object|null} Esquema o null si el tipo aún no se conoce
+   */
+  getTypeSchema(propertyType) {
+    return this.schemas[propertyType] || null;
+  }
+
+  /**
+   * Obtener campos físicos que aplican a un tipo de propiedad
+   * @param {string} propertyType - Tipo de propiedad
+   * @returns {Array<string>} Campos físicos aplicables
+   */
+  getPhysicalFields(propertyType) {
+    return this.registry.getFieldsByCategory(FIELD_CATEGORIES.PHYSICAL)
+      .filter(field => this.isFieldApplicable(field, propertyType));
+  }
+
+  /**
+   * Obtener campos obligatorios por categoría para un tipo de propiedad
+   * @param {string} propertyType - Tipo de propiedad
+   * @returns {Object} Campos obligatorios (physical, commercial, documentation, description)
+   */
+  getRequiredFields(propertyType) {
+    const result = {};
+
+    for (const category of Object.values(FIELD_CATEGORIES)) {
+      result[category] = this.registry.getFieldsByCategory(category)
+        .filter(field => this.isFieldRequired(field, propertyType));
+    }
+
+    return result;
+  }
+
+  /**
+   * Verificar si un campo es obligatorio para un tipo de propiedad
+   * @param {string} field - Nombre del campo
+   * @param {string} propertyType - Tipo de propiedad
+   * @returns {boolean} True si el campo es obligatorio
+   */
+  isFieldRequired(field, propertyType) {
+    const definition = this.registry.getField(field);
+    if (!definition) return false;
+
+    const schema = this.getTypeSchema(propertyType);
+
+    if (schema && this.typeGovernedFields.has(field)) {
+      return schema.required.includes(field);
+    }
+
+    return definition.required && this.isFieldApplicable(field, propertyType);
+  }
+
+  /**
+   * Verificar si un campo aplica a un tipo de propiedad
+   * @param {string} field - Nombre del campo
+   * @param {string} propertyType - Tipo de propiedad
+   * @returns {boolean} True si el campo aplica
+   */
+  isFieldApplicable(field, propertyType) {
+    const schema = this.getTypeSchema(propertyType);
+
+    // Sin tipo definido se consideran todos los campos
+    if (!schema) return true;
+
+    if (this.typeGovernedFields.has(field)) {
+      return schema.fields.includes(field);
+    }
+
+    // Los campos configurables pueden limitarse a ciertos tipos
+    const propertyTypes = this.registry.getField(field)?.propertyTypes;
+    return !propertyTypes || propertyTypes.includes(propertyType);
+  }
+
+  /**
+   * Obtener rango válido de un campo numérico
+   * @param {string} field - Nombre del campo
+   * @param {string} propertyType - Tipo de propiedad
+   * @returns {Object|null} Rango { min, max } o null si no tiene
+   */
+  getFieldRange(field, propertyType) {
+    const schema = this.getTypeSchema(propertyType);
+    if (schema?.ranges?.[field]) return schema.ranges[field];
+
+    const definition = this.registry.getField(field);
+    if (definition && (definition.min !== undefined || definition.max !== undefined)) {
+      return { min: definition.min, max: definition.max };
+    }
+
+    return FIELD_RANGES[field] || null;
+  }
+
+  /**
+   * Obtener pregunta de un campo adaptada al tipo de propiedad
+   * @param {string} field - Nombre del campo
+   * @param {string} propertyType - Tipo de propiedad
+   * @returns {string} Pregunta
+   */
+  getFieldQuestion(field, propertyType) {
+    const schema = this.getTypeSchema(propertyType);
+    return schema?.questions?.[field] || this.registry.getQuestion(field);
+  }
+
+  /**
+   * Obtener orden de recolección de los campos obligatorios de un tipo
+   * @param {string} propertyType - Tipo de propiedad
+   * @returns {Array<string>} Campos en orden de recolección
+   */
+  getCollectionOrder(propertyType) {
+    return this.registry.getCollectionOrder()
+      .filter(field => this.isFieldRequired(field, propertyType));
+  }
+}
+
+// Crear instancia singleton
+const propertySchema = new PropertySchema();
+
+export default propertySchema;
@@ -2,7 +2,19 @@
  * Middleware de autenticación básica
  * FASE 1: Autenticación simple, expandir en fases futuras
  */
+import crypto from 'crypto';
 import logger from '../config/logger.js';
+import createPrismaClient from '../config/database.js';
+import webhookNonceService from '../services/webhookNonceService.js';
+import { webhookSecurity } from '../config/index.js';
+
+// Headers de firma de webhooks
+const SIGNATURE_HEADERS = {
+  SIGNATURE: 'X-Webhook-Signature',
+  TIMESTAMP: 'X-Webhook-Timestamp',
+  NONCE: 'X-Webhook-Nonce',
+  META_SIGNATURE: 'X-Hub-Signature-256'
+};
 
 /**
  * Middleware de autenticación básica para endpoints de admin
@@ -75,65 +87,148 @@ export function basicAuth(req, res, next) {
 }
 
 /**
- * Middleware de autenticación para webhooks
+ * Registrar un intento de webhook rechazado en activity_logs
  * @param {Object} req - Request de Express
- * @param {Object} res - Response de Express
- * @param {Function} next - Next middleware
+ * @param {string} reason - Motivo del rechazo
  */
-export function webhookAuth(req, res, next) {
-  // Verificar que el webhook viene de una fuente confiable
-  const userAgent = req.get('User-Agent');
-  const ip = req.ip;
-
-  // Lista de User-Agents permitidos (UltraMSG)
-  const allowedUserAgents = [
-    'UltraMsg',
-    'WhatsApp',
-    'curl', // Para pruebas
-    'PostmanRuntime' // Para desarrollo
-  ];
+async function logWebhookAuthFailure(req, reason) {
+  const details = {
+    reason,
+    ip: req.ip,
+    method: req.method,
+    path: req.path,
+    userAgent: req.get('User-Agent')
+  };
+
+  logger.warn('Webhook rechazado:', details);
+
+  try {
+    await createPrismaClient().activityLog.create({
+      data: {
+        entidad: 'Webhook',
+        entidad_id: req.baseUrl + req.path,
+        accion: 'AUTENTICACION_FALLIDA',
+        descripcion: reason,
+        metadata: details
+      }
+    });
+  } catch (error) {
+    logger.error('Error al registrar webhook rechazado:', error);
+  }
+}
+
+/**
+ * Comparar dos cadenas en tiempo constante
+ * @param {string} a - Valor recibido
+ * @param {string} b - Valor esperado
+ * @returns {boolean} True si coinciden
+ */
+function safeEqual(a, b) {
+  const bufferA = Buffer.from(String(a));
+  const bufferB = Buffer.from(String(b));
+  return bufferA.length === bufferB.length && crypto.timingSafeEqual(bufferA, bufferB);
+}
+
+/**
+ * Calcular firma HMAC-SHA256 en hexadecimal
+ * @param {string} secret - Secreto compartido
+ * @param {string|Buffer} payload - Contenido firmado
+ * @returns {string} Firma
+ */
+function hmacHex(secret, payload) {
+  return crypto.createHmac('sha256', secret).update(payload).digest('hex');
+}
 
-  // En desarrollo, permitir todas las peticiones
-  if (process.env.NODE_ENV === 'development') {
-    logger.debug('Webhook auth - Modo desarrollo, permitiendo petición');
-    return next();
+/**
+ * Verificar firma propia: HMAC(secret, "timestamp.nonce.body") con timestamp en segundos
+ * @param {Object} req - Request de Express
+ * @returns {Promise<string|null>} Motivo del rechazo o null si es válida
+ */
+async function verifySharedSecretSignature(req) {
+  const signature = req.get(SIGNATURE_HEADERS.SIGNATURE);
+  const timestamp = req.get(SIGNATURE_HEADERS.TIMESTAMP);
+  const nonce = req.get(SIGNATURE_HEADERS.NONCE);
+
+  if (!webhookSecurity.secret) return 'Firma recibida pero WEBHOOK_SECRET no está configurado';
+  if (!timestamp || !nonce) return 'Firma sin timestamp o nonce';
+
+  const timestampMs = parseInt(timestamp) * 1000;
+  if (!Number.isFinite(timestampMs) || Math.abs(Date.now() - timestampMs) > webhookSecurity.maxClockSkew) {
+    return 'Timestamp fuera de la ventana permitida';
   }
 
-  // Verificar User-Agent
-  const isValidUserAgent = allowedUserAgents.some(ua => 
-    userAgent && userAgent.includes(ua)
-  );
+  const payload = `${timestamp}.${nonce}.${req.rawBody || ''}`;
+  const expected = `sha256=${hmacHex(webhookSecurity.secret, payload)}`;
+  if (!safeEqual(signature, expected)) return 'Firma inválida';
 
-  if (!isValidUserAgent) {
-    logger.warn('Webhook con User-Agent no autorizado:', {
-      userAgent,
-      ip,
-      url: req.originalUrl
-    });
+  // Solo se registra el nonce de peticiones auténticas; fuera de la ventana el timestamp ya las rechaza
+  try {
+    if (!(await webhookNonceService.register(nonce, webhookSecurity.maxClockSkew * 2))) {
+      return 'Nonce reutilizado (posible replay)';
+    }
+  } catch (error) {
+    logger.error('Error al registrar nonce de webhook:', error);
+    return 'No se pudo verificar el nonce';
+  }
+
+  return null;
+}
+
+/**
+ * Verificar firma de WhatsApp Cloud API (X-Hub-Signature-256 con el app secret)
+ * Meta no envía nonce; los reenvíos se descartan por ID de mensaje
+ * @param {Object} req - Request de Express
+ * @returns {string|null} Motivo del rechazo o null si es válida
+ */
+function verifyMetaSignature(req) {
+  if (!webhookSecurity.metaAppSecret) return 'Firma de Meta recibida pero META_APP_SECRET no está configurado';
 
-    return res.status(403).json({
+  const expected = `sha256=${hmacHex(webhookSecurity.metaAppSecret, req.rawBody || '')}`;
+  return safeEqual(req.get(SIGNATURE_HEADERS.META_SIGNATURE), expected) ? null : 'Firma de Meta inválida';
+}
+
+/**
+ * Middleware de autenticación para webhooks
+ * Acepta firma HMAC con secreto compartido, firma de Meta o token en la URL
+ * @param {Object} req - Request de Express
+ * @param {Object} res - Response de Express
+ * @param {Function} next - Next middleware
+ */
+export async function webhookAuth(req, res, next) {
+  const reject = async (status, error, reason) => {
+    await logWebhookAuthFailure(req, reason);
+    return res.status(status).json({
       success: false,
-      error: 'FORBIDDEN',
+      error,
       message: 'Acceso no autorizado'
     });
-  }
+  };
 
   // Verificar IP si está configurada
-  const allowedIPs = process.env.WEBHOOK_ALLOWED_IPS?.split(',') || [];
-  if (allowedIPs.length > 0 && !allowedIPs.includes(ip)) {
-    logger.warn('Webhook desde IP no autorizada:', {
-      ip,
-      allowedIPs,
-      url: req.originalUrl
-    });
+  if (webhookSecurity.allowedIPs.length > 0 && !webhookSecurity.allowedIPs.includes(req.ip)) {
+    return reject(403, 'IP_NOT_ALLOWED', 'IP no autorizada');
+  }
 
-    return res.status(403).json({
-      success: false,
-      error: 'IP_NOT_ALLOWED',
-      message: 'IP no autorizada'
-    });
+  let reason;
+  if (req.get(SIGNATURE_HEADERS.SIGNATURE)) {
+    reason = await verifySharedSecretSignature(req);
+  } else if (req.get(SIGNATURE_HEADERS.META_SIGNATURE)) {
+    reason = verifyMetaSignature(req);
+  } else if (req.query.token) {
+    reason = webhookSecurity.token && safeEqual(req.query.token, webhookSecurity.token)
+      ? null
+      : 'Token de webhook inválido';
+  } else {
+    reason = 'Petición sin firma ni token';
   }
 
+  if (reason) {
+    return reject(401, 'INVALID_WEBHOOK_SIGNATURE', reason);
+  }
+
+  // El token no debe llegar a logs ni controladores
+  delete req.query.token;
+
   next();
 }
 
@@ -120,7 +120,10 @@ export const sendManualMessageSchema = Joi.object({
       'string.max': 'El mensaje no puede tener más de 1000 caracteres'
     }),
 
-  type: Joi.string().valid('ADMIN', 'SYSTEM', 'BOT').default('ADMIN')
+  type: Joi.string().valid('ADMIN', 'SYSTEM', 'BOT').default('ADMIN'),
+
+  // Pasar la conversación a atención humana antes de enviar
+  takeover: Joi.boolean().default(false)
 });
 
 // Schema para completar conversación manualmente
@@ -144,7 +147,7 @@ export const cleanupTestDataSchema = Joi.object({
 export const propertiesQuerySchema = Joi.object({
   page: Joi.number().integer().min(1).default(1),
   limit: Joi.number().integer().min(1).max(100).default(20),
-  estado: Joi.string().valid('INICIADO', 'EN_PROGRESO', 'COMPLETADO').optional(),
+  estado: Joi.string().valid('INICIADO', 'EN_PROGRESO', 'EN_REVISION', 'COMPLETADO', 'CERRADO', 'VENDIDO').optional(),
   ciudad: Joi.string().trim().min(2).max(100).optional(),
   completitud_min: Joi.number().integer().min(0).max(100).optional(),
   completitud_max: Joi.number().integer().min(0).max(100).optional(),
@@ -161,6 +164,57 @@ export const systemLogsQuerySchema = Joi.object({
   to: Joi.string().isoDate().optional()
 });
 
+// Schema para filtros de tareas programadas
+export const scheduledJobsQuerySchema = Joi.object({
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(50),
+  estado: Joi.string().valid('PENDIENTE', 'EJECUTANDO', 'COMPLETADO', 'CANCELADO', 'FALLIDO').optional(),
+  tipo: Joi.string().trim().max(50).optional(),
+  entidad_id: Joi.string().uuid().optional()
+});
+
+// Schema para filtros de mensajes salientes en dead letter
+export const deadLettersQuerySchema = Joi.object({
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(50),
+  reenviado: Joi.boolean().optional()
+});
+
+// Schema para documentos marcados para revisión
+export const documentReviewQuerySchema = Joi.object({
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(50)
+});
+
+// Schema para archivos en cuarentena
+export const quarantineQuerySchema = Joi.object({
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(50),
+  motivo: Joi.string().valid('TIPO_NO_COINCIDE', 'INFECTADO').optional()
+});
+
+// Schema para campos configurables del bot
+export const fieldDefinitionSchema = Joi.object({
+  etiqueta: Joi.string().trim().min(2).max(100).required(),
+  pregunta: Joi.string().trim().min(5).max(500).required(),
+  categoria: Joi.string().valid('physical', 'commercial', 'documentation', 'description').optional(),
+  tipo: Joi.string().valid('string', 'text', 'number', 'integer', 'boolean', 'enum').optional(),
+  opciones: Joi.when('tipo', {
+    is: 'enum',
+    then: Joi.array().items(Joi.string().trim().max(100)).min(1).required(),
+    otherwise: Joi.forbidden()
+  }),
+  minimo: Joi.number().optional(),
+  maximo: Joi.number().optional(),
+  requerido: Joi.boolean().default(false),
+  orden: Joi.number().integer().min(0).default(1000),
+  tipos_propiedad: Joi.array().items(
+    Joi.string().valid('apartamento', 'casa', 'oficina', 'lote', 'bodega')
+  ).default([]),
+  descripcion_ia: Joi.string().trim().max(300).optional(),
+  activo: Joi.boolean().default(true)
+});
+
 // Schema para webhook de UltraMSG - ACTUALIZADO PARA SOPORTAR "chat"
 export const ultramsgWebhookSchema = Joi.object({
   event_type: Joi.string().optional(), // UltraMSG incluye esto
@@ -238,6 +292,21 @@ export const validatePropertiesQuery = validate(propertiesQuerySchema, 'query');
 // Validar query de logs
 export const validateSystemLogsQuery = validate(systemLogsQuerySchema, 'query');
 
+// Validar query de tareas programadas
+export const validateScheduledJobsQuery = validate(scheduledJobsQuerySchema, 'query');
+
+// Validar query de dead letters
+export const validateDeadLettersQuery = validate(deadLettersQuerySchema, 'query');
+
+// Validar query de documentos para revisión
+export const validateDocumentReviewQuery = validate(documentReviewQuerySchema, 'query');
+
+// Validar query de archivos en cuarentena
+export const validateQuarantineQuery = validate(quarantineQuerySchema, 'query');
+
+// Validar definición de campo configurable
+export const validateFieldDefinition = validate(fieldDefinitionSchema);
+
 // Validar webhook de UltraMSG
 export const validateUltraMSGWebhook = validate(ultramsgWebhookSchema);
 
@@ -262,6 +331,19 @@ export function validateUUID(paramName) {
  */
 export const validatePropertyId = validateUUID('propertyId');
 export const validateConversationId = validateUUID('conversationId');
+export const validateJobId = validateUUID('jobId');
+export const validateDeadLetterId = validateUUID('deadLetterId');
+export const validateDocumentId = validateUUID('documentId');
+export const validateFieldName = (req, res, next) => {
+  const schema = Joi.object({
+    fieldName: Joi.string().pattern(/^[a-z][a-z0-9_]{1,49}$/).required()
+      .messages({
+        'string.pattern.base': 'fieldName debe estar en minúsculas con guiones bajos (ej: ascensor)'
+      })
+  });
+
+  return validate(schema, 'params')(req, res, next);
+};
 export const validateTestId = (req, res, next) => {
   const schema = Joi.object({
     testId: Joi.string().valid('test1', 'test2', 'test3').required()
@@ -410,10 +492,19 @@ export default {
   validateCleanupTestData,
   validatePropertiesQuery,
   validateSystemLogsQuery,
+  validateScheduledJobsQuery,
+  validateDeadLettersQuery,
+  validateDocumentReviewQuery,
+  validateQuarantineQuery,
+  validateFieldDefinition,
   validateUltraMSGWebhook,
   validateUUID,
   validatePropertyId,
   validateConversationId,
+  validateJobId,
+  validateDeadLetterId,
+  validateDocumentId,
+  validateFieldName,
   validateTestId,
   sanitizeInput,
   createRateLimit
@@ -14,7 +14,16 @@ import {
   validatePropertyId,
   validateConversationId,
   validateManualMessage,
-  validateForceComplete
+  validateForceComplete,
+  validateScheduledJobsQuery,
+  validateJobId,
+  validateDeadLettersQuery,
+  validateDeadLetterId,
+  validateDocumentReviewQuery,
+  validateDocumentId,
+  validateQuarantineQuery,
+  validateFieldDefinition,
+  validateFieldName
 } from '../middleware/validation.js';
 import { asyncHandler } from '../middleware/errorHandler.js';
 
@@ -50,7 +59,18 @@ router.get('/properties/:propertyId',
 );
 
 /**
- * Conversaciones activas
+ * Regenerar las versiones para publicar de las fotos de una propiedad
+ * POST /api/admin/properties/:propertyId/photos/derivatives
+ */
+router.post('/properties/:propertyId/photos/derivatives',
+  requirePermissions(['write']),
+  validatePropertyId,
+  asyncHandler(adminController.regeneratePhotoDerivatives.bind(adminController))
+);
+
+/**
+ * Conversaciones activas (?modo=HUMANO para las que atiende un asesor,
+ * ?bienvenidaNoLeida=true para las que no han leído el mensaje de bienvenida)
  * GET /api/admin/conversations
  */
 router.get('/conversations',
@@ -79,6 +99,26 @@ router.post('/conversations/:conversationId/message',
   asyncHandler(adminController.sendManualMessage.bind(adminController))
 );
 
+/**
+ * Tomar el control de una conversación (atención humana)
+ * POST /api/admin/conversations/:conversationId/takeover
+ */
+router.post('/conversations/:conversationId/takeover',
+  requirePermissions(['write']),
+  validateConversationId,
+  asyncHandler(adminController.takeoverConversation.bind(adminController))
+);
+
+/**
+ * Devolver una conversación al bot
+ * POST /api/admin/conversations/:conversationId/release
+ */
+router.post('/conversations/:conversationId/release',
+  requirePermissions(['write']),
+  validateConversationId,
+  asyncHandler(adminController.releaseConversation.bind(adminController))
+);
+
 /**
  * Logs del sistema
  * GET /api/admin/logs
@@ -105,4 +145,98 @@ router.get('/performance',
   asyncHandler(adminController.getPerformanceStats.bind(adminController))
 );
 
+/**
+ * Tareas programadas (recordatorios, timeouts, mantenimiento)
+ * GET /api/admin/jobs
+ */
+router.get('/jobs',
+  validateScheduledJobsQuery,
+  asyncHandler(adminController.getScheduledJobs.bind(adminController))
+);
+
+/**
+ * Cancelar tarea programada
+ * POST /api/admin/jobs/:jobId/cancel
+ */
+router.post('/jobs/:jobId/cancel',
+  requirePermissions(['write']),
+  validateJobId,
+  asyncHandler(adminController.cancelScheduledJob.bind(adminController))
+);
+
+/**
+ * Mensajes salientes que agotaron los reintentos (?reenviado=false para los pendientes)
+ * GET /api/admin/outbound/dead-letters
+ */
+router.get('/outbound/dead-letters',
+  validateDeadLettersQuery,
+  asyncHandler(adminController.getDeadLetters.bind(adminController))
+);
+
+/**
+ * Reenviar mensaje de dead letter
+ * POST /api/admin/outbound/dead-letters/:deadLetterId/replay
+ */
+router.post('/outbound/dead-letters/:deadLetterId/replay',
+  requirePermissions(['write']),
+  validateDeadLetterId,
+  asyncHandler(adminController.replayDeadLetter.bind(adminController))
+);
+
+/**
+ * Documentos que no coinciden con el formulario o tienen gravámenes vigentes
+ * GET /api/admin/documents/review
+ */
+router.get('/documents/review',
+  validateDocumentReviewQuery,
+  asyncHandler(adminController.getDocumentsForReview.bind(adminController))
+);
+
+/**
+ * URLs firmadas de descarga del documento (y de sus versiones para publicar)
+ * GET /api/admin/documents/:documentId/download
+ */
+router.get('/documents/:documentId/download',
+  validateDocumentId,
+  asyncHandler(adminController.getDocumentDownload.bind(adminController))
+);
+
+/**
+ * Marcar documento como revisado
+ * POST /api/admin/documents/:documentId/review/resolve
+ */
+router.post('/documents/:documentId/review/resolve',
+  requirePermissions(['write']),
+  validateDocumentId,
+  asyncHandler(adminController.resolveDocumentReview.bind(adminController))
+);
+
+/**
+ * Archivos recibidos en cuarentena (tipo disfrazado o infectados)
+ * GET /api/admin/quarantine
+ */
+router.get('/quarantine',
+  validateQuarantineQuery,
+  asyncHandler(adminController.getQuarantinedFiles.bind(adminController))
+);
+
+/**
+ * Campos que recopila el bot
+ * GET /api/admin/fields
+ */
+router.get('/fields',
+  asyncHandler(adminController.getFieldDefinitions.bind(adminController))
+);
+
+/**
+ * Crear o actualizar campo configurable
+ * PUT /api/admin/fields/:fieldName
+ */
+router.put('/fields/:fieldName',
+  requirePermissions(['write']),
+  validateFieldName,
+  validateFieldDefinition,
+  asyncHandler(adminController.saveFieldDefinition.bind(adminController))
+);
+
 export default router;
\ No newline at end of file
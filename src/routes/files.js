@@ -0,0 +1,45 @@
+/**
+ * Descarga de archivos con URL firmada (almacenamiento local)
+ * Con S3 las URLs firmadas apuntan directamente al bucket
+ */
+import { Router } from 'express';
+import { extname } from 'path';
+import storageService from '../services/storageService.js';
+import { asyncHandler } from '../middleware/errorHandler.js';
+import logger from '../config/logger.js';
+
+const router = Router();
+
+/**
+ * Descargar archivo
+ * GET /api/files/:key?expires=...&signature=...
+ */
+router.get('/*', asyncHandler(async (req, res) => {
+  const key = req.params[0];
+  const { expires, signature } = req.query;
+
+  if (!(await storageService.verifySignedUrl(key, expires, signature))) {
+    logger.warn('URL de descarga inválida o vencida', { key, ip: req.ip });
+    return res.status(403).json({
+      success: false,
+      error: 'URL de descarga inválida o vencida'
+    });
+  }
+
+  let content;
+  try {
+    content = await storageService.get(key);
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+    return res.status(404).json({
+      success: false,
+      error: 'Archivo no encontrado'
+    });
+  }
+
+  res.type(extname(key) || 'application/octet-stream');
+  res.set('Cache-Control', 'private, max-age=0');
+  return res.send(content);
+}));
+
+export default router;
@@ -1,6 +1,6 @@
 /**
  * Rutas para webhooks de servicios externos
- * Principalmente UltraMSG (WhatsApp)
+ * Principalmente WhatsApp (UltraMSG, WhatsApp Cloud API y mock)
  */
 import { Router } from 'express';
 import webhookController from '../controllers/webhookController.js';
@@ -20,6 +20,39 @@ router.post('/ultramsg',
   asyncHandler(webhookController.handleUltraMSGWebhook.bind(webhookController))
 );
 
+/**
+ * Verificación de suscripción de WhatsApp Cloud API (Meta)
+ * GET /api/webhooks/meta
+ */
+router.get('/meta',
+  asyncHandler(webhookController.verifyMetaWebhook.bind(webhookController))
+);
+
+/**
+ * Webhook de WhatsApp Cloud API (Meta)
+ * POST /api/webhooks/meta
+ */
+router.post('/meta',
+  webhookAuth,
+  asyncHandler(webhookController.handleMetaWebhook.bind(webhookController))
+);
+
+/**
+ * Simular mensaje entrante o acuse de entrega con el proveedor mock (desarrollo)
+ * POST /api/webhooks/mock
+ */
+router.post('/mock',
+  asyncHandler(webhookController.handleMockWebhook.bind(webhookController))
+);
+
+/**
+ * Mensajes salientes registrados por el proveedor mock (desarrollo)
+ * GET /api/webhooks/mock/outbox
+ */
+router.get('/mock/outbox',
+  asyncHandler(webhookController.getMockOutbox.bind(webhookController))
+);
+
 /**
  * Validación de webhook (para configuración inicial)
  * GET /api/webhooks/ultramsg/validate
@@ -34,6 +67,7 @@ router.get('/ultramsg/validate',
  * POST /api/webhooks/test
  */
 router.post('/test',
+  webhookAuth,
   asyncHandler(webhookController.testWebhook.bind(webhookController))
 );
 
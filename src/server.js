@@ -4,8 +4,11 @@
  */
 import { createServer } from 'http';
 import appInstance from './app.js';
-import { app as appConfig } from './config/index.js';
+import { app as appConfig, whatsapp as whatsappConfig } from './config/index.js';
 import logger from './config/logger.js';
+import schedulerService from './services/schedulerService.js';
+import webhookNonceService from './services/webhookNonceService.js';
+import { SCHEDULED_JOB_TYPES } from './utils/constants.js';
 
 class Server {
   constructor() {
@@ -127,13 +130,13 @@ class Server {
       health: `${baseUrl}/api/health`,
       dashboard: `${baseUrl}/api/admin/dashboard`,
       simulator: `${baseUrl}/api/simulator/submit`,
-      webhook: `${baseUrl}/api/webhooks/ultramsg`
+      webhook: `${baseUrl}/api/webhooks/${whatsappConfig.provider}`
     });
 
     // Mostrar configuración de fase
     logger.info('⚙️ Configuración FASE 1:', {
       formSimulation: '✅ Habilitado',
-      whatsappIntegration: '✅ UltraMSG',
+      whatsappIntegration: `✅ ${whatsappConfig.provider}`,
       aiProcessing: '✅ OpenAI GPT-4',
       ragSystem: '✅ Weaviate',
       documentProcessing: '✅ OCR + Sharp',
@@ -152,6 +155,14 @@ class Server {
     try {
       logger.info('Ejecutando tareas de inicialización...');
 
+      // Cargar campos configurables desde la base de datos
+      try {
+        const { default: fieldRegistry } = await import('./core/fieldRegistry.js');
+        await fieldRegistry.loadFromDatabase();
+      } catch (error) {
+        logger.warn('Error al cargar campos configurables:', error.message);
+      }
+
       // Limpiar conversaciones expiradas
       try {
         const { default: conversationManager } = await import('./core/conversationManager.js');
@@ -187,7 +198,19 @@ class Server {
       }
 
       // Programar tareas recurrentes
-      this.scheduleRecurringTasks();
+      try {
+        await this.scheduleRecurringTasks();
+      } catch (error) {
+        logger.error('Error al programar tareas recurrentes:', error);
+      }
+
+      // Iniciar cola de mensajes salientes (incluye los pendientes de una ejecución anterior)
+      try {
+        const { default: outboundQueueService } = await import('./services/outboundQueueService.js');
+        await outboundQueueService.start();
+      } catch (error) {
+        logger.error('Error al iniciar cola de mensajes salientes:', error);
+      }
 
       logger.info('Tareas de inicialización completadas');
 
@@ -198,55 +221,68 @@ class Server {
   }
 
   /**
-   * Programar tareas recurrentes
+   * Programar tareas recurrentes (persistentes en BD)
    */
-  scheduleRecurringTasks() {
-    // Limpiar conversaciones expiradas cada hora
-    setInterval(async () => {
-      try {
-        const { default: conversationManager } = await import('./core/conversationManager.js');
-        const cleaned = await conversationManager.cleanupExpiredConversations();
-        if (cleaned > 0) {
-          logger.info(`Tarea recurrente: ${cleaned} conversaciones expiradas limpiadas`);
-        }
-      } catch (error) {
-        logger.error('Error en tarea de limpieza de conversaciones:', error);
+  async scheduleRecurringTasks() {
+    // Importar conversationManager registra los handlers de recordatorios y timeouts
+    const { default: conversationManager } = await import('./core/conversationManager.js');
+    const { default: documentService } = await import('./services/documentService.js');
+
+    // Limpiar conversaciones expiradas
+    schedulerService.registerHandler(SCHEDULED_JOB_TYPES.CLEANUP_EXPIRED_CONVERSATIONS, async () => {
+      const cleaned = await conversationManager.cleanupExpiredConversations();
+      if (cleaned > 0) {
+        logger.info(`Tarea recurrente: ${cleaned} conversaciones expiradas limpiadas`);
       }
-    }, 60 * 60 * 1000); // Cada hora
+    });
 
-    // Limpiar archivos temporales cada 6 horas
-    setInterval(async () => {
-      try {
-        const { default: documentService } = await import('./services/documentService.js');
-        const cleaned = await documentService.cleanupTempFiles(6);
-        if (cleaned > 0) {
-          logger.info(`Tarea recurrente: ${cleaned} archivos temporales limpiados`);
-        }
-      } catch (error) {
-        logger.error('Error en tarea de limpieza de archivos:', error);
+    // Limpiar archivos temporales
+    schedulerService.registerHandler(SCHEDULED_JOB_TYPES.CLEANUP_TEMP_FILES, async () => {
+      const cleaned = await documentService.cleanupTempFiles(6);
+      if (cleaned > 0) {
+        logger.info(`Tarea recurrente: ${cleaned} archivos temporales limpiados`);
       }
-    }, 6 * 60 * 60 * 1000); // Cada 6 horas
+    });
 
-    // Log de estadísticas del sistema cada 30 minutos
-    setInterval(async () => {
-      try {
-        const stats = {
-          uptime: process.uptime(),
-          memory: process.memoryUsage(),
-          cpu: process.cpuUsage(),
-          timestamp: new Date().toISOString()
-        };
-
-        logger.info('Estadísticas del sistema:', {
-          uptime: `${Math.floor(stats.uptime / 3600)}h ${Math.floor((stats.uptime % 3600) / 60)}m`,
-          memoryUsed: `${Math.round(stats.memory.heapUsed / 1024 / 1024)}MB`,
-          memoryTotal: `${Math.round(stats.memory.heapTotal / 1024 / 1024)}MB`
-        });
+    // Eliminar tareas programadas terminadas (los recordatorios se reprograman con cada mensaje)
+    schedulerService.registerHandler(SCHEDULED_JOB_TYPES.CLEANUP_SCHEDULED_JOBS, async () => {
+      const purged = await schedulerService.purgeFinishedJobs();
+      if (purged > 0) {
+        logger.info(`Tarea recurrente: ${purged} tareas programadas antiguas eliminadas`);
+      }
+    });
 
-      } catch (error) {
-        logger.error('Error en tarea de estadísticas:', error);
+    // Eliminar nonces de webhooks vencidos
+    schedulerService.registerHandler(SCHEDULED_JOB_TYPES.CLEANUP_WEBHOOK_NONCES, async () => {
+      const purged = await webhookNonceService.purgeExpired();
+      if (purged > 0) {
+        logger.info(`Tarea recurrente: ${purged} nonces de webhooks vencidos eliminados`);
       }
-    }, 30 * 60 * 1000); // Cada 30 minutos
+    });
+
+    // Log de estadísticas del sistema
+    schedulerService.registerHandler(SCHEDULED_JOB_TYPES.SYSTEM_STATS, async () => {
+      const stats = {
+        uptime: process.uptime(),
+        memory: process.memoryUsage(),
+        cpu: process.cpuUsage(),
+        timestamp: new Date().toISOString()
+      };
+
+      logger.info('Estadísticas del sistema:', {
+        uptime: `${Math.floor(stats.uptime / 3600)}h ${Math.floor((stats.uptime % 3600) / 60)}m`,
+        memoryUsed: `${Math.round(stats.memory.heapUsed / 1024 / 1024)}MB`,
+        memoryTotal: `${Math.round(stats.memory.heapTotal / 1024 / 1024)}MB`
+      });
+    });
+
+    await schedulerService.scheduleRecurring(SCHEDULED_JOB_TYPES.CLEANUP_EXPIRED_CONVERSATIONS, 60 * 60 * 1000); // Cada hora
+    await schedulerService.scheduleRecurring(SCHEDULED_JOB_TYPES.CLEANUP_TEMP_FILES, 6 * 60 * 60 * 1000); // Cada 6 horas
+    await schedulerService.scheduleRecurring(SCHEDULED_JOB_TYPES.SYSTEM_STATS, 30 * 60 * 1000); // Cada 30 minutos
+    await schedulerService.scheduleRecurring(SCHEDULED_JOB_TYPES.CLEANUP_SCHEDULED_JOBS, 24 * 60 * 60 * 1000); // Cada día
+    await schedulerService.scheduleRecurring(SCHEDULED_JOB_TYPES.CLEANUP_WEBHOOK_NONCES, 60 * 60 * 1000); // Cada hora
+
+    await schedulerService.start();
 
     logger.info('Tareas recurrentes programadas');
   }
@@ -5,7 +5,9 @@
 import OpenAI from 'openai';
 import { openai as openaiConfig } from '../config/index.js';
 import logger from '../config/logger.js';
-import { ERROR_CODES, FIELD_QUESTIONS, PROPERTY_TYPES, PROPERTY_CONDITIONS } from '../utils/constants.js';
+import fieldRegistry from '../core/fieldRegistry.js';
+import propertySchema from '../core/propertySchema.js';
+import { ERROR_CODES, PROPERTY_TYPES, PROPERTY_CONDITIONS } from '../utils/constants.js';
 
 class AIService {
   constructor() {
@@ -20,118 +22,48 @@ class AIService {
   /**
    * Función para extraer información de propiedades de respuestas del usuario
    * REGLA CRÍTICA: Usar GPT-4 con function calling, NUNCA regex
+   * @param {string} propertyType - Tipo de propiedad (ajusta campos y rangos)
+   * @returns {Object} Definición de la función
    */
-  get extractPropertyInfoFunction() {
-    return {
+  getExtractPropertyInfoFunction(propertyType = null) {
+    const definition = {
       name: "extract_property_info",
       description: "Extraer información de propiedades inmobiliarias de la respuesta del usuario",
       parameters: {
         type: "object",
         properties: {
-          tipo_propiedad: {
-            type: "string",
-            enum: ["apartamento", "casa", "oficina", "lote", "bodega"],
-            description: "Tipo de propiedad inmobiliaria"
-          },
-          area_construida: {
-            type: "number",
-            description: "Área construida en metros cuadrados"
-          },
-          habitaciones: {
-            type: "integer",
-            minimum: 0,
-            maximum: 20,
-            description: "Número de habitaciones/cuartos/alcobas"
-          },
-          banos: {
-            type: "number",
-            minimum: 0.5,
-            maximum: 10,
-            description: "Número de baños (puede ser decimal como 2.5)"
-          },
-          parqueaderos: {
-            type: "integer",
-            minimum: 0,
-            maximum: 10,
-            description: "Número de parqueaderos/garajes"
-          },
-          piso: {
-            type: "integer",
-            minimum: -5,
-            maximum: 100,
-            description: "Número de piso (solo para apartamentos)"
-          },
-          estrato: {
-            type: "integer",
-            minimum: 1,
-            maximum: 6,
-            description: "Estrato socioeconómico"
-          },
-          ano_construccion: {
-            type: "integer",
-            minimum: 1900,
-            maximum: new Date().getFullYear() + 1,
-            description: "Año de construcción aproximado"
-          },
-          estado_propiedad: {
-            type: "string",
-            enum: ["nuevo", "usado", "remodelar"],
-            description: "Estado actual de la propiedad"
-          },
-          precio_venta: {
-            type: "number",
-            minimum: 50000000,
-            description: "Precio de venta en pesos colombianos"
-          },
-          precio_negociable: {
-            type: "boolean",
-            description: "Si el precio es negociable"
-          },
-          motivo_venta: {
-            type: "string",
-            description: "Motivo por el cual se vende la propiedad"
-          },
-          tiempo_estimado_venta: {
-            type: "string",
-            enum: ["1-3 meses", "3-6 meses", "6-12 meses", "más de 1 año"],
-            description: "Tiempo estimado para vender"
-          },
-          acepta_credito: {
-            type: "boolean",
-            description: "Si acepta crédito hipotecario"
-          },
-          deudas_pendientes: {
-            type: "string",
-            description: "Información sobre deudas pendientes"
-          },
-          descripcion: {
-            type: "string",
-            description: "Descripción detallada del inmueble"
-          },
-          caracteristicas_especiales: {
-            type: "string",
-            description: "Características especiales del inmueble"
-          },
-          servicios_incluidos: {
-            type: "string",
-            description: "Servicios públicos o amenidades incluidos"
-          },
-          restricciones: {
-            type: "string",
-            description: "Restricciones del inmueble"
-          },
+          ...fieldRegistry.getAIExtractionProperties(),
           documento_confirmado: {
             type: "boolean",
             description: "Si el usuario confirma tener un documento"
           },
           documento_tipo: {
             type: "string",
-            enum: ["certificado_existencia", "escritura_publica", "paz_salvo_admin", "recibo_servicios", "certificado_predial"],
+            enum: fieldRegistry.getFields()
+              .filter(field => field.type === 'document')
+              .map(field => field.name),
             description: "Tipo de documento mencionado"
           }
         }
       }
     };
+
+    // Ajustar al esquema del tipo: quitar campos que no aplican y usar sus rangos
+    const properties = definition.parameters.properties;
+    for (const field of Object.keys(properties)) {
+      if (!propertySchema.isFieldApplicable(field, propertyType)) {
+        delete properties[field];
+        continue;
+      }
+
+      const range = propertySchema.getFieldRange(field, propertyType);
+      if (range) {
+        if (range.min !== undefined) properties[field].minimum = range.min;
+        if (range.max !== undefined) properties[field].maximum = range.max;
+      }
+    }
+
+    return definition;
   }
 
   /**
@@ -152,7 +84,7 @@ class AIService {
           { role: "system", content: systemPrompt },
           { role: "user", content: userMessage }
         ],
-        functions: [this.extractPropertyInfoFunction],
+        functions: [this.getExtractPropertyInfoFunction(context.propertyType)],
         function_call: { name: "extract_property_info" },
         temperature: 0.3, // Más determinístico para extracción
         max_tokens: 1000
@@ -222,16 +154,24 @@ CONTEXTO COLOMBIANO:
 `;
 
     // Agregar contexto específico del campo actual
-    if (currentField && FIELD_QUESTIONS[currentField]) {
+    if (currentField && fieldRegistry.getQuestion(currentField)) {
       basePrompt += `\n\nCAMPO ACTUAL: ${currentField}
-PREGUNTA REALIZADA: ${FIELD_QUESTIONS[currentField]}
+PREGUNTA REALIZADA: ${propertySchema.getFieldQuestion(currentField, context.propertyType)}
 Enfócate especialmente en extraer información relacionada con este campo.`;
     }
 
+    // Si el usuario está corrigiendo un dato, extraer solo el valor nuevo
+    if (context.isCorrection) {
+      basePrompt += `\n\nCORRECCIÓN: El usuario está corrigiendo un dato que ya había dado.
+Extrae ÚNICAMENTE el valor corregido (el nuevo), nunca el valor anterior que menciona como error.`;
+    }
+
     // Agregar contexto de la propiedad si está disponible
     if (context.propertyType) {
+      const applicableFields = propertySchema.getPhysicalFields(context.propertyType).join(', ');
       basePrompt += `\n\nTIPO DE PROPIEDAD: ${context.propertyType}
-Ten en cuenta el tipo de propiedad al interpretar la respuesta.`;
+Ten en cuenta el tipo de propiedad al interpretar la respuesta.
+Características físicas que aplican a este tipo: ${applicableFields}. No extraigas las demás.`;
     }
 
     return basePrompt;
@@ -283,7 +223,7 @@ PERSONALIDAD:
 
 INFORMACIÓN RECIBIDA: ${JSON.stringify(extractedInfo)}
 SIGUIENTE CAMPO: ${nextField}
-PREGUNTA PARA EL SIGUIENTE CAMPO: ${FIELD_QUESTIONS[nextField] || ''}
+PREGUNTA PARA EL SIGUIENTE CAMPO: ${fieldRegistry.getQuestion(nextField) || ''}
 
 Genera una respuesta que:
 1. Confirme brevemente la información recibida
@@ -315,11 +255,13 @@ Genera una respuesta que:
    * @returns {string} Respuesta de respaldo
    */
   getFallbackResponse(nextField) {
-    if (!nextField || !FIELD_QUESTIONS[nextField]) {
+    const question = nextField && fieldRegistry.getQuestion(nextField);
+
+    if (!question) {
       return "Perfecto, continuemos con la siguiente información. 👍";
     }
     
-    return `Perfecto. ${FIELD_QUESTIONS[nextField]}`;
+    return `Perfecto. ${question}`;
   }
 
   /**
@@ -335,8 +277,9 @@ Analiza si el usuario está:
 2. HACIENDO UNA PREGUNTA sobre el proceso
 3. SALUDANDO o iniciando conversación
 4. EXPRESANDO CONFUSION o pidiendo clarificación
+5. CORRIGIENDO un dato que ya había dado antes (ej: "me equivoqué, son 3 habitaciones, no 2")
 
-Responde con un JSON: {"type": "respuesta|pregunta|saludo|confusion", "confidence": 0.0-1.0}
+Responde con un JSON: {"type": "respuesta|pregunta|saludo|confusion|correccion", "confidence": 0.0-1.0}
 `;
 
       const response = await this.client.chat.completions.create({
@@ -364,6 +307,49 @@ Responde con un JSON: {"type": "respuesta|pregunta|saludo|confusion", "confidenc
     }
   }
 
+  /**
+   * Detectar si el propietario confirma el resumen de revisión o señala errores
+   * @param {string} message - Mensaje del usuario
+   * @returns {Promise<Object>} Tipo de respuesta a la revisión
+   */
+  async detectReviewResponse(message) {
+    try {
+      const systemPrompt = `
+Al usuario se le mostró un resumen con todos los datos de su propiedad y se le preguntó si son correctos.
+Analiza si el usuario está:
+1. CONFIRMANDO que los datos están correctos
+2. SEÑALANDO UN ERROR o corrigiendo algún dato
+3. Otra cosa (duda, saludo, mensaje ambiguo)
+
+Responde con un JSON: {"type": "confirmacion|correccion|otro", "confidence": 0.0-1.0}
+`;
+
+      const response = await this.client.chat.completions.create({
+        model: this.model,
+        messages: [
+          { role: "system", content: systemPrompt },
+          { role: "user", content: message }
+        ],
+        temperature: 0.1,
+        max_tokens: 100
+      });
+
+      const result = JSON.parse(response.choices[0]?.message?.content || '{"type": "otro", "confidence": 0.5}');
+
+      logger.ai('Respuesta a revisión detectada', {
+        message,
+        result
+      });
+
+      return result;
+
+    } catch (error) {
+      logger.error('Error al detectar respuesta a revisión:', error);
+      // Ante la duda, nunca asumir confirmación
+      return { type: 'otro', confidence: 0 };
+    }
+  }
+
   /**
    * Validar que la respuesta sea apropiada para el campo
    * @param {Object} extractedData - Datos extraídos
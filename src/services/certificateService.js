@@ -0,0 +1,511 @@
+/**
+ * Servicio de lectura del Certificado de Tradición y Libertad
+ * Extrae matrícula, propietarios, dirección, área y anotaciones del texto OCR,
+ * lo contrasta con el formulario y marca las diferencias para revisión de un asesor
+ */
+import createPrismaClient from '../config/database.js';
+import logger from '../config/logger.js';
+import { ENCUMBRANCE_TYPES } from '../utils/constants.js';
+
+// Especificaciones de anotaciones que limitan la venta
+const ENCUMBRANCE_PATTERNS = [
+  { type: ENCUMBRANCE_TYPES.EMBARGO, pattern: /\bEMBARGO/ },
+  { type: ENCUMBRANCE_TYPES.HIPOTECA, pattern: /\bHIPOTECA/ },
+  { type: ENCUMBRANCE_TYPES.AFECTACION_VIVIENDA, pattern: /\bAFECTACION\b.*\bVIVIENDA FAMILIAR/ },
+  { type: ENCUMBRANCE_TYPES.PATRIMONIO_FAMILIA, pattern: /\bPATRIMONIO DE FAMILIA/ },
+  { type: ENCUMBRANCE_TYPES.DEMANDA, pattern: /\bDEMANDA\b/ },
+  { type: ENCUMBRANCE_TYPES.MEDIDA_CAUTELAR, pattern: /\bMEDIDA CAUTELAR|\bPROHIBICION/ }
+];
+
+// Abreviaturas de nomenclatura urbana (la más específica primero)
+const STREET_TYPES = [
+  { code: 'AC', pattern: /\bAVENIDA CALLE\b|\bAV\.? CALLE\b|\bAC\b/g },
+  { code: 'AK', pattern: /\bAVENIDA CARRERA\b|\bAV\.? CARRERA\b|\bAK\b/g },
+  { code: 'CL', pattern: /\bCALLE\b|\bCLL?\b/g },
+  { code: 'KR', pattern: /\bCARRERA\b|\bKRA?\b|\bCRA?\b/g },
+  { code: 'AV', pattern: /\bAVENIDA\b|\bAVDA\b|\bAV\b/g },
+  { code: 'DG', pattern: /\bDIAGONAL\b|\bDG\b/g },
+  { code: 'TV', pattern: /\bTRANSVERSAL\b|\bTRANSV\b|\bTV\b/g }
+];
+
+class CertificateService {
+  constructor() {
+    this.prisma = createPrismaClient();
+  }
+
+  /**
+   * Normalizar texto OCR: mayúsculas sin tildes, espacios simples, conserva saltos de línea
+   * @param {string} text - Texto original
+   * @returns {string} Texto normalizado
+   */
+  normalizeText(text = '') {
+    return text
+      .normalize('NFD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .toUpperCase()
+      .replace(/\r/g, '')
+      .replace(/[ \t]+/g, ' ');
+  }
+
+  /**
+   * Extraer datos estructurados del certificado
+   * @param {string} text - Texto OCR del certificado
+   * @returns {Object} { matricula, propietarios, direccion, direcciones, area, anotaciones }
+   */
+  parseCertificate(text) {
+    const normalized = this.normalizeText(text);
+    const anotaciones = this.parseAnnotations(normalized);
+    const direcciones = this.parseAddresses(normalized);
+
+    return {
+      matricula: this.parseRegistrationNumber(normalized),
+      propietarios: this.getCurrentOwners(anotaciones),
+      direccion: direcciones.at(-1) || null,
+      direcciones,
+      area: this.parseArea(normalized),
+      anotaciones
+    };
+  }
+
+  /**
+   * Extraer el número de matrícula inmobiliaria (ej: 50C-1234567)
+   * @param {string} text - Texto normalizado
+   * @returns {string|null} Matrícula
+   */
+  parseRegistrationNumber(text) {
+    const match = text.match(/MATRICULA(?: INMOBILIARIA)?\s*(?:NRO\.?|NO\.?|N°)?\s*:?\s*(\d{2,3}[A-Z]?\s*-\s*\d{3,})/) ||
+      text.match(/(?<![\d-])(\d{2,3}[A-Z]?-\d{4,})(?![\d-])/);
+
+    return match ? match[1].replace(/\s/g, '') : null;
+  }
+
+  /**
+   * Extraer las direcciones registradas (la última es la vigente)
+   * @param {string} text - Texto normalizado
+   * @returns {Array<string>} Direcciones
+   */
+  parseAddresses(text) {
+    const lines = text.split('\n').map(line => line.trim());
+    const start = lines.findIndex(line => /DIRECCION DEL INMUEBLE/.test(line));
+
+    if (start === -1) {
+      const inline = text.match(/DIRECCION\s*:\s*([^\n]+)/);
+      return inline ? [inline[1].trim()] : [];
+    }
+
+    const addresses = [];
+    for (const line of lines.slice(start + 1, start + 8)) {
+      // Las direcciones se listan numeradas: "1) CALLE 100 # 15-20 APTO 501"
+      const match = line.match(/^\d+\)\s*(.+)$/);
+      if (match) {
+        addresses.push(match[1].trim());
+      } else if (addresses.length > 0 || /^(ANOTACION|DETERMINACION|MATRICULA|COMPLEMENTACION)/.test(line)) {
+        break;
+      }
+    }
+
+    return addresses;
+  }
+
+  /**
+   * Extraer el área en metros cuadrados
+   * @param {string} text - Texto normalizado
+   * @returns {number|null} Área
+   */
+  parseArea(text) {
+    const match = text.match(/AREA(?: (?:CONSTRUIDA|PRIVADA|TOTAL|DE TERRENO|DEL LOTE))?\s*:?\s*(?:DE\s*)?(\d+(?:[.,]\d+)?)\s*(?:M2|MTS2?|MT2|METROS)/);
+    return match ? parseFloat(match[1].replace(',', '.')) : null;
+  }
+
+  /**
+   * Extraer las anotaciones y marcar las canceladas por anotaciones posteriores
+   * @param {string} text - Texto normalizado
+   * @returns {Array<Object>} Anotaciones ({ numero, fecha, especificacion, gravamen, vigente, personas })
+   */
+  parseAnnotations(text) {
+    // Solo al inicio de línea: "SE CANCELA ANOTACION NO: 2" no abre una anotación
+    const parts = `\n${text}`.split(/\n\s*ANOTACION\s*:?\s*(?:NRO|NO)\.?\s*:?\s*(\d+)/);
+    const annotations = [];
+
+    // split con grupo deja [antes, numero1, texto1, numero2, texto2, ...]
+    for (let i = 1; i < parts.length; i += 2) {
+      const body = parts[i + 1] || '';
+      const especificacion = body.match(/ESPECIFICACION\s*:?\s*([^\n]+)/)?.[1].trim() || null;
+      const isCancellation = /^CANCELACION/.test(especificacion || '');
+
+      annotations.push({
+        numero: parseInt(parts[i], 10),
+        fecha: body.match(/FECHA\s*:?\s*(\d{2}[-/]\d{2}[-/]\d{4}|\d{4}[-/]\d{2}[-/]\d{2})/)?.[1] || null,
+        especificacion,
+        gravamen: isCancellation ? null : (ENCUMBRANCE_PATTERNS.find(({ pattern }) => pattern.test(especificacion || ''))?.type || null),
+        cancela: isCancellation ? this.parseCancelledNumbers(body) : [],
+        vigente: true,
+        personas: this.parsePersons(body)
+      });
+    }
+
+    const cancelled = new Set(annotations.flatMap(annotation => annotation.cancela));
+    for (const annotation of annotations) {
+      annotation.vigente = !cancelled.has(annotation.numero);
+    }
+
+    return annotations;
+  }
+
+  /**
+   * Obtener los números de anotación que cancela una anotación
+   * @param {string} body - Texto de la anotación
+   * @returns {Array<number>} Números cancelados
+   */
+  parseCancelledNumbers(body) {
+    const match = body.match(/SE CANCELAN? (?:LA )?ANOTACION(?:ES)?\s*(?:NRO|NO)?\.?\s*:?\s*([\d\s,Y]+)/);
+    return match ? (match[1].match(/\d+/g) || []).map(Number) : [];
+  }
+
+  /**
+   * Extraer las personas que intervienen en el acto (DE: / A:)
+   * La "X" marca al titular del derecho real de dominio
+   * @param {string} body - Texto de la anotación
+   * @returns {Array<Object>} Personas ({ rol, nombre, documento, titular })
+   */
+  parsePersons(body) {
+    const persons = [];
+
+    for (const match of body.matchAll(/^\s*(DE|A)\s*:\s*(.+)$/gm)) {
+      const content = match[2].trim();
+      const documento = content.match(/\b(?:CC|NIT|CE|TI)\s*#?\s*:?\s*([\d.-]+)/)?.[1] || null;
+      const nombre = content
+        .replace(/\b(?:CC|NIT|CE|TI)\s*#?\s*:?\s*[\d.-]+/, '')
+        .replace(/\sX(?=\s|$)/g, '')
+        .trim();
+
+      persons.push({
+        rol: match[1],
+        nombre,
+        documento,
+        titular: /\sX(?=\s|$)/.test(` ${content}`)
+      });
+    }
+
+    return persons;
+  }
+
+  /**
+   * Propietarios actuales: titulares que reciben el dominio en la última anotación que lo transfiere
+   * @param {Array<Object>} annotations - Anotaciones
+   * @returns {Array<Object>} Propietarios ({ nombre, documento })
+   */
+  getCurrentOwners(annotations) {
+    for (const annotation of [...annotations].reverse()) {
+      if (!annotation.vigente) continue;
+
+      const owners = annotation.personas.filter(person => person.rol === 'A' && person.titular);
+      if (owners.length > 0) {
+        return owners.map(({ nombre, documento }) => ({ nombre, documento }));
+      }
+    }
+
+    return [];
+  }
+
+  /**
+   * Reducir una dirección a tipo de vía y números (ej: "CL 100 15 20")
+   * @param {string} address - Dirección
+   * @returns {Object} { type, numbers }
+   */
+  getAddressKey(address) {
+    let text = this.normalizeText(address).replace(/N°|#|\bNO\.?(?=\s*\d)|\bNUMERO\b/g, ' ');
+
+    let type = null;
+    for (const { code, pattern } of STREET_TYPES) {
+      const replaced = text.replace(pattern, ' ');
+      if (!type && replaced !== text) type = code;
+      text = replaced;
+    }
+
+    // "15 A" y "15A" son el mismo número
+    const numbers = (text.match(/\d+\s?[A-Z]?(?![A-Z])/g) || [])
+      .map(number => number.replace(/\s/g, ''))
+      .slice(0, 3);
+
+    return { type, numbers };
+  }
+
+  /**
+   * Comparar dos direcciones por tipo de vía y números principales
+   * @param {string} formAddress - Dirección del formulario
+   * @param {string} certificateAddress - Dirección del certificado
+   * @returns {boolean} True si coinciden
+   */
+  addressesMatch(formAddress, certificateAddress) {
+    const form = this.getAddressKey(formAddress);
+    const certificate = this.getAddressKey(certificateAddress);
+
+    if (form.type && certificate.type && form.type !== certificate.type) return false;
+
+    const length = Math.min(form.numbers.length, certificate.numbers.length);
+    if (length === 0) return false;
+
+    return form.numbers.slice(0, length).every((number, index) => number === certificate.numbers[index]);
+  }
+
+  /**
+   * Separar una matrícula en código de oficina de registro y número (ej: 50C-1234567)
+   * @param {string} value - Matrícula
+   * @returns {Object} { office, number } (office null si no viene)
+   */
+  getRegistrationKey(value) {
+    const text = value.toUpperCase().trim();
+    const match = text.match(/^(\d{2,3}[A-Z]?)[\s-]+(\d+)$/) ||
+      text.replace(/[^0-9A-Z]/g, '').match(/^(\d{2,3}[A-Z])(\d+)$/);
+
+    if (match) {
+      return { office: match[1], number: match[2].replace(/^0+/, '') };
+    }
+
+    return { office: null, number: text.replace(/\D/g, '').replace(/^0+/, '') };
+  }
+
+  /**
+   * Comparar dos matrículas: el número debe ser igual y el código de oficina solo se
+   * omite si el formulario no lo trae
+   * @param {string} formValue - Matrícula del formulario
+   * @param {string} certificateValue - Matrícula del certificado
+   * @returns {boolean} True si coinciden
+   */
+  registrationNumbersMatch(formValue, certificateValue) {
+    const form = this.getRegistrationKey(formValue);
+    const certificate = this.getRegistrationKey(certificateValue);
+
+    if (!form.number || form.number !== certificate.number) return false;
+
+    return !form.office || !certificate.office || form.office === certificate.office;
+  }
+
+  /**
+   * Verificar si el propietario del formulario aparece entre los titulares
+   * Los nombres en el certificado vienen como "APELLIDOS NOMBRES"
+   * @param {Object} property - Propiedad (nombre, apellido)
+   * @param {Array<Object>} owners - Propietarios del certificado
+   * @returns {boolean} True si coincide algún titular
+   */
+  ownerMatches(property, owners) {
+    const tokens = value => this.normalizeText(value || '').split(/\s+/).filter(token => token.length > 1);
+    const [firstName] = tokens(property.nombre);
+    const [lastName] = tokens(property.apellido);
+
+    return owners.some(owner => {
+      const ownerTokens = tokens(owner.nombre);
+      return ownerTokens.includes(firstName) && ownerTokens.includes(lastName);
+    });
+  }
+
+  /**
+   * Contrastar los datos del certificado con el formulario
+   * @param {Object} data - Datos extraídos (parseCertificate)
+   * @param {Object} property - Propiedad
+   * @returns {Array<Object>} Discrepancias ({ campo, formulario, certificado })
+   */
+  compareWithProperty(data, property) {
+    const discrepancies = [];
+
+    if (data.matricula && property.matricula_inmobiliaria &&
+        !this.registrationNumbersMatch(property.matricula_inmobiliaria, data.matricula)) {
+      discrepancies.push({
+        campo: 'matricula_inmobiliaria',
+        formulario: property.matricula_inmobiliaria,
+        certificado: data.matricula
+      });
+    }
+
+    if (data.propietarios.length > 0 && property.nombre && !this.ownerMatches(property, data.propietarios)) {
+      discrepancies.push({
+        campo: 'propietario',
+        formulario: `${property.nombre} ${property.apellido}`.trim(),
+        certificado: data.propietarios.map(owner => owner.nombre).join(', ')
+      });
+    }
+
+    if (data.direcciones.length > 0 && property.direccion_inmueble &&
+        !data.direcciones.some(address => this.addressesMatch(property.direccion_inmueble, address))) {
+      discrepancies.push({
+        campo: 'direccion_inmueble',
+        formulario: property.direccion_inmueble,
+        certificado: data.direccion
+      });
+    }
+
+    return discrepancies;
+  }
+
+  /**
+   * Revisar un certificado recibido: extraer datos, contrastar y notificar si requiere revisión
+   * @param {string} documentId - ID del documento
+   * @returns {Promise<Object>} Resultado de la revisión
+   */
+  async reviewCertificate(documentId) {
+    try {
+      const document = await this.prisma.document.findUnique({
+        where: { id: documentId },
+        include: { property: true }
+      });
+
+      if (!document?.ocr_texto) {
+        return { success: false, error: 'Documento sin texto para revisar' };
+      }
+
+      const data = this.parseCertificate(document.ocr_texto);
+      const discrepancies = this.compareWithProperty(data, document.property);
+      const encumbrances = data.anotaciones.filter(annotation => annotation.gravamen && annotation.vigente);
+      const requiresReview = discrepancies.length > 0 || encumbrances.length > 0;
+
+      await this.prisma.document.update({
+        where: { id: documentId },
+        data: {
+          datos_extraidos: data,
+          discrepancias: discrepancies,
+          requiere_revision: requiresReview
+        }
+      });
+
+      logger.info('Certificado de tradición revisado', {
+        documentId,
+        propertyId: document.property_id,
+        matricula: data.matricula,
+        owners: data.propietarios.length,
+        annotations: data.anotaciones.length,
+        discrepancies: discrepancies.length,
+        encumbrances: encumbrances.length
+      });
+
+      if (requiresReview) {
+        await this.flagForReview(document, discrepancies, encumbrances);
+      }
+
+      return {
+        success: true,
+        data,
+        discrepancies,
+        encumbrances,
+        requiresReview
+      };
+
+    } catch (error) {
+      logger.error('Error al revisar certificado de tradición:', {
+        documentId,
+        error: error.message
+      });
+
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Registrar y notificar a los asesores un certificado que requiere revisión
+   * @param {Object} document - Documento (con propiedad)
+   * @param {Array<Object>} discrepancies - Diferencias con el formulario
+   * @param {Array<Object>} encumbrances - Gravámenes vigentes
+   */
+  async flagForReview(document, discrepancies, encumbrances) {
+    await this.prisma.activityLog.create({
+      data: {
+        entidad: 'Property',
+        entidad_id: document.property_id,
+        accion: 'REVISION_CERTIFICADO',
+        descripcion: 'El certificado de tradición no coincide con el formulario o tiene gravámenes vigentes',
+        metadata: {
+          documentId: document.id,
+          discrepancias: discrepancies,
+          gravamenes: encumbrances.map(({ numero, especificacion, gravamen }) => ({ numero, especificacion, gravamen }))
+        }
+      }
+    });
+
+    // Importar aquí: el cliente de email exige API key al cargarse
+    const { default: emailService } = await import('./emailService.js');
+    const emailResult = await emailService.sendCertificateReviewNotification({
+      property: document.property,
+      documentId: document.id,
+      discrepancies,
+      encumbrances
+    });
+
+    if (!emailResult.success) {
+      logger.error('Error al notificar revisión de certificado:', emailResult);
+    }
+  }
+
+  /**
+   * Listar documentos marcados para revisión
+   * @param {Object} filters - page y limit
+   * @returns {Promise<Object>} Documentos y total
+   */
+  async getDocumentsForReview({ page = 1, limit = 50 } = {}) {
+    const where = { requiere_revision: true };
+
+    const [documents, totalCount] = await Promise.all([
+      this.prisma.document.findMany({
+        where,
+        orderBy: { createdAt: 'desc' },
+        skip: (page - 1) * limit,
+        take: limit,
+        select: {
+          id: true,
+          nombre: true,
+          tipo: true,
+          datos_extraidos: true,
+          discrepancias: true,
+          createdAt: true,
+          property: {
+            select: {
+              id: true,
+              nombre: true,
+              apellido: true,
+              direccion_inmueble: true,
+              matricula_inmobiliaria: true
+            }
+          }
+        }
+      }),
+      this.prisma.document.count({ where })
+    ]);
+
+    return { documents, totalCount };
+  }
+
+  /**
+   * Marcar un documento como revisado por un asesor
+   * @param {string} documentId - ID del documento
+   * @param {string} reviewedBy - Usuario que revisa
+   * @returns {Promise<Object>} Resultado de la operación
+   */
+  async resolveReview(documentId, reviewedBy = null) {
+    const document = await this.prisma.document.findUnique({ where: { id: documentId } });
+
+    if (!document) {
+      return { success: false, error: 'Documento no encontrado' };
+    }
+
+    await this.prisma.document.update({
+      where: { id: documentId },
+      data: { requiere_revision: false }
+    });
+
+    await this.prisma.activityLog.create({
+      data: {
+        entidad: 'Property',
+        entidad_id: document.property_id,
+        accion: 'CERTIFICADO_REVISADO',
+        descripcion: 'Revisión del certificado de tradición completada',
+        metadata: { documentId, reviewedBy }
+      }
+    });
+
+    return { success: true };
+  }
+}
+
+// Crear instancia singleton
+const certificateService = new CertificateService();
+
+export default certificateService;
@@ -7,14 +7,93 @@ import sharp from 'sharp';
 // REMOVIDO: import pdfParse from 'pdf-parse'; 
 // Se usa importación dinámica para evitar el error de inicialización
 import { promises as fs } from 'fs';
-import { join, extname } from 'path';
+import { join, extname, basename } from 'path';
+import { execFile } from 'child_process';
+import { promisify } from 'util';
 import { v4 as uuidv4 } from 'uuid';
+import whatsappService from './whatsappService.js';
+import storageService from './storageService.js';
+import fileScanService from './fileScanService.js';
+import createPrismaClient from '../config/database.js';
 import logger from '../config/logger.js';
-import { FILE_CONFIG, ERROR_CODES, DOCUMENT_TYPES } from '../utils/constants.js';
+import {
+  videoFrames as videoConfig,
+  photoDuplicates as duplicateConfig,
+  photoQuality as qualityConfig,
+  imageDerivatives as derivativesConfig
+} from '../config/index.js';
+import {
+  FILE_CONFIG,
+  ERROR_CODES,
+  DOCUMENT_TYPES,
+  DOCUMENT_CLASSIFICATION,
+  DOCUMENT_VALIDITY_DAYS,
+  PHOTO_QUALITY_ISSUES,
+  STORAGE_PREFIXES,
+  QUARANTINE_REASONS,
+  TIMEOUTS
+} from '../utils/constants.js';
+
+const execFileAsync = promisify(execFile);
+
+// Frases características de cada documento (texto normalizado sin tildes) y su peso
+const DOCUMENT_SIGNATURES = {
+  [DOCUMENT_TYPES.CERTIFICADO_EXISTENCIA]: [
+    [/certificado de existencia/, 3],
+    [/representacion legal/, 3],
+    [/camara de comercio/, 2],
+    [/matricula mercantil/, 2],
+    [/razon social/, 1]
+  ],
+  [DOCUMENT_TYPES.ESCRITURA_PUBLICA]: [
+    [/escritura publica/, 3],
+    [/notari[ao]/, 2],
+    [/comparecio|comparecieron/, 2],
+    [/otorgantes?/, 1],
+    [/protocolo/, 1]
+  ],
+  [DOCUMENT_TYPES.CERTIFICADO_PREDIAL]: [
+    [/tradicion y libertad/, 3],
+    [/matricula inmobiliaria/, 3],
+    [/registro de instrumentos publicos/, 3],
+    [/superintendencia de notariado/, 2],
+    [/anotacion/, 1]
+  ],
+  [DOCUMENT_TYPES.PAZ_SALVO_ADMIN]: [
+    [/paz y salvo/, 3],
+    [/propiedad horizontal/, 2],
+    [/cuotas? de administracion/, 2],
+    [/administracion/, 1]
+  ],
+  [DOCUMENT_TYPES.RECIBO_SERVICIOS]: [
+    [/servicios publicos/, 2],
+    [/acueducto|alcantarillado/, 1],
+    [/energia|kwh/, 1],
+    [/gas natural/, 1],
+    [/periodo facturado|pago oportuno/, 1],
+    [/consumo/, 1]
+  ]
+};
+
+// Meses en español (nombre completo o abreviado, sin tildes)
+const MONTHS = {
+  ene: 1, feb: 2, mar: 3, abr: 4, may: 5, jun: 6,
+  jul: 7, ago: 8, sep: 9, set: 9, oct: 10, nov: 11, dic: 12
+};
+
+// Rótulos que preceden la fecha de expedición en certificados y recibos
+const ISSUE_DATE_LABELS = /(fecha (?:y hora )?de (?:expedicion|emision|impresion|generacion|facturacion)|fecha (?:expedicion|emision|factura(?:cion)?)|expedid[oa] el|impreso el|generado el)\s*:?\s*/g;
+
+// Bandas del hash perceptual: dos hashes a menos de 8 bits de distancia comparten al menos una banda
+const PHOTO_HASH_BANDS = 8;
+
+// Peso de cada aspecto en el puntaje de calidad de una foto (suman 100)
+const PHOTO_QUALITY_WEIGHTS = { resolution: 30, sharpness: 35, exposure: 25, orientation: 10 };
 
 class DocumentService {
   constructor() {
-    this.uploadDir = 'uploads';
+    this.prisma = createPrismaClient();
+    // Los temporales siempre van a disco local: OCR, ffmpeg y sharp trabajan sobre archivos
     this.tempDir = 'temp';
     this.allowedTypes = FILE_CONFIG.ALLOWED_TYPES;
     this.maxFileSize = FILE_CONFIG.MAX_SIZE;
@@ -28,11 +107,10 @@ class DocumentService {
    */
   async initializeDirectories() {
     try {
-      await fs.mkdir(this.uploadDir, { recursive: true });
       await fs.mkdir(this.tempDir, { recursive: true });
       logger.info('Directorios de documentos inicializados', {
-        uploadDir: this.uploadDir,
-        tempDir: this.tempDir
+        tempDir: this.tempDir,
+        storage: storageService.getProviderName()
       });
     } catch (error) {
       logger.error('Error al inicializar directorios:', error);
@@ -43,10 +121,10 @@ class DocumentService {
    * Procesar documento recibido por WhatsApp
    * @param {Object} fileData - Datos del archivo recibido
    * @param {string} propertyId - ID de la propiedad
-   * @param {string} documentType - Tipo de documento
-   * @returns {Promise<Object>} Resultado del procesamiento
+   * @param {string} documentType - Tipo de documento (si no se indica, se clasifica por contenido)
+   * @returns {Promise<Object>} Resultado del procesamiento (incluye classification)
    */
-  async processDocument(fileData, propertyId, documentType) {
+  async processDocument(fileData, propertyId, documentType = null) {
     let tempFilePath = null;
     
     try {
@@ -69,13 +147,18 @@ class DocumentService {
         };
       }
 
-      // Generar nombre único para el archivo
-      const uniqueFilename = this.generateUniqueFilename(propertyId, documentType, fileExtension);
-      const finalPath = join(this.uploadDir, uniqueFilename);
       tempFilePath = join(this.tempDir, `temp_${uuidv4()}.${fileExtension}`);
 
-      // Descargar archivo temporal
-      await this.downloadFile(fileData.url, tempFilePath);
+      // Descargar archivo temporal (solo si su contenido real es seguro)
+      const inspection = await this.downloadFile(fileData, tempFilePath, propertyId, fileExtension);
+      if (!inspection.safe) {
+        return {
+          success: false,
+          error: ERROR_CODES.FILE_ERROR,
+          quarantined: Boolean(inspection.reason),
+          message: this.getRejectionMessage(inspection, fileExtension)
+        };
+      }
 
       // Procesar según el tipo de archivo
       let extractedText = '';
@@ -93,16 +176,30 @@ class DocumentService {
         processedData = pdfResult;
       }
 
-      // Mover archivo a ubicación final
-      await fs.rename(tempFilePath, finalPath);
+      // Clasificar por contenido
+      const classification = this.classifyDocument(extractedText);
+      const resolvedType = documentType || classification.type ||
+        (this.isImageFile(fileExtension) ? DOCUMENT_TYPES.FOTOS_INMUEBLE : null);
+
+      // Hash perceptual para detectar fotos repetidas y calidad para el anuncio
+      const isImage = this.isImageFile(fileExtension);
+      const perceptualHash = isImage ? await this.getImageHash(tempFilePath) : null;
+      const quality = isImage ? await this.scorePhotoQuality(tempFilePath) : null;
+
+      // Guardar archivo en el almacenamiento
+      const uniqueFilename = this.generateUniqueFilename(propertyId, resolvedType || 'documento', fileExtension);
+      const storageKey = storageService.buildKey(STORAGE_PREFIXES.UPLOADS, uniqueFilename);
+      await storageService.put(storageKey, tempFilePath, { contentType: fileData.mimeType });
+      await fs.unlink(tempFilePath);
       tempFilePath = null; // Ya no necesita limpieza
 
       // Validar contenido del documento si es necesario
-      const validation = await this.validateDocumentContent(extractedText, documentType);
+      const validation = await this.validateDocumentContent(extractedText, resolvedType);
 
       logger.info('Documento procesado exitosamente', {
         propertyId,
-        documentType,
+        documentType: resolvedType,
+        classification: { type: classification.type, confidence: classification.confidence },
         filename: uniqueFilename,
         extractedTextLength: extractedText.length,
         validation: validation.isValid
@@ -111,10 +208,13 @@ class DocumentService {
       return {
         success: true,
         filename: uniqueFilename,
-        path: finalPath,
+        storageKey,
         extractedText,
         processedData,
+        classification,
         validation,
+        perceptualHash,
+        quality,
         fileSize: fileData.size,
         originalName: fileData.filename || fileData.name
       };
@@ -245,6 +345,116 @@ class DocumentService {
     }
   }
 
+  /**
+   * Clasificar un documento según su texto (OCR o PDF)
+   * @param {string} text - Texto extraído
+   * @returns {Object} { type, confidence, scores } (type null si no hay evidencia)
+   */
+  classifyDocument(text = '') {
+    const normalized = text
+      .toLowerCase()
+      .normalize('NFD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .replace(/\s+/g, ' ');
+
+    const scores = {};
+    for (const [type, signatures] of Object.entries(DOCUMENT_SIGNATURES)) {
+      scores[type] = signatures.reduce((score, [pattern, weight]) =>
+        pattern.test(normalized) ? score + weight : score, 0);
+    }
+
+    const [[bestType, bestScore], [, secondScore]] = Object.entries(scores)
+      .sort(([, a], [, b]) => b - a);
+
+    if (bestScore === 0) {
+      return { type: null, confidence: 0, scores };
+    }
+
+    // Qué tanto domina el mejor tipo, ponderado por la cantidad de evidencia
+    const dominance = bestScore / (bestScore + secondScore);
+    const evidence = Math.min(1, bestScore / DOCUMENT_CLASSIFICATION.STRONG_SCORE);
+
+    return {
+      type: bestType,
+      confidence: Math.round(dominance * evidence * 100) / 100,
+      scores
+    };
+  }
+
+  /**
+   * Extraer la fecha de expedición del texto (solo fechas precedidas por su rótulo)
+   * @param {string} text - Texto extraído
+   * @returns {Date|null} Fecha de expedición
+   */
+  extractIssueDate(text = '') {
+    const normalized = text.toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '').replace(/\s+/g, ' ');
+    const latestValid = Date.now() + 24 * 60 * 60 * 1000;
+
+    for (const match of normalized.matchAll(ISSUE_DATE_LABELS)) {
+      const fragment = normalized.slice(match.index + match[0].length, match.index + match[0].length + 40);
+      const date = this.parseSpanishDate(fragment);
+
+      if (date && date.getTime() <= latestValid) {
+        return date;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Interpretar una fecha al inicio del texto: 10/10/2026, 2026-10-10, 10 de octubre de 2026, 10-OCT-2026
+   * @param {string} fragment - Texto normalizado que empieza con la fecha
+   * @returns {Date|null} Fecha
+   */
+  parseSpanishDate(fragment) {
+    let day, month, year;
+    let match;
+
+    if ((match = fragment.match(/^(\d{4})[-/.](\d{1,2})[-/.](\d{1,2})/))) {
+      [, year, month, day] = match.map(Number);
+    } else if ((match = fragment.match(/^(\d{1,2})[-/.](\d{1,2})[-/.](\d{4})/))) {
+      [, day, month, year] = match.map(Number);
+    } else if ((match = fragment.match(/^(\d{1,2})(?: de |[- ])([a-z]{3})[a-z]*\.?(?: de(?:l)? |[- ])(\d{4})/))) {
+      [day, month, year] = [Number(match[1]), MONTHS[match[2]], Number(match[3])];
+    } else if ((match = fragment.match(/^([a-z]{3})[a-z]* (\d{1,2})(?: de(?:l)?|,)? (\d{4})/))) {
+      [day, month, year] = [Number(match[2]), MONTHS[match[1]], Number(match[3])];
+    } else {
+      return null;
+    }
+
+    const date = new Date(year, month - 1, day);
+    const isValid = month >= 1 && month <= 12 && date.getMonth() === month - 1 && date.getDate() === day;
+
+    return isValid ? date : null;
+  }
+
+  /**
+   * Verificar la vigencia de un documento según su tipo
+   * @param {string} documentType - Tipo de documento
+   * @param {string} extractedText - Texto extraído
+   * @param {Date} now - Fecha de referencia
+   * @returns {Object} { applies, maxAgeDays, issueDate, expiresAt, isExpired }
+   */
+  getDocumentFreshness(documentType, extractedText, now = new Date()) {
+    const maxAgeDays = DOCUMENT_VALIDITY_DAYS[documentType];
+
+    if (!maxAgeDays) {
+      return { applies: false, maxAgeDays: null, issueDate: null, expiresAt: null, isExpired: false };
+    }
+
+    const issueDate = this.extractIssueDate(extractedText);
+    const expiresAt = issueDate ? new Date(issueDate.getTime() + maxAgeDays * 24 * 60 * 60 * 1000) : null;
+
+    return {
+      applies: true,
+      maxAgeDays,
+      issueDate,
+      expiresAt,
+      isExpired: Boolean(expiresAt && expiresAt <= now)
+    };
+  }
+
   /**
    * Validar contenido del documento según su tipo
    * @param {string} extractedText - Texto extraído del documento
@@ -292,10 +502,20 @@ class DocumentService {
           confidence = 0.5;
       }
 
+      // Certificados y recibos solo se aceptan recientes
+      const freshness = this.getDocumentFreshness(documentType, extractedText);
+      if (freshness.isExpired) {
+        isValid = false;
+        issues.push(`El documento tiene más de ${freshness.maxAgeDays} días de expedido`);
+      } else if (freshness.applies && !freshness.issueDate) {
+        issues.push('No se encontró la fecha de expedición');
+      }
+
       return {
         isValid,
         confidence,
         issues,
+        freshness,
         hasText: extractedText.length > 0,
         textLength: extractedText.length
       };
@@ -313,19 +533,556 @@ class DocumentService {
   }
 
   /**
-   * Descargar archivo desde URL
-   * @param {string} url - URL del archivo
+   * Extraer fotos del inmueble a partir de un video (recorrido)
+   * Se muestrea un cuadro por intervalo y se descartan los borrosos y los casi duplicados
+   * @param {Object} fileData - Datos del video recibido
+   * @param {string} propertyId - ID de la propiedad
+   * @returns {Promise<Object>} Resultado con las fotos guardadas
+   */
+  async extractVideoFrames(fileData, propertyId) {
+    const workDir = join(this.tempDir, `video_${uuidv4()}`);
+
+    try {
+      if (fileData.size && fileData.size > videoConfig.maxVideoSize) {
+        return {
+          success: false,
+          error: ERROR_CODES.FILE_ERROR,
+          message: `Video demasiado grande. Máximo ${videoConfig.maxVideoSize / 1024 / 1024}MB`
+        };
+      }
+
+      await fs.mkdir(workDir, { recursive: true });
+      const videoExtension = this.getFileExtension(fileData.filename || '') || 'mp4';
+      const videoPath = join(workDir, `video.${videoExtension}`);
+      const inspection = await this.downloadFile(fileData, videoPath, propertyId, videoExtension);
+      if (!inspection.safe) {
+        return {
+          success: false,
+          error: ERROR_CODES.FILE_ERROR,
+          quarantined: Boolean(inspection.reason),
+          message: this.getRejectionMessage(inspection, videoExtension)
+        };
+      }
+
+      // Muestrear cuadros con ffmpeg
+      await execFileAsync(videoConfig.ffmpegPath, [
+        '-i', videoPath,
+        '-t', String(videoConfig.maxVideoSeconds),
+        '-vf', `fps=1/${videoConfig.sampleIntervalSeconds},scale='min(1600,iw)':-2`,
+        '-q:v', '2',
+        join(workDir, 'frame_%04d.jpg')
+      ], { timeout: TIMEOUTS.FILE_UPLOAD });
+
+      const frameFiles = (await fs.readdir(workDir))
+        .filter(file => file.startsWith('frame_'))
+        .sort();
+
+      const candidates = [];
+      let blurry = 0;
+      let duplicates = 0;
+
+      for (const [index, frameFile] of frameFiles.entries()) {
+        const framePath = join(workDir, frameFile);
+        const sharpness = await this.getImageSharpness(framePath);
+
+        if (sharpness < videoConfig.blurThreshold) {
+          blurry++;
+          continue;
+        }
+
+        const hash = await this.getImageHash(framePath);
+        const similar = candidates.find(candidate =>
+          this.hashDistance(candidate.hash, hash) <= videoConfig.duplicateDistance
+        );
+
+        // De dos cuadros casi iguales se conserva el más nítido
+        if (similar) {
+          duplicates++;
+          if (sharpness > similar.sharpness) {
+            Object.assign(similar, { path: framePath, sharpness, hash, second: index * videoConfig.sampleIntervalSeconds });
+          }
+          continue;
+        }
+
+        candidates.push({ path: framePath, sharpness, hash, second: index * videoConfig.sampleIntervalSeconds });
+      }
+
+      const selected = this.pickEvenly(candidates, videoConfig.maxFrames);
+
+      if (selected.length === 0) {
+        return {
+          success: false,
+          error: ERROR_CODES.FILE_ERROR,
+          message: 'No encontré cuadros nítidos en el video. ¿Podrías grabarlo con más luz y más despacio, o enviar fotos?'
+        };
+      }
+
+      // Guardar las fotos elegidas como fotos del inmueble
+      const frames = [];
+      for (const frame of selected) {
+        const filename = this.generateUniqueFilename(propertyId, DOCUMENT_TYPES.FOTOS_INMUEBLE, 'jpg');
+        const storageKey = storageService.buildKey(STORAGE_PREFIXES.UPLOADS, filename);
+
+        const content = await sharp(frame.path)
+          .jpeg({ quality: 85 })
+          .toBuffer();
+        await storageService.put(storageKey, content, { contentType: 'image/jpeg' });
+
+        frames.push({
+          filename,
+          storageKey,
+          fileSize: content.length,
+          quality: await this.scorePhotoQuality(content),
+          sharpness: Math.round(frame.sharpness),
+          perceptualHash: frame.hash,
+          second: frame.second
+        });
+      }
+
+      logger.info('Fotos extraídas de video', {
+        propertyId,
+        sampledFrames: frameFiles.length,
+        blurry,
+        duplicates,
+        saved: frames.length
+      });
+
+      return {
+        success: true,
+        frames,
+        sampledFrames: frameFiles.length,
+        originalName: fileData.filename
+      };
+
+    } catch (error) {
+      logger.error('Error al extraer fotos de video:', {
+        propertyId,
+        error: error.message
+      });
+
+      return {
+        success: false,
+        error: ERROR_CODES.FILE_ERROR,
+        message: error.message
+      };
+
+    } finally {
+      await fs.rm(workDir, { recursive: true, force: true }).catch(() => {});
+    }
+  }
+
+  /**
+   * Calcular nitidez de una imagen (varianza del laplaciano en escala de grises)
+   * @param {string|Buffer} input - Ruta o contenido de la imagen
+   * @returns {Promise<number>} Varianza; valores bajos indican imagen borrosa
+   */
+  async getImageSharpness(input) {
+    const { data, info } = await this.getGreyscalePixels(input);
+    return this.laplacianVariance(data, info);
+  }
+
+  /**
+   * Obtener los píxeles en escala de grises, reducidos a 800 px, para medir nitidez y brillo
+   * stats() describe la imagen de entrada e ignora el pipeline, así que se mide sobre estos píxeles
+   * @param {string|Buffer} input - Ruta o contenido de la imagen
+   * @returns {Promise<Object>} { data, info } de sharp
+   */
+  async getGreyscalePixels(input) {
+    return sharp(input)
+      .greyscale()
+      .resize(800, 800, { fit: 'inside', withoutEnlargement: true })
+      .raw()
+      .toBuffer({ resolveWithObject: true });
+  }
+
+  /**
+   * Brillo medio (0 a 255) del primer canal de píxeles crudos
+   * @param {Buffer} data - Píxeles crudos
+   * @param {Object} info - { channels } devuelto por sharp
+   * @returns {number} Brillo medio
+   */
+  meanBrightness(data, { channels }) {
+    let sum = 0;
+    for (let index = 0; index < data.length; index += channels) {
+      sum += data[index];
+    }
+
+    return data.length > 0 ? sum / (data.length / channels) : 0;
+  }
+
+  /**
+   * Varianza del laplaciano (kernel 3x3 de 4 vecinos) sobre píxeles crudos
+   * Se calcula aquí y no con convolve() para no recortar los valores negativos a 0
+   * @param {Buffer} data - Píxeles crudos
+   * @param {Object} info - { width, height, channels } devuelto por sharp
+   * @returns {number} Varianza
+   */
+  laplacianVariance(data, { width, height, channels }) {
+    if (width < 3 || height < 3) return 0;
+
+    const pixel = (x, y) => data[(y * width + x) * channels];
+    let sum = 0;
+    let sumSquares = 0;
+
+    for (let y = 1; y < height - 1; y++) {
+      for (let x = 1; x < width - 1; x++) {
+        const value = pixel(x, y - 1) + pixel(x - 1, y) + pixel(x + 1, y) + pixel(x, y + 1) - 4 * pixel(x, y);
+        sum += value;
+        sumSquares += value * value;
+      }
+    }
+
+    const count = (width - 2) * (height - 2);
+    const mean = sum / count;
+    return sumSquares / count - mean ** 2;
+  }
+
+  /**
+   * Evaluar si una foto sirve para el anuncio: resolución, nitidez, exposición y orientación
+   * Cada aspecto por debajo de su umbral genera un consejo; la foto se acepta según el puntaje total
+   * @param {string|Buffer} input - Ruta o contenido de la imagen
+   * @returns {Promise<Object>} { score (0 a 100), accepted, issues, metrics }
+   */
+  async scorePhotoQuality(input) {
+    const [metadata, { data, info }] = await Promise.all([
+      sharp(input).metadata(),
+      this.getGreyscalePixels(input)
+    ]);
+
+    // Orientación EXIF 5 a 8: la foto se muestra rotada 90°
+    const rotated = metadata.orientation >= 5;
+    const width = rotated ? metadata.height : metadata.width;
+    const height = rotated ? metadata.width : metadata.height;
+    const sharpness = this.laplacianVariance(data, info);
+    const brightness = this.meanBrightness(data, info);
+
+    const subscores = {
+      resolution: Math.min(1, Math.min(width, height) / qualityConfig.minShortSide),
+      sharpness: Math.min(1, sharpness / qualityConfig.blurThreshold),
+      exposure: brightness < qualityConfig.minBrightness
+        ? brightness / qualityConfig.minBrightness
+        : brightness > qualityConfig.maxBrightness
+          ? (255 - brightness) / (255 - qualityConfig.maxBrightness)
+          : 1,
+      orientation: height > width ? 0.5 : 1
+    };
+
+    const issues = [];
+    if (subscores.resolution < 1) issues.push(PHOTO_QUALITY_ISSUES.LOW_RESOLUTION);
+    if (subscores.sharpness < 1) issues.push(PHOTO_QUALITY_ISSUES.BLURRY);
+    if (brightness < qualityConfig.minBrightness) issues.push(PHOTO_QUALITY_ISSUES.TOO_DARK);
+    if (brightness > qualityConfig.maxBrightness) issues.push(PHOTO_QUALITY_ISSUES.TOO_BRIGHT);
+    if (subscores.orientation < 1) issues.push(PHOTO_QUALITY_ISSUES.PORTRAIT);
+
+    const score = Math.round(Object.entries(PHOTO_QUALITY_WEIGHTS)
+      .reduce((total, [aspect, weight]) => total + subscores[aspect] * weight, 0));
+
+    return {
+      score,
+      accepted: this.isPhotoAccepted(score),
+      issues,
+      metrics: {
+        width,
+        height,
+        sharpness: Math.round(sharpness),
+        brightness: Math.round(brightness)
+      }
+    };
+  }
+
+  /**
+   * Una foto cuenta para el mínimo si su puntaje alcanza el configurado
+   * @param {number|null} score - Puntaje de calidad (null si no se evaluó)
+   * @returns {boolean} True si la foto es aceptable
+   */
+  isPhotoAccepted(score) {
+    return score === null || score === undefined || score >= qualityConfig.minScore;
+  }
+
+  /**
+   * Calcular hash perceptual (dHash de 64 bits) de una imagen
+   * @param {string|Buffer} input - Ruta o contenido de la imagen
+   * @returns {Promise<string>} Hash en hexadecimal (16 caracteres)
+   */
+  async getImageHash(input) {
+    const pixels = await sharp(input)
+      .greyscale()
+      .resize(9, 8, { fit: 'fill' })
+      .raw()
+      .toBuffer();
+
+    let hash = 0n;
+    for (let row = 0; row < 8; row++) {
+      for (let col = 0; col < 8; col++) {
+        const left = pixels[row * 9 + col];
+        const right = pixels[row * 9 + col + 1];
+        hash = (hash << 1n) | (left > right ? 1n : 0n);
+      }
+    }
+
+    return hash.toString(16).padStart(16, '0');
+  }
+
+  /**
+   * Distancia de Hamming entre dos hashes perceptuales
+   * @param {string} hashA - Hash en hexadecimal
+   * @param {string} hashB - Hash en hexadecimal
+   * @returns {number} Bits diferentes (0 = imágenes casi idénticas)
+   */
+  hashDistance(hashA, hashB) {
+    let diff = BigInt(`0x${hashA}`) ^ BigInt(`0x${hashB}`);
+    let distance = 0;
+    while (diff > 0n) {
+      distance += Number(diff & 1n);
+      diff >>= 1n;
+    }
+    return distance;
+  }
+
+  /**
+   * Dividir un hash perceptual en bandas indexables ("posición:valor")
+   * @param {string|null} hash - Hash en hexadecimal
+   * @returns {Array<string>} Bandas (vacío si no hay hash)
+   */
+  getHashBands(hash) {
+    if (!hash) return [];
+
+    const size = hash.length / PHOTO_HASH_BANDS;
+    return Array.from({ length: PHOTO_HASH_BANDS }, (_, index) =>
+      `${index}:${hash.slice(index * size, (index + 1) * size)}`);
+  }
+
+  /**
+   * Calcular las bandas de las fotos registradas antes de que existiera hash_bandas
+   * @returns {Promise<number>} Fotos actualizadas
+   */
+  async backfillHashBands() {
+    const photos = await this.prisma.document.findMany({
+      where: { hash_perceptual: { not: null }, hash_bandas: { isEmpty: true } },
+      select: { id: true, hash_perceptual: true }
+    });
+
+    for (const photo of photos) {
+      await this.prisma.document.update({
+        where: { id: photo.id },
+        data: { hash_bandas: this.getHashBands(photo.hash_perceptual) }
+      });
+    }
+
+    logger.info('Bandas de hash perceptual calculadas', { count: photos.length });
+    return photos.length;
+  }
+
+  /**
+   * Buscar fotos ya recibidas parecidas a una nueva
+   * @param {string} propertyId - Propiedad que recibe la foto
+   * @param {string} hash - Hash perceptual de la foto
+   * @param {string} excludeId - Documento de la propia foto (ya registrado)
+   * @returns {Promise<Object>} { sameProperty: { documentId, distance } o null, otherProperties: [{ documentId, propertyId, distance }] }
+   */
+  async findSimilarPhotos(propertyId, hash, excludeId = null) {
+    // La distancia de Hamming no se puede indexar: el índice de bandas trae solo candidatas
+    // y la distancia exacta se compara en memoria
+    const photos = await this.prisma.document.findMany({
+      where: {
+        tipo: DOCUMENT_TYPES.FOTOS_INMUEBLE,
+        hash_bandas: { hasSome: this.getHashBands(hash) },
+        ...(excludeId && { id: { not: excludeId } })
+      },
+      select: { id: true, property_id: true, hash_perceptual: true, duplicado_de: true, puntaje_calidad: true }
+    });
+
+    let sameProperty = null;
+    const otherProperties = [];
+
+    for (const photo of photos) {
+      const distance = this.hashDistance(photo.hash_perceptual, hash);
+
+      if (photo.property_id === propertyId) {
+        // Una foto rechazada por calidad no cuenta: su repetición es justamente el reintento
+        if (!this.isPhotoAccepted(photo.puntaje_calidad)) continue;
+
+        if (distance <= duplicateConfig.sameProperty && (!sameProperty || distance < sameProperty.distance)) {
+          // Apuntar siempre a la foto original, no a otra copia
+          sameProperty = { documentId: photo.duplicado_de || photo.id, distance };
+        }
+      } else if (distance <= duplicateConfig.otherProperties) {
+        otherProperties.push({ documentId: photo.id, propertyId: photo.property_id, distance });
+      }
+    }
+
+    return { sameProperty, otherProperties };
+  }
+
+  /**
+   * Generar las versiones para publicar de una foto del inmueble
+   * La original se conserva tal como llegó; las versiones quedan orientadas y sin metadatos
+   * @param {string} documentId - ID del documento
+   * @returns {Promise<Object|null>} Claves web y miniatura, o null si no hay archivo
+   */
+  async createImageDerivatives(documentId) {
+    const document = await this.prisma.document.findUnique({ where: { id: documentId } });
+    if (!document?.ruta) return null;
+
+    const name = basename(document.ruta, extname(document.ruta));
+    const webKey = storageService.buildKey(STORAGE_PREFIXES.DERIVATIVES, `${name}_web.jpg`);
+    const thumbnailKey = storageService.buildKey(STORAGE_PREFIXES.DERIVATIVES, `${name}_miniatura.jpg`);
+
+    // rotate() aplica la orientación EXIF; sharp no copia metadatos a la salida
+    const { data, info } = await sharp(await storageService.get(document.ruta))
+      .rotate()
+      .resize(derivativesConfig.webSize, derivativesConfig.webSize, { fit: 'inside', withoutEnlargement: true })
+      .toBuffer({ resolveWithObject: true });
+
+    const web = sharp(data);
+    if (derivativesConfig.watermarkPath) {
+      web.composite([{
+        input: await this.buildWatermark(info.width),
+        gravity: derivativesConfig.watermarkGravity
+      }]);
+    }
+    await storageService.put(
+      webKey,
+      await web.jpeg({ quality: derivativesConfig.webQuality }).toBuffer(),
+      { contentType: 'image/jpeg' }
+    );
+
+    const thumbnail = await sharp(data)
+      .resize(derivativesConfig.thumbnailSize, derivativesConfig.thumbnailSize, { fit: 'inside', withoutEnlargement: true })
+      .jpeg({ quality: derivativesConfig.thumbnailQuality })
+      .toBuffer();
+    await storageService.put(thumbnailKey, thumbnail, { contentType: 'image/jpeg' });
+
+    await this.prisma.document.update({
+      where: { id: documentId },
+      data: { ruta_web: webKey, ruta_miniatura: thumbnailKey }
+    });
+
+    logger.info('Versiones para publicar generadas', {
+      documentId,
+      width: info.width,
+      height: info.height,
+      watermark: Boolean(derivativesConfig.watermarkPath)
+    });
+
+    return { web: webKey, thumbnail: thumbnailKey };
+  }
+
+  /**
+   * Preparar la marca de agua para una foto (escalada y separada del borde)
+   * @param {number} imageWidth - Ancho de la foto en píxeles
+   * @returns {Promise<Buffer>} PNG de la marca de agua
+   */
+  async buildWatermark(imageWidth) {
+    const width = Math.max(1, Math.round(imageWidth * derivativesConfig.watermarkScale));
+    const margin = Math.round(width * 0.1);
+
+    return sharp(derivativesConfig.watermarkPath)
+      .resize({ width })
+      .extend({
+        top: margin,
+        bottom: margin,
+        left: margin,
+        right: margin,
+        background: { r: 0, g: 0, b: 0, alpha: 0 }
+      })
+      .png()
+      .toBuffer();
+  }
+
+  /**
+   * Regenerar las versiones para publicar de las fotos de una propiedad
+   * (fotos anteriores a las versiones o cambio de marca de agua)
+   * @param {string} propertyId - ID de la propiedad
+   * @returns {Promise<Object>} Fotos procesadas y fallidas
+   */
+  async regeneratePropertyDerivatives(propertyId) {
+    const photos = await this.prisma.document.findMany({
+      where: {
+        property_id: propertyId,
+        tipo: DOCUMENT_TYPES.FOTOS_INMUEBLE,
+        duplicado_de: null,
+        ruta: { not: null }
+      },
+      select: { id: true, puntaje_calidad: true }
+    });
+
+    let processed = 0;
+    let failed = 0;
+
+    for (const photo of photos.filter(photo => this.isPhotoAccepted(photo.puntaje_calidad))) {
+      try {
+        await this.createImageDerivatives(photo.id);
+        processed++;
+      } catch (error) {
+        failed++;
+        logger.error('Error al generar versiones de la foto:', {
+          documentId: photo.id,
+          error: error.message
+        });
+      }
+    }
+
+    return { processed, failed };
+  }
+
+  /**
+   * Elegir elementos repartidos uniformemente conservando el orden
+   * @param {Array} items - Elementos
+   * @param {number} max - Cantidad máxima
+   * @returns {Array} Elementos elegidos
+   */
+  pickEvenly(items, max) {
+    if (items.length <= max) return items;
+
+    const step = items.length / max;
+    return Array.from({ length: max }, (_, index) => items[Math.floor(index * step)]);
+  }
+
+  /**
+   * Descargar archivo recibido a través del proveedor de WhatsApp
+   * Antes de escribirlo se verifica su tipo real y, si está configurado, se escanea con ClamAV;
+   * los archivos disfrazados o infectados quedan en cuarentena y no se escriben en destino
+   * @param {Object} fileData - Datos del archivo (url o mediaId según el proveedor)
    * @param {string} destinationPath - Ruta de destino
+   * @param {string} propertyId - ID de la propiedad (registro de cuarentena)
+   * @param {string} extension - Extensión declarada por el nombre del archivo
+   * @returns {Promise<Object>} Resultado de la verificación (fileScanService.inspect)
+   */
+  async downloadFile(fileData, destinationPath, propertyId, extension) {
+    const { buffer, inspection } = await this.downloadAndInspect(fileData, propertyId, extension);
+
+    if (inspection.safe) {
+      await fs.writeFile(destinationPath, buffer);
+    }
+
+    return inspection;
+  }
+
+  /**
+   * Descargar un archivo recibido y verificarlo sin escribirlo en disco (ej: notas de voz)
+   * @param {Object} fileData - Datos del archivo (url o mediaId según el proveedor)
+   * @param {string|null} propertyId - ID de la propiedad (registro de cuarentena)
+   * @param {string} extension - Extensión declarada por el nombre o el tipo MIME
+   * @returns {Promise<Object>} { buffer, inspection } (buffer solo si el archivo es seguro)
    */
-  async downloadFile(url, destinationPath) {
+  async downloadAndInspect(fileData, propertyId, extension) {
     try {
-      const response = await fetch(url);
-      if (!response.ok) {
-        throw new Error(`Error al descargar archivo: ${response.status}`);
+      const buffer = await whatsappService.downloadMedia(fileData);
+
+      const inspection = await fileScanService.inspect(buffer, extension);
+      if (inspection.reason) {
+        await fileScanService.quarantine(buffer, {
+          propertyId,
+          filename: fileData.filename || fileData.name,
+          extension,
+          detectedType: inspection.detectedType,
+          reason: inspection.reason,
+          threat: inspection.threat
+        });
       }
 
-      const buffer = await response.arrayBuffer();
-      await fs.writeFile(destinationPath, Buffer.from(buffer));
+      return { buffer: inspection.safe ? buffer : null, inspection };
 
     } catch (error) {
       logger.error('Error al descargar archivo:', error);
@@ -333,6 +1090,22 @@ class DocumentService {
     }
   }
 
+  /**
+   * Mensaje para el propietario cuando un archivo no pasa la verificación
+   * @param {Object} inspection - Resultado de fileScanService.inspect
+   * @param {string} extension - Extensión declarada
+   * @returns {string} Mensaje
+   */
+  getRejectionMessage(inspection, extension) {
+    if (inspection.reason === QUARANTINE_REASONS.TYPE_MISMATCH) {
+      return `El archivo no es un ${extension.toUpperCase()} válido, así que por seguridad no lo guardé. ¿Me lo envías de nuevo desde el archivo original?`;
+    }
+    if (inspection.reason === QUARANTINE_REASONS.INFECTED) {
+      return 'El archivo no pasó la verificación de seguridad y no lo guardé. Nuestro equipo lo revisará.';
+    }
+    return 'No pude verificar el archivo en este momento. ¿Me lo envías de nuevo en unos minutos?';
+  }
+
   /**
    * Generar nombre único para archivo
    * @param {string} propertyId - ID de la propiedad
@@ -416,6 +1189,7 @@ class DocumentService {
 
   /**
    * Limpiar archivos temporales antiguos
+   * Los temporales son locales con cualquier backend de almacenamiento
    * @param {number} maxAgeHours - Edad máxima en horas
    * @returns {Promise<number>} Número de archivos eliminados
    */
@@ -431,7 +1205,12 @@ class DocumentService {
         const age = Date.now() - stats.mtime.getTime();
 
         if (age > maxAge) {
-          await this.deleteFile(filePath);
+          // Las carpetas de trabajo de videos quedan si el proceso se interrumpe
+          if (stats.isDirectory()) {
+            await fs.rm(filePath, { recursive: true, force: true });
+          } else {
+            await this.deleteFile(filePath);
+          }
           deletedCount++;
         }
       }
@@ -455,23 +1234,26 @@ class DocumentService {
    */
   async getFileStats() {
     try {
-      const uploadFiles = await fs.readdir(this.uploadDir);
-      const tempFiles = await fs.readdir(this.tempDir);
+      const [uploadFiles, derivativeFiles, tempFiles] = await Promise.all([
+        storageService.list(STORAGE_PREFIXES.UPLOADS),
+        storageService.list(STORAGE_PREFIXES.DERIVATIVES),
+        fs.readdir(this.tempDir)
+      ]);
 
       let totalSize = 0;
       const fileTypes = {};
 
       for (const file of uploadFiles) {
-        const filePath = join(this.uploadDir, file);
-        const stats = await fs.stat(filePath);
-        const extension = this.getFileExtension(file);
-        
-        totalSize += stats.size;
+        const extension = this.getFileExtension(file.key);
+
+        totalSize += file.size;
         fileTypes[extension] = (fileTypes[extension] || 0) + 1;
       }
 
       return {
+        storage: storageService.getProviderName(),
         uploadedFiles: uploadFiles.length,
+        derivativeFiles: derivativeFiles.length,
         tempFiles: tempFiles.length,
         totalSizeMB: Math.round(totalSize / 1024 / 1024),
         fileTypes
@@ -480,7 +1262,9 @@ class DocumentService {
     } catch (error) {
       logger.error('Error al obtener estadísticas de archivos:', error);
       return {
+        storage: storageService.getProviderName(),
         uploadedFiles: 0,
+        derivativeFiles: 0,
         tempFiles: 0,
         totalSizeMB: 0,
         fileTypes: {}
@@ -97,6 +97,132 @@ class EmailService {
     }
   }
 
+  /**
+   * Notificar un certificado de tradición que no coincide con el formulario o tiene gravámenes
+   * @param {Object} reviewData - property, documentId, discrepancies y encumbrances
+   * @returns {Promise<Object>} Resultado del envío
+   */
+  async sendCertificateReviewNotification(reviewData) {
+    try {
+      const emailData = {
+        from: this.fromEmail,
+        to: [this.notificationEmail],
+        subject: `⚖️ Revisar certificado de tradición - ${reviewData.property.direccion_inmueble}`,
+        html: this.generateCertificateReviewEmailHTML(reviewData),
+        text: this.generateCertificateReviewEmailText(reviewData)
+      };
+
+      const response = await this.resend.emails.send(emailData);
+
+      logger.info('Email de revisión de certificado enviado exitosamente', {
+        propertyId: reviewData.property.id,
+        documentId: reviewData.documentId,
+        emailId: response.data?.id
+      });
+
+      return {
+        success: true,
+        emailId: response.data?.id
+      };
+
+    } catch (error) {
+      logger.error('Error al enviar email de revisión de certificado:', {
+        propertyId: reviewData.property.id,
+        error: error.message
+      });
+
+      return {
+        success: false,
+        error: ERROR_CODES.EMAIL_ERROR,
+        message: error.message
+      };
+    }
+  }
+
+  /**
+   * Generar HTML para email de revisión de certificado
+   * @param {Object} reviewData - Datos de la revisión
+   * @returns {string} HTML del email
+   */
+  generateCertificateReviewEmailHTML({ property, documentId, discrepancies, encumbrances }) {
+    return `
+<!DOCTYPE html>
+<html>
+<head>
+    <meta charset="utf-8">
+    <title>Revisar Certificado de Tradición</title>
+    <style>
+        body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+        .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+        .header { background: #FF9800; color: white; padding: 20px; text-align: center; border-radius: 8px 8px 0 0; }
+        .content { background: #f9f9f9; padding: 20px; border-radius: 0 0 8px 8px; }
+        .review-info { background: white; padding: 15px; margin: 10px 0; border-radius: 5px; border-left: 4px solid #FF9800; }
+        .field-label { font-weight: bold; color: #555; }
+    </style>
+</head>
+<body>
+    <div class="container">
+        <div class="header">
+            <h1>⚖️ Revisar Certificado de Tradición</h1>
+            <p>${property.direccion_inmueble}, ${property.ciudad_inmueble}</p>
+        </div>
+
+        <div class="content">
+            ${discrepancies.length > 0 ? `
+            <div class="review-info">
+                <h2>🔍 Diferencias con el formulario</h2>
+                <ul>
+                    ${discrepancies.map(d => `<li><span class="field-label">${d.campo}:</span> formulario "${d.formulario}", certificado "${d.certificado}"</li>`).join('')}
+                </ul>
+            </div>
+            ` : ''}
+
+            ${encumbrances.length > 0 ? `
+            <div class="review-info">
+                <h2>📌 Anotaciones vigentes</h2>
+                <ul>
+                    ${encumbrances.map(e => `<li>Anotación ${e.numero}: ${e.especificacion}</li>`).join('')}
+                </ul>
+            </div>
+            ` : ''}
+
+            <div class="review-info">
+                <span class="field-label">Propietario:</span> ${property.nombre} ${property.apellido}<br>
+                <span class="field-label">ID de propiedad:</span> ${property.id}<br>
+                <span class="field-label">ID de documento:</span> ${documentId}
+            </div>
+        </div>
+    </div>
+</body>
+</html>`;
+  }
+
+  /**
+   * Generar texto plano para email de revisión de certificado
+   * @param {Object} reviewData - Datos de la revisión
+   * @returns {string} Texto del email
+   */
+  generateCertificateReviewEmailText({ property, documentId, discrepancies, encumbrances }) {
+    return `
+⚖️ REVISAR CERTIFICADO DE TRADICIÓN
+
+${property.direccion_inmueble}, ${property.ciudad_inmueble}
+Propietario: ${property.nombre} ${property.apellido}
+${discrepancies.length > 0 ? `
+🔍 DIFERENCIAS CON EL FORMULARIO:
+${discrepancies.map(d => `- ${d.campo}: formulario "${d.formulario}", certificado "${d.certificado}"`).join('\n')}
+` : ''}${encumbrances.length > 0 ? `
+📌 ANOTACIONES VIGENTES:
+${encumbrances.map(e => `- Anotación ${e.numero}: ${e.especificacion}`).join('\n')}
+` : ''}
+- ID de propiedad: ${property.id}
+- ID de documento: ${documentId}
+
+---
+Bot Inmobiliario - Revisión de documentos
+`;
+  }
+
   /**
    * Generar HTML para email de completitud
    * @param {Object} propertyData - Datos de la propiedad
@@ -0,0 +1,244 @@
+/**
+ * Servicio de verificación de archivos recibidos
+ * Compara el tipo real (firma en los primeros bytes) con la extensión, escanea con ClamAV
+ * y deja en cuarentena los archivos disfrazados o infectados
+ */
+import net from 'net';
+import { v4 as uuidv4 } from 'uuid';
+import storageService from './storageService.js';
+import createPrismaClient from '../config/database.js';
+import logger from '../config/logger.js';
+import { antivirus as antivirusConfig } from '../config/index.js';
+import { STORAGE_PREFIXES, QUARANTINE_REASONS } from '../utils/constants.js';
+
+// Firmas (magic bytes) de los tipos conocidos; within = la firma puede aparecer en los primeros N bytes
+// Las de posición fija van primero: un ejecutable con "%PDF-" en la cabecera no pasa por PDF
+const FILE_SIGNATURES = [
+  { type: 'jpg', bytes: [0xFF, 0xD8, 0xFF] },
+  { type: 'png', bytes: [0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A] },
+  { type: 'doc', bytes: [0xD0, 0xCF, 0x11, 0xE0, 0xA1, 0xB1, 0x1A, 0xE1] }, // OLE (Word 97-2003)
+  { type: 'zip', bytes: [0x50, 0x4B, 0x03, 0x04] },
+  { type: 'mp4', bytes: Buffer.from('ftyp'), offset: 4 }, // MP4, MOV, 3GP y M4A
+  { type: 'ogg', bytes: Buffer.from('OggS') }, // Notas de voz de WhatsApp (Opus)
+  { type: 'mp3', bytes: Buffer.from('ID3') },
+  { type: 'mp3', bytes: [0xFF, 0xFB] },
+  { type: 'mp3', bytes: [0xFF, 0xF3] },
+  { type: 'aac', bytes: [0xFF, 0xF1] }, // ADTS
+  { type: 'amr', bytes: Buffer.from('#!AMR') },
+  { type: 'wav', bytes: Buffer.from('WAVE'), offset: 8 },
+  { type: 'webm', bytes: [0x1A, 0x45, 0xDF, 0xA3] },
+  { type: 'exe', bytes: Buffer.from('MZ') },
+  { type: 'elf', bytes: [0x7F, 0x45, 0x4C, 0x46] },
+  { type: 'rar', bytes: Buffer.from('Rar!') },
+  { type: '7z', bytes: [0x37, 0x7A, 0xBC, 0xAF, 0x27, 0x1C] },
+  { type: 'pdf', bytes: Buffer.from('%PDF-'), within: 1024 }
+];
+
+// Tipos reales aceptados para cada extensión (JPG y PNG se procesan igual, se aceptan cruzados)
+const EXTENSION_TYPES = {
+  jpg: ['jpg', 'png'],
+  jpeg: ['jpg', 'png'],
+  png: ['png', 'jpg'],
+  pdf: ['pdf'],
+  doc: ['doc'],
+  docx: ['docx'],
+  mp4: ['mp4'],
+  mov: ['mp4'],
+  '3gp': ['mp4'],
+  ogg: ['ogg'],
+  oga: ['ogg'],
+  opus: ['ogg'],
+  mp3: ['mp3'],
+  mpeg: ['mp3'], // audio/mpeg
+  m4a: ['mp4'],
+  aac: ['aac', 'mp4'],
+  amr: ['amr'],
+  wav: ['wav'],
+  webm: ['webm']
+};
+
+// Tamaño de los bloques que se envían a clamd (INSTREAM)
+const CLAMAV_CHUNK_SIZE = 64 * 1024;
+
+class FileScanService {
+  constructor() {
+    this.prisma = createPrismaClient();
+  }
+
+  /**
+   * Detectar el tipo real de un archivo por su firma
+   * @param {Buffer} buffer - Contenido del archivo
+   * @returns {string|null} Tipo detectado (jpg, pdf, docx, exe, ...) o null si no se reconoce
+   */
+  detectFileType(buffer) {
+    const signature = FILE_SIGNATURES.find(({ bytes, offset = 0, within }) => {
+      const expected = Buffer.from(bytes);
+      if (within) {
+        return buffer.subarray(0, within).includes(expected);
+      }
+      return buffer.subarray(offset, offset + expected.length).equals(expected);
+    });
+
+    if (!signature) return null;
+
+    // Un .docx es un ZIP con la carpeta word/ (los nombres de las entradas no van comprimidos)
+    if (signature.type === 'zip' && buffer.includes(Buffer.from('word/'))) return 'docx';
+
+    return signature.type;
+  }
+
+  /**
+   * Verificar si el tipo real corresponde a la extensión
+   * @param {string|null} detectedType - Tipo detectado
+   * @param {string} extension - Extensión del nombre del archivo
+   * @returns {boolean} True si coinciden
+   */
+  matchesExtension(detectedType, extension) {
+    return Boolean(detectedType) && (EXTENSION_TYPES[extension] || []).includes(detectedType);
+  }
+
+  /**
+   * Verificar un archivo antes de guardarlo
+   * @param {Buffer} buffer - Contenido del archivo
+   * @param {string} extension - Extensión del nombre del archivo
+   * @returns {Promise<Object>} { safe, detectedType, reason, threat, scanFailed }
+   */
+  async inspect(buffer, extension) {
+    const detectedType = this.detectFileType(buffer);
+
+    if (!this.matchesExtension(detectedType, extension)) {
+      return { safe: false, detectedType, reason: QUARANTINE_REASONS.TYPE_MISMATCH };
+    }
+
+    if (!antivirusConfig.enabled) {
+      return { safe: true, detectedType };
+    }
+
+    try {
+      const scan = await this.scanWithClamAV(buffer);
+      if (!scan.clean) {
+        return { safe: false, detectedType, reason: QUARANTINE_REASONS.INFECTED, threat: scan.threat };
+      }
+      return { safe: true, detectedType };
+
+    } catch (error) {
+      logger.error('Error al escanear archivo con ClamAV:', {
+        error: error.message,
+        failOpen: antivirusConfig.failOpen
+      });
+      return antivirusConfig.failOpen
+        ? { safe: true, detectedType }
+        : { safe: false, detectedType, scanFailed: true };
+    }
+  }
+
+  /**
+   * Escanear contenido con clamd (comando INSTREAM)
+   * @param {Buffer} buffer - Contenido del archivo
+   * @returns {Promise<Object>} { clean, threat }
+   */
+  scanWithClamAV(buffer) {
+    return new Promise((resolve, reject) => {
+      const socket = antivirusConfig.socket
+        ? net.createConnection({ path: antivirusConfig.socket })
+        : net.createConnection({ host: antivirusConfig.host, port: antivirusConfig.port });
+      const response = [];
+
+      socket.setTimeout(antivirusConfig.timeout);
+
+      socket.on('connect', () => {
+        socket.write('zINSTREAM\0');
+
+        // Cada bloque va precedido de su tamaño (4 bytes, big endian); un bloque vacío termina
+        for (let offset = 0; offset < buffer.length; offset += CLAMAV_CHUNK_SIZE) {
+          const chunk = buffer.subarray(offset, offset + CLAMAV_CHUNK_SIZE);
+          const size = Buffer.alloc(4);
+          size.writeUInt32BE(chunk.length);
+          socket.write(size);
+          socket.write(chunk);
+        }
+        socket.end(Buffer.alloc(4));
+      });
+
+      socket.on('data', data => response.push(data));
+      socket.on('timeout', () => socket.destroy(new Error('clamd no respondió a tiempo')));
+      socket.on('error', reject);
+
+      socket.on('close', () => {
+        // Respuestas: "stream: OK", "stream: <amenaza> FOUND" o "<mensaje> ERROR"
+        const reply = Buffer.concat(response).toString().replace(/\0/g, '').trim();
+
+        if (/:\s*OK$/.test(reply)) {
+          resolve({ clean: true });
+        } else if (/FOUND$/.test(reply)) {
+          resolve({ clean: false, threat: reply.replace(/^stream:\s*/, '').replace(/\s*FOUND$/, '') });
+        } else {
+          reject(new Error(`Respuesta inesperada de clamd: ${reply || '(vacía)'}`));
+        }
+      });
+    });
+  }
+
+  /**
+   * Guardar un archivo en cuarentena y registrarlo para el panel
+   * @param {Buffer} buffer - Contenido del archivo
+   * @param {Object} details - propertyId, filename, extension, detectedType, reason y threat
+   * @returns {Promise<Object>} Registro de cuarentena
+   */
+  async quarantine(buffer, { propertyId, filename, extension, detectedType, reason, threat }) {
+    // Sin la extensión original para que nadie lo abra por error desde el almacenamiento
+    const key = storageService.buildKey(STORAGE_PREFIXES.QUARANTINE, `${uuidv4()}.bin`);
+    await storageService.put(key, buffer, { contentType: 'application/octet-stream' });
+
+    const record = await this.prisma.quarantinedFile.create({
+      data: {
+        property_id: propertyId || null,
+        nombre_original: filename || null,
+        ruta: key,
+        tamano: buffer.length,
+        extension: extension || null,
+        tipo_detectado: detectedType || null,
+        motivo: reason,
+        amenaza: threat || null
+      }
+    });
+
+    logger.warn('Archivo en cuarentena', {
+      quarantineId: record.id,
+      propertyId,
+      filename,
+      extension,
+      detectedType,
+      reason,
+      threat
+    });
+
+    return record;
+  }
+
+  /**
+   * Listar archivos en cuarentena
+   * @param {Object} options - page, limit y motivo
+   * @returns {Promise<Object>} { files, totalCount }
+   */
+  async getQuarantinedFiles({ page = 1, limit = 50, motivo } = {}) {
+    const where = motivo ? { motivo } : {};
+
+    const [files, totalCount] = await Promise.all([
+      this.prisma.quarantinedFile.findMany({
+        where,
+        orderBy: { createdAt: 'desc' },
+        skip: (page - 1) * limit,
+        take: limit
+      }),
+      this.prisma.quarantinedFile.count({ where })
+    ]);
+
+    return { files, totalCount };
+  }
+}
+
+// Crear instancia singleton
+const fileScanService = new FileScanService();
+
+export default fileScanService;
@@ -0,0 +1,153 @@
+/**
+ * Cola de mensajes entrantes por número de WhatsApp
+ * Agrupa ráfagas de textos cortos y procesa un solo mensaje a la vez por número
+ */
+import logger from '../config/logger.js';
+import { messageQueue as queueConfig } from '../config/index.js';
+
+class MessageQueueService {
+  constructor() {
+    this.debounceMs = queueConfig.debounceMs;
+    this.maxWaitMs = queueConfig.maxWaitMs;
+    this.buffers = new Map(); // número -> { texts, metadata, handler, timer, startedAt, waiters }
+    this.chains = new Map(); // número -> promesa de la última tarea encolada
+  }
+
+  /**
+   * Encolar un texto; los textos consecutivos se procesan juntos
+   * @param {string} whatsappNumber - Número de WhatsApp
+   * @param {string} text - Texto recibido
+   * @param {Object} metadata - Metadata del mensaje (id, etc.)
+   * @param {Function} handler - Función async (textoCombinado, metadata) que procesa el lote
+   * @returns {Promise<Object>} Resultado del procesamiento del lote
+   */
+  enqueueText(whatsappNumber, text, metadata, handler) {
+    let buffer = this.buffers.get(whatsappNumber);
+
+    if (!buffer) {
+      buffer = {
+        texts: [],
+        metadata: [],
+        handler,
+        timer: null,
+        startedAt: Date.now(),
+        waiters: []
+      };
+      this.buffers.set(whatsappNumber, buffer);
+    }
+
+    buffer.texts.push(text);
+    buffer.metadata.push(metadata || {});
+
+    const result = new Promise((resolve, reject) => {
+      buffer.waiters.push({ resolve, reject });
+    });
+
+    // Reiniciar ventana de espera sin superar el máximo desde el primer texto
+    clearTimeout(buffer.timer);
+    const remaining = this.maxWaitMs - (Date.now() - buffer.startedAt);
+    buffer.timer = setTimeout(() => this.flush(whatsappNumber), Math.max(0, Math.min(this.debounceMs, remaining)));
+
+    return result;
+  }
+
+  /**
+   * Procesar de inmediato los textos pendientes de un número
+   * @param {string} whatsappNumber - Número de WhatsApp
+   * @returns {Promise<void>}
+   */
+  flush(whatsappNumber) {
+    const buffer = this.buffers.get(whatsappNumber);
+    if (!buffer) return Promise.resolve();
+
+    clearTimeout(buffer.timer);
+    this.buffers.delete(whatsappNumber);
+
+    const combinedText = buffer.texts.join('\n');
+    const combinedMetadata = {
+      ...buffer.metadata[buffer.metadata.length - 1],
+      batchSize: buffer.texts.length,
+      batchedMessages: buffer.texts.map((text, index) => ({
+        text,
+        messageId: buffer.metadata[index].messageId
+      }))
+    };
+
+    if (buffer.texts.length > 1) {
+      logger.whatsapp('Ráfaga de mensajes agrupada', {
+        whatsappNumber,
+        count: buffer.texts.length
+      });
+    }
+
+    const task = this.runExclusive(whatsappNumber, () => buffer.handler(combinedText, combinedMetadata));
+
+    return task.then(
+      result => buffer.waiters.forEach(({ resolve }, index) => resolve({
+        ...result,
+        batched: index < buffer.waiters.length - 1
+      })),
+      error => buffer.waiters.forEach(({ reject }) => reject(error))
+    );
+  }
+
+  /**
+   * Ejecutar una tarea cuando terminen las anteriores del mismo número
+   * @param {string} whatsappNumber - Número de WhatsApp
+   * @param {Function} task - Función async a ejecutar
+   * @returns {Promise<*>} Resultado de la tarea
+   */
+  runExclusive(whatsappNumber, task) {
+    const previous = this.chains.get(whatsappNumber) || Promise.resolve();
+    const current = previous.catch(() => {}).then(task);
+
+    // Guardar la cadena sin errores para no bloquear tareas siguientes
+    const chain = current.catch(() => {});
+    this.chains.set(whatsappNumber, chain);
+    chain.then(() => {
+      if (this.chains.get(whatsappNumber) === chain) {
+        this.chains.delete(whatsappNumber);
+      }
+    });
+
+    return current;
+  }
+
+  /**
+   * Ejecutar una tarea respetando el orden con los textos pendientes del número
+   * (ej: un documento que llega justo después de una ráfaga de textos)
+   * @param {string} whatsappNumber - Número de WhatsApp
+   * @param {Function} task - Función async a ejecutar
+   * @returns {Promise<*>} Resultado de la tarea
+   */
+  runAfterPending(whatsappNumber, task) {
+    this.flush(whatsappNumber);
+    return this.runExclusive(whatsappNumber, task);
+  }
+
+  /**
+   * Procesar todo lo pendiente y esperar a que termine (cierre del servidor)
+   * @returns {Promise<void>}
+   */
+  async drain() {
+    await Promise.all([...this.buffers.keys()].map(number => this.flush(number).catch(() => {})));
+    await Promise.all([...this.chains.values()]);
+  }
+
+  /**
+   * Obtener estado de la cola
+   * @returns {Object} Números con textos pendientes y en proceso
+   */
+  getStats() {
+    return {
+      pendingNumbers: this.buffers.size,
+      activeNumbers: this.chains.size,
+      debounceMs: this.debounceMs
+    };
+  }
+}
+
+// Crear instancia singleton
+const messageQueueService = new MessageQueueService();
+
+export default messageQueueService;
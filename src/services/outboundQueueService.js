@@ -0,0 +1,411 @@
+/**
+ * Cola persistente de mensajes salientes de WhatsApp
+ * Envía a la velocidad permitida por el proveedor, reintenta con backoff exponencial
+ * y mueve a dead letter los mensajes que agotan los reintentos
+ */
+import createPrismaClient from '../config/database.js';
+import logger from '../config/logger.js';
+import whatsappService from './whatsappService.js';
+import { outboundQueue as queueConfig } from '../config/index.js';
+import { OUTBOUND_STATES, DELIVERY_STATES } from '../utils/constants.js';
+
+class OutboundQueueService {
+  constructor() {
+    this.prisma = createPrismaClient();
+    this.pollInterval = queueConfig.pollInterval;
+    this.maxAttempts = queueConfig.maxAttempts;
+    this.minSendInterval = 60000 / queueConfig.ratePerMinute;
+    this.lastSentAt = 0;
+    this.timer = null;
+    this.isProcessing = false;
+    this.pendingRun = false;
+  }
+
+  /**
+   * Encolar un mensaje para envío
+   * @param {string} whatsappNumber - Número de WhatsApp
+   * @param {string} message - Contenido del mensaje
+   * @param {Array<Object>} replyOptions - Opciones de respuesta (botones o lista)
+   * @returns {Promise<Object>} Mensaje encolado
+   */
+  async enqueue(whatsappNumber, message, replyOptions = []) {
+    const outbound = await this.prisma.outboundMessage.create({
+      data: {
+        whatsapp_number: whatsappNumber,
+        contenido: message,
+        opciones_respuesta: replyOptions?.length ? replyOptions : undefined
+      }
+    });
+
+    logger.whatsapp('Mensaje encolado para envío', {
+      outboundId: outbound.id,
+      whatsappNumber
+    });
+
+    // Procesar de inmediato sin esperar al siguiente ciclo
+    if (this.timer) {
+      setImmediate(() => this.processQueue());
+    }
+
+    return outbound;
+  }
+
+  /**
+   * Iniciar el ciclo de envío
+   */
+  async start() {
+    if (this.timer) return;
+
+    const tick = async () => {
+      // En cada ciclo: un envío interrumpido no debe esperar al próximo reinicio
+      await this.recoverStaleMessages();
+      await this.processQueue();
+      this.timer = setTimeout(tick, this.pollInterval);
+    };
+
+    this.timer = setTimeout(tick, 0);
+
+    logger.info('Cola de mensajes salientes iniciada', {
+      pollInterval: this.pollInterval,
+      ratePerMinute: queueConfig.ratePerMinute
+    });
+  }
+
+  /**
+   * Detener el ciclo de envío (los pendientes quedan en BD)
+   */
+  stop() {
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+      logger.info('Cola de mensajes salientes detenida');
+    }
+  }
+
+  /**
+   * Devolver a PENDIENTE los mensajes que quedaron ENVIANDO (crash o error al registrar el envío)
+   * @returns {Promise<number>} Número de mensajes recuperados
+   */
+  async recoverStaleMessages() {
+    try {
+      const result = await this.prisma.outboundMessage.updateMany({
+        where: {
+          estado: OUTBOUND_STATES.ENVIANDO,
+          updatedAt: { lt: new Date(Date.now() - queueConfig.staleTimeout) }
+        },
+        data: { estado: OUTBOUND_STATES.PENDIENTE }
+      });
+
+      if (result.count > 0) {
+        logger.warn('Mensajes salientes abandonados recuperados', { count: result.count });
+      }
+
+      return result.count;
+
+    } catch (error) {
+      logger.error('Error al recuperar mensajes salientes abandonados:', error);
+      return 0;
+    }
+  }
+
+  /**
+   * Enviar los mensajes pendientes respetando el orden por número
+   * @returns {Promise<number>} Número de mensajes enviados
+   */
+  async processQueue() {
+    if (this.isProcessing) {
+      this.pendingRun = true;
+      return 0;
+    }
+    this.isProcessing = true;
+
+    let sent = 0;
+
+    try {
+      do {
+        this.pendingRun = false;
+
+        const pending = await this.prisma.outboundMessage.findMany({
+          where: { estado: OUTBOUND_STATES.PENDIENTE },
+          orderBy: { createdAt: 'asc' },
+          take: 100
+        });
+
+        // Un mensaje esperando reintento bloquea los siguientes del mismo número
+        const blockedNumbers = new Set();
+        const now = new Date();
+
+        for (const outbound of pending) {
+          if (blockedNumbers.has(outbound.whatsapp_number)) continue;
+
+          if (outbound.enviar_en > now) {
+            blockedNumbers.add(outbound.whatsapp_number);
+            continue;
+          }
+
+          // Reclamar el mensaje de forma atómica (evita doble envío entre instancias)
+          const claim = await this.prisma.outboundMessage.updateMany({
+            where: { id: outbound.id, estado: OUTBOUND_STATES.PENDIENTE },
+            data: {
+              estado: OUTBOUND_STATES.ENVIANDO,
+              intentos: { increment: 1 }
+            }
+          });
+
+          if (claim.count === 0) continue;
+
+          const delivered = await this.deliver({ ...outbound, intentos: outbound.intentos + 1 });
+          if (delivered) {
+            sent++;
+          } else {
+            blockedNumbers.add(outbound.whatsapp_number);
+          }
+        }
+      } while (this.pendingRun);
+
+    } catch (error) {
+      logger.error('Error al procesar cola de mensajes salientes:', error);
+    } finally {
+      this.isProcessing = false;
+    }
+
+    return sent;
+  }
+
+  /**
+   * Enviar un mensaje ya reclamado
+   * @param {Object} outbound - Mensaje de la cola
+   * @returns {Promise<boolean>} True si se envió
+   */
+  async deliver(outbound) {
+    await this.waitForRateLimit();
+
+    let result;
+    try {
+      result = await whatsappService.sendMessage(
+        outbound.whatsapp_number,
+        outbound.contenido,
+        outbound.opciones_respuesta
+      );
+    } catch (error) {
+      // Un error inesperado cuenta como intento fallido para no dejar el mensaje en ENVIANDO
+      result = { success: false, error: error.message };
+    }
+
+    if (result.success) {
+      await this.prisma.outboundMessage.update({
+        where: { id: outbound.id },
+        data: {
+          estado: OUTBOUND_STATES.ENVIADO,
+          enviado_en: new Date(),
+          proveedor_message_id: result.messageId ? String(result.messageId) : null,
+          ultimo_error: null
+        }
+      });
+      return true;
+    }
+
+    const errorMessage = result.message || result.error || 'Error desconocido';
+
+    if (outbound.intentos < this.maxAttempts) {
+      const retryDelay = Math.min(
+        queueConfig.baseRetryDelay * Math.pow(2, outbound.intentos - 1),
+        queueConfig.maxRetryDelay
+      );
+
+      logger.warn('Envío fallido, se reintentará', {
+        outboundId: outbound.id,
+        attempt: outbound.intentos,
+        retryInMs: retryDelay,
+        error: errorMessage
+      });
+
+      await this.prisma.outboundMessage.update({
+        where: { id: outbound.id },
+        data: {
+          estado: OUTBOUND_STATES.PENDIENTE,
+          enviar_en: new Date(Date.now() + retryDelay),
+          ultimo_error: errorMessage
+        }
+      });
+      return false;
+    }
+
+    await this.moveToDeadLetter(outbound, errorMessage);
+    return false;
+  }
+
+  /**
+   * Esperar lo necesario para no superar la velocidad de envío configurada
+   */
+  async waitForRateLimit() {
+    const wait = this.lastSentAt + this.minSendInterval - Date.now();
+    if (wait > 0) {
+      await new Promise(resolve => setTimeout(resolve, wait));
+    }
+    this.lastSentAt = Date.now();
+  }
+
+  /**
+   * Mover un mensaje que agotó los reintentos a dead letter
+   * @param {Object} outbound - Mensaje de la cola
+   * @param {string} errorMessage - Último error
+   */
+  async moveToDeadLetter(outbound, errorMessage) {
+    await this.prisma.$transaction([
+      this.prisma.outboundMessage.update({
+        where: { id: outbound.id },
+        data: {
+          estado: OUTBOUND_STATES.FALLIDO,
+          ultimo_error: errorMessage
+        }
+      }),
+      this.prisma.deadLetterMessage.create({
+        data: {
+          outbound_id: outbound.id,
+          whatsapp_number: outbound.whatsapp_number,
+          contenido: outbound.contenido,
+          opciones_respuesta: outbound.opciones_respuesta ?? undefined,
+          intentos: outbound.intentos,
+          ultimo_error: errorMessage
+        }
+      }),
+      // El mensaje de la conversación queda marcado como fallido
+      this.prisma.message.updateMany({
+        where: { referencia_envio: outbound.id },
+        data: {
+          estado_entrega: DELIVERY_STATES.FALLIDO,
+          error_entrega: errorMessage
+        }
+      })
+    ]);
+
+    logger.error('Mensaje movido a dead letter tras agotar reintentos', {
+      outboundId: outbound.id,
+      whatsappNumber: outbound.whatsapp_number,
+      attempts: outbound.intentos,
+      error: errorMessage
+    });
+  }
+
+  /**
+   * Reenviar un mensaje de dead letter
+   * @param {string} deadLetterId - ID del mensaje en dead letter
+   * @param {string} replayedBy - Usuario que reenvía
+   * @returns {Promise<Object>} Resultado de la operación
+   */
+  async replayDeadLetter(deadLetterId, replayedBy = null) {
+    try {
+      const deadLetter = await this.prisma.deadLetterMessage.findUnique({
+        where: { id: deadLetterId }
+      });
+
+      if (!deadLetter) {
+        return { success: false, error: 'Mensaje no encontrado' };
+      }
+
+      if (deadLetter.reenviado_en) {
+        return { success: false, error: 'El mensaje ya fue reenviado' };
+      }
+
+      const outbound = await this.enqueue(
+        deadLetter.whatsapp_number,
+        deadLetter.contenido,
+        deadLetter.opciones_respuesta || []
+      );
+
+      await this.prisma.$transaction([
+        this.prisma.deadLetterMessage.update({
+          where: { id: deadLetter.id },
+          data: {
+            reenviado_en: new Date(),
+            reenvio_id: outbound.id,
+            reenviado_por: replayedBy
+          }
+        }),
+        // Los acuses del reenvío se asocian al mismo mensaje de la conversación
+        this.prisma.message.updateMany({
+          where: { referencia_envio: deadLetter.outbound_id },
+          data: {
+            referencia_envio: outbound.id,
+            estado_entrega: DELIVERY_STATES.ENCOLADO,
+            error_entrega: null
+          }
+        })
+      ]);
+
+      logger.info('Mensaje de dead letter reenviado', {
+        deadLetterId,
+        outboundId: outbound.id,
+        replayedBy
+      });
+
+      return { success: true, outboundId: outbound.id };
+
+    } catch (error) {
+      logger.error('Error al reenviar mensaje de dead letter:', {
+        deadLetterId,
+        error: error.message
+      });
+
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Listar mensajes en dead letter para administración
+   * @param {Object} filters - reenviado, page, limit
+   * @returns {Promise<Object>} Mensajes y total
+   */
+  async getDeadLetters({ reenviado, page = 1, limit = 50 } = {}) {
+    const where = {};
+    if (reenviado !== undefined) {
+      where.reenviado_en = reenviado ? { not: null } : null;
+    }
+
+    const [messages, totalCount] = await Promise.all([
+      this.prisma.deadLetterMessage.findMany({
+        where,
+        orderBy: { createdAt: 'desc' },
+        skip: (page - 1) * limit,
+        take: limit
+      }),
+      this.prisma.deadLetterMessage.count({ where })
+    ]);
+
+    return { messages, totalCount };
+  }
+
+  /**
+   * Obtener estadísticas de la cola
+   * @returns {Promise<Object>} Conteo por estado y mensajes en dead letter sin reenviar
+   */
+  async getStats() {
+    try {
+      const [stats, deadLetters] = await Promise.all([
+        this.prisma.outboundMessage.groupBy({
+          by: ['estado'],
+          _count: { estado: true }
+        }),
+        this.prisma.deadLetterMessage.count({ where: { reenviado_en: null } })
+      ]);
+
+      return {
+        ...stats.reduce((acc, stat) => {
+          acc[stat.estado] = stat._count.estado;
+          return acc;
+        }, {}),
+        deadLetterPendientes: deadLetters
+      };
+
+    } catch (error) {
+      logger.error('Error al obtener estadísticas de la cola de salida:', error);
+      return {};
+    }
+  }
+}
+
+// Crear instancia singleton
+const outboundQueueService = new OutboundQueueService();
+
+export default outboundQueueService;
@@ -0,0 +1,150 @@
+/**
+ * Almacenamiento en disco local
+ * Las URLs de descarga apuntan a /api/files y se firman con HMAC (sin sesión de admin)
+ */
+import crypto from 'crypto';
+import { promises as fs } from 'fs';
+import { dirname, join, relative, resolve, sep } from 'path';
+
+class LocalStorageProvider {
+  /**
+   * @param {Object} config - rootDir, publicBaseUrl y signingSecret
+   */
+  constructor(config) {
+    this.name = 'local';
+    this.rootDir = resolve(config.rootDir);
+    this.publicBaseUrl = config.publicBaseUrl.replace(/\/+$/, '');
+    this.signingSecret = config.signingSecret;
+  }
+
+  /**
+   * Convertir una clave en ruta dentro de la carpeta raíz
+   * @param {string} key - Clave del archivo
+   * @returns {string} Ruta absoluta
+   */
+  resolvePath(key) {
+    const path = resolve(this.rootDir, key);
+    if (!path.startsWith(this.rootDir + sep)) {
+      throw new Error(`Clave de almacenamiento inválida: ${key}`);
+    }
+    return path;
+  }
+
+  /**
+   * Guardar un archivo
+   * @param {string} key - Clave del archivo
+   * @param {Buffer|string} body - Contenido o ruta de un archivo local
+   * @returns {Promise<Object>} { key, size }
+   */
+  async put(key, body) {
+    const path = this.resolvePath(key);
+    await fs.mkdir(dirname(path), { recursive: true });
+
+    if (typeof body === 'string') {
+      await fs.copyFile(body, path);
+    } else {
+      await fs.writeFile(path, body);
+    }
+
+    const stats = await fs.stat(path);
+    return { key, size: stats.size };
+  }
+
+  /**
+   * Leer un archivo
+   * @param {string} key - Clave del archivo
+   * @returns {Promise<Buffer>} Contenido
+   */
+  async get(key) {
+    return fs.readFile(this.resolvePath(key));
+  }
+
+  /**
+   * Eliminar un archivo (no falla si ya no existe)
+   * @param {string} key - Clave del archivo
+   */
+  async delete(key) {
+    await fs.rm(this.resolvePath(key), { force: true });
+  }
+
+  /**
+   * Listar archivos bajo un prefijo
+   * @param {string} prefix - Prefijo de las claves (carpeta)
+   * @returns {Promise<Array<Object>>} { key, size, lastModified }
+   */
+  async list(prefix) {
+    const files = [];
+    const pending = [this.resolvePath(prefix)];
+
+    while (pending.length > 0) {
+      const dir = pending.pop();
+      let entries;
+      try {
+        entries = await fs.readdir(dir, { withFileTypes: true });
+      } catch (error) {
+        if (error.code === 'ENOENT') continue;
+        throw error;
+      }
+
+      for (const entry of entries) {
+        const path = join(dir, entry.name);
+        if (entry.isDirectory()) {
+          pending.push(path);
+          continue;
+        }
+
+        const stats = await fs.stat(path);
+        files.push({
+          key: relative(this.rootDir, path).split(sep).join('/'),
+          size: stats.size,
+          lastModified: stats.mtime
+        });
+      }
+    }
+
+    return files;
+  }
+
+  /**
+   * Firma de una URL de descarga
+   * @param {string} key - Clave del archivo
+   * @param {number} expires - Vencimiento en segundos (epoch)
+   * @returns {string} Firma en hexadecimal
+   */
+  sign(key, expires) {
+    if (!this.signingSecret) {
+      throw new Error('STORAGE_SIGNING_SECRET no está configurado');
+    }
+    return crypto.createHmac('sha256', this.signingSecret).update(`${key}.${expires}`).digest('hex');
+  }
+
+  /**
+   * Generar URL de descarga firmada
+   * @param {string} key - Clave del archivo
+   * @param {number} expiresIn - Vigencia en segundos
+   * @returns {Promise<string>} URL
+   */
+  async getSignedUrl(key, expiresIn) {
+    const expires = Math.floor(Date.now() / 1000) + expiresIn;
+    const path = key.split('/').map(encodeURIComponent).join('/');
+    return `${this.publicBaseUrl}/api/files/${path}?expires=${expires}&signature=${this.sign(key, expires)}`;
+  }
+
+  /**
+   * Verificar una URL de descarga firmada
+   * @param {string} key - Clave del archivo
+   * @param {string} expires - Vencimiento recibido
+   * @param {string} signature - Firma recibida
+   * @returns {boolean} True si es válida y no ha vencido
+   */
+  verifySignedUrl(key, expires, signature) {
+    if (!this.signingSecret || !signature) return false;
+    if (!(parseInt(expires) > Date.now() / 1000)) return false;
+
+    const expected = Buffer.from(this.sign(key, expires));
+    const received = Buffer.from(String(signature));
+    return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+  }
+}
+
+export default LocalStorageProvider;
@@ -0,0 +1,127 @@
+/**
+ * Almacenamiento en S3 o compatible (MinIO)
+ * Las URLs de descarga son URLs prefirmadas del propio bucket
+ */
+import { promises as fs } from 'fs';
+import {
+  S3Client,
+  PutObjectCommand,
+  GetObjectCommand,
+  DeleteObjectCommand,
+  ListObjectsV2Command
+} from '@aws-sdk/client-s3';
+import { getSignedUrl } from '@aws-sdk/s3-request-presigner';
+
+class S3StorageProvider {
+  /**
+   * @param {Object} config - bucket, region, endpoint, credenciales y forcePathStyle
+   */
+  constructor(config) {
+    if (!config.bucket) {
+      throw new Error('STORAGE_S3_BUCKET no está configurado');
+    }
+
+    this.name = 's3';
+    this.bucket = config.bucket;
+    this.client = new S3Client({
+      region: config.region,
+      endpoint: config.endpoint,
+      forcePathStyle: config.forcePathStyle,
+      // Sin credenciales explícitas se usa la cadena por defecto (variables AWS_*, rol de la instancia)
+      credentials: config.accessKeyId
+        ? { accessKeyId: config.accessKeyId, secretAccessKey: config.secretAccessKey }
+        : undefined
+    });
+  }
+
+  /**
+   * Guardar un archivo
+   * @param {string} key - Clave del objeto
+   * @param {Buffer|string} body - Contenido o ruta de un archivo local
+   * @param {Object} options - contentType
+   * @returns {Promise<Object>} { key, size }
+   */
+  async put(key, body, { contentType } = {}) {
+    const content = typeof body === 'string' ? await fs.readFile(body) : body;
+
+    await this.client.send(new PutObjectCommand({
+      Bucket: this.bucket,
+      Key: key,
+      Body: content,
+      ContentType: contentType
+    }));
+
+    return { key, size: content.length };
+  }
+
+  /**
+   * Leer un archivo
+   * @param {string} key - Clave del objeto
+   * @returns {Promise<Buffer>} Contenido
+   */
+  async get(key) {
+    const response = await this.client.send(new GetObjectCommand({
+      Bucket: this.bucket,
+      Key: key
+    }));
+
+    return Buffer.from(await response.Body.transformToByteArray());
+  }
+
+  /**
+   * Eliminar un archivo (S3 no falla si ya no existe)
+   * @param {string} key - Clave del objeto
+   */
+  async delete(key) {
+    await this.client.send(new DeleteObjectCommand({
+      Bucket: this.bucket,
+      Key: key
+    }));
+  }
+
+  /**
+   * Listar archivos bajo un prefijo (recorre todas las páginas)
+   * @param {string} prefix - Prefijo de las claves
+   * @returns {Promise<Array<Object>>} { key, size, lastModified }
+   */
+  async list(prefix) {
+    const files = [];
+    let continuationToken;
+
+    do {
+      const response = await this.client.send(new ListObjectsV2Command({
+        Bucket: this.bucket,
+        Prefix: prefix.endsWith('/') ? prefix : `${prefix}/`,
+        ContinuationToken: continuationToken
+      }));
+
+      for (const object of response.Contents || []) {
+        files.push({
+          key: object.Key,
+          size: object.Size,
+          lastModified: object.LastModified
+        });
+      }
+
+      continuationToken = response.IsTruncated ? response.NextContinuationToken : undefined;
+    } while (continuationToken);
+
+    return files;
+  }
+
+  /**
+   * Generar URL de descarga prefirmada
+   * @param {string} key - Clave del objeto
+   * @param {number} expiresIn - Vigencia en segundos
+   * @returns {Promise<string>} URL
+   */
+  async getSignedUrl(key, expiresIn) {
+    return getSignedUrl(
+      this.client,
+      new GetObjectCommand({ Bucket: this.bucket, Key: key }),
+      { expiresIn }
+    );
+  }
+}
+
+export default S3StorageProvider;
@@ -0,0 +1,34 @@
+/**
+ * Motor de transcripción de prueba
+ * Devuelve un texto fijo sin procesar el audio
+ */
+
+class StubProvider {
+  /**
+   * @param {Object} config - stubText
+   */
+  constructor(config) {
+    this.name = 'stub';
+    this.text = config.stubText;
+  }
+
+  /**
+   * Cambiar el texto que se devuelve (pruebas)
+   * @param {string} text - Texto de la próxima transcripción
+   */
+  setText(text) {
+    this.text = text;
+  }
+
+  /**
+   * "Transcribir" un archivo de audio
+   * @param {string} filePath - Ruta del audio (no se lee)
+   * @param {Object} options - language
+   * @returns {Promise<Object>} { text, language }
+   */
+  async transcribe(filePath, { language } = {}) {
+    return { text: this.text || '', language };
+  }
+}
+
+export default StubProvider;
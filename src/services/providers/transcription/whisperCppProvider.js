@@ -0,0 +1,82 @@
+/**
+ * Motor de transcripción local: whisper.cpp en CPU
+ * https://github.com/ggerganov/whisper.cpp
+ * Requiere ffmpeg para convertir el audio (ogg/opus de WhatsApp) a WAV 16 kHz mono
+ */
+import { execFile } from 'child_process';
+import { promisify } from 'util';
+import fs from 'fs/promises';
+import { TIMEOUTS } from '../../../utils/constants.js';
+
+const execFileAsync = promisify(execFile);
+
+class WhisperCppProvider {
+  /**
+   * @param {Object} config - binaryPath, modelPath, threads, ffmpegPath y maxDurationSeconds
+   */
+  constructor(config) {
+    this.name = 'whisper_cpp';
+    this.binaryPath = config.binaryPath;
+    this.modelPath = config.modelPath;
+    this.threads = config.threads;
+    this.ffmpegPath = config.ffmpegPath;
+    this.maxDurationSeconds = config.maxDurationSeconds;
+  }
+
+  /**
+   * Convertir audio a WAV 16 kHz mono (formato que espera whisper.cpp)
+   * @param {string} inputPath - Archivo de audio original
+   * @returns {Promise<string>} Ruta del WAV generado
+   */
+  async convertToWav(inputPath) {
+    const wavPath = `${inputPath}.wav`;
+
+    await execFileAsync(this.ffmpegPath, [
+      '-y',
+      '-i', inputPath,
+      '-t', String(this.maxDurationSeconds),
+      '-ar', '16000',
+      '-ac', '1',
+      '-c:a', 'pcm_s16le',
+      wavPath
+    ], { timeout: TIMEOUTS.TRANSCRIPTION });
+
+    return wavPath;
+  }
+
+  /**
+   * Transcribir un archivo de audio
+   * @param {string} filePath - Ruta del audio
+   * @param {Object} options - language
+   * @returns {Promise<Object>} { text, language }
+   */
+  async transcribe(filePath, { language } = {}) {
+    const wavPath = await this.convertToWav(filePath);
+    const outputBase = `${filePath}.transcript`;
+
+    try {
+      await execFileAsync(this.binaryPath, [
+        '-m', this.modelPath,
+        '-f', wavPath,
+        '-l', language || 'auto',
+        '-t', String(this.threads),
+        '-nt',
+        '-otxt',
+        '-of', outputBase
+      ], { timeout: TIMEOUTS.TRANSCRIPTION, maxBuffer: 10 * 1024 * 1024 });
+
+      const text = await fs.readFile(`${outputBase}.txt`, 'utf8');
+
+      return {
+        text: text.replace(/\s+/g, ' ').trim(),
+        language
+      };
+
+    } finally {
+      // El .txt no existe si whisper.cpp falló
+      await Promise.all([wavPath, `${outputBase}.txt`].map(path => fs.unlink(path).catch(() => {})));
+    }
+  }
+}
+
+export default WhisperCppProvider;
@@ -0,0 +1,336 @@
+/**
+ * Proveedor de WhatsApp: API oficial de WhatsApp Cloud (Meta)
+ * https://developers.facebook.com/docs/whatsapp/cloud-api
+ */
+import axios from 'axios';
+import logger from '../../../config/logger.js';
+import { TIMEOUTS, DELIVERY_STATES } from '../../../utils/constants.js';
+import { isUrlFromHosts } from '../../../utils/helpers.js';
+
+// Tipos de mensaje de Meta con archivo adjunto
+const MEDIA_TYPES = ['image', 'document', 'audio', 'video'];
+
+// Estados de Meta (statuses) a estados de entrega
+const STATUS_STATES = {
+  sent: DELIVERY_STATES.ENVIADO,
+  delivered: DELIVERY_STATES.ENTREGADO,
+  read: DELIVERY_STATES.LEIDO,
+  failed: DELIVERY_STATES.FALLIDO
+};
+
+// Límites de mensajes interactivos de WhatsApp Cloud API
+const INTERACTIVE_LIMITS = {
+  MAX_BUTTONS: 3,
+  MAX_LIST_ROWS: 10,
+  BUTTON_TITLE_LENGTH: 20,
+  ROW_TITLE_LENGTH: 24,
+  LIST_BUTTON_TEXT: 'Ver opciones'
+};
+
+/**
+ * Obtener extensión de archivo a partir del tipo MIME
+ * @param {string} mimeType - Tipo MIME (ej: "audio/ogg; codecs=opus")
+ * @returns {string} Extensión
+ */
+function extensionFromMimeType(mimeType = '') {
+  const subtype = mimeType.split(';')[0].split('/')[1] || 'bin';
+  return subtype === 'jpeg' ? 'jpg' : subtype;
+}
+
+class MetaCloudProvider {
+  /**
+   * @param {Object} config - phoneNumberId, accessToken, apiVersion, verifyToken y mediaHosts
+   */
+  constructor(config) {
+    this.name = 'meta';
+    this.phoneNumberId = config.phoneNumberId;
+    this.verifyToken = config.verifyToken;
+    this.mediaHosts = config.mediaHosts || [];
+
+    this.client = axios.create({
+      baseURL: `https://graph.facebook.com/${config.apiVersion}`,
+      timeout: TIMEOUTS.WHATSAPP_REQUEST,
+      headers: {
+        'Content-Type': 'application/json',
+        Authorization: `Bearer ${config.accessToken}`
+      }
+    });
+
+    this.client.interceptors.response.use(
+      (response) => response,
+      (error) => {
+        logger.error('Error en respuesta de WhatsApp Cloud API:', {
+          status: error.response?.status,
+          data: error.response?.data,
+          message: error.message
+        });
+        return Promise.reject(error);
+      }
+    );
+  }
+
+  /**
+   * Enviar un mensaje a la API de Meta
+   * @param {string} to - Número en formato internacional
+   * @param {string} type - Tipo de mensaje (text, image, document)
+   * @param {Object} content - Contenido según el tipo
+   * @returns {Promise<Object>} { messageId, data }
+   */
+  async send(to, type, content) {
+    const response = await this.client.post(`/${this.phoneNumberId}/messages`, {
+      messaging_product: 'whatsapp',
+      recipient_type: 'individual',
+      to,
+      type,
+      [type]: content
+    });
+
+    return { messageId: response.data?.messages?.[0]?.id, data: response.data };
+  }
+
+  /**
+   * Enviar mensaje de texto
+   * @param {string} to - Número en formato internacional
+   * @param {string} message - Contenido del mensaje
+   * @returns {Promise<Object>} { messageId, data }
+   */
+  async sendText(to, message) {
+    return this.send(to, 'text', { body: message, preview_url: false });
+  }
+
+  /**
+   * Enviar imagen
+   * @param {string} to - Número en formato internacional
+   * @param {string} imageUrl - URL pública de la imagen
+   * @param {string} caption - Descripción
+   * @returns {Promise<Object>} { messageId, data }
+   */
+  async sendImage(to, imageUrl, caption = '') {
+    return this.send(to, 'image', { link: imageUrl, caption });
+  }
+
+  /**
+   * Enviar documento
+   * @param {string} to - Número en formato internacional
+   * @param {string} documentUrl - URL pública del documento
+   * @param {string} filename - Nombre del archivo
+   * @param {string} caption - Descripción
+   * @returns {Promise<Object>} { messageId, data }
+   */
+  async sendDocument(to, documentUrl, filename, caption = '') {
+    return this.send(to, 'document', { link: documentUrl, filename, caption });
+  }
+
+  /**
+   * Enviar mensaje con opciones: botones de respuesta (hasta 3) o lista (hasta 10)
+   * @param {string} to - Número en formato internacional
+   * @param {string} message - Texto del mensaje
+   * @param {Array<Object>} options - Opciones ({ id, title, description })
+   * @returns {Promise<Object>} { messageId, data }
+   */
+  async sendInteractive(to, message, options) {
+    if (options.length <= INTERACTIVE_LIMITS.MAX_BUTTONS) {
+      return this.send(to, 'interactive', {
+        type: 'button',
+        body: { text: message },
+        action: {
+          buttons: options.map(option => ({
+            type: 'reply',
+            reply: {
+              id: option.id,
+              title: option.title.slice(0, INTERACTIVE_LIMITS.BUTTON_TITLE_LENGTH)
+            }
+          }))
+        }
+      });
+    }
+
+    return this.send(to, 'interactive', {
+      type: 'list',
+      body: { text: message },
+      action: {
+        button: INTERACTIVE_LIMITS.LIST_BUTTON_TEXT,
+        sections: [{
+          rows: options.slice(0, INTERACTIVE_LIMITS.MAX_LIST_ROWS).map(option => ({
+            id: option.id,
+            title: option.title.slice(0, INTERACTIVE_LIMITS.ROW_TITLE_LENGTH),
+            description: option.description
+          }))
+        }]
+      }
+    });
+  }
+
+  /**
+   * Obtener estado del número configurado
+   * @returns {Promise<Object>} { authenticated, data }
+   */
+  async getStatus() {
+    const response = await this.client.get(`/${this.phoneNumberId}`, {
+      params: { fields: 'display_phone_number,verified_name,quality_rating' }
+    });
+
+    return {
+      authenticated: !!response.data?.id,
+      data: response.data
+    };
+  }
+
+  /**
+   * Descargar un archivo recibido (Meta entrega un ID, no una URL)
+   * @param {Object} media - Metadata del archivo (mediaId o url)
+   * @returns {Promise<Buffer>} Contenido del archivo
+   */
+  async downloadMedia(media) {
+    let url = media.url;
+
+    if (!url) {
+      const info = await this.client.get(`/${media.mediaId}`);
+      url = info.data?.url;
+    }
+
+    // La URL del archivo también requiere el token: solo se envía al CDN de media de Meta
+    if (!isUrlFromHosts(url, this.mediaHosts)) {
+      throw new Error(`Host de descarga no permitido: ${url}`);
+    }
+
+    const response = await this.client.get(url, { responseType: 'arraybuffer', baseURL: '', maxRedirects: 0 });
+    return Buffer.from(response.data);
+  }
+
+  /**
+   * Verificar la suscripción del webhook (GET con hub.challenge)
+   * @param {Object} query - Query del request
+   * @returns {string|null} Challenge a devolver o null si el token no coincide
+   */
+  verifyWebhook(query) {
+    if (this.verifyToken && query['hub.mode'] === 'subscribe' && query['hub.verify_token'] === this.verifyToken) {
+      return query['hub.challenge'];
+    }
+
+    return null;
+  }
+
+  /**
+   * Convertir el webhook de Meta a mensajes normalizados
+   * @param {Object} body - Body del webhook
+   * @returns {Array<Object>} Mensajes entrantes ({ id, from, type, message, metadata })
+   */
+  parseWebhook(body) {
+    const messages = [];
+
+    for (const entry of body?.entry || []) {
+      for (const change of entry.changes || []) {
+        const value = change.value || {};
+        const contact = value.contacts?.[0];
+
+        for (const msg of value.messages || []) {
+          const parsed = this.parseMessage(msg, contact);
+          if (parsed) messages.push(parsed);
+        }
+      }
+    }
+
+    return messages;
+  }
+
+  /**
+   * Extraer cambios de estado de mensajes enviados (value.statuses)
+   * @param {Object} body - Body del webhook
+   * @returns {Array<Object>} Cambios ({ messageIds, referenceId, recipient, status, timestamp, error })
+   */
+  parseStatusUpdates(body) {
+    const updates = [];
+
+    for (const entry of body?.entry || []) {
+      for (const change of entry.changes || []) {
+        for (const status of change.value?.statuses || []) {
+          if (!STATUS_STATES[status.status]) continue;
+
+          updates.push({
+            messageIds: [status.id],
+            referenceId: null,
+            recipient: status.recipient_id || null,
+            status: STATUS_STATES[status.status],
+            timestamp: status.timestamp ? parseInt(status.timestamp) * 1000 : Date.now(),
+            error: status.errors?.[0]?.title || null
+          });
+        }
+      }
+    }
+
+    return updates;
+  }
+
+  /**
+   * Convertir un mensaje de Meta al formato interno
+   * @param {Object} msg - Mensaje del webhook
+   * @param {Object} contact - Contacto que envía
+   * @returns {Object|null} Mensaje normalizado
+   */
+  parseMessage(msg, contact) {
+    const baseData = {
+      id: msg.id,
+      from: msg.from,
+      timestamp: msg.timestamp ? parseInt(msg.timestamp) * 1000 : Date.now(),
+      chatId: msg.from
+    };
+
+    if (msg.type === 'text') {
+      return {
+        ...baseData,
+        type: 'text',
+        message: msg.text?.body,
+        metadata: {
+          pushname: contact?.profile?.name,
+          isForwarded: !!msg.context?.forwarded
+        }
+      };
+    }
+
+    // Respuesta a botones o lista: el ID identifica la opción elegida
+    if (msg.type === 'interactive' || msg.type === 'button') {
+      const reply = msg.interactive?.button_reply || msg.interactive?.list_reply;
+      const replyId = reply?.id || msg.button?.payload;
+      const replyTitle = reply?.title || msg.button?.text;
+
+      return {
+        ...baseData,
+        type: 'text',
+        message: replyTitle,
+        metadata: {
+          pushname: contact?.profile?.name,
+          replyId
+        }
+      };
+    }
+
+    if (MEDIA_TYPES.includes(msg.type)) {
+      const media = msg[msg.type];
+      const defaultMessages = {
+        image: 'Imagen recibida',
+        document: 'Documento recibido',
+        audio: 'Nota de voz recibida',
+        video: 'Video del inmueble recibido'
+      };
+
+      return {
+        ...baseData,
+        type: msg.type,
+        message: media.caption || defaultMessages[msg.type],
+        metadata: {
+          mediaId: media.id,
+          filename: media.filename || `${msg.type}_${Date.now()}.${extensionFromMimeType(media.mime_type)}`,
+          mimeType: media.mime_type,
+          sha256: media.sha256,
+          voice: media.voice
+        }
+      };
+    }
+
+    logger.whatsapp('Tipo de mensaje de WhatsApp Cloud no soportado', { type: msg.type });
+    return null;
+  }
+}
+
+export default MetaCloudProvider;
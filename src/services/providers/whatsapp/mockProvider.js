@@ -0,0 +1,186 @@
+/**
+ * Proveedor de WhatsApp en memoria
+ * Registra los mensajes salientes para desarrollo sin conexión y pruebas
+ */
+import fs from 'fs/promises';
+import { v4 as uuidv4 } from 'uuid';
+import logger from '../../../config/logger.js';
+import { DELIVERY_STATES } from '../../../utils/constants.js';
+
+class MockProvider {
+  constructor() {
+    this.name = 'mock';
+    this.outbox = [];
+    this.maxOutbox = 500;
+  }
+
+  /**
+   * Registrar un mensaje saliente
+   * @param {Object} message - Datos del mensaje
+   * @returns {Object} { messageId, data }
+   */
+  record(message) {
+    const entry = {
+      id: `mock_${uuidv4()}`,
+      timestamp: new Date().toISOString(),
+      ...message
+    };
+
+    this.outbox.push(entry);
+    if (this.outbox.length > this.maxOutbox) {
+      this.outbox.shift();
+    }
+
+    logger.whatsapp('Mensaje registrado en proveedor mock', {
+      to: entry.to,
+      type: entry.type
+    });
+
+    return { messageId: entry.id, data: entry };
+  }
+
+  /**
+   * Enviar mensaje de texto
+   * @param {string} to - Número en formato internacional
+   * @param {string} message - Contenido del mensaje
+   * @returns {Promise<Object>} { messageId, data }
+   */
+  async sendText(to, message) {
+    return this.record({ to, type: 'text', body: message });
+  }
+
+  /**
+   * Enviar imagen
+   * @param {string} to - Número en formato internacional
+   * @param {string} imageUrl - URL de la imagen
+   * @param {string} caption - Descripción
+   * @returns {Promise<Object>} { messageId, data }
+   */
+  async sendImage(to, imageUrl, caption = '') {
+    return this.record({ to, type: 'image', url: imageUrl, caption });
+  }
+
+  /**
+   * Enviar documento
+   * @param {string} to - Número en formato internacional
+   * @param {string} documentUrl - URL del documento
+   * @param {string} filename - Nombre del archivo
+   * @param {string} caption - Descripción
+   * @returns {Promise<Object>} { messageId, data }
+   */
+  async sendDocument(to, documentUrl, filename, caption = '') {
+    return this.record({ to, type: 'document', url: documentUrl, filename, caption });
+  }
+
+  /**
+   * Enviar mensaje con opciones (botones hasta 3, lista en otro caso)
+   * @param {string} to - Número en formato internacional
+   * @param {string} message - Texto del mensaje
+   * @param {Array<Object>} options - Opciones ({ id, title })
+   * @returns {Promise<Object>} { messageId, data }
+   */
+  async sendInteractive(to, message, options) {
+    return this.record({
+      to,
+      type: options.length <= 3 ? 'buttons' : 'list',
+      body: message,
+      options: options.map(({ id, title }) => ({ id, title }))
+    });
+  }
+
+  /**
+   * Obtener estado (siempre disponible)
+   * @returns {Promise<Object>} { authenticated, data }
+   */
+  async getStatus() {
+    return {
+      authenticated: true,
+      data: { provider: this.name, outbox: this.outbox.length }
+    };
+  }
+
+  /**
+   * Leer un archivo "recibido": URL remota o ruta local
+   * @param {Object} media - Metadata del archivo (url o path)
+   * @returns {Promise<Buffer>} Contenido del archivo
+   */
+  async downloadMedia(media) {
+    const location = media.path || media.url;
+
+    if (/^https?:\/\//.test(location)) {
+      const response = await fetch(location);
+      if (!response.ok) {
+        throw new Error(`Error al descargar archivo: ${response.status}`);
+      }
+      return Buffer.from(await response.arrayBuffer());
+    }
+
+    return fs.readFile(location.replace(/^file:\/\//, ''));
+  }
+
+  /**
+   * Convertir un mensaje simulado a mensajes normalizados
+   * Acepta { from, body|message, type?, id?, replyId?, caption?, url?, path?, filename?, mimeType? }
+   * @param {Object} body - Mensaje simulado
+   * @returns {Array<Object>} Mensajes entrantes
+   */
+  parseWebhook(body) {
+    if (!body?.from) return [];
+
+    const type = body.type || 'text';
+    const isText = type === 'text';
+
+    return [{
+      id: body.id || `mock_in_${uuidv4()}`,
+      from: body.from,
+      timestamp: Date.now(),
+      chatId: body.from,
+      type,
+      message: isText ? (body.body || body.message || body.replyId) : (body.caption || `${type} recibido`),
+      metadata: isText ? { replyId: body.replyId } : {
+        filename: body.filename || `${type}_${Date.now()}`,
+        url: body.url,
+        path: body.path,
+        mimeType: body.mimeType,
+        size: body.size
+      }
+    }];
+  }
+
+  /**
+   * Convertir un acuse simulado a cambios de estado
+   * Acepta { messageId, status, to } con status ENVIADO, ENTREGADO, LEIDO o FALLIDO
+   * @param {Object} body - Acuse simulado
+   * @returns {Array<Object>} Cambios ({ messageIds, referenceId, recipient, status, timestamp })
+   */
+  parseStatusUpdates(body) {
+    if (!body?.messageId || !Object.values(DELIVERY_STATES).includes(body.status)) return [];
+
+    return [{
+      messageIds: [body.messageId],
+      referenceId: null,
+      recipient: body.to || null,
+      status: body.status,
+      timestamp: Date.now(),
+      error: body.error || null
+    }];
+  }
+
+  /**
+   * Obtener mensajes salientes registrados
+   * @param {string} to - Filtrar por número (opcional)
+   * @returns {Array<Object>} Mensajes
+   */
+  getOutbox(to = null) {
+    return to ? this.outbox.filter(message => message.to === to) : [...this.outbox];
+  }
+
+  /**
+   * Vaciar mensajes registrados
+   */
+  clearOutbox() {
+    this.outbox = [];
+  }
+}
+
+export default MockProvider;
@@ -0,0 +1,312 @@
+/**
+ * Proveedor de WhatsApp: UltraMSG
+ * https://docs.ultramsg.com
+ */
+import axios from 'axios';
+import logger from '../../../config/logger.js';
+import { ENDPOINTS, TIMEOUTS, DELIVERY_STATES } from '../../../utils/constants.js';
+import { isUrlFromHosts } from '../../../utils/helpers.js';
+
+// Acuses de UltraMSG (message_ack) a estados de entrega
+const ACK_STATES = {
+  pending: DELIVERY_STATES.ENCOLADO,
+  server: DELIVERY_STATES.ENVIADO,
+  device: DELIVERY_STATES.ENTREGADO,
+  read: DELIVERY_STATES.LEIDO,
+  played: DELIVERY_STATES.LEIDO,
+  error: DELIVERY_STATES.FALLIDO
+};
+
+class UltraMSGProvider {
+  /**
+   * @param {Object} config - instanceId, token, baseUrl y mediaHosts
+   */
+  constructor(config) {
+    this.name = 'ultramsg';
+    this.token = config.token;
+    this.instanceId = config.instanceId;
+    this.mediaHosts = config.mediaHosts || [];
+
+    this.client = axios.create({
+      baseURL: config.baseUrl,
+      timeout: TIMEOUTS.WHATSAPP_REQUEST,
+      headers: {
+        'Content-Type': 'application/json'
+      }
+    });
+
+    this.setupInterceptors();
+  }
+
+  /**
+   * Configurar interceptors para logging
+   */
+  setupInterceptors() {
+    this.client.interceptors.request.use(
+      (config) => {
+        logger.whatsapp('Enviando request a UltraMSG', {
+          url: config.url,
+          method: config.method,
+          data: config.data
+        });
+        return config;
+      },
+      (error) => Promise.reject(error)
+    );
+
+    this.client.interceptors.response.use(
+      (response) => {
+        logger.whatsapp('Respuesta recibida de UltraMSG', {
+          status: response.status,
+          data: response.data
+        });
+        return response;
+      },
+      (error) => {
+        logger.error('Error en respuesta de UltraMSG:', {
+          status: error.response?.status,
+          data: error.response?.data,
+          message: error.message
+        });
+        return Promise.reject(error);
+      }
+    );
+  }
+
+  /**
+   * Generar ID de referencia para un envío
+   * @param {string} prefix - Prefijo según el tipo de mensaje
+   * @returns {string} ID de referencia
+   */
+  generateReferenceId(prefix) {
+    return `${prefix}_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+  }
+
+  /**
+   * Enviar mensaje de texto
+   * @param {string} to - Número en formato internacional
+   * @param {string} message - Contenido del mensaje
+   * @returns {Promise<Object>} { messageId, data }
+   */
+  async sendText(to, message) {
+    const referenceId = this.generateReferenceId('msg');
+
+    const response = await this.client.post(ENDPOINTS.ULTRAMSG.SEND_MESSAGE, {
+      token: this.token,
+      to,
+      body: message,
+      priority: 1,
+      referenceId
+    });
+
+    return { messageId: response.data?.id || referenceId, referenceId, data: response.data };
+  }
+
+  /**
+   * Enviar imagen
+   * @param {string} to - Número en formato internacional
+   * @param {string} imageUrl - URL de la imagen o base64
+   * @param {string} caption - Descripción
+   * @returns {Promise<Object>} { messageId, data }
+   */
+  async sendImage(to, imageUrl, caption = '') {
+    const referenceId = this.generateReferenceId('img');
+
+    const response = await this.client.post(ENDPOINTS.ULTRAMSG.SEND_IMAGE, {
+      token: this.token,
+      to,
+      image: imageUrl,
+      caption,
+      referenceId
+    });
+
+    return { messageId: response.data?.id || referenceId, referenceId, data: response.data };
+  }
+
+  /**
+   * Enviar documento
+   * @param {string} to - Número en formato internacional
+   * @param {string} documentUrl - URL del documento
+   * @param {string} filename - Nombre del archivo
+   * @param {string} caption - Descripción
+   * @returns {Promise<Object>} { messageId, data }
+   */
+  async sendDocument(to, documentUrl, filename, caption = '') {
+    const referenceId = this.generateReferenceId('doc');
+
+    const response = await this.client.post(ENDPOINTS.ULTRAMSG.SEND_DOCUMENT, {
+      token: this.token,
+      to,
+      document: documentUrl,
+      filename,
+      caption,
+      referenceId
+    });
+
+    return { messageId: response.data?.id || referenceId, referenceId, data: response.data };
+  }
+
+  /**
+   * Obtener estado de la instancia
+   * @returns {Promise<Object>} { authenticated, data }
+   */
+  async getStatus() {
+    const response = await this.client.get('/instance/status', {
+      params: { token: this.token }
+    });
+
+    return {
+      authenticated: response.data?.status?.accountStatus?.status === 'authenticated',
+      data: response.data
+    };
+  }
+
+  /**
+   * Descargar un archivo recibido
+   * @param {Object} media - Metadata del archivo (url)
+   * @returns {Promise<Buffer>} Contenido del archivo
+   */
+  async downloadMedia(media) {
+    if (this.mediaHosts.length === 0) {
+      throw new Error('ULTRAMSG_MEDIA_HOSTS no está configurado: no se descargan archivos recibidos');
+    }
+
+    // La URL llega en el webhook: solo se descarga del almacenamiento de UltraMSG y sin seguir redirecciones
+    if (!isUrlFromHosts(media.url, this.mediaHosts)) {
+      throw new Error(`Host de descarga no permitido: ${media.url}`);
+    }
+
+    const response = await fetch(media.url, { redirect: 'error' });
+    if (!response.ok) {
+      throw new Error(`Error al descargar archivo: ${response.status}`);
+    }
+
+    return Buffer.from(await response.arrayBuffer());
+  }
+
+  /**
+   * Extraer cambios de estado de mensajes enviados (event_type message_ack)
+   * @param {Object} body - Body del webhook
+   * @returns {Array<Object>} Cambios ({ messageIds, referenceId, recipient, status, timestamp })
+   */
+  parseStatusUpdates(body) {
+    if (body?.event_type !== 'message_ack' || !body.data) return [];
+
+    const status = ACK_STATES[body.data.ack];
+    if (!status) return [];
+
+    return [{
+      // ID de la cola de UltraMSG (respuesta del envío) e ID del mensaje en WhatsApp
+      messageIds: [body.id, body.data.id].filter(Boolean).map(String),
+      referenceId: body.referenceId || null,
+      recipient: body.data.to || null,
+      status,
+      timestamp: body.data.time ? body.data.time * 1000 : Date.now()
+    }];
+  }
+
+  /**
+   * Convertir el webhook de UltraMSG a mensajes normalizados
+   * @param {Object} body - Body del webhook
+   * @returns {Array<Object>} Mensajes entrantes ({ id, from, type, message, metadata })
+   */
+  parseWebhook(body) {
+    const data = body?.data;
+    if (!data) return [];
+
+    // Mensaje enviado por el bot o acuse de entrega (ver parseStatusUpdates)
+    if (data.type === 'sent' || body.event_type === 'message_ack') return [];
+
+    // Estructura común para todos los tipos de mensaje
+    const baseData = {
+      id: data.id,
+      from: data.from,
+      timestamp: data.timestamp || data.time || Date.now(),
+      chatId: data.chatId || data.from
+    };
+
+    switch (data.type) {
+      case 'chat':
+        // UltraMSG envía tipo "chat" para mensajes de texto
+        return [{
+          ...baseData,
+          type: 'text',
+          message: data.body || data.text,
+          metadata: {
+            pushname: data.pushname,
+            fromMe: data.fromMe,
+            isForwarded: data.isForwarded,
+            originalType: 'chat'
+          }
+        }];
+
+      case 'text':
+        return [{
+          ...baseData,
+          type: 'text',
+          message: data.body || data.text,
+          metadata: {}
+        }];
+
+      case 'document':
+        return [{
+          ...baseData,
+          type: 'document',
+          message: data.caption || 'Documento recibido',
+          metadata: {
+            filename: data.filename,
+            url: data.body,
+            mimeType: data.mimetype,
+            size: data.size
+          }
+        }];
+
+      case 'image':
+        return [{
+          ...baseData,
+          type: 'image',
+          message: data.caption || 'Imagen recibida',
+          metadata: {
+            filename: data.filename || `image_${Date.now()}.jpg`,
+            url: data.body,
+            mimeType: data.mimetype || 'image/jpeg',
+            size: data.size
+          }
+        }];
+
+      case 'audio':
+        return [{
+          ...baseData,
+          type: 'audio',
+          message: 'Nota de voz recibida',
+          metadata: {
+            filename: data.filename || `audio_${Date.now()}.ogg`,
+            url: data.body,
+            mimeType: data.mimetype,
+            duration: data.duration,
+            size: data.size
+          }
+        }];
+
+      case 'video':
+        return [{
+          ...baseData,
+          type: 'video',
+          message: data.caption || 'Video del inmueble recibido',
+          metadata: {
+            filename: data.filename || `video_${Date.now()}.mp4`,
+            url: data.body,
+            mimeType: data.mimetype,
+            duration: data.duration,
+            size: data.size
+          }
+        }];
+
+      default:
+        logger.whatsapp('Tipo de mensaje de UltraMSG desconocido', { type: data.type });
+        return [];
+    }
+  }
+}
+
+export default UltraMSGProvider;
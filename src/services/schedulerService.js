@@ -0,0 +1,366 @@
+/**
+ * Programador de tareas persistente
+ * Las tareas viven en la base de datos para sobrevivir reinicios y despliegues
+ */
+import createPrismaClient from '../config/database.js';
+import logger from '../config/logger.js';
+import { scheduler as schedulerConfig } from '../config/index.js';
+import { SCHEDULED_JOB_STATES } from '../utils/constants.js';
+
+class SchedulerService {
+  constructor() {
+    this.prisma = createPrismaClient();
+    this.handlers = new Map(); // tipo -> handler(job)
+    this.pollInterval = schedulerConfig.pollInterval;
+    this.maxAttempts = schedulerConfig.maxAttempts;
+    this.timer = null;
+    this.isPolling = false;
+  }
+
+  /**
+   * Registrar handler para un tipo de tarea
+   * @param {string} type - Tipo de tarea (SCHEDULED_JOB_TYPES)
+   * @param {Function} handler - Función async que recibe el job
+   */
+  registerHandler(type, handler) {
+    this.handlers.set(type, handler);
+  }
+
+  /**
+   * Programar una tarea
+   * @param {string} type - Tipo de tarea
+   * @param {Date} runAt - Momento de ejecución
+   * @param {Object} options - entityId y payload opcionales
+   * @returns {Promise<Object>} Tarea creada
+   */
+  async schedule(type, runAt, { entityId = null, payload = null } = {}) {
+    const job = await this.prisma.scheduledJob.create({
+      data: {
+        tipo: type,
+        entidad_id: entityId,
+        payload,
+        ejecutar_en: runAt
+      }
+    });
+
+    logger.debug('Tarea programada', {
+      jobId: job.id,
+      type,
+      entityId,
+      runAt: runAt.toISOString()
+    });
+
+    return job;
+  }
+
+  /**
+   * Mover la tarea pendiente equivalente a una nueva hora, o crearla si no existe
+   * Evita acumular filas canceladas cuando una tarea se reprograma con frecuencia
+   * @param {string} type - Tipo de tarea
+   * @param {Date} runAt - Nuevo momento de ejecución
+   * @param {Object} options - entityId y payload (deben coincidir con la tarea existente)
+   * @returns {Promise<Object|null>} Tarea creada, o null si se reprogramó una existente
+   */
+  async reschedule(type, runAt, { entityId = null, payload = null } = {}) {
+    const where = {
+      tipo: type,
+      entidad_id: entityId,
+      estado: SCHEDULED_JOB_STATES.PENDIENTE
+    };
+    if (payload) where.payload = { equals: payload };
+
+    const result = await this.prisma.scheduledJob.updateMany({
+      where,
+      data: { ejecutar_en: runAt }
+    });
+
+    if (result.count > 0) return null;
+
+    return this.schedule(type, runAt, { entityId, payload });
+  }
+
+  /**
+   * Eliminar tareas terminadas o canceladas antiguas
+   * Las FALLIDO se conservan para revisión desde el panel
+   * @param {number} retentionDays - Días que se conservan
+   * @returns {Promise<number>} Número de tareas eliminadas
+   */
+  async purgeFinishedJobs(retentionDays = schedulerConfig.finishedJobRetentionDays) {
+    const result = await this.prisma.scheduledJob.deleteMany({
+      where: {
+        estado: { in: [SCHEDULED_JOB_STATES.COMPLETADO, SCHEDULED_JOB_STATES.CANCELADO] },
+        updatedAt: { lt: new Date(Date.now() - retentionDays * 24 * 60 * 60 * 1000) }
+      }
+    });
+
+    return result.count;
+  }
+
+  /**
+   * Asegurar que exista una tarea recurrente pendiente de un tipo
+   * @param {string} type - Tipo de tarea
+   * @param {number} intervalMs - Intervalo entre ejecuciones
+   * @returns {Promise<Object>} Tarea pendiente (existente o nueva)
+   */
+  async scheduleRecurring(type, intervalMs) {
+    const existing = await this.prisma.scheduledJob.findFirst({
+      where: {
+        tipo: type,
+        estado: { in: [SCHEDULED_JOB_STATES.PENDIENTE, SCHEDULED_JOB_STATES.EJECUTANDO] }
+      }
+    });
+
+    if (existing) {
+      return existing;
+    }
+
+    return this.schedule(type, new Date(Date.now() + intervalMs), {
+      payload: { recurring: true, intervalMs }
+    });
+  }
+
+  /**
+   * Cancelar tareas pendientes
+   * @param {Object} filter - types (Array) y entityId
+   * @returns {Promise<number>} Número de tareas canceladas
+   */
+  async cancel({ types, entityId }) {
+    const where = { estado: SCHEDULED_JOB_STATES.PENDIENTE };
+    if (types) where.tipo = { in: types };
+    if (entityId) where.entidad_id = entityId;
+
+    const result = await this.prisma.scheduledJob.updateMany({
+      where,
+      data: { estado: SCHEDULED_JOB_STATES.CANCELADO }
+    });
+
+    return result.count;
+  }
+
+  /**
+   * Cancelar una tarea específica
+   * @param {string} jobId - ID de la tarea
+   * @returns {Promise<boolean>} True si se canceló
+   */
+  async cancelJob(jobId) {
+    const result = await this.prisma.scheduledJob.updateMany({
+      where: { id: jobId, estado: SCHEDULED_JOB_STATES.PENDIENTE },
+      data: { estado: SCHEDULED_JOB_STATES.CANCELADO }
+    });
+
+    return result.count === 1;
+  }
+
+  /**
+   * Iniciar el ciclo de ejecución
+   */
+  async start() {
+    if (this.timer) return;
+
+    await this.recoverStaleJobs();
+
+    const tick = async () => {
+      await this.processDueJobs();
+      this.timer = setTimeout(tick, this.pollInterval);
+    };
+
+    this.timer = setTimeout(tick, 0);
+
+    logger.info('Programador de tareas iniciado', {
+      pollInterval: this.pollInterval,
+      handlers: [...this.handlers.keys()]
+    });
+  }
+
+  /**
+   * Detener el ciclo de ejecución
+   */
+  stop() {
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+      logger.info('Programador de tareas detenido');
+    }
+  }
+
+  /**
+   * Devolver a PENDIENTE las tareas que quedaron EJECUTANDO tras un crash
+   * @returns {Promise<number>} Número de tareas recuperadas
+   */
+  async recoverStaleJobs() {
+    try {
+      const result = await this.prisma.scheduledJob.updateMany({
+        where: {
+          estado: SCHEDULED_JOB_STATES.EJECUTANDO,
+          updatedAt: { lt: new Date(Date.now() - schedulerConfig.staleJobTimeout) }
+        },
+        data: { estado: SCHEDULED_JOB_STATES.PENDIENTE }
+      });
+
+      if (result.count > 0) {
+        logger.warn('Tareas abandonadas recuperadas', { count: result.count });
+      }
+
+      return result.count;
+
+    } catch (error) {
+      logger.error('Error al recuperar tareas abandonadas:', error);
+      return 0;
+    }
+  }
+
+  /**
+   * Ejecutar todas las tareas vencidas
+   * @returns {Promise<number>} Número de tareas ejecutadas
+   */
+  async processDueJobs() {
+    if (this.isPolling) return 0;
+    this.isPolling = true;
+
+    let executed = 0;
+
+    try {
+      const dueJobs = await this.prisma.scheduledJob.findMany({
+        where: {
+          estado: SCHEDULED_JOB_STATES.PENDIENTE,
+          ejecutar_en: { lte: new Date() }
+        },
+        orderBy: { ejecutar_en: 'asc' },
+        take: 50
+      });
+
+      for (const job of dueJobs) {
+        // Reclamar la tarea de forma atómica (evita doble ejecución entre instancias)
+        const claim = await this.prisma.scheduledJob.updateMany({
+          where: { id: job.id, estado: SCHEDULED_JOB_STATES.PENDIENTE },
+          data: {
+            estado: SCHEDULED_JOB_STATES.EJECUTANDO,
+            intentos: { increment: 1 }
+          }
+        });
+
+        if (claim.count === 0) continue;
+
+        await this.executeJob({ ...job, intentos: job.intentos + 1 });
+        executed++;
+      }
+
+    } catch (error) {
+      logger.error('Error al procesar tareas programadas:', error);
+    } finally {
+      this.isPolling = false;
+    }
+
+    return executed;
+  }
+
+  /**
+   * Ejecutar una tarea ya reclamada
+   * @param {Object} job - Tarea a ejecutar
+   */
+  async executeJob(job) {
+    const handler = this.handlers.get(job.tipo);
+
+    try {
+      if (!handler) {
+        throw new Error(`No hay handler registrado para ${job.tipo}`);
+      }
+
+      await handler(job);
+
+      await this.prisma.scheduledJob.update({
+        where: { id: job.id },
+        data: {
+          estado: SCHEDULED_JOB_STATES.COMPLETADO,
+          ejecutado_en: new Date(),
+          ultimo_error: null
+        }
+      });
+
+      if (job.payload?.recurring) {
+        await this.schedule(job.tipo, new Date(Date.now() + job.payload.intervalMs), {
+          entityId: job.entidad_id,
+          payload: job.payload
+        });
+      }
+
+    } catch (error) {
+      const canRetry = job.intentos < this.maxAttempts;
+
+      logger.error('Error al ejecutar tarea programada:', {
+        jobId: job.id,
+        type: job.tipo,
+        attempt: job.intentos,
+        willRetry: canRetry,
+        error: error.message
+      });
+
+      await this.prisma.scheduledJob.update({
+        where: { id: job.id },
+        data: {
+          estado: canRetry ? SCHEDULED_JOB_STATES.PENDIENTE : SCHEDULED_JOB_STATES.FALLIDO,
+          ejecutar_en: canRetry
+            ? new Date(Date.now() + 60000 * Math.pow(2, job.intentos - 1))
+            : job.ejecutar_en,
+          ultimo_error: error.message
+        }
+      });
+
+      // Una tarea recurrente fallida no debe detener la recurrencia
+      if (!canRetry && job.payload?.recurring) {
+        await this.scheduleRecurring(job.tipo, job.payload.intervalMs);
+      }
+    }
+  }
+
+  /**
+   * Listar tareas para administración
+   * @param {Object} filters - estado, tipo, entityId, page, limit
+   * @returns {Promise<Object>} Tareas y total
+   */
+  async getJobs({ estado, tipo, entityId, page = 1, limit = 50 } = {}) {
+    const where = {};
+    if (estado) where.estado = estado;
+    if (tipo) where.tipo = tipo;
+    if (entityId) where.entidad_id = entityId;
+
+    const [jobs, totalCount] = await Promise.all([
+      this.prisma.scheduledJob.findMany({
+        where,
+        orderBy: { ejecutar_en: 'asc' },
+        skip: (page - 1) * limit,
+        take: limit
+      }),
+      this.prisma.scheduledJob.count({ where })
+    ]);
+
+    return { jobs, totalCount };
+  }
+
+  /**
+   * Obtener estadísticas de tareas por estado
+   * @returns {Promise<Object>} Conteo por estado
+   */
+  async getJobStats() {
+    try {
+      const stats = await this.prisma.scheduledJob.groupBy({
+        by: ['estado'],
+        _count: { estado: true }
+      });
+
+      return stats.reduce((acc, stat) => {
+        acc[stat.estado] = stat._count.estado;
+        return acc;
+      }, {});
+
+    } catch (error) {
+      logger.error('Error al obtener estadísticas de tareas:', error);
+      return {};
+    }
+  }
+}
+
+// Crear instancia singleton
+const schedulerService = new SchedulerService();
+
+export default schedulerService;
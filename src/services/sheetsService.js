@@ -5,6 +5,7 @@
 import { google } from 'googleapis';
 import { googleSheets } from '../config/index.js';
 import logger from '../config/logger.js';
+import fieldRegistry from '../core/fieldRegistry.js';
 import { ERROR_CODES } from '../utils/constants.js';
 
 class SheetsService {
@@ -66,14 +67,16 @@ class SheetsService {
      }
 
      // Verificar si tiene headers
-     const headerRange = `${this.sheetName}!A1:Z1`;
+     const headerRange = `${this.sheetName}!1:1`;
      const headerResponse = await this.sheets.spreadsheets.values.get({
        spreadsheetId: this.spreadsheetId,
        range: headerRange
      });
 
-     if (!headerResponse.data.values || headerResponse.data.values.length === 0) {
-       // Agregar headers
+     const currentHeaders = headerResponse.data.values?.[0] || [];
+
+     // Agregar headers (o completarlos si se configuraron campos nuevos)
+     if (currentHeaders.length < this.getHeaders().length) {
        await this.addHeaders();
      }
 
@@ -85,10 +88,11 @@ class SheetsService {
  }
 
  /**
-  * Agregar headers a la hoja
+  * Obtener headers de la hoja
+  * @returns {Array<string>} Headers en orden de columnas
   */
- async addHeaders() {
-   const headers = [
+ getHeaders() {
+   return [
      // Información básica
      'ID', 'Fecha Completado', 'Nombre', 'Apellido', 'Tipo Documento', 'Número Documento',
      'País', 'Celular', 'Email', 'Ciudad Inmueble', 'Dirección Inmueble', 'Matrícula Inmobiliaria',
@@ -109,13 +113,23 @@ class SheetsService {
      'Descripción', 'Características Especiales', 'Servicios Incluidos', 'Restricciones',
      
      // Metadata
-     'Porcentaje Completitud', 'Estado Recolección'
+     'Porcentaje Completitud', 'Estado Recolección',
+
+     // Campos configurables (config/fields.json y field_definitions)
+     ...fieldRegistry.getExtraFields().map(field => field.label)
    ];
+ }
+
+ /**
+  * Agregar headers a la hoja
+  */
+ async addHeaders() {
+   const headers = this.getHeaders();
 
    try {
      await this.sheets.spreadsheets.values.update({
        spreadsheetId: this.spreadsheetId,
-       range: `${this.sheetName}!A1:Z1`,
+       range: `${this.sheetName}!A1`,
        valueInputOption: 'RAW',
        requestBody: {
          values: [headers]
@@ -219,7 +233,7 @@ async exportPropertyData(propertyData) {
     const nextRow = await this.findNextEmptyRow();
 
     // Insertar datos
-    const range = `${this.sheetName}!A${nextRow}:Z${nextRow}`;
+    const range = `${this.sheetName}!A${nextRow}`;
     
     const response = await this.sheets.spreadsheets.values.update({
       spreadsheetId: this.spreadsheetId,
@@ -318,7 +332,15 @@ prepareRowData(propertyData) {
     
     // Metadata
     `${propertyData.porcentaje_completitud || 0}%`,
-    propertyData.estado_recoleccion || ''
+    propertyData.estado_recoleccion || '',
+
+    // Campos configurables
+    ...fieldRegistry.getExtraFields().map(field => {
+      const value = propertyData.atributos_extra?.[field.name];
+      if (value === null || value === undefined) return '';
+      if (typeof value === 'boolean') return value ? 'Sí' : 'No';
+      return value;
+    })
   ];
 }
 
@@ -0,0 +1,135 @@
+/**
+ * Servicio de almacenamiento de archivos
+ * Los documentos se identifican por clave (ej: uploads/<archivo>), no por ruta local,
+ * para poder cambiar de backend sin tocar los registros
+ */
+import { storage as storageConfig } from '../config/index.js';
+import logger from '../config/logger.js';
+import { STORAGE_PROVIDERS } from '../utils/constants.js';
+import LocalStorageProvider from './providers/storage/localStorageProvider.js';
+
+// Fábricas de backends disponibles (el SDK de AWS solo se carga si se usa S3)
+const PROVIDER_FACTORIES = {
+  [STORAGE_PROVIDERS.LOCAL]: async () => new LocalStorageProvider(storageConfig.local),
+  [STORAGE_PROVIDERS.S3]: async () => {
+    const { default: S3StorageProvider } = await import('./providers/storage/s3StorageProvider.js');
+    return new S3StorageProvider(storageConfig.s3);
+  }
+};
+
+class StorageService {
+  constructor() {
+    if (!PROVIDER_FACTORIES[storageConfig.provider]) {
+      throw new Error(`Backend de almacenamiento no soportado: ${storageConfig.provider}`);
+    }
+    this.providerName = storageConfig.provider;
+    this.provider = null;
+    this.signedUrlExpiresSeconds = storageConfig.signedUrlExpiresSeconds;
+  }
+
+  /**
+   * Obtener el backend activo (se crea en el primer uso)
+   * @returns {Promise<Object>} Backend de almacenamiento
+   */
+  async getProvider() {
+    if (!this.provider) {
+      this.provider = PROVIDER_FACTORIES[this.providerName]().catch(error => {
+        // Permitir reintentar si falla la carga (ej: falta el SDK o la configuración)
+        this.provider = null;
+        throw error;
+      });
+    }
+    return this.provider;
+  }
+
+  /**
+   * Nombre del backend activo
+   * @returns {string} local | s3
+   */
+  getProviderName() {
+    return this.providerName;
+  }
+
+  /**
+   * Armar una clave a partir de un prefijo y un nombre de archivo
+   * @param {string} prefix - Prefijo (STORAGE_PREFIXES)
+   * @param {string} filename - Nombre del archivo
+   * @returns {string} Clave
+   */
+  buildKey(prefix, filename) {
+    return `${prefix}/${filename}`;
+  }
+
+  /**
+   * Guardar un archivo
+   * @param {string} key - Clave del archivo
+   * @param {Buffer|string} body - Contenido o ruta de un archivo local
+   * @param {Object} options - contentType
+   * @returns {Promise<Object>} { key, size }
+   */
+  async put(key, body, options = {}) {
+    const provider = await this.getProvider();
+    const result = await provider.put(key, body, options);
+    logger.debug('Archivo guardado', { provider: provider.name, key, size: result.size });
+    return result;
+  }
+
+  /**
+   * Leer un archivo
+   * @param {string} key - Clave del archivo
+   * @returns {Promise<Buffer>} Contenido
+   */
+  async get(key) {
+    const provider = await this.getProvider();
+    return provider.get(key);
+  }
+
+  /**
+   * Eliminar un archivo
+   * @param {string} key - Clave del archivo
+   */
+  async delete(key) {
+    const provider = await this.getProvider();
+    await provider.delete(key);
+    logger.info('Archivo eliminado', { provider: provider.name, key });
+  }
+
+  /**
+   * Listar archivos bajo un prefijo
+   * @param {string} prefix - Prefijo de las claves
+   * @returns {Promise<Array<Object>>} { key, size, lastModified }
+   */
+  async list(prefix) {
+    const provider = await this.getProvider();
+    return provider.list(prefix);
+  }
+
+  /**
+   * Generar URL de descarga firmada (temporal)
+   * @param {string} key - Clave del archivo
+   * @param {number} expiresIn - Vigencia en segundos
+   * @returns {Promise<string>} URL
+   */
+  async getSignedUrl(key, expiresIn = this.signedUrlExpiresSeconds) {
+    const provider = await this.getProvider();
+    return provider.getSignedUrl(key, expiresIn);
+  }
+
+  /**
+   * Verificar una URL firmada servida por la API (solo almacenamiento local)
+   * @param {string} key - Clave del archivo
+   * @param {string} expires - Vencimiento recibido
+   * @param {string} signature - Firma recibida
+   * @returns {Promise<boolean>} True si es válida
+   */
+  async verifySignedUrl(key, expires, signature) {
+    const provider = await this.getProvider();
+    if (typeof provider.verifySignedUrl !== 'function') return false;
+    return provider.verifySignedUrl(key, expires, signature);
+  }
+}
+
+// Crear instancia singleton
+const storageService = new StorageService();
+
+export default storageService;
@@ -0,0 +1,107 @@
+/**
+ * Servicio de transcripción de notas de voz (speech-to-text)
+ * Delega en el motor configurado (whisper.cpp local o stub para pruebas)
+ */
+import fs from 'fs/promises';
+import { join, extname } from 'path';
+import { v4 as uuidv4 } from 'uuid';
+import { transcription as transcriptionConfig } from '../config/index.js';
+import logger from '../config/logger.js';
+import { TRANSCRIPTION_PROVIDERS } from '../utils/constants.js';
+import WhisperCppProvider from './providers/transcription/whisperCppProvider.js';
+import StubProvider from './providers/transcription/stubProvider.js';
+
+// Fábricas de motores disponibles
+const PROVIDER_FACTORIES = {
+  [TRANSCRIPTION_PROVIDERS.WHISPER_CPP]: () => new WhisperCppProvider({
+    ...transcriptionConfig.whisperCpp,
+    ffmpegPath: transcriptionConfig.ffmpegPath,
+    maxDurationSeconds: transcriptionConfig.maxDurationSeconds
+  }),
+  [TRANSCRIPTION_PROVIDERS.STUB]: () => new StubProvider(transcriptionConfig)
+};
+
+class TranscriptionService {
+  constructor() {
+    this.tempDir = 'temp';
+    this.language = transcriptionConfig.language;
+    this.maxDurationSeconds = transcriptionConfig.maxDurationSeconds;
+
+    if (!PROVIDER_FACTORIES[transcriptionConfig.provider]) {
+      throw new Error(`Motor de transcripción no soportado: ${transcriptionConfig.provider}`);
+    }
+    this.provider = PROVIDER_FACTORIES[transcriptionConfig.provider]();
+  }
+
+  /**
+   * Verificar si una nota de voz supera la duración máxima
+   * @param {number} durationSeconds - Duración reportada por el proveedor (puede no venir)
+   * @returns {boolean} True si es demasiado larga
+   */
+  isTooLong(durationSeconds) {
+    return Number(durationSeconds) > this.maxDurationSeconds;
+  }
+
+  /**
+   * Extensión de un audio según su nombre o tipo MIME (las notas de voz llegan sin nombre)
+   * @param {Object} audio - filename y mimeType
+   * @returns {string} Extensión (ogg por defecto)
+   */
+  getAudioExtension({ filename = '', mimeType = '' } = {}) {
+    return (extname(filename || '').slice(1) || (mimeType || '').split(';')[0].split('/')[1] || 'ogg').toLowerCase();
+  }
+
+  /**
+   * Transcribir un audio
+   * @param {Buffer} audioBuffer - Contenido del audio
+   * @param {Object} options - filename y mimeType del audio
+   * @returns {Promise<Object>} { success, text, language, provider, durationMs }
+   */
+  async transcribe(audioBuffer, { filename = '', mimeType = '' } = {}) {
+    const extension = this.getAudioExtension({ filename, mimeType });
+    const tempFilePath = join(this.tempDir, `audio_${uuidv4()}.${extension}`);
+    const startedAt = Date.now();
+
+    try {
+      await fs.mkdir(this.tempDir, { recursive: true });
+      await fs.writeFile(tempFilePath, audioBuffer);
+
+      const result = await this.provider.transcribe(tempFilePath, { language: this.language });
+      const durationMs = Date.now() - startedAt;
+
+      logger.info('Nota de voz transcrita', {
+        provider: this.provider.name,
+        durationMs,
+        textLength: result.text.length
+      });
+
+      return {
+        success: true,
+        text: result.text,
+        language: result.language || this.language,
+        provider: this.provider.name,
+        durationMs
+      };
+
+    } catch (error) {
+      logger.error('Error al transcribir nota de voz:', {
+        provider: this.provider.name,
+        error: error.message
+      });
+
+      return {
+        success: false,
+        error: error.message,
+        provider: this.provider.name
+      };
+
+    } finally {
+      await fs.unlink(tempFilePath).catch(() => {});
+    }
+  }
+}
+
+// Crear instancia singleton
+const transcriptionService = new TranscriptionService();
+
+export default transcriptionService;
@@ -0,0 +1,50 @@
+/**
+ * Registro de nonces de webhooks firmados
+ * Vive en la base de datos para detectar un replay aunque llegue a otra instancia o tras un reinicio
+ */
+import createPrismaClient from '../config/database.js';
+
+class WebhookNonceService {
+  constructor() {
+    this.prisma = createPrismaClient();
+  }
+
+  /**
+   * Registrar un nonce; el índice único hace la verificación atómica entre instancias
+   * @param {string} nonce - Nonce recibido
+   * @param {number} ttlMs - Tiempo que se conserva (pasado este tiempo el timestamp ya lo rechaza)
+   * @returns {Promise<boolean>} True si es nuevo, false si ya se usó
+   */
+  async register(nonce, ttlMs) {
+    try {
+      await this.prisma.webhookNonce.create({
+        data: {
+          nonce,
+          expira_en: new Date(Date.now() + ttlMs)
+        }
+      });
+      return true;
+
+    } catch (error) {
+      if (error.code === 'P2002') return false;
+      throw error;
+    }
+  }
+
+  /**
+   * Eliminar nonces vencidos
+   * @returns {Promise<number>} Número de nonces eliminados
+   */
+  async purgeExpired() {
+    const result = await this.prisma.webhookNonce.deleteMany({
+      where: { expira_en: { lt: new Date() } }
+    });
+
+    return result.count;
+  }
+}
+
+// Crear instancia singleton
+const webhookNonceService = new WebhookNonceService();
+
+export default webhookNonceService;
@@ -1,76 +1,80 @@
 /**
-* Servicio para integración con UltraMSG API (WhatsApp)
-* Maneja envío de mensajes, imágenes y documentos
+* Servicio de WhatsApp
+* Maneja envío de mensajes, imágenes y documentos a través del proveedor configurado
+* (UltraMSG, WhatsApp Cloud API de Meta o mock en memoria)
 */
-import axios from 'axios';
-import { whatsapp, app } from '../config/index.js';
+import { whatsapp } from '../config/index.js';
 import logger from '../config/logger.js';
-import { ERROR_CODES, TIMEOUTS } from '../utils/constants.js';
+import { ERROR_CODES, WHATSAPP_PROVIDERS } from '../utils/constants.js';
+import UltraMSGProvider from './providers/whatsapp/ultramsgProvider.js';
+import MetaCloudProvider from './providers/whatsapp/metaCloudProvider.js';
+import MockProvider from './providers/whatsapp/mockProvider.js';
+
+// Fábricas de proveedores disponibles
+const PROVIDER_FACTORIES = {
+ [WHATSAPP_PROVIDERS.ULTRAMSG]: () => new UltraMSGProvider(whatsapp),
+ [WHATSAPP_PROVIDERS.META]: () => new MetaCloudProvider(whatsapp.meta),
+ [WHATSAPP_PROVIDERS.MOCK]: () => new MockProvider()
+};
 
 class WhatsAppService {
  constructor() {
-   this.baseUrl = whatsapp.baseUrl;
-   this.token = whatsapp.token;
-   this.instanceId = whatsapp.instanceId;
-   
-   // Configurar cliente axios
-   this.client = axios.create({
-     baseURL: this.baseUrl,
-     timeout: TIMEOUTS.WHATSAPP_REQUEST,
-     headers: {
-       'Content-Type': 'application/json'
-     }
-   });
-   
-   // Interceptors para logging
-   this.setupInterceptors();
+   this.providers = new Map();
+   this.provider = this.getProvider(whatsapp.provider);
  }
 
  /**
-  * Configurar interceptors para logging y manejo de errores
+  * Obtener (o crear) un proveedor por nombre
+  * @param {string} name - Nombre del proveedor (WHATSAPP_PROVIDERS)
+  * @returns {Object} Instancia del proveedor
   */
- setupInterceptors() {
-   this.client.interceptors.request.use(
-     (config) => {
-       logger.whatsapp('Enviando request a UltraMSG', {
-         url: config.url,
-         method: config.method,
-         data: config.data
-       });
-       return config;
-     },
-     (error) => {
-       logger.error('Error en request a UltraMSG:', error);
-       return Promise.reject(error);
-     }
-   );
-
-   this.client.interceptors.response.use(
-     (response) => {
-       logger.whatsapp('Respuesta recibida de UltraMSG', {
-         status: response.status,
-         data: response.data
-       });
-       return response;
-     },
-     (error) => {
-       logger.error('Error en respuesta de UltraMSG:', {
-         status: error.response?.status,
-         data: error.response?.data,
-         message: error.message
-       });
-       return Promise.reject(error);
-     }
-   );
+ getProvider(name) {
+   if (!PROVIDER_FACTORIES[name]) {
+     throw new Error(`Proveedor de WhatsApp no soportado: ${name}`);
+   }
+
+   if (!this.providers.has(name)) {
+     this.providers.set(name, PROVIDER_FACTORIES[name]());
+   }
+
+   return this.providers.get(name);
+ }
+
+ /**
+  * Obtener nombre del proveedor activo
+  * @returns {string} Nombre del proveedor
+  */
+ getProviderName() {
+   return this.provider.name;
+ }
+
+ /**
+  * Verificar si el proveedor activo soporta botones y listas
+  * @returns {boolean} True si soporta mensajes interactivos
+  */
+ supportsInteractive() {
+   return typeof this.provider.sendInteractive === 'function';
+ }
+
+ /**
+  * Agregar opciones numeradas al texto (proveedores sin mensajes interactivos)
+  * @param {string} message - Contenido del mensaje
+  * @param {Array<Object>} replyOptions - Opciones ({ id, title })
+  * @returns {string} Mensaje con opciones
+  */
+ appendNumberedOptions(message, replyOptions) {
+   const lines = replyOptions.map((option, index) => `${index + 1}. ${option.title}`);
+   return `${message}\n\n${lines.join('\n')}`;
  }
 
  /**
-  * Enviar mensaje de texto
+  * Enviar mensaje de texto, con botones o lista si se indican opciones
   * @param {string} to - Número de teléfono en formato internacional
   * @param {string} message - Contenido del mensaje
-  * @returns {Promise<Object>} Respuesta de UltraMSG
+  * @param {Array<Object>} replyOptions - Opciones de respuesta ({ id, title }) (opcional)
+  * @returns {Promise<Object>} Resultado del envío
   */
- async sendMessage(to, message) {
+ async sendMessage(to, message, replyOptions = null) {
    try {
      // Validar parámetros
      if (!to || !message) {
@@ -79,32 +83,35 @@ class WhatsAppService {
 
      // Limpiar y formatear número
      const cleanPhone = this.formatPhoneNumber(to);
-     
-     const payload = {
-       token: this.token,
-       to: cleanPhone,
-       body: message,
-       priority: 1,
-       referenceId: `msg_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`
-     };
 
-     const response = await this.client.post('/messages/chat', payload);
-     
+     const hasOptions = replyOptions?.length > 0;
+     let result;
+     if (hasOptions && this.supportsInteractive()) {
+       result = await this.provider.sendInteractive(cleanPhone, message, replyOptions);
+     } else if (hasOptions) {
+       result = await this.provider.sendText(cleanPhone, this.appendNumberedOptions(message, replyOptions));
+     } else {
+       result = await this.provider.sendText(cleanPhone, message);
+     }
+
      logger.whatsapp('Mensaje enviado exitosamente', {
+       provider: this.provider.name,
        to: cleanPhone,
        messageLength: message.length,
-       referenceId: payload.referenceId,
-       response: response.data
+       replyOptions: hasOptions ? replyOptions.length : 0,
+       messageId: result.messageId
      });
 
      return {
        success: true,
-       data: response.data,
-       referenceId: payload.referenceId
+       data: result.data,
+       messageId: result.messageId,
+       referenceId: result.referenceId || result.messageId
      };
 
    } catch (error) {
      logger.error('Error al enviar mensaje por WhatsApp:', {
+       provider: this.provider.name,
        to,
        error: error.message,
        response: error.response?.data
@@ -124,36 +131,31 @@ class WhatsAppService {
   * @param {string} to - Número de teléfono
   * @param {string} imageUrl - URL de la imagen o base64
   * @param {string} caption - Descripción de la imagen
-  * @returns {Promise<Object>} Respuesta de UltraMSG
+  * @returns {Promise<Object>} Resultado del envío
   */
  async sendImage(to, imageUrl, caption = '') {
    try {
      const cleanPhone = this.formatPhoneNumber(to);
-     
-     const payload = {
-       token: this.token,
-       to: cleanPhone,
-       image: imageUrl,
-       caption: caption,
-       referenceId: `img_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`
-     };
 
-     const response = await this.client.post('/messages/image', payload);
-     
+     const result = await this.provider.sendImage(cleanPhone, imageUrl, caption);
+
      logger.whatsapp('Imagen enviada exitosamente', {
+       provider: this.provider.name,
        to: cleanPhone,
        caption,
-       referenceId: payload.referenceId
+       messageId: result.messageId
      });
 
      return {
        success: true,
-       data: response.data,
-       referenceId: payload.referenceId
+       data: result.data,
+       messageId: result.messageId,
+       referenceId: result.referenceId || result.messageId
      };
 
    } catch (error) {
      logger.error('Error al enviar imagen por WhatsApp:', {
+       provider: this.provider.name,
        to,
        error: error.message
      });
@@ -172,37 +174,31 @@ class WhatsAppService {
   * @param {string} documentUrl - URL del documento
   * @param {string} filename - Nombre del archivo
   * @param {string} caption - Descripción del documento
-  * @returns {Promise<Object>} Respuesta de UltraMSG
+  * @returns {Promise<Object>} Resultado del envío
   */
  async sendDocument(to, documentUrl, filename, caption = '') {
    try {
      const cleanPhone = this.formatPhoneNumber(to);
-     
-     const payload = {
-       token: this.token,
-       to: cleanPhone,
-       document: documentUrl,
-       filename: filename,
-       caption: caption,
-       referenceId: `doc_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`
-     };
 
-     const response = await this.client.post('/messages/document', payload);
-     
+     const result = await this.provider.sendDocument(cleanPhone, documentUrl, filename, caption);
+
      logger.whatsapp('Documento enviado exitosamente', {
+       provider: this.provider.name,
        to: cleanPhone,
        filename,
-       referenceId: payload.referenceId
+       messageId: result.messageId
      });
 
      return {
        success: true,
-       data: response.data,
-       referenceId: payload.referenceId
+       data: result.data,
+       messageId: result.messageId,
+       referenceId: result.referenceId || result.messageId
      };
 
    } catch (error) {
      logger.error('Error al enviar documento por WhatsApp:', {
+       provider: this.provider.name,
        to,
        filename,
        error: error.message
@@ -216,6 +212,44 @@ class WhatsAppService {
    }
  }
 
+ /**
+  * Convertir un webhook entrante a mensajes normalizados
+  * @param {Object} body - Body del webhook
+  * @param {string} providerName - Proveedor que envía el webhook (por defecto el activo)
+  * @returns {Array<Object>} Mensajes ({ id, from, type, message, metadata })
+  */
+ parseWebhook(body, providerName = this.provider.name) {
+   return this.getProvider(providerName).parseWebhook(body);
+ }
+
+ /**
+  * Extraer acuses de entrega y lectura de un webhook
+  * @param {Object} body - Body del webhook
+  * @param {string} providerName - Proveedor que envía el webhook (por defecto el activo)
+  * @returns {Array<Object>} Cambios ({ messageIds, referenceId, recipient, status, timestamp, error })
+  */
+ parseStatusUpdates(body, providerName = this.provider.name) {
+   return this.getProvider(providerName).parseStatusUpdates(body);
+ }
+
+ /**
+  * Verificar la suscripción de webhook de Meta
+  * @param {Object} query - Query del request (hub.mode, hub.verify_token, hub.challenge)
+  * @returns {string|null} Challenge o null si no es válida
+  */
+ verifyWebhook(query) {
+   return this.getProvider(WHATSAPP_PROVIDERS.META).verifyWebhook(query);
+ }
+
+ /**
+  * Descargar un archivo recibido por WhatsApp
+  * @param {Object} media - Metadata del archivo (url, mediaId o path)
+  * @returns {Promise<Buffer>} Contenido del archivo
+  */
+ async downloadMedia(media) {
+   return this.provider.downloadMedia(media);
+ }
+
  /**
   * Formatear número de teléfono a formato internacional
   * @param {string} phone - Número de teléfono
@@ -224,27 +258,27 @@ class WhatsAppService {
  formatPhoneNumber(phone) {
    // Remover espacios y caracteres especiales
    let cleanPhone = phone.replace(/\D/g, '');
-   
+
    // Si comienza con 57 (código de Colombia), mantenerlo
    if (cleanPhone.startsWith('57') && cleanPhone.length === 12) {
      return cleanPhone;
    }
-   
+
    // Si comienza con +57, remover el +
    if (phone.startsWith('+57')) {
      return cleanPhone;
    }
-   
+
    // Si es un número colombiano de 10 dígitos, agregar 57
    if (cleanPhone.length === 10 && cleanPhone.startsWith('3')) {
      return `57${cleanPhone}`;
    }
-   
+
    // Si no tiene código de país, asumir Colombia
    if (cleanPhone.length === 10) {
      return `57${cleanPhone}`;
    }
-   
+
    return cleanPhone;
  }
 
@@ -254,17 +288,15 @@ class WhatsAppService {
   */
  async validateService() {
    try {
-     // Intentar obtener información de la instancia
-     const response = await this.client.get('/instance/status', {
-       params: { token: this.token }
-     });
-     
-     logger.whatsapp('Servicio WhatsApp validado exitosamente', {
-       status: response.data
+     const status = await this.provider.getStatus();
+
+     logger.whatsapp('Servicio WhatsApp validado', {
+       provider: this.provider.name,
+       authenticated: status.authenticated,
+       status: status.data
      });
-     
-     // RETORNAR BOOLEAN, no el objeto - CAMBIO AQUÍ
-     return response.data?.status?.accountStatus?.status === 'authenticated';
+
+     return status.authenticated;
    } catch (error) {
      logger.error('Error al validar servicio WhatsApp:', error);
      return false;
@@ -277,82 +309,26 @@ class WhatsAppService {
   */
  async getInstanceInfo() {
    try {
-     const response = await this.client.get('/instance/status', {
-       params: { token: this.token }
-     });
-     
+     const status = await this.provider.getStatus();
+
      return {
        success: true,
-       data: response.data
+       provider: this.provider.name,
+       authenticated: status.authenticated,
+       data: status.data
      };
    } catch (error) {
      logger.error('Error al obtener información de instancia:', error);
      return {
        success: false,
+       provider: this.provider.name,
        error: error.message
      };
    }
  }
-
- /**
-  * Reenviar mensaje con reintentos
-  * @param {string} to - Número de teléfono
-  * @param {string} message - Mensaje
-  * @param {number} maxRetries - Máximo número de reintentos
-  * @returns {Promise<Object>} Resultado del envío
-  */
- async sendMessageWithRetry(to, message, maxRetries = whatsapp.maxRetries) {
-   let lastError = null;
-   
-   for (let attempt = 1; attempt <= maxRetries; attempt++) {
-     try {
-       const result = await this.sendMessage(to, message);
-       
-       if (result.success) {
-         if (attempt > 1) {
-           logger.whatsapp(`Mensaje enviado exitosamente en intento ${attempt}`, {
-             to,
-             attempts: attempt
-           });
-         }
-         return result;
-       }
-       
-       lastError = result;
-       
-       // Esperar antes del siguiente intento
-       if (attempt < maxRetries) {
-         await this.delay(whatsapp.retryDelay * attempt);
-       }
-       
-     } catch (error) {
-       lastError = { success: false, error: error.message };
-       
-       if (attempt < maxRetries) {
-         await this.delay(whatsapp.retryDelay * attempt);
-       }
-     }
-   }
-   
-   logger.error(`Falló envío de mensaje después de ${maxRetries} intentos`, {
-     to,
-     lastError
-   });
-   
-   return lastError;
- }
-
- /**
-  * Función de utilidad para delay
-  * @param {number} ms - Milisegundos a esperar
-  * @returns {Promise} Promise que se resuelve después del delay
-  */
- delay(ms) {
-   return new Promise(resolve => setTimeout(resolve, ms));
- }
 }
 
 // Crear instancia singleton
 const whatsappService = new WhatsAppService();
 
-export default whatsappService;
\ No newline at end of file
+export default whatsappService;
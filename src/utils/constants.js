@@ -6,7 +6,10 @@
 export const PROPERTY_STATES = {
     INICIADO: 'INICIADO',
     EN_PROGRESO: 'EN_PROGRESO',
-    COMPLETADO: 'COMPLETADO'
+    EN_REVISION: 'EN_REVISION', // Completa, esperando confirmación del propietario
+    COMPLETADO: 'COMPLETADO',
+    CERRADO: 'CERRADO', // Publicación retirada: ya no se piden documentos
+    VENDIDO: 'VENDIDO'
   };
   
   // Estados de conversación
@@ -16,11 +19,66 @@ export const PROPERTY_STATES = {
     TIMEOUT: 'TIMEOUT'
   };
   
+  // Quién atiende la conversación
+  export const CONVERSATION_MODES = {
+    BOT: 'BOT',
+    HUMANO: 'HUMANO' // Un asesor tomó el control, el bot solo registra mensajes
+  };
+
+  // Motivos de traspaso a un asesor
+  export const HANDOFF_REASONS = {
+    SOLICITUD_PROPIETARIO: 'SOLICITUD_PROPIETARIO',
+    CONFUSION_REPETIDA: 'CONFUSION_REPETIDA',
+    ADMIN: 'ADMIN'
+  };
+
+  // Frases con las que el propietario pide hablar con una persona (texto en minúsculas y sin tildes)
+  // Solo la petición cuenta: "ya tengo un agente inmobiliario" o "mi asesora de crédito" son respuestas
+  export const HANDOFF_PATTERNS = [
+    // "hablar con un asesor", "me comunicas con un humano?", "pásame con alguien"
+    /\b(hablar|hablo|comunicar(me)?|comunica(s|me)?|comuniqueme|pasa(me|s)|paseme|pasenme|contactar(me)?)\s+con\s+((un|una|el|la|su|tu|algun|alguna)\s+)?(asesora?|agente|humano|persona|alguien)\b/,
+    // "quiero un asesor", "necesito una persona real"
+    /\b(quiero|necesito|prefiero|requiero)\s+(a\s+)?(un|una)\s+(asesora?|agente|humano|persona)\b/,
+    // "que me atienda un asesor", "me puede atender una persona"
+    /\b(atienda|atiendan|atender(me)?)\s+((un|una|el|la|algun|alguna)\s+)?(asesora?|agente|humano|persona)\b/
+  ];
+
+  // Tipos de tareas programadas
+  export const SCHEDULED_JOB_TYPES = {
+    CONVERSATION_REMINDER: 'CONVERSATION_REMINDER',
+    CONVERSATION_TIMEOUT: 'CONVERSATION_TIMEOUT',
+    CLEANUP_EXPIRED_CONVERSATIONS: 'CLEANUP_EXPIRED_CONVERSATIONS',
+    CLEANUP_TEMP_FILES: 'CLEANUP_TEMP_FILES',
+    SYSTEM_STATS: 'SYSTEM_STATS',
+    DOCUMENT_EXPIRY: 'DOCUMENT_EXPIRY',
+    CLEANUP_SCHEDULED_JOBS: 'CLEANUP_SCHEDULED_JOBS',
+    CLEANUP_WEBHOOK_NONCES: 'CLEANUP_WEBHOOK_NONCES',
+    DELIVERY_STATUS_RETRY: 'DELIVERY_STATUS_RETRY'
+  };
+
+  // Estados de tareas programadas
+  export const SCHEDULED_JOB_STATES = {
+    PENDIENTE: 'PENDIENTE',
+    EJECUTANDO: 'EJECUTANDO',
+    COMPLETADO: 'COMPLETADO',
+    CANCELADO: 'CANCELADO',
+    FALLIDO: 'FALLIDO'
+  };
+
+  // Estados de la cola de mensajes salientes
+  export const OUTBOUND_STATES = {
+    PENDIENTE: 'PENDIENTE',
+    ENVIANDO: 'ENVIANDO',
+    ENVIADO: 'ENVIADO',
+    FALLIDO: 'FALLIDO' // Agotó los reintentos, ver DeadLetterMessage
+  };
+
   // Tipos de mensaje
   export const MESSAGE_TYPES = {
     USER: 'USER',
     BOT: 'BOT',
-    SYSTEM: 'SYSTEM'
+    SYSTEM: 'SYSTEM',
+    ADMIN: 'ADMIN' // Enviado por un asesor desde el panel
   };
   
   // Dirección de mensajes
@@ -28,6 +86,15 @@ export const PROPERTY_STATES = {
     ENVIADO: 'ENVIADO',
     RECIBIDO: 'RECIBIDO'
   };
+
+  // Estados de entrega de mensajes enviados (según los acuses del proveedor)
+  export const DELIVERY_STATES = {
+    ENCOLADO: 'ENCOLADO', // Aceptado por el proveedor, pendiente de envío
+    ENVIADO: 'ENVIADO',
+    ENTREGADO: 'ENTREGADO',
+    LEIDO: 'LEIDO',
+    FALLIDO: 'FALLIDO'
+  };
   
   // Tipos de propiedad válidos
   export const PROPERTY_TYPES = {
@@ -72,6 +139,86 @@ export const PROPERTY_STATES = {
     [DOCUMENT_TYPES.CERTIFICADO_PREDIAL]: 'Certificado de Tradición y Libertad',
     [DOCUMENT_TYPES.FOTOS_INMUEBLE]: 'Fotos del Inmueble'
   };
+
+  // Tipo de un documento recibido mientras el propietario confirma qué es
+  export const UNCLASSIFIED_DOCUMENT_TYPE = 'sin_clasificar';
+
+  // Opciones para preguntar qué documento envió el propietario
+  // title: botón (máx. 20 caracteres), question: texto de la pregunta, keywords: respuesta escrita
+  export const DOCUMENT_REPLY_OPTIONS = {
+    [DOCUMENT_TYPES.CERTIFICADO_EXISTENCIA]: {
+      title: 'Cert. de existencia',
+      question: 'el certificado de existencia',
+      keywords: ['existencia', 'camara de comercio', 'representacion']
+    },
+    [DOCUMENT_TYPES.ESCRITURA_PUBLICA]: {
+      title: 'Escritura',
+      question: 'la escritura',
+      keywords: ['escritura']
+    },
+    [DOCUMENT_TYPES.PAZ_SALVO_ADMIN]: {
+      title: 'Paz y salvo',
+      question: 'el paz y salvo de administración',
+      keywords: ['paz y salvo', 'paz', 'administracion']
+    },
+    [DOCUMENT_TYPES.RECIBO_SERVICIOS]: {
+      title: 'Recibo de servicios',
+      question: 'un recibo de servicios',
+      keywords: ['recibo', 'servicio', 'factura']
+    },
+    [DOCUMENT_TYPES.CERTIFICADO_PREDIAL]: {
+      title: 'Cert. de tradición',
+      question: 'el certificado de tradición',
+      keywords: ['tradicion', 'libertad', 'predial']
+    },
+    [DOCUMENT_TYPES.FOTOS_INMUEBLE]: {
+      title: 'Foto del inmueble',
+      question: 'una foto del inmueble',
+      keywords: ['foto', 'imagen']
+    }
+  };
+
+  // Clasificación de documentos por contenido
+  export const DOCUMENT_CLASSIFICATION = {
+    MIN_CONFIDENCE: 0.6, // Por debajo se confirma con el propietario
+    STRONG_SCORE: 5, // Puntaje de palabras clave que se considera evidencia completa
+    REPLY_ID_PREFIX: 'documento=' // ID de los botones de tipo de documento
+  };
+
+  // Problemas de calidad de las fotos del inmueble
+  export const PHOTO_QUALITY_ISSUES = {
+    LOW_RESOLUTION: 'baja_resolucion',
+    BLURRY: 'borrosa',
+    TOO_DARK: 'oscura',
+    TOO_BRIGHT: 'sobreexpuesta',
+    PORTRAIT: 'vertical' // Solo consejo: la foto sí cuenta
+  };
+
+  // Consejo al propietario para cada problema de calidad
+  export const PHOTO_QUALITY_ADVICE = {
+    [PHOTO_QUALITY_ISSUES.LOW_RESOLUTION]: 'la foto tiene muy poca resolución, envíala directamente desde la cámara y no como captura de pantalla',
+    [PHOTO_QUALITY_ISSUES.BLURRY]: 'la foto está borrosa, sostén el celular firme y toca la pantalla para enfocar',
+    [PHOTO_QUALITY_ISSUES.TOO_DARK]: 'la foto está muy oscura, intenta con luz natural o enciende las luces',
+    [PHOTO_QUALITY_ISSUES.TOO_BRIGHT]: 'la foto está sobreexpuesta, evita tomarla de frente a una ventana o al sol',
+    [PHOTO_QUALITY_ISSUES.PORTRAIT]: 'toma las fotos en horizontal, así se ven mejor en el anuncio'
+  };
+
+  // Días de vigencia desde la fecha de expedición (los demás documentos no vencen)
+  export const DOCUMENT_VALIDITY_DAYS = {
+    [DOCUMENT_TYPES.CERTIFICADO_PREDIAL]: 30,
+    [DOCUMENT_TYPES.CERTIFICADO_EXISTENCIA]: 30,
+    [DOCUMENT_TYPES.RECIBO_SERVICIOS]: 60 // Último periodo facturado (bimestral)
+  };
+
+  // Anotaciones del certificado de tradición que limitan la venta del inmueble
+  export const ENCUMBRANCE_TYPES = {
+    EMBARGO: 'embargo',
+    HIPOTECA: 'hipoteca',
+    AFECTACION_VIVIENDA: 'afectacion_vivienda_familiar',
+    PATRIMONIO_FAMILIA: 'patrimonio_familia',
+    DEMANDA: 'demanda',
+    MEDIDA_CAUTELAR: 'medida_cautelar'
+  };
   
   // Estratos válidos en Colombia
   export const VALID_STRATA = [1, 2, 3, 4, 5, 6];
@@ -124,69 +271,70 @@ export const FILE_CONFIG = {
     DESCRIPTION: 'description'
    };
    
-   // Prioridad de recolección de campos
-   export const FIELD_COLLECTION_ORDER = [
-    // Primero características físicas básicas
-    'tipo_propiedad',
-    'area_construida', 
-    'habitaciones',
-    'banos',
-    'parqueaderos',
-    'piso', // solo si es apartamento
-    'estrato',
-    'ano_construccion',
-    'estado_propiedad',
-    
-    // Luego información comercial
-    'precio_venta',
-    'precio_negociable',
-    'motivo_venta',
-    'tiempo_estimado_venta',
-    'acepta_credito',
-    'deudas_pendientes',
-    
-    // Después descripción
-    'descripcion',
-    'caracteristicas_especiales',
-    'servicios_incluidos', 
-    'restricciones',
-    
-    // Finalmente documentos
-    'certificado_existencia',
-    'escritura_publica',
-    'paz_salvo_admin',
-    'recibo_servicios',
-    'certificado_predial',
-    'fotos_inmueble'
-   ];
-   
-   // Preguntas para cada campo
-   export const FIELD_QUESTIONS = {
-    tipo_propiedad: "¿Es un apartamento, casa, oficina, lote o bodega?",
-    area_construida: "¿Cuántos metros cuadrados tiene el inmueble?",
-    habitaciones: "¿Cuántas habitaciones tiene?",
-    banos: "¿Cuántos baños tiene? (puedes decir 2.5 si tiene medio baño)",
-    parqueaderos: "¿Tiene parqueadero? ¿Cuántos?",
-    piso: "¿En qué piso está ubicado?",
-    estrato: "¿Cuál es el estrato socioeconómico? (1 al 6)",
-    ano_construccion: "¿En qué año aproximadamente fue construido?",
-    estado_propiedad: "¿Está nuevo, usado o necesita remodelación?",
-    precio_venta: "¿Cuál es el precio de venta?",
-    precio_negociable: "¿El precio es negociable?",
-    motivo_venta: "¿Cuál es el motivo de la venta?",
-    tiempo_estimado_venta: "¿En cuánto tiempo esperas vender? (1-3 meses, 3-6 meses, 6-12 meses, más de 1 año)",
-    acepta_credito: "¿Aceptas crédito hipotecario?",
-    deudas_pendientes: "¿Tiene deudas pendientes la propiedad? (administración, predial, etc.)",
-    descripcion: "Cuéntame una descripción detallada del inmueble (mínimo 50 palabras)",
-    caracteristicas_especiales: "¿Qué características especiales tiene? (vista, balcón, etc.)",
-    servicios_incluidos: "¿Qué servicios incluye? (agua, luz, gas, internet, etc.)",
-    restricciones: "¿Tiene alguna restricción? (mascotas, niños, etc.)",
-    certificado_existencia: "Necesito el Certificado de Existencia y Representación Legal. ¿Lo tienes?",
-    escritura_publica: "¿Tienes la Escritura Pública del inmueble?",
-    paz_salvo_admin: "¿Tienes el Paz y Salvo de Administración? (si aplica)",
-    recibo_servicios: "¿Puedes enviar un recibo de servicios públicos reciente?",
-    certificado_predial: "¿Tienes el Certificado de Tradición y Libertad?",
-    fotos_inmueble: "Necesito mínimo 5 fotos del inmueble. ¿Las puedes enviar?"
+   // Rangos por defecto de campos numéricos
+   export const FIELD_RANGES = {
+    area_construida: { min: VALIDATION_CONFIG.MIN_AREA, max: VALIDATION_CONFIG.MAX_AREA },
+    habitaciones: { min: VALIDATION_CONFIG.MIN_ROOMS, max: VALIDATION_CONFIG.MAX_ROOMS },
+    banos: { min: VALIDATION_CONFIG.MIN_BATHROOMS, max: VALIDATION_CONFIG.MAX_BATHROOMS },
+    parqueaderos: { min: VALIDATION_CONFIG.MIN_PARKING, max: VALIDATION_CONFIG.MAX_PARKING },
+    piso: { min: VALIDATION_CONFIG.MIN_FLOOR, max: VALIDATION_CONFIG.MAX_FLOOR },
+    estrato: { min: VALID_STRATA[0], max: VALID_STRATA[VALID_STRATA.length - 1] },
+    ano_construccion: { min: CONSTRUCTION_YEAR_RANGE.MIN, max: CONSTRUCTION_YEAR_RANGE.MAX },
+    precio_venta: { min: VALIDATION_CONFIG.MIN_PRICE, max: VALIDATION_CONFIG.MAX_PRICE }
+   };
+
+   // Esquema de características físicas por tipo de propiedad
+   // fields: campos que aplican, required: obligatorios para completar,
+   // ranges: rangos que reemplazan a FIELD_RANGES, questions: preguntas que reemplazan a las de config/fields.json
+   export const PROPERTY_TYPE_SCHEMAS = {
+    [PROPERTY_TYPES.APARTAMENTO]: {
+      fields: ['area_construida', 'habitaciones', 'banos', 'parqueaderos', 'piso', 'estrato', 'ano_construccion', 'estado_propiedad'],
+      required: ['area_construida', 'habitaciones', 'banos', 'parqueaderos', 'piso', 'estrato', 'ano_construccion', 'estado_propiedad'],
+      ranges: {
+        area_construida: { min: 15, max: 2000 }
+      },
+      questions: {
+        piso: "¿En qué piso está ubicado el apartamento?"
+      }
+    },
+    [PROPERTY_TYPES.CASA]: {
+      fields: ['area_construida', 'habitaciones', 'banos', 'parqueaderos', 'estrato', 'ano_construccion', 'estado_propiedad'],
+      required: ['area_construida', 'habitaciones', 'banos', 'parqueaderos', 'estrato', 'ano_construccion', 'estado_propiedad'],
+      ranges: {},
+      questions: {}
+    },
+    [PROPERTY_TYPES.OFICINA]: {
+      // El estrato solo es obligatorio para inmuebles residenciales
+      fields: ['area_construida', 'banos', 'parqueaderos', 'piso', 'estrato', 'ano_construccion', 'estado_propiedad'],
+      required: ['area_construida', 'banos', 'parqueaderos', 'piso', 'ano_construccion', 'estado_propiedad'],
+      ranges: {},
+      questions: {
+        piso: "¿En qué piso está ubicada la oficina?"
+      }
+    },
+    [PROPERTY_TYPES.LOTE]: {
+      fields: ['area_construida', 'estrato'],
+      required: ['area_construida'],
+      ranges: {
+        area_construida: { min: 20, max: 1000000 }
+      },
+      questions: {
+        area_construida: "¿Cuántos metros cuadrados tiene el lote?"
+      }
+    },
+    [PROPERTY_TYPES.BODEGA]: {
+      fields: ['area_construida', 'banos', 'parqueaderos', 'estrato', 'ano_construccion', 'estado_propiedad'],
+      required: ['area_construida', 'banos', 'parqueaderos', 'ano_construccion', 'estado_propiedad'],
+      ranges: {
+        area_construida: { min: 20, max: 100000 },
+        banos: { min: 0, max: 20 },
+        parqueaderos: { min: 0, max: 50 }
+      },
+      questions: {
+        area_construida: "¿Cuántos metros cuadrados tiene la bodega?",
+        parqueaderos: "¿Cuántos parqueaderos o zonas de cargue tiene?"
+      }
+    }
    };
    
    // Expresiones regulares para validación (solo para validación, NO para interpretación)
@@ -237,6 +385,38 @@ export const FILE_CONFIG = {
    };
    
    // URLs y endpoints
+   // Proveedores de WhatsApp soportados
+   export const WHATSAPP_PROVIDERS = {
+    ULTRAMSG: 'ultramsg',
+    META: 'meta', // WhatsApp Cloud API oficial
+    MOCK: 'mock' // En memoria, para desarrollo sin conexión
+   };
+
+   // Motores de transcripción de notas de voz
+   export const TRANSCRIPTION_PROVIDERS = {
+    WHISPER_CPP: 'whisper_cpp', // whisper.cpp local en CPU
+    STUB: 'stub' // Texto fijo, para pruebas
+   };
+
+   // Backends de almacenamiento de archivos
+   export const STORAGE_PROVIDERS = {
+    LOCAL: 'local', // Disco local (montar como volumen en contenedores)
+    S3: 's3' // S3 o compatible (MinIO)
+   };
+
+   // Prefijos de las claves de almacenamiento
+   export const STORAGE_PREFIXES = {
+    UPLOADS: 'uploads', // Archivos tal como los envió el propietario
+    DERIVATIVES: 'derivatives', // Versiones para publicar de las fotos
+    QUARANTINE: 'quarantine' // Archivos disfrazados o infectados (nunca pasan a uploads)
+   };
+
+   // Motivos de cuarentena de archivos recibidos
+   export const QUARANTINE_REASONS = {
+    TYPE_MISMATCH: 'TIPO_NO_COINCIDE', // El contenido real no corresponde a la extensión
+    INFECTED: 'INFECTADO' // ClamAV reportó una amenaza
+   };
+
    export const ENDPOINTS = {
     ULTRAMSG: {
       SEND_MESSAGE: '/messages/chat',
@@ -252,6 +432,7 @@ export const FILE_CONFIG = {
     AI_REQUEST: 30000, // 30 segundos
     DATABASE_QUERY: 10000, // 10 segundos
     FILE_UPLOAD: 60000, // 1 minuto
+    TRANSCRIPTION: 120000, // 2 minutos
     CONVERSATION_INACTIVE: 86400000 // 24 horas
    };
    
@@ -266,30 +447,101 @@ export const FILE_CONFIG = {
     ERROR_GENERIC: "Lo siento, ha ocurrido un error. Nuestro equipo ha sido notificado y te contactaremos pronto.",
     
     TIMEOUT_WARNING: "⏰ Hola {nombre}, veo que no hemos continuado con el registro de tu propiedad.\n\n¿Te gustaría continuar donde lo dejamos?",
-    
+
+    PROPERTY_SELECTION_REQUIRED: "🏠 Tienes varias propiedades en proceso con este número:\n\n{properties}\n\n¿De cuál me estás hablando? Responde con el número de la lista, la dirección o la matrícula inmobiliaria.",
+
+    PROPERTY_SWITCHED: "🔄 Listo, ahora hablamos de la propiedad en {direccion}, {ciudad}.\n\n{pregunta}",
+
+    MULTIPLE_PROPERTIES_NOTE: "ℹ️ Tienes {count} propiedades en proceso con este número. Para cambiar entre ellas escribe, por ejemplo: *cambiar a la propiedad de {direccion}*",
+
+    OTHER_PROPERTIES_PENDING: "📌 Aún tienes propiedades en proceso: {direcciones}. Escríbeme cuando quieras continuar con ellas.",
+
+    CONVERSATION_RESUMED: "🙌 ¡Qué bueno tenerte de vuelta, {nombre}! Retomemos donde lo dejamos.\n\n{pregunta}",
+
+    INACTIVITY_REMINDERS: [
+      "👋 Hola {nombre}, seguimos pendientes con el registro de tu propiedad.\n\n{pregunta}",
+      "Hola {nombre}, tu propiedad en {direccion} aún no está completa. Cuando tengas un momento, continuemos:\n\n{pregunta}",
+      "⏳ {nombre}, este es el último recordatorio antes de pausar el registro de tu propiedad.\n\n{pregunta}"
+    ],
+
+    HANDOFF_STARTED: "👤 Entendido, {nombre}. Un asesor de nuestro equipo continuará la conversación contigo por este mismo chat en breve.",
+
+    HANDOFF_RELEASED: "🤖 Hola de nuevo, {nombre}. Continuemos con el registro de tu propiedad.\n\n{pregunta}",
+
+    CORRECTION_CONFIRMED: "✏️ Listo, corregí la información:\n{changes}",
+
+    REVIEW_SUMMARY: "📋 *Antes de enviar tu propiedad, revisemos la información:*\n\n{summary}\n\n¿Todo está correcto? Responde *sí* para confirmar o dime qué dato debo corregir.",
+
+    REVIEW_CONFIRMATION_REQUIRED: "Para enviar la información a nuestro equipo necesito tu confirmación. ¿Los datos están correctos? Responde *sí* o dime qué dato debo corregir.",
+
+    CORRECTION_NOT_UNDERSTOOD: "No logré identificar qué dato quieres corregir. ¿Me lo indicas de nuevo? Por ejemplo: \"son 3 habitaciones, no 2\"",
+
+    DOCUMENT_TYPE_QUESTION: "🤔 Recibí tu archivo, pero no estoy seguro de qué documento es. ¿Esto es {opciones}?",
+
+    DOCUMENT_TYPE_CONFIRMED: "✅ Gracias, guardé el archivo como *{documento}*.",
+
+    PHOTO_LOW_QUALITY: "📷 Recibí la foto, pero no la puedo usar en el anuncio: {consejos}. ¿Me envías otra?",
+
+    PHOTO_TIP: "💡 Consejo: {consejo}.",
+
+    PHOTO_DUPLICATE: "📸 Esta foto ya la habías enviado, así que no la conté de nuevo. Envíame fotos de otros espacios del inmueble (sala, cocina, habitaciones, baños, fachada).",
+
+    VIDEO_FRAMES_DUPLICATE: "📸 Las fotos de este video ya las tenía, así que no sumé nuevas. Envíame fotos o un video de otros espacios del inmueble.",
+
+    DOCUMENT_TOO_OLD: "⚠️ El *{documento}* que enviaste fue expedido el {fecha}. Solo lo podemos aceptar con máximo {dias} días de expedido, así que necesito uno expedido después del {fechaMinima}. ¿Me lo puedes enviar?",
+
+    DOCUMENT_EXPIRED: "📅 Hola {nombre}, el *{documento}* de {direccion} ya cumplió {dias} días de expedido y dejó de ser válido. Para continuar con la publicación necesitamos uno actualizado. ¿Me lo puedes enviar por aquí?",
+
+    DOCUMENT_EXPIRED_REOPENED: "📅 Hola {nombre}, la información de {direccion} estaba completa, pero el *{documento}* ya cumplió {dias} días de expedido y dejó de ser válido. Reabrimos el registro para recibir uno actualizado: ¿me lo puedes enviar por aquí?",
+
+    VIDEO_FRAMES_EXTRACTED: "🎬 ¡Gracias por el video! Extraje {count} fotos de tu video y las agregué a tu propiedad.",
+
+    VOICE_NOTE_NOT_UNDERSTOOD: "🎙️ No logré entender tu nota de voz. ¿Podrías repetirla o escribir tu respuesta?",
+
+    VOICE_NOTE_TOO_LONG: "🎙️ Tu nota de voz es muy larga para procesarla. ¿Podrías enviar notas más cortas (menos de {minutes} minutos) o escribir tu respuesta?",
+
     DOCUMENT_RECEIVED: "✅ Documento recibido: {document_type}\n\n{remaining > 0 ? `Faltan ${remaining} documentos más.` : '¡Todos los documentos están completos!'}"
    };
    
    export default {
     PROPERTY_STATES,
     CONVERSATION_STATES,
+    CONVERSATION_MODES,
+    HANDOFF_REASONS,
+    HANDOFF_PATTERNS,
+    SCHEDULED_JOB_TYPES,
+    SCHEDULED_JOB_STATES,
+    OUTBOUND_STATES,
     MESSAGE_TYPES,
     MESSAGE_DIRECTIONS,
+    DELIVERY_STATES,
     PROPERTY_TYPES,
     PROPERTY_CONDITIONS,
     SALE_TIME_OPTIONS,
     DOCUMENT_TYPES,
     DOCUMENT_LABELS,
+    UNCLASSIFIED_DOCUMENT_TYPE,
+    DOCUMENT_REPLY_OPTIONS,
+    DOCUMENT_CLASSIFICATION,
+    PHOTO_QUALITY_ISSUES,
+    PHOTO_QUALITY_ADVICE,
+    DOCUMENT_VALIDITY_DAYS,
+    ENCUMBRANCE_TYPES,
     VALID_STRATA,
     CONSTRUCTION_YEAR_RANGE,
     FILE_CONFIG,
     VALIDATION_CONFIG,
     FIELD_CATEGORIES,
-    FIELD_COLLECTION_ORDER,
-    FIELD_QUESTIONS,
+    FIELD_RANGES,
+    PROPERTY_TYPE_SCHEMAS,
     VALIDATION_PATTERNS,
     ERROR_CODES,
     ERROR_MESSAGES,
+    WHATSAPP_PROVIDERS,
+    TRANSCRIPTION_PROVIDERS,
+    STORAGE_PROVIDERS,
+    STORAGE_PREFIXES,
+    QUARANTINE_REASONS,
     ENDPOINTS,
     TIMEOUTS,
     MESSAGE_TEMPLATES
@@ -0,0 +1,34 @@
+/**
+ * Funciones auxiliares compartidas
+ */
+
+/**
+ * Verificar que una URL sea HTTPS y apunte a uno de los hosts permitidos (o a un subdominio)
+ * Una entrada con ruta (host/prefijo) solo acepta ese host exacto y rutas bajo el prefijo,
+ * para buckets compartidos donde el host por sí solo no identifica al dueño
+ * @param {string} url - URL a verificar
+ * @param {Array<string>} hosts - Hosts permitidos (ej: ['fbsbx.com', 's3.amazonaws.com/mi-bucket'])
+ * @returns {boolean} True si la URL es de un host permitido
+ */
+export function isUrlFromHosts(url, hosts = []) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    return false;
+  }
+
+  if (parsed.protocol !== 'https:') return false;
+
+  const hostname = parsed.hostname.toLowerCase();
+  return hosts.some(entry => {
+    const [host, ...path] = entry.toLowerCase().split('/');
+    const prefix = path.filter(Boolean).join('/');
+
+    if (prefix) {
+      return hostname === host && parsed.pathname.startsWith(`/${prefix}/`);
+    }
+
+    return hostname === host || hostname.endsWith(`.${host}`);
+  });
+}
@@ -0,0 +1,34 @@
+/**
+ * Mocks compartidos para pruebas unitarias (módulos ESM)
+ * Se deben registrar antes de importar dinámicamente el módulo bajo prueba
+ */
+import { jest } from '@jest/globals';
+
+const srcPath = path => new URL(`../../src/${path}`, import.meta.url).pathname;
+
+/**
+ * Reemplazar el cliente Prisma por un objeto controlado por la prueba
+ * @param {Object} prisma - Modelos simulados (ej: { document: { findMany } })
+ * @returns {Object} El mismo objeto, para configurarlo después de importar
+ */
+export function mockDatabase(prisma = {}) {
+  jest.unstable_mockModule(srcPath('config/database.js'), () => ({
+    default: () => prisma,
+    createPrismaClient: () => prisma,
+    closePrismaClient: async () => {},
+    testDatabaseConnection: async () => true
+  }));
+  return prisma;
+}
+
+/**
+ * Reemplazar servicios con dependencias de red (OpenAI, Weaviate, Resend)
+ * @returns {Object} { aiService, ragService, emailService } para asignarles funciones simuladas
+ */
+export function mockExternalServices() {
+  const services = { aiService: {}, ragService: {}, emailService: {} };
+  jest.unstable_mockModule(srcPath('services/ragService.js'), () => ({ default: services.ragService }));
+  jest.unstable_mockModule(srcPath('services/aiService.js'), () => ({ default: services.aiService }));
+  jest.unstable_mockModule(srcPath('services/emailService.js'), () => ({ default: services.emailService }));
+  return services;
+}
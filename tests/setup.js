@@ -0,0 +1,9 @@
+/**
+ * Entorno de las pruebas: sin servicios externos ni logs en consola
+ */
+process.env.NODE_ENV = 'test';
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
+process.env.WHATSAPP_PROVIDER = 'mock';
+process.env.TRANSCRIPTION_PROVIDER = 'stub';
+process.env.STORAGE_PROVIDER = 'local';
+process.env.OPENAI_API_KEY = process.env.OPENAI_API_KEY || 'test';
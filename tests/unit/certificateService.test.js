@@ -0,0 +1,137 @@
+import { jest } from '@jest/globals';
+import { mockDatabase, mockExternalServices } from '../helpers/mocks.js';
+import { ENCUMBRANCE_TYPES } from '../../src/utils/constants.js';
+
+const prisma = mockDatabase({
+  document: { findUnique: jest.fn(), update: jest.fn(async () => ({})) },
+  activityLog: { create: jest.fn(async () => ({})) }
+});
+const { emailService } = mockExternalServices();
+
+const { default: certificateService } = await import('../../src/services/certificateService.js');
+
+const CERTIFICATE = `
+OFICINA DE REGISTRO DE INSTRUMENTOS PÚBLICOS DE BOGOTÁ ZONA CENTRO
+CERTIFICADO DE TRADICIÓN MATRÍCULA INMOBILIARIA
+Nro Matrícula: 50C - 1234567
+DIRECCIÓN DEL INMUEBLE
+1) CARRERA 15 # 100-20 APTO 501
+2) KR 15 100 20 AP 501
+ÁREA CONSTRUIDA: 85,5 M2
+ANOTACIÓN: Nro 1 Fecha: 10-03-2010
+ESPECIFICACIÓN: COMPRAVENTA
+DE: CONSTRUCTORA ANDES SAS NIT 900123456
+A: PÉREZ GÓMEZ JUAN CARLOS CC 80123456 X
+ANOTACIÓN: Nro 2 Fecha: 10-03-2010
+ESPECIFICACIÓN: HIPOTECA ABIERTA SIN LÍMITE DE CUANTÍA
+DE: PÉREZ GÓMEZ JUAN CARLOS CC 80123456 X
+A: BANCO DE BOGOTÁ NIT 860002964
+ANOTACIÓN: Nro 3 Fecha: 2015-06-01
+ESPECIFICACIÓN: CANCELACIÓN POR VOLUNTAD DE LAS PARTES
+SE CANCELA ANOTACIÓN NO: 2
+DE: BANCO DE BOGOTÁ NIT 860002964
+A: PÉREZ GÓMEZ JUAN CARLOS CC 80123456 X
+ANOTACIÓN: Nro 4 Fecha: 01-02-2024
+ESPECIFICACIÓN: EMBARGO EJECUTIVO CON ACCIÓN PERSONAL
+DE: JUZGADO 10 CIVIL MUNICIPAL
+A: PÉREZ GÓMEZ JUAN CARLOS CC 80123456 X
+`;
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  emailService.sendCertificateReviewNotification = jest.fn(async () => ({ success: true }));
+});
+
+describe('certificateService.parseCertificate', () => {
+  test('extrae matrícula, direcciones y área', () => {
+    const data = certificateService.parseCertificate(CERTIFICATE);
+
+    expect(data.matricula).toBe('50C-1234567');
+    expect(data.direcciones).toEqual(['CARRERA 15 # 100-20 APTO 501', 'KR 15 100 20 AP 501']);
+    expect(data.direccion).toBe('KR 15 100 20 AP 501');
+    expect(data.area).toBe(85.5);
+  });
+
+  test('marca las anotaciones canceladas y clasifica los gravámenes', () => {
+    const { anotaciones } = certificateService.parseCertificate(CERTIFICATE);
+
+    expect(anotaciones.map(({ numero, gravamen, vigente }) => ({ numero, gravamen, vigente }))).toEqual([
+      { numero: 1, gravamen: null, vigente: true },
+      { numero: 2, gravamen: ENCUMBRANCE_TYPES.HIPOTECA, vigente: false },
+      { numero: 3, gravamen: null, vigente: true },
+      { numero: 4, gravamen: ENCUMBRANCE_TYPES.EMBARGO, vigente: true }
+    ]);
+    expect(anotaciones[2].cancela).toEqual([2]);
+  });
+
+  test('los propietarios son los titulares de la última anotación vigente que los nombra', () => {
+    const { propietarios } = certificateService.parseCertificate(CERTIFICATE);
+
+    expect(propietarios).toEqual([{ nombre: 'PEREZ GOMEZ JUAN CARLOS', documento: '80123456' }]);
+  });
+});
+
+describe('certificateService.compareWithProperty', () => {
+  const data = certificateService.parseCertificate(CERTIFICATE);
+
+  test('acepta variaciones de escritura de los mismos datos', () => {
+    const property = {
+      matricula_inmobiliaria: '1234567',
+      nombre: 'Juan',
+      apellido: 'Pérez',
+      direccion_inmueble: 'Cra 15 No. 100 - 20 apto 501'
+    };
+
+    expect(certificateService.compareWithProperty(data, property)).toEqual([]);
+  });
+
+  test('reporta cada campo que no coincide', () => {
+    const property = {
+      matricula_inmobiliaria: '50C-7654321',
+      nombre: 'Ana',
+      apellido: 'Rojas',
+      direccion_inmueble: 'Calle 15 # 100-20'
+    };
+
+    expect(certificateService.compareWithProperty(data, property).map(({ campo }) => campo))
+      .toEqual(['matricula_inmobiliaria', 'propietario', 'direccion_inmueble']);
+  });
+
+  test.each(['1234567', '50C 1234567', '50c-1234567', '01234567'])('la matrícula %s coincide con 50C-1234567', value => {
+    expect(certificateService.registrationNumbersMatch(value, data.matricula)).toBe(true);
+  });
+
+  test.each(['567', '7', '50N-1234567', '50C-123456', ''])('la matrícula "%s" no coincide con 50C-1234567', value => {
+    expect(certificateService.registrationNumbersMatch(value, data.matricula)).toBe(false);
+  });
+
+  test('un sufijo del número es una discrepancia', () => {
+    expect(certificateService.compareWithProperty(data, { matricula_inmobiliaria: '567' }).map(({ campo }) => campo))
+      .toEqual(['matricula_inmobiliaria']);
+  });
+});
+
+describe('certificateService.reviewCertificate', () => {
+  test('un gravamen vigente marca el documento para revisión y notifica', async () => {
+    prisma.document.findUnique.mockResolvedValue({
+      id: 'doc-1',
+      property_id: 'prop-1',
+      ocr_texto: CERTIFICATE,
+      property: { id: 'prop-1', matricula_inmobiliaria: '50C-1234567', nombre: 'Juan', apellido: 'Pérez' }
+    });
+
+    const result = await certificateService.reviewCertificate('doc-1');
+
+    expect(result).toMatchObject({ success: true, requiresReview: true, discrepancies: [] });
+    expect(result.encumbrances.map(({ numero }) => numero)).toEqual([4]);
+    expect(prisma.document.update.mock.calls[0][0].data.requiere_revision).toBe(true);
+    expect(emailService.sendCertificateReviewNotification).toHaveBeenCalled();
+  });
+
+  test('sin texto OCR no revisa', async () => {
+    prisma.document.findUnique.mockResolvedValue({ id: 'doc-1', ocr_texto: null });
+
+    expect(await certificateService.reviewCertificate('doc-1')).toMatchObject({ success: false });
+    expect(prisma.document.update).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,67 @@
+import { jest } from '@jest/globals';
+import { mockDatabase, mockExternalServices } from '../helpers/mocks.js';
+
+const prisma = mockDatabase({
+  conversation: { findFirst: jest.fn(), update: jest.fn() }
+});
+mockExternalServices();
+
+const { default: conversationManager } = await import('../../src/core/conversationManager.js');
+
+const timedOut = {
+  id: 'conv-1',
+  property_id: 'prop-1',
+  whatsapp_number: '573001112233',
+  estado: 'TIMEOUT',
+  contexto_actual: JSON.stringify({ step: 'collecting', currentField: 'habitaciones', collectedFields: ['area'] }),
+  property: { id: 'prop-1', nombre: 'Ana', tipo_propiedad: 'apartamento', estado_recoleccion: 'EN_PROGRESO' }
+};
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  conversationManager.activeConversations.clear();
+  prisma.conversation.update.mockImplementation(async ({ data }) => ({ ...timedOut, ...data }));
+});
+
+describe('conversationManager.resumeTimedOutConversation', () => {
+  test('reactiva la conversación conservando el contexto guardado', async () => {
+    prisma.conversation.findFirst.mockResolvedValue(timedOut);
+
+    const conversation = await conversationManager.resumeTimedOutConversation('573001112233');
+
+    expect(conversation.estado).toBe('ACTIVA');
+    const context = JSON.parse(conversation.contexto_actual);
+    expect(context).toMatchObject({ currentField: 'habitaciones', collectedFields: ['area'] });
+    expect(context.resumedAt).toBeDefined();
+    expect(conversationManager.activeConversations.get('573001112233')).toMatchObject({ state: 'collecting' });
+  });
+
+  test('no reactiva conversaciones de propiedades ya completadas', async () => {
+    prisma.conversation.findFirst.mockResolvedValue({
+      ...timedOut,
+      property: { ...timedOut.property, estado_recoleccion: 'COMPLETADO' }
+    });
+
+    expect(await conversationManager.resumeTimedOutConversation('573001112233')).toBeNull();
+    expect(prisma.conversation.update).not.toHaveBeenCalled();
+  });
+
+  test('devuelve null si no hay conversación expirada', async () => {
+    prisma.conversation.findFirst.mockResolvedValue(null);
+
+    expect(await conversationManager.resumeTimedOutConversation('573001112233')).toBeNull();
+  });
+});
+
+describe('conversationManager.buildResumeResponse', () => {
+  test('saluda por nombre y repite la pregunta pendiente', () => {
+    const context = JSON.parse(timedOut.contexto_actual);
+
+    const response = conversationManager.buildResumeResponse(timedOut, context);
+
+    expect(response.type).toBe('conversation_resumed');
+    expect(response.currentField).toBe('habitaciones');
+    expect(response.message).toContain('Ana');
+    expect(response.message).toContain(conversationManager.getPendingQuestion(context, 'apartamento'));
+  });
+});
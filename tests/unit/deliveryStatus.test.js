@@ -0,0 +1,131 @@
+import { jest } from '@jest/globals';
+import { mockDatabase, mockExternalServices } from '../helpers/mocks.js';
+
+const prisma = mockDatabase({
+  message: { findFirst: jest.fn(), update: jest.fn(async () => ({})) },
+  outboundMessage: { findFirst: jest.fn() },
+  scheduledJob: { create: jest.fn(async ({ data }) => ({ id: 'job-1', ...data })) }
+});
+mockExternalServices();
+
+const { default: conversationManager } = await import('../../src/core/conversationManager.js');
+const { default: UltraMSGProvider } = await import('../../src/services/providers/whatsapp/ultramsgProvider.js');
+const { default: MetaCloudProvider } = await import('../../src/services/providers/whatsapp/metaCloudProvider.js');
+
+const sent = overrides => ({
+  id: 'msg-1',
+  conversation_id: 'conv-1',
+  estado_entrega: 'ENVIADO',
+  entregado_en: null,
+  leido_en: null,
+  ...overrides
+});
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  prisma.outboundMessage.findFirst.mockResolvedValue(null);
+});
+
+describe('conversationManager.updateDeliveryStatus', () => {
+  test('leído marca también la entrega', async () => {
+    prisma.message.findFirst.mockResolvedValue(sent());
+
+    const updated = await conversationManager.updateDeliveryStatus({
+      messageIds: ['wamid.1'],
+      status: 'LEIDO',
+      timestamp: 1760000000000
+    });
+
+    expect(updated).toBe(true);
+    expect(prisma.message.update).toHaveBeenCalledWith({
+      where: { id: 'msg-1' },
+      data: {
+        estado_entrega: 'LEIDO',
+        entregado_en: new Date(1760000000000),
+        leido_en: new Date(1760000000000)
+      }
+    });
+  });
+
+  test('un acuse atrasado no retrocede el estado', async () => {
+    prisma.message.findFirst.mockResolvedValue(sent({ estado_entrega: 'LEIDO', entregado_en: new Date(), leido_en: new Date() }));
+
+    expect(await conversationManager.updateDeliveryStatus({ messageIds: ['wamid.1'], status: 'ENTREGADO' })).toBe(false);
+    expect(prisma.message.update).not.toHaveBeenCalled();
+  });
+
+  test('un fallo no aplica a un mensaje ya entregado', async () => {
+    prisma.message.findFirst.mockResolvedValue(sent({ estado_entrega: 'ENTREGADO', entregado_en: new Date() }));
+
+    expect(await conversationManager.updateDeliveryStatus({ messageIds: ['wamid.1'], status: 'FALLIDO' })).toBe(false);
+  });
+
+  test('busca también por la referencia de la cola de salida', async () => {
+    prisma.outboundMessage.findFirst.mockResolvedValue({ id: 'out-1' });
+    prisma.message.findFirst.mockResolvedValue(sent());
+
+    await conversationManager.updateDeliveryStatus({ messageIds: ['wamid.1'], status: 'ENTREGADO' });
+
+    expect(prisma.message.findFirst.mock.calls[0][0].where.OR).toEqual([
+      { whatsapp_message_id: 'wamid.1' },
+      { referencia_envio: 'out-1' }
+    ]);
+  });
+
+  test('reintenta una vez un acuse que llegó antes de guardar el ID del proveedor', async () => {
+    prisma.message.findFirst.mockResolvedValue(null);
+    prisma.outboundMessage.findFirst
+      .mockResolvedValueOnce(null)
+      .mockResolvedValueOnce({ id: 'out-2' });
+    const update = { messageIds: ['wamid.9'], recipient: '573001234567', status: 'ENTREGADO', timestamp: 1760000000000 };
+
+    expect(await conversationManager.updateDeliveryStatus(update)).toBe(false);
+    expect(prisma.outboundMessage.findFirst.mock.calls[1][0].where).toEqual({
+      estado: { in: ['PENDIENTE', 'ENVIANDO'] },
+      whatsapp_number: '573001234567'
+    });
+    const { data } = prisma.scheduledJob.create.mock.calls[0][0];
+    expect(data).toMatchObject({ tipo: 'DELIVERY_STATUS_RETRY', payload: update });
+    expect(data.ejecutar_en.getTime()).toBeGreaterThan(Date.now());
+
+    await conversationManager.updateDeliveryStatus(update, { isRetry: true });
+    expect(prisma.scheduledJob.create).toHaveBeenCalledTimes(1);
+  });
+
+  test('no reintenta un acuse sin envíos en curso para ese número', async () => {
+    prisma.message.findFirst.mockResolvedValue(null);
+
+    const update = { messageIds: ['wamid.10'], recipient: '573009999999', status: 'LEIDO' };
+    expect(await conversationManager.updateDeliveryStatus(update)).toBe(false);
+    expect(prisma.scheduledJob.create).not.toHaveBeenCalled();
+  });
+});
+
+describe('parseStatusUpdates de los proveedores', () => {
+  test('UltraMSG convierte message_ack con los IDs de cola y de WhatsApp', () => {
+    const provider = new UltraMSGProvider({ instanceId: 'i', token: 't', baseUrl: 'https://api.ultramsg.com/i' });
+
+    expect(provider.parseStatusUpdates({
+      event_type: 'message_ack',
+      id: 25,
+      referenceId: 'out-1',
+      data: { id: 'true_57300@c.us_ABC', to: '57300@c.us', ack: 'device', time: 1760000000 }
+    })).toEqual([{
+      messageIds: ['25', 'true_57300@c.us_ABC'],
+      referenceId: 'out-1',
+      recipient: '57300@c.us',
+      status: 'ENTREGADO',
+      timestamp: 1760000000000
+    }]);
+  });
+
+  test('Meta convierte statuses con el error de entrega', () => {
+    const provider = new MetaCloudProvider({ phoneNumberId: '1', accessToken: 't', apiVersion: 'v19.0' });
+
+    const [update] = provider.parseStatusUpdates({
+      entry: [{ changes: [{ value: { statuses: [{ id: 'wamid.1', recipient_id: '573001234567', status: 'failed', errors: [{ title: 'Número inválido' }] }] } }] }]
+    });
+
+    expect(update).toMatchObject({ messageIds: ['wamid.1'], recipient: '573001234567', status: 'FALLIDO', error: 'Número inválido' });
+  });
+});
@@ -0,0 +1,48 @@
+import { mockDatabase } from '../helpers/mocks.js';
+import { DOCUMENT_CLASSIFICATION, DOCUMENT_TYPES } from '../../src/utils/constants.js';
+
+mockDatabase({});
+
+const { default: documentService } = await import('../../src/services/documentService.js');
+
+describe('documentService.classifyDocument', () => {
+  test('reconoce un certificado de tradición y libertad aunque el OCR cambie tildes y espacios', () => {
+    const result = documentService.classifyDocument(`
+      SUPERINTENDENCIA DE NOTARIADO Y REGISTRO
+      Oficina de Registro de Instrumentos Públicos de Bogotá
+      CERTIFICADO DE TRADICIÓN Y   LIBERTAD
+      Matrícula Inmobiliaria: 50C-1234567
+    `);
+
+    expect(result.type).toBe(DOCUMENT_TYPES.CERTIFICADO_PREDIAL);
+    expect(result.confidence).toBeGreaterThanOrEqual(DOCUMENT_CLASSIFICATION.MIN_CONFIDENCE);
+  });
+
+  test('reconoce un recibo de servicios públicos', () => {
+    const result = documentService.classifyDocument('Empresa de servicios públicos. Consumo de energía 120 kWh. Pago oportuno: 10/10/2026');
+
+    expect(result.type).toBe(DOCUMENT_TYPES.RECIBO_SERVICIOS);
+  });
+
+  test('la evidencia repartida entre tipos baja la confianza', () => {
+    // Una escritura menciona la notaría y la matrícula inmobiliaria del inmueble
+    const mixed = documentService.classifyDocument('Escritura pública otorgada en la Notaría 5. Matrícula inmobiliaria 50C-1, anotación 3');
+    const clear = documentService.classifyDocument('Escritura pública otorgada en la Notaría 5. Comparecieron los otorgantes');
+
+    expect(mixed.type).toBe(DOCUMENT_TYPES.ESCRITURA_PUBLICA);
+    expect(mixed.confidence).toBeLessThan(DOCUMENT_CLASSIFICATION.MIN_CONFIDENCE);
+    expect(clear.confidence).toBe(1);
+  });
+
+  test('poca evidencia no alcanza la confianza mínima', () => {
+    const result = documentService.classifyDocument('Administración del edificio');
+
+    expect(result.type).toBe(DOCUMENT_TYPES.PAZ_SALVO_ADMIN);
+    expect(result.confidence).toBeLessThan(DOCUMENT_CLASSIFICATION.MIN_CONFIDENCE);
+  });
+
+  test('sin texto reconocible no propone tipo', () => {
+    expect(documentService.classifyDocument('')).toMatchObject({ type: null, confidence: 0 });
+    expect(documentService.classifyDocument('foto de la sala')).toMatchObject({ type: null, confidence: 0 });
+  });
+});
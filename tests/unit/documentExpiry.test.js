@@ -0,0 +1,98 @@
+import { jest } from '@jest/globals';
+import { mockDatabase, mockExternalServices } from '../helpers/mocks.js';
+import { DOCUMENT_TYPES, MESSAGE_TEMPLATES } from '../../src/utils/constants.js';
+
+const prisma = mockDatabase({
+  property: { findUnique: jest.fn(), update: jest.fn(async () => ({})) },
+  document: { findUnique: jest.fn(), findFirst: jest.fn() },
+  conversation: { findFirst: jest.fn(), update: jest.fn(async () => ({})) }
+});
+mockExternalServices();
+
+const { default: conversationManager } = await import('../../src/core/conversationManager.js');
+const { default: fieldTracker } = await import('../../src/core/fieldTracker.js');
+
+const job = {
+  id: 'job-1',
+  entidad_id: 'prop-1',
+  payload: { documentId: 'doc-1', documentType: DOCUMENT_TYPES.CERTIFICADO_EXISTENCIA }
+};
+
+const property = overrides => ({
+  id: 'prop-1',
+  nombre: 'Ana',
+  direccion_inmueble: 'Calle 45 # 12-30',
+  estado_recoleccion: 'EN_PROGRESO',
+  ...overrides
+});
+
+const conversation = {
+  id: 'conv-1',
+  property_id: 'prop-1',
+  whatsapp_number: '573001112233',
+  estado: 'COMPLETADA',
+  modo: 'BOT',
+  contexto_actual: JSON.stringify({ step: 'completed' })
+};
+
+beforeEach(() => {
+  jest.restoreAllMocks();
+  jest.clearAllMocks();
+  prisma.document.findUnique.mockResolvedValue({ id: 'doc-1', createdAt: new Date('2025-01-01') });
+  prisma.document.findFirst.mockResolvedValue(null);
+  prisma.conversation.findFirst.mockResolvedValue(conversation);
+  jest.spyOn(fieldTracker, 'calculateCompleteness').mockResolvedValue({ percentage: 90 });
+  jest.spyOn(conversationManager, 'scheduleInactivityJobs').mockResolvedValue();
+  jest.spyOn(conversationManager, 'logActivity').mockResolvedValue();
+  jest.spyOn(conversationManager, 'sendMessage').mockResolvedValue({ success: true });
+  jest.spyOn(conversationManager, 'saveMessage').mockResolvedValue();
+});
+
+describe('conversationManager.handleDocumentExpiry', () => {
+  test.each(['CERRADO', 'VENDIDO'])('no pide documentos de una publicación %s', async estado => {
+    prisma.property.findUnique.mockResolvedValue(property({ estado_recoleccion: estado }));
+
+    await conversationManager.handleDocumentExpiry(job);
+
+    expect(prisma.property.update).not.toHaveBeenCalled();
+    expect(conversationManager.sendMessage).not.toHaveBeenCalled();
+  });
+
+  test('una propiedad en proceso vuelve a pedir el documento sin reabrir nada', async () => {
+    prisma.property.findUnique.mockResolvedValue(property());
+
+    await conversationManager.handleDocumentExpiry(job);
+
+    expect(prisma.property.update).toHaveBeenLastCalledWith({
+      where: { id: 'prop-1' },
+      data: { porcentaje_completitud: 90, estado_recoleccion: 'EN_PROGRESO' }
+    });
+    expect(prisma.conversation.update).not.toHaveBeenCalled();
+    expect(conversationManager.sendMessage.mock.calls[0][1]).toContain('Calle 45 # 12-30');
+  });
+
+  test('una propiedad completada se reabre de forma explícita y se avisa al propietario', async () => {
+    prisma.property.findUnique.mockResolvedValue(property({ estado_recoleccion: 'COMPLETADO' }));
+
+    await conversationManager.handleDocumentExpiry(job);
+
+    expect(prisma.property.update).toHaveBeenLastCalledWith({
+      where: { id: 'prop-1' },
+      data: { porcentaje_completitud: 90, estado_recoleccion: 'EN_PROGRESO', fecha_completado: null }
+    });
+
+    const { data } = prisma.conversation.update.mock.calls[0][0];
+    expect(data.estado).toBe('ACTIVA');
+    expect(JSON.parse(data.contexto_actual)).toMatchObject({
+      step: 'collecting',
+      currentField: DOCUMENT_TYPES.CERTIFICADO_EXISTENCIA
+    });
+    expect(conversationManager.logActivity).toHaveBeenCalledWith('conv-1', 'REAPERTURA', expect.any(String),
+      expect.objectContaining({ documentId: 'doc-1' }));
+
+    const [to, message] = conversationManager.sendMessage.mock.calls[0];
+    expect(to).toBe('573001112233');
+    expect(message).toContain(MESSAGE_TEMPLATES.DOCUMENT_EXPIRED_REOPENED.split('{nombre}')[0]);
+    expect(conversationManager.saveMessage.mock.calls[0][4]).toMatchObject({ documentExpired: true, reopened: true });
+  });
+});
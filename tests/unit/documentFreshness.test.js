@@ -0,0 +1,71 @@
+import { mockDatabase } from '../helpers/mocks.js';
+import { DOCUMENT_TYPES } from '../../src/utils/constants.js';
+
+mockDatabase({});
+
+const { default: documentService } = await import('../../src/services/documentService.js');
+
+describe('documentService.parseSpanishDate', () => {
+  test.each([
+    ['10/03/2025', [2025, 2, 10]],
+    ['2025-03-10 14:32', [2025, 2, 10]],
+    ['10.03.2025', [2025, 2, 10]],
+    ['10 de marzo de 2025', [2025, 2, 10]],
+    ['10 de marzo del 2025', [2025, 2, 10]],
+    ['10-mar-2025', [2025, 2, 10]],
+    ['marzo 10, 2025', [2025, 2, 10]],
+    ['1 sept. 2025', [2025, 8, 1]]
+  ])('interpreta "%s"', (fragment, [year, month, day]) => {
+    expect(documentService.parseSpanishDate(fragment)).toEqual(new Date(year, month, day));
+  });
+
+  test('rechaza fechas imposibles o sin fecha al inicio', () => {
+    expect(documentService.parseSpanishDate('31/02/2025')).toBeNull();
+    expect(documentService.parseSpanishDate('10/13/2025')).toBeNull();
+    expect(documentService.parseSpanishDate('10 de brumario de 2025')).toBeNull();
+    expect(documentService.parseSpanishDate('pagina 10/03/2025')).toBeNull();
+  });
+});
+
+describe('documentService.extractIssueDate', () => {
+  test('toma la fecha que sigue al rótulo de expedición y no otras fechas del texto', () => {
+    const text = 'Anotación del 01/02/2010\nFecha de Expedición: 15 de septiembre de 2025\nPágina 1';
+
+    expect(documentService.extractIssueDate(text)).toEqual(new Date(2025, 8, 15));
+  });
+
+  test('ignora fechas futuras y sigue con el siguiente rótulo', () => {
+    const text = 'Fecha de emisión: 01/01/2999. Impreso el 2025-09-20';
+
+    expect(documentService.extractIssueDate(text)).toEqual(new Date(2025, 8, 20));
+  });
+
+  test('sin rótulo no hay fecha de expedición', () => {
+    expect(documentService.extractIssueDate('Fecha límite de pago 2025-09-20')).toBeNull();
+  });
+});
+
+describe('documentService.getDocumentFreshness', () => {
+  const certificate = 'CERTIFICADO DE TRADICION\nFecha de expedición: 01/09/2025';
+
+  test('el certificado vence a los 30 días de expedido', () => {
+    const fresh = documentService.getDocumentFreshness(DOCUMENT_TYPES.CERTIFICADO_PREDIAL, certificate, new Date(2025, 8, 20));
+    const expired = documentService.getDocumentFreshness(DOCUMENT_TYPES.CERTIFICADO_PREDIAL, certificate, new Date(2025, 9, 2));
+
+    expect(fresh).toMatchObject({ applies: true, maxAgeDays: 30, isExpired: false });
+    expect(fresh.expiresAt).toEqual(new Date(new Date(2025, 8, 1).getTime() + 30 * 24 * 60 * 60 * 1000));
+    expect(expired.isExpired).toBe(true);
+  });
+
+  test('sin fecha legible no se da por vencido', () => {
+    const result = documentService.getDocumentFreshness(DOCUMENT_TYPES.CERTIFICADO_PREDIAL, 'texto ilegible');
+
+    expect(result).toMatchObject({ applies: true, issueDate: null, isExpired: false });
+  });
+
+  test('los documentos sin vigencia no aplican', () => {
+    const result = documentService.getDocumentFreshness(DOCUMENT_TYPES.ESCRITURA_PUBLICA, certificate);
+
+    expect(result).toMatchObject({ applies: false, isExpired: false });
+  });
+});
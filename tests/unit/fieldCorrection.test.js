@@ -0,0 +1,64 @@
+import { jest } from '@jest/globals';
+import { mockDatabase, mockExternalServices } from '../helpers/mocks.js';
+
+const prisma = mockDatabase({
+  property: { findUnique: jest.fn() },
+  conversation: { update: jest.fn(async () => ({})) }
+});
+const { aiService } = mockExternalServices();
+
+const { default: conversationManager } = await import('../../src/core/conversationManager.js');
+const { default: fieldTracker } = await import('../../src/core/fieldTracker.js');
+const { default: completionChecker } = await import('../../src/core/completionChecker.js');
+
+const property = { id: 'prop-1', tipo_propiedad: 'apartamento', habitaciones: 2, banos: 1 };
+const conversation = {
+  id: 'conv-1',
+  property_id: 'prop-1',
+  whatsapp_number: '573001112233',
+  contexto_actual: JSON.stringify({ step: 'collecting', currentField: 'area_construida', collectedFields: ['habitaciones'] })
+};
+
+beforeEach(() => {
+  jest.restoreAllMocks();
+  prisma.property.findUnique.mockResolvedValue(property);
+  prisma.conversation.update.mockClear();
+  jest.spyOn(fieldTracker, 'updatePropertyFields').mockResolvedValue({ success: true, property });
+  jest.spyOn(completionChecker, 'checkCompleteness').mockResolvedValue({ isComplete: false });
+  jest.spyOn(conversationManager, 'getNextFieldToCollect').mockResolvedValue('area_construida');
+});
+
+describe('conversationManager.handleFieldCorrection', () => {
+  test('sobrescribe el campo validado y vuelve a la pregunta pendiente', async () => {
+    aiService.interpretUserResponse = jest.fn(async () => ({ success: true, data: { habitaciones: 3 } }));
+    jest.spyOn(fieldTracker, 'validateFieldValue').mockResolvedValue({ valid: true, processedValue: 3 });
+
+    const result = await conversationManager.handleFieldCorrection(conversation, 'me equivoqué, son 3 habitaciones');
+
+    expect(fieldTracker.updatePropertyFields).toHaveBeenCalledWith('prop-1', { habitaciones: 3 });
+    expect(result.type).toBe('field_correction');
+
+    const context = JSON.parse(prisma.conversation.update.mock.calls[0][0].data.contexto_actual);
+    expect(context.currentField).toBe('area_construida');
+    expect(context.corrections[0]).toMatchObject({ field: 'habitaciones', previousValue: 2, newValue: 3 });
+  });
+
+  test('no sobrescribe un valor que no pasa la validación', async () => {
+    aiService.interpretUserResponse = jest.fn(async () => ({ success: true, data: { habitaciones: -1 } }));
+    jest.spyOn(fieldTracker, 'validateFieldValue').mockResolvedValue({ valid: false, error: 'Debe ser mayor a 0' });
+
+    const result = await conversationManager.handleFieldCorrection(conversation, 'son -1 habitaciones');
+
+    expect(result).toMatchObject({ success: false, type: 'correction_rejected' });
+    expect(fieldTracker.updatePropertyFields).not.toHaveBeenCalled();
+  });
+
+  test('pide aclaración si no identifica un campo válido', async () => {
+    aiService.interpretUserResponse = jest.fn(async () => ({ success: true, data: { color_favorito: 'azul' } }));
+
+    const result = await conversationManager.handleFieldCorrection(conversation, 'me equivoqué');
+
+    expect(result).toMatchObject({ success: false, type: 'clarification_needed' });
+    expect(fieldTracker.updatePropertyFields).not.toHaveBeenCalled();
+  });
+});
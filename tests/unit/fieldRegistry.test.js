@@ -0,0 +1,93 @@
+import { jest } from '@jest/globals';
+import { mockDatabase } from '../helpers/mocks.js';
+
+const prisma = mockDatabase({
+  fieldDefinition: { findMany: jest.fn(), upsert: jest.fn(async ({ create }) => create) }
+});
+
+const { default: fieldRegistry } = await import('../../src/core/fieldRegistry.js');
+
+const dbRow = overrides => ({
+  nombre: 'piscina',
+  etiqueta: 'Piscina',
+  pregunta: '¿Tiene piscina?',
+  categoria: 'physical',
+  tipo: 'boolean',
+  opciones: null,
+  minimo: null,
+  maximo: null,
+  requerido: false,
+  orden: 105,
+  tipos_propiedad: ['casa'],
+  descripcion_ia: null,
+  ...overrides
+});
+
+afterEach(() => {
+  fieldRegistry.setFields(fieldRegistry.baseFields);
+});
+
+describe('fieldRegistry.loadFromDatabase', () => {
+  test('agrega campos nuevos como atributos extra en su orden', async () => {
+    prisma.fieldDefinition.findMany.mockResolvedValue([dbRow()]);
+
+    await fieldRegistry.loadFromDatabase();
+
+    expect(fieldRegistry.getField('piscina')).toMatchObject({ storage: 'extra', propertyTypes: ['casa'] });
+    const order = fieldRegistry.getCollectionOrder();
+    expect(order.indexOf('piscina')).toBe(order.indexOf('ascensor') + 1);
+  });
+
+  test('en un campo base solo permite ajustar la presentación', async () => {
+    prisma.fieldDefinition.findMany.mockResolvedValue([
+      dbRow({ nombre: 'habitaciones', etiqueta: 'Alcobas', tipo: 'string', categoria: 'commercial' })
+    ]);
+
+    await fieldRegistry.loadFromDatabase();
+
+    expect(fieldRegistry.getField('habitaciones')).toMatchObject({
+      label: 'Alcobas',
+      type: 'integer',
+      category: 'physical'
+    });
+    expect(fieldRegistry.isExtraField('habitaciones')).toBe(false);
+  });
+
+  test('conserva los campos actuales si falla la base de datos', async () => {
+    prisma.fieldDefinition.findMany.mockRejectedValue(new Error('sin conexión'));
+
+    const total = await fieldRegistry.loadFromDatabase();
+
+    expect(total).toBe(fieldRegistry.baseFields.length);
+  });
+});
+
+describe('fieldRegistry.saveDefinition', () => {
+  test('exige categoría y tipo para campos nuevos', async () => {
+    const result = await fieldRegistry.saveDefinition('piscina', { etiqueta: 'Piscina' });
+
+    expect(result.success).toBe(false);
+    expect(prisma.fieldDefinition.upsert).not.toHaveBeenCalled();
+  });
+});
+
+describe('fieldRegistry almacenamiento', () => {
+  test('lee y separa los valores entre columnas y atributos extra', () => {
+    const property = { habitaciones: 3, atributos_extra: { ascensor: true } };
+
+    expect(fieldRegistry.getFieldValue(property, 'habitaciones')).toBe(3);
+    expect(fieldRegistry.getFieldValue(property, 'ascensor')).toBe(true);
+    expect(fieldRegistry.splitByStorage({ habitaciones: 3, ascensor: true })).toEqual({
+      columns: { habitaciones: 3 },
+      extras: { ascensor: true }
+    });
+  });
+
+  test('la extracción con AI omite documentos y fotos', () => {
+    const properties = fieldRegistry.getAIExtractionProperties();
+
+    expect(properties.estado_propiedad).toMatchObject({ type: 'string', enum: ['nuevo', 'usado', 'remodelar'] });
+    expect(properties).not.toHaveProperty('fotos_inmueble');
+    expect(properties).not.toHaveProperty('escritura_publica');
+  });
+});
@@ -0,0 +1,107 @@
+import { jest } from '@jest/globals';
+import { mockDatabase } from '../helpers/mocks.js';
+import { QUARANTINE_REASONS } from '../../src/utils/constants.js';
+
+const prisma = mockDatabase({
+  quarantinedFile: { create: jest.fn(async ({ data }) => ({ id: 'q-1', ...data })) }
+});
+
+const { default: fileScanService } = await import('../../src/services/fileScanService.js');
+const { default: storageService } = await import('../../src/services/storageService.js');
+
+const withPadding = (header, size = 64) => Buffer.concat([Buffer.from(header), Buffer.alloc(size)]);
+
+beforeEach(() => {
+  jest.restoreAllMocks();
+  jest.clearAllMocks();
+});
+
+describe('fileScanService.detectFileType', () => {
+  test.each([
+    ['jpg', [0xFF, 0xD8, 0xFF, 0xE0]],
+    ['png', [0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]],
+    ['pdf', Buffer.from('%PDF-1.7')],
+    ['mp4', Buffer.from('\0\0\0\x18ftypmp42')],
+    ['ogg', Buffer.from('OggS\0\x02')],
+    ['mp3', Buffer.from('ID3\x04')],
+    ['amr', Buffer.from('#!AMR\n')],
+    ['wav', Buffer.from('RIFF\x24\0\0\0WAVEfmt ')],
+    ['exe', Buffer.from('MZ\x90\0')]
+  ])('reconoce %s por su firma', (type, header) => {
+    expect(fileScanService.detectFileType(withPadding(header))).toBe(type);
+  });
+
+  test('distingue un .docx de otro ZIP', () => {
+    const zip = [0x50, 0x4B, 0x03, 0x04];
+
+    expect(fileScanService.detectFileType(Buffer.concat([Buffer.from(zip), Buffer.from('word/document.xml')]))).toBe('docx');
+    expect(fileScanService.detectFileType(Buffer.concat([Buffer.from(zip), Buffer.from('payload.js')]))).toBe('zip');
+  });
+
+  test('un ejecutable con "%PDF-" en la cabecera no pasa por PDF', () => {
+    expect(fileScanService.detectFileType(Buffer.concat([Buffer.from('MZ'), Buffer.from('%PDF-1.4')]))).toBe('exe');
+  });
+
+  test('un PDF con basura antes de la cabecera se reconoce', () => {
+    expect(fileScanService.detectFileType(Buffer.concat([Buffer.alloc(100, 0x20), Buffer.from('%PDF-1.4')]))).toBe('pdf');
+  });
+
+  test('un archivo desconocido no tiene tipo', () => {
+    expect(fileScanService.detectFileType(Buffer.from('hola, soy texto plano'))).toBeNull();
+    expect(fileScanService.detectFileType(Buffer.alloc(0))).toBeNull();
+  });
+});
+
+describe('fileScanService.matchesExtension', () => {
+  test('acepta JPG y PNG cruzados y los contenedores de video y audio', () => {
+    expect(fileScanService.matchesExtension('png', 'jpg')).toBe(true);
+    expect(fileScanService.matchesExtension('mp4', 'mov')).toBe(true);
+    expect(fileScanService.matchesExtension('mp4', 'm4a')).toBe(true);
+    expect(fileScanService.matchesExtension('ogg', 'opus')).toBe(true);
+    expect(fileScanService.matchesExtension('mp3', 'mpeg')).toBe(true);
+  });
+
+  test('rechaza tipos que no corresponden o extensiones desconocidas', () => {
+    expect(fileScanService.matchesExtension('exe', 'pdf')).toBe(false);
+    expect(fileScanService.matchesExtension('zip', 'docx')).toBe(false);
+    expect(fileScanService.matchesExtension('pdf', 'ogg')).toBe(false);
+    expect(fileScanService.matchesExtension('ogg', 'exe')).toBe(false);
+    expect(fileScanService.matchesExtension(null, 'pdf')).toBe(false);
+  });
+});
+
+describe('fileScanService.inspect', () => {
+  test('sin antivirus configurado solo verifica el tipo', async () => {
+    const scan = jest.spyOn(fileScanService, 'scanWithClamAV');
+
+    expect(await fileScanService.inspect(withPadding('%PDF-1.7'), 'pdf')).toEqual({ safe: true, detectedType: 'pdf' });
+    expect(await fileScanService.inspect(withPadding('MZ'), 'pdf')).toEqual({
+      safe: false,
+      detectedType: 'exe',
+      reason: QUARANTINE_REASONS.TYPE_MISMATCH
+    });
+    expect(scan).not.toHaveBeenCalled();
+  });
+});
+
+describe('fileScanService.quarantine', () => {
+  test('guarda el archivo sin su extensión y lo registra', async () => {
+    const put = jest.spyOn(storageService, 'put').mockResolvedValue({});
+
+    await fileScanService.quarantine(Buffer.from('MZ'), {
+      propertyId: 'prop-1',
+      filename: 'factura.pdf',
+      extension: 'pdf',
+      detectedType: 'exe',
+      reason: QUARANTINE_REASONS.TYPE_MISMATCH
+    });
+
+    expect(put.mock.calls[0][0]).toMatch(/^quarantine\/[0-9a-f-]+\.bin$/);
+    expect(prisma.quarantinedFile.create.mock.calls[0][0].data).toMatchObject({
+      property_id: 'prop-1',
+      nombre_original: 'factura.pdf',
+      tipo_detectado: 'exe',
+      motivo: QUARANTINE_REASONS.TYPE_MISMATCH
+    });
+  });
+});
@@ -0,0 +1,92 @@
+import { jest } from '@jest/globals';
+import { mockDatabase, mockExternalServices } from '../helpers/mocks.js';
+
+const prisma = mockDatabase({
+  conversation: { findUnique: jest.fn(), update: jest.fn(async () => ({})) }
+});
+const { aiService } = mockExternalServices();
+
+const { default: conversationManager } = await import('../../src/core/conversationManager.js');
+
+const conversation = {
+  id: 'conv-1',
+  property_id: 'prop-1',
+  whatsapp_number: '573001112233',
+  modo: 'BOT',
+  contexto_actual: JSON.stringify({ step: 'collecting', currentField: 'banos' }),
+  property: { id: 'prop-1', nombre: 'Ana', tipo_propiedad: 'casa' }
+};
+
+beforeEach(() => {
+  jest.restoreAllMocks();
+  prisma.conversation.update.mockClear();
+  jest.spyOn(conversationManager, 'cancelInactivityJobs').mockResolvedValue();
+  jest.spyOn(conversationManager, 'scheduleInactivityJobs').mockResolvedValue();
+  jest.spyOn(conversationManager, 'logActivity').mockResolvedValue();
+  jest.spyOn(conversationManager, 'sendMessage').mockResolvedValue({ success: true });
+  jest.spyOn(conversationManager, 'saveMessage').mockResolvedValue();
+});
+
+describe('conversationManager.isHandoffRequest', () => {
+  test.each([
+    'quiero hablar con un asesor',
+    'Necesito una PERSONA REAL',
+    'me comunicas con un humano?',
+    'pásame con alguien por favor',
+    'quiero que me atienda una asesora'
+  ])(
+    'detecta "%s"',
+    message => expect(conversationManager.isHandoffRequest(message)).toBe(true)
+  );
+
+  test.each([
+    'ya tengo un agente inmobiliario',
+    'mi asesora de crédito me dijo que el avalúo sale en marzo',
+    'el asesor del banco ya vino a ver el apartamento',
+    'vive una persona mayor en el primer piso'
+  ])('una respuesta que menciona a una persona no es una petición: "%s"', message => {
+    expect(conversationManager.isHandoffRequest(message)).toBe(false);
+  });
+
+  test('no confunde palabras que contienen la clave', () => {
+    expect(conversationManager.isHandoffRequest('el edificio tiene asesoría jurídica')).toBe(false);
+  });
+});
+
+describe('conversationManager.routeUserMessage', () => {
+  test('pasa a un asesor tras confusiones seguidas', async () => {
+    aiService.detectIntention = jest.fn(async () => ({ type: 'confusion' }));
+    const context = { step: 'collecting', confusionCount: 2 };
+
+    const result = await conversationManager.routeUserMessage(
+      { ...conversation, contexto_actual: JSON.stringify(context) }, 'no entiendo', {}, context
+    );
+
+    expect(result).toMatchObject({ type: 'handoff_started', reason: 'CONFUSION_REPETIDA' });
+    expect(prisma.conversation.update.mock.calls.at(-1)[0].data.modo).toBe('HUMANO');
+    expect(conversationManager.cancelInactivityJobs).toHaveBeenCalledWith('conv-1');
+  });
+});
+
+describe('conversationManager.releaseHandoff', () => {
+  test('devuelve la conversación al bot en el campo pendiente', async () => {
+    prisma.conversation.findUnique.mockResolvedValue({ ...conversation, modo: 'HUMANO', asesor: 'laura' });
+    jest.spyOn(conversationManager, 'getNextFieldToCollect').mockResolvedValue('estrato');
+
+    const result = await conversationManager.releaseHandoff('conv-1', 'laura');
+
+    expect(result.success).toBe(true);
+    expect(prisma.conversation.update.mock.calls[0][0].data).toMatchObject({ modo: 'BOT', asesor: null });
+    expect(conversationManager.sendMessage.mock.calls[0][1]).toContain('Ana');
+    expect(conversationManager.scheduleInactivityJobs).toHaveBeenCalledWith('conv-1');
+  });
+
+  test('rechaza conversaciones que no están en atención humana', async () => {
+    prisma.conversation.findUnique.mockResolvedValue(conversation);
+
+    const result = await conversationManager.releaseHandoff('conv-1');
+
+    expect(result.success).toBe(false);
+    expect(prisma.conversation.update).not.toHaveBeenCalled();
+  });
+});
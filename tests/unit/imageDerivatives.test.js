@@ -0,0 +1,95 @@
+import { jest } from '@jest/globals';
+import os from 'os';
+import path from 'path';
+import { promises as fs } from 'fs';
+import sharp from 'sharp';
+import { mockDatabase } from '../helpers/mocks.js';
+import { imageDerivatives } from '../../src/config/index.js';
+
+const prisma = mockDatabase({
+  document: { findUnique: jest.fn(), update: jest.fn(async () => ({})) }
+});
+
+const { default: documentService } = await import('../../src/services/documentService.js');
+const { default: storageService } = await import('../../src/services/storageService.js');
+
+let stored;
+
+// Foto de 2000x1000 tomada con el celular girado (EXIF 6 = rotar 90°) y con GPS
+const photoWithExif = () => sharp({ create: { width: 2000, height: 1000, channels: 3, background: '#3366aa' } })
+  .withMetadata({ orientation: 6, exif: { IFD3: { GPSLatitudeRef: 'N', GPSLatitude: '4/1 36/1 0/1' } } })
+  .jpeg()
+  .toBuffer();
+
+beforeEach(async () => {
+  jest.restoreAllMocks();
+  jest.clearAllMocks();
+  stored = {};
+  const original = await photoWithExif();
+  jest.spyOn(storageService, 'get').mockResolvedValue(original);
+  jest.spyOn(storageService, 'put').mockImplementation(async (key, body) => {
+    stored[key] = body;
+  });
+  prisma.document.findUnique.mockResolvedValue({ id: 'doc-1', ruta: 'uploads/prop-1_fotos_inmueble_123.jpg' });
+});
+
+afterEach(() => {
+  imageDerivatives.watermarkPath = null;
+});
+
+describe('documentService.createImageDerivatives', () => {
+  test('genera la versión web y la miniatura orientadas y sin metadatos', async () => {
+    const keys = await documentService.createImageDerivatives('doc-1');
+
+    expect(keys).toEqual({
+      web: 'derivatives/prop-1_fotos_inmueble_123_web.jpg',
+      thumbnail: 'derivatives/prop-1_fotos_inmueble_123_miniatura.jpg'
+    });
+
+    const web = await sharp(stored[keys.web]).metadata();
+    expect(web).toMatchObject({ format: 'jpeg', width: 800, height: 1600 });
+    expect(web.orientation).toBeUndefined();
+    expect(web.exif).toBeUndefined();
+
+    const thumbnail = await sharp(stored[keys.thumbnail]).metadata();
+    expect(Math.max(thumbnail.width, thumbnail.height)).toBe(imageDerivatives.thumbnailSize);
+    expect(thumbnail.exif).toBeUndefined();
+
+    expect(prisma.document.update).toHaveBeenCalledWith({
+      where: { id: 'doc-1' },
+      data: { ruta_web: keys.web, ruta_miniatura: keys.thumbnail }
+    });
+  });
+
+  test('aplica la marca de agua solo en la versión web', async () => {
+    const watermarkPath = path.join(os.tmpdir(), `marca_${process.pid}.png`);
+    await sharp({ create: { width: 200, height: 100, channels: 4, background: { r: 255, g: 255, b: 255, alpha: 1 } } })
+      .png()
+      .toFile(watermarkPath);
+    imageDerivatives.watermarkPath = watermarkPath;
+
+    try {
+      const keys = await documentService.createImageDerivatives('doc-1');
+
+      // Esquina inferior derecha (southeast): blanca con marca, azul sin ella
+      const corner = async key => {
+        const { data, info } = await sharp(stored[key]).raw().toBuffer({ resolveWithObject: true });
+        const x = Math.round(info.width * 0.9);
+        const y = Math.round(info.height - info.width * 0.05);
+        return data[(y * info.width + x) * info.channels];
+      };
+      expect(await corner(keys.web)).toBeGreaterThan(200);
+      expect(await corner(keys.thumbnail)).toBeLessThan(100);
+
+    } finally {
+      await fs.unlink(watermarkPath);
+    }
+  });
+
+  test('un documento sin archivo no genera versiones', async () => {
+    prisma.document.findUnique.mockResolvedValue({ id: 'doc-1', ruta: null });
+
+    expect(await documentService.createImageDerivatives('doc-1')).toBeNull();
+    expect(storageService.put).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,86 @@
+import { jest } from '@jest/globals';
+import { mockDatabase, mockExternalServices } from '../helpers/mocks.js';
+
+const prisma = mockDatabase({
+  message: { create: jest.fn(), upsert: jest.fn() }
+});
+mockExternalServices();
+
+const { default: conversationManager } = await import('../../src/core/conversationManager.js');
+
+const duplicateKeyError = () => Object.assign(new Error('Unique constraint failed'), { code: 'P2002' });
+
+beforeEach(() => {
+  jest.clearAllMocks();
+});
+
+describe('conversationManager.claimInboundMessage', () => {
+  test('registra el mensaje con su ID antes de procesarlo, aún sin conversación', async () => {
+    prisma.message.create.mockResolvedValue({});
+
+    expect(await conversationManager.claimInboundMessage({
+      id: 'wamid.1', from: '573001234567', type: 'text', message: 'hola'
+    })).toBe(true);
+
+    const { data } = prisma.message.create.mock.calls[0][0];
+    expect(data).toMatchObject({
+      conversation_id: null,
+      contenido: 'hola',
+      whatsapp_message_id: 'wamid.1',
+      metadata: { whatsappNumber: '573001234567', type: 'text' }
+    });
+  });
+
+  test('un ID ya registrado (P2002) cuenta como procesado', async () => {
+    prisma.message.create.mockRejectedValue(duplicateKeyError());
+
+    expect(await conversationManager.claimInboundMessage({ id: 'wamid.2', from: '573001234567', type: 'text' })).toBe(false);
+  });
+
+  test('ante otro error de base de datos procesa el mensaje', async () => {
+    prisma.message.create.mockRejectedValue(new Error('sin conexión'));
+
+    expect(await conversationManager.claimInboundMessage({ id: 'wamid.3', from: '573001234567', type: 'text' })).toBe(true);
+  });
+
+  test('sin ID de mensaje no se puede deduplicar y se procesa', async () => {
+    expect(await conversationManager.claimInboundMessage({ from: '573001234567', type: 'text' })).toBe(true);
+    expect(prisma.message.create).not.toHaveBeenCalled();
+  });
+});
+
+describe('conversationManager.saveInboundMessages', () => {
+  test('asocia cada mensaje de una ráfaga, por su propio ID, a la conversación', async () => {
+    prisma.message.upsert.mockResolvedValue({});
+
+    await conversationManager.saveInboundMessages('conv-1', 'hola\n3 habitaciones', {
+      batchSize: 2,
+      batchedMessages: [
+        { text: 'hola', messageId: 'wamid.5' },
+        { text: '3 habitaciones', messageId: 'wamid.6' }
+      ]
+    });
+
+    const saved = prisma.message.upsert.mock.calls.map(([{ where, update }]) =>
+      [update.contenido, update.conversation_id, where.whatsapp_message_id]);
+    expect(saved).toEqual([['hola', 'conv-1', 'wamid.5'], ['3 habitaciones', 'conv-1', 'wamid.6']]);
+    expect(prisma.message.create).not.toHaveBeenCalled();
+  });
+
+  test('sin ID de mensaje crea el registro directamente', async () => {
+    prisma.message.create.mockResolvedValue({});
+
+    await conversationManager.saveInboundMessages('conv-1', 'hola');
+
+    expect(prisma.message.create).toHaveBeenCalledWith({
+      data: expect.objectContaining({ conversation_id: 'conv-1', contenido: 'hola', whatsapp_message_id: null })
+    });
+  });
+
+  test('no vuelve a guardar un mensaje registrado antes de procesarlo', async () => {
+    await conversationManager.saveInboundMessages('conv-1', 'documento', { messageRecorded: true });
+
+    expect(prisma.message.create).not.toHaveBeenCalled();
+    expect(prisma.message.upsert).not.toHaveBeenCalled();
+  });
+});
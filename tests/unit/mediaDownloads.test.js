@@ -0,0 +1,150 @@
+import { jest } from '@jest/globals';
+import { mockDatabase, mockExternalServices } from '../helpers/mocks.js';
+import { isUrlFromHosts } from '../../src/utils/helpers.js';
+
+mockDatabase({
+  quarantinedFile: { create: jest.fn(async ({ data }) => ({ id: 'q-1', ...data })) }
+});
+mockExternalServices();
+
+const { default: UltraMSGProvider } = await import('../../src/services/providers/whatsapp/ultramsgProvider.js');
+const { default: MetaCloudProvider } = await import('../../src/services/providers/whatsapp/metaCloudProvider.js');
+const { default: webhookController } = await import('../../src/controllers/webhookController.js');
+const { default: conversationManager } = await import('../../src/core/conversationManager.js');
+const { default: whatsappService } = await import('../../src/services/whatsappService.js');
+const { default: storageService } = await import('../../src/services/storageService.js');
+const { default: transcriptionService } = await import('../../src/services/transcriptionService.js');
+
+// Webhook message_received de UltraMSG con una imagen: la URL de media está en el bucket
+// compartido de la región, no bajo ultramsg.com
+const ULTRAMSG_IMAGE_WEBHOOK = {
+  event_type: 'message_received',
+  instanceId: 'instance1',
+  id: '',
+  referenceId: '',
+  data: {
+    id: 'false_573001112233@c.us_3EB0C4F1A2B3C4D5E6F7',
+    from: '573001112233@c.us',
+    to: '573009998877@c.us',
+    pushname: 'Ana',
+    type: 'image',
+    body: 'https://s3.eu-central-1.wasabisys.com/incoming-ultramsg-com/instance1/3EB0C4F1A2B3C4D5E6F7.jpeg',
+    media: 'https://s3.eu-central-1.wasabisys.com/incoming-ultramsg-com/instance1/3EB0C4F1A2B3C4D5E6F7.jpeg',
+    fromMe: false,
+    time: 1760000000
+  }
+};
+const ULTRAMSG_MEDIA_HOSTS = ['s3.eu-central-1.wasabisys.com/incoming-ultramsg-com'];
+
+const ultramsg = new UltraMSGProvider({
+  instanceId: 'instance1',
+  token: 'token',
+  baseUrl: 'https://api.ultramsg.com/instance1',
+  mediaHosts: ULTRAMSG_MEDIA_HOSTS
+});
+const meta = new MetaCloudProvider({ phoneNumberId: '123', accessToken: 'token', apiVersion: 'v19.0', mediaHosts: ['fbsbx.com'] });
+
+beforeEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('isUrlFromHosts', () => {
+  test('acepta el host y sus subdominios solo por HTTPS', () => {
+    expect(isUrlFromHosts('https://files.ultramsg.com/a.pdf', ['ultramsg.com'])).toBe(true);
+    expect(isUrlFromHosts('https://ultramsg.com/a.pdf', ['ultramsg.com'])).toBe(true);
+    expect(isUrlFromHosts('http://files.ultramsg.com/a.pdf', ['ultramsg.com'])).toBe(false);
+  });
+
+  test('rechaza hosts parecidos, direcciones internas y URLs inválidas', () => {
+    expect(isUrlFromHosts('https://ultramsg.com.evil.io/a.pdf', ['ultramsg.com'])).toBe(false);
+    expect(isUrlFromHosts('https://evilultramsg.com/a.pdf', ['ultramsg.com'])).toBe(false);
+    expect(isUrlFromHosts('https://169.254.169.254/latest/meta-data', ['ultramsg.com'])).toBe(false);
+    expect(isUrlFromHosts('/etc/passwd', ['ultramsg.com'])).toBe(false);
+    expect(isUrlFromHosts(undefined, ['ultramsg.com'])).toBe(false);
+  });
+
+  test('con host/prefijo solo acepta ese bucket del host compartido', () => {
+    expect(isUrlFromHosts(ULTRAMSG_IMAGE_WEBHOOK.data.body, ULTRAMSG_MEDIA_HOSTS)).toBe(true);
+    expect(isUrlFromHosts('https://s3.eu-central-1.wasabisys.com/otro-bucket/a.jpeg', ULTRAMSG_MEDIA_HOSTS)).toBe(false);
+    expect(isUrlFromHosts('https://s3.eu-central-1.wasabisys.com/incoming-ultramsg-com-copia/a.jpeg', ULTRAMSG_MEDIA_HOSTS)).toBe(false);
+    expect(isUrlFromHosts('https://s3.eu-central-1.wasabisys.com/incoming-ultramsg-com/../otro-bucket/a.jpeg', ULTRAMSG_MEDIA_HOSTS)).toBe(false);
+    expect(isUrlFromHosts('https://evil.s3.eu-central-1.wasabisys.com/incoming-ultramsg-com/a.jpeg', ULTRAMSG_MEDIA_HOSTS)).toBe(false);
+  });
+});
+
+describe('downloadMedia de los proveedores', () => {
+  test('UltraMSG no descarga de hosts fuera de su almacenamiento', async () => {
+    const request = jest.spyOn(global, 'fetch');
+
+    await expect(ultramsg.downloadMedia({ url: 'http://localhost:3000/api/admin' })).rejects.toThrow('Host de descarga no permitido');
+    expect(request).not.toHaveBeenCalled();
+  });
+
+  test('UltraMSG descarga la media del webhook sin seguir redirecciones', async () => {
+    const request = jest.spyOn(global, 'fetch').mockResolvedValue(new Response(Buffer.from('\xFF\xD8\xFF')));
+    const [message] = ultramsg.parseWebhook(ULTRAMSG_IMAGE_WEBHOOK);
+
+    await ultramsg.downloadMedia(message.metadata);
+
+    expect(request).toHaveBeenCalledWith(ULTRAMSG_IMAGE_WEBHOOK.data.body, { redirect: 'error' });
+  });
+
+  test('UltraMSG sin ULTRAMSG_MEDIA_HOSTS no descarga nada', async () => {
+    const unconfigured = new UltraMSGProvider({ instanceId: 'instance1', token: 'token', baseUrl: 'https://api.ultramsg.com/instance1' });
+    const request = jest.spyOn(global, 'fetch');
+
+    await expect(unconfigured.downloadMedia({ url: ULTRAMSG_IMAGE_WEBHOOK.data.body })).rejects.toThrow('ULTRAMSG_MEDIA_HOSTS');
+    expect(request).not.toHaveBeenCalled();
+  });
+
+  test('Meta no envía el token a hosts fuera de su CDN de media', async () => {
+    const get = jest.spyOn(meta.client, 'get').mockResolvedValue({ data: { url: 'https://attacker.example.com/robar' } });
+
+    await expect(meta.downloadMedia({ mediaId: 'media-1' })).rejects.toThrow('Host de descarga no permitido');
+    expect(get).toHaveBeenCalledTimes(1);
+  });
+
+  test('Meta descarga del CDN de media con el token', async () => {
+    const get = jest.spyOn(meta.client, 'get')
+      .mockResolvedValueOnce({ data: { url: 'https://lookaside.fbsbx.com/whatsapp_business/attachments/?mid=1' } })
+      .mockResolvedValueOnce({ data: Buffer.from('OggS') });
+
+    const buffer = await meta.downloadMedia({ mediaId: 'media-1' });
+
+    expect(buffer.toString()).toBe('OggS');
+    expect(get.mock.calls[1][1]).toMatchObject({ baseURL: '', maxRedirects: 0 });
+  });
+});
+
+describe('webhookController.processAudioMessage', () => {
+  const voiceNote = {
+    from: '573001112233',
+    id: 'm1',
+    metadata: { url: 'https://s3.eu-central-1.wasabisys.com/incoming-ultramsg-com/instance1/nota.ogg', mimeType: 'audio/ogg; codecs=opus', duration: 5 }
+  };
+
+  test('una nota de voz disfrazada queda en cuarentena y no se transcribe', async () => {
+    jest.spyOn(whatsappService, 'downloadMedia').mockResolvedValue(Buffer.from('MZ ejecutable'));
+    const put = jest.spyOn(storageService, 'put').mockResolvedValue({});
+    const send = jest.spyOn(conversationManager, 'sendMessage').mockResolvedValue({});
+    const transcribe = jest.spyOn(transcriptionService, 'transcribe');
+
+    const result = await webhookController.processAudioMessage(voiceNote);
+
+    expect(result).toMatchObject({ type: 'audio_rejected', quarantined: true });
+    expect(put.mock.calls[0][0]).toMatch(/^quarantine\//);
+    expect(send.mock.calls[0][1]).toMatch(/no es un OGG válido/);
+    expect(transcribe).not.toHaveBeenCalled();
+  });
+
+  test('una nota de voz válida se transcribe', async () => {
+    jest.spyOn(whatsappService, 'downloadMedia').mockResolvedValue(Buffer.from('OggS\0\x02 audio'));
+    jest.spyOn(transcriptionService, 'transcribe').mockResolvedValue({ success: true, text: 'son tres habitaciones' });
+    const processMessage = jest.spyOn(conversationManager, 'processUserMessage').mockResolvedValue({ success: true });
+
+    const result = await webhookController.processAudioMessage(voiceNote);
+
+    expect(result).toMatchObject({ type: 'audio_transcribed', transcript: 'son tres habitaciones' });
+    expect(processMessage.mock.calls[0][1]).toBe('son tres habitaciones');
+  });
+});
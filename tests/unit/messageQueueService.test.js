@@ -0,0 +1,80 @@
+import { jest } from '@jest/globals';
+
+const { default: messageQueueService } = await import('../../src/services/messageQueueService.js');
+
+beforeEach(() => {
+  jest.useFakeTimers();
+  messageQueueService.debounceMs = 1000;
+  messageQueueService.maxWaitMs = 3000;
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+});
+
+describe('messageQueueService.enqueueText', () => {
+  test('agrupa una ráfaga en un solo procesamiento', async () => {
+    const handler = jest.fn(async text => ({ success: true, text }));
+
+    const first = messageQueueService.enqueueText('57300', 'hola', { messageId: 'm1' }, handler);
+    jest.advanceTimersByTime(500);
+    const second = messageQueueService.enqueueText('57300', 'son 3 habitaciones', { messageId: 'm2' }, handler);
+    await jest.advanceTimersByTimeAsync(1000);
+
+    const results = await Promise.all([first, second]);
+
+    expect(handler).toHaveBeenCalledTimes(1);
+    const [text, metadata] = handler.mock.calls[0];
+    expect(text).toBe('hola\nson 3 habitaciones');
+    expect(metadata).toMatchObject({ messageId: 'm2', batchSize: 2 });
+    expect(results.map(result => result.batched)).toEqual([true, false]);
+  });
+
+  test('no espera más del máximo desde el primer texto', async () => {
+    const handler = jest.fn(async () => ({ success: true }));
+
+    const pending = [];
+    for (let i = 0; i < 5; i++) {
+      pending.push(messageQueueService.enqueueText('57301', `texto ${i}`, { messageId: `m${i}` }, handler));
+      await jest.advanceTimersByTimeAsync(800);
+    }
+
+    expect(handler).toHaveBeenCalledTimes(1);
+    expect(handler.mock.calls[0][1].batchSize).toBe(4);
+
+    await jest.advanceTimersByTimeAsync(1000);
+    await Promise.all(pending);
+    expect(handler).toHaveBeenCalledTimes(2);
+  });
+
+  test('un error del lote se entrega a todos los mensajes agrupados', async () => {
+    const handler = jest.fn(async () => {
+      throw new Error('falló');
+    });
+
+    const first = messageQueueService.enqueueText('57302', 'a', {}, handler);
+    const second = messageQueueService.enqueueText('57302', 'b', {}, handler);
+    const settled = Promise.allSettled([first, second]);
+    await jest.advanceTimersByTimeAsync(1000);
+
+    expect((await settled).map(result => result.status)).toEqual(['rejected', 'rejected']);
+  });
+});
+
+describe('messageQueueService.runExclusive', () => {
+  test('procesa un mensaje a la vez por número, aunque el anterior falle', async () => {
+    jest.useRealTimers();
+    const order = [];
+
+    const slow = messageQueueService.runExclusive('57303', async () => {
+      await new Promise(resolve => setTimeout(resolve, 20));
+      order.push('primero');
+      throw new Error('falló');
+    });
+    const next = messageQueueService.runExclusive('57303', async () => order.push('segundo'));
+
+    await expect(slow).rejects.toThrow('falló');
+    await next;
+    expect(order).toEqual(['primero', 'segundo']);
+  });
+});
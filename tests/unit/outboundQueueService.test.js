@@ -0,0 +1,113 @@
+import { jest } from '@jest/globals';
+import { mockDatabase } from '../helpers/mocks.js';
+
+const prisma = mockDatabase({
+  outboundMessage: {
+    findMany: jest.fn(async () => []),
+    updateMany: jest.fn(async () => ({ count: 1 })),
+    update: jest.fn(async () => ({}))
+  },
+  deadLetterMessage: { create: jest.fn(data => data) },
+  message: { updateMany: jest.fn(data => data) },
+  $transaction: jest.fn(async operations => operations)
+});
+
+const { default: outboundQueueService } = await import('../../src/services/outboundQueueService.js');
+const { default: whatsappService } = await import('../../src/services/whatsappService.js');
+
+const outbound = overrides => ({
+  id: 'out-1',
+  whatsapp_number: '573001112233',
+  contenido: 'hola',
+  opciones_respuesta: null,
+  intentos: 1,
+  enviar_en: new Date(0),
+  ...overrides
+});
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  jest.restoreAllMocks();
+  jest.spyOn(outboundQueueService, 'waitForRateLimit').mockResolvedValue();
+  outboundQueueService.maxAttempts = 5;
+});
+
+afterEach(() => {
+  outboundQueueService.stop();
+});
+
+describe('outboundQueueService.deliver', () => {
+  test('guarda el ID del proveedor al enviar', async () => {
+    jest.spyOn(whatsappService, 'sendMessage').mockResolvedValue({ success: true, messageId: 42 });
+
+    expect(await outboundQueueService.deliver(outbound())).toBe(true);
+    expect(prisma.outboundMessage.update.mock.calls[0][0].data).toMatchObject({
+      estado: 'ENVIADO',
+      proveedor_message_id: '42'
+    });
+  });
+
+  test('reintenta con backoff exponencial', async () => {
+    jest.spyOn(whatsappService, 'sendMessage').mockResolvedValue({ success: false, error: 'rate limit' });
+
+    const before = Date.now();
+    expect(await outboundQueueService.deliver(outbound({ intentos: 3 }))).toBe(false);
+
+    const { data } = prisma.outboundMessage.update.mock.calls[0][0];
+    expect(data).toMatchObject({ estado: 'PENDIENTE', ultimo_error: 'rate limit' });
+    // base 2s * 2^(3 - 1)
+    expect(data.enviar_en.getTime() - before).toBeGreaterThanOrEqual(8000);
+    expect(data.enviar_en.getTime() - before).toBeLessThan(9000);
+  });
+
+  test('mueve a dead letter al agotar los intentos', async () => {
+    jest.spyOn(whatsappService, 'sendMessage').mockResolvedValue({ success: false, error: 'número inválido' });
+
+    await outboundQueueService.deliver(outbound({ intentos: 5 }));
+
+    expect(prisma.$transaction).toHaveBeenCalled();
+    expect(prisma.deadLetterMessage.create.mock.calls[0][0].data).toMatchObject({ outbound_id: 'out-1', intentos: 5 });
+    expect(prisma.outboundMessage.update.mock.calls[0][0].data.estado).toBe('FALLIDO');
+  });
+
+  test('un error inesperado del envío devuelve el mensaje a PENDIENTE', async () => {
+    jest.spyOn(whatsappService, 'sendMessage').mockRejectedValue(new Error('socket hang up'));
+
+    expect(await outboundQueueService.deliver(outbound())).toBe(false);
+    expect(prisma.outboundMessage.update.mock.calls[0][0].data).toMatchObject({
+      estado: 'PENDIENTE',
+      ultimo_error: 'socket hang up'
+    });
+  });
+});
+
+describe('outboundQueueService.processQueue', () => {
+  test('un mensaje en espera de reintento bloquea los siguientes del mismo número', async () => {
+    prisma.outboundMessage.findMany.mockResolvedValueOnce([
+      outbound({ id: 'out-1', enviar_en: new Date(Date.now() + 60000) }),
+      outbound({ id: 'out-2' }),
+      outbound({ id: 'out-3', whatsapp_number: '573009998877' })
+    ]);
+    const send = jest.spyOn(whatsappService, 'sendMessage').mockResolvedValue({ success: true, messageId: 'x' });
+
+    expect(await outboundQueueService.processQueue()).toBe(1);
+    expect(send).toHaveBeenCalledTimes(1);
+    expect(send.mock.calls[0][0]).toBe('573009998877');
+  });
+});
+
+describe('outboundQueueService.start', () => {
+  test('recupera los mensajes abandonados en cada ciclo', async () => {
+    jest.useFakeTimers();
+    outboundQueueService.pollInterval = 1000;
+    const recover = jest.spyOn(outboundQueueService, 'recoverStaleMessages').mockResolvedValue(0);
+    jest.spyOn(outboundQueueService, 'processQueue').mockResolvedValue(0);
+
+    await outboundQueueService.start();
+    await jest.advanceTimersByTimeAsync(2500);
+
+    expect(recover).toHaveBeenCalledTimes(3);
+    outboundQueueService.stop();
+    jest.useRealTimers();
+  });
+});
@@ -0,0 +1,84 @@
+import { jest } from '@jest/globals';
+import { mockDatabase } from '../helpers/mocks.js';
+
+const prisma = mockDatabase({
+  document: { findMany: jest.fn(async () => []), update: jest.fn(async () => ({})) }
+});
+
+const { default: documentService } = await import('../../src/services/documentService.js');
+
+// Invertir n bits de un hash, repartidos uno por banda
+const flipBits = (hash, count) => {
+  let value = BigInt(`0x${hash}`);
+  for (let bit = 0; bit < count; bit++) {
+    value ^= 1n << BigInt(bit * 8 + 3);
+  }
+  return value.toString(16).padStart(16, '0');
+};
+
+const HASH = 'f0e1d2c3b4a59687';
+
+beforeEach(() => {
+  jest.clearAllMocks();
+});
+
+describe('documentService.hashDistance', () => {
+  test('cuenta los bits diferentes', () => {
+    expect(documentService.hashDistance(HASH, HASH)).toBe(0);
+    expect(documentService.hashDistance(HASH, flipBits(HASH, 5))).toBe(5);
+    expect(documentService.hashDistance('0000000000000000', 'ffffffffffffffff')).toBe(64);
+  });
+});
+
+describe('documentService.getHashBands', () => {
+  test('divide el hash en 8 bandas con su posición', () => {
+    expect(documentService.getHashBands(HASH)).toEqual(['0:f0', '1:e1', '2:d2', '3:c3', '4:b4', '5:a5', '6:96', '7:87']);
+    expect(documentService.getHashBands(null)).toEqual([]);
+  });
+
+  test('dos hashes a menos de 8 bits comparten al menos una banda', () => {
+    const bands = documentService.getHashBands(HASH);
+    const near = documentService.getHashBands(flipBits(HASH, 7));
+    const far = documentService.getHashBands(flipBits(HASH, 8));
+
+    expect(near.some(band => bands.includes(band))).toBe(true);
+    expect(far.some(band => bands.includes(band))).toBe(false);
+  });
+});
+
+describe('documentService.findSimilarPhotos', () => {
+  test('filtra candidatas por bandas en la base de datos', async () => {
+    await documentService.findSimilarPhotos('prop-1', HASH, 'doc-9');
+
+    const { where } = prisma.document.findMany.mock.calls[0][0];
+    expect(where.hash_bandas).toEqual({ hasSome: documentService.getHashBands(HASH) });
+    expect(where.id).toEqual({ not: 'doc-9' });
+  });
+
+  test('separa las copias de la misma propiedad de las de otras propiedades', async () => {
+    prisma.document.findMany.mockResolvedValue([
+      { id: 'doc-1', property_id: 'prop-1', hash_perceptual: flipBits(HASH, 5), duplicado_de: null },
+      { id: 'doc-2', property_id: 'prop-1', hash_perceptual: flipBits(HASH, 2), duplicado_de: 'doc-0' },
+      { id: 'doc-3', property_id: 'prop-2', hash_perceptual: flipBits(HASH, 3), duplicado_de: null },
+      { id: 'doc-4', property_id: 'prop-2', hash_perceptual: flipBits(HASH, 6), duplicado_de: null }
+    ]);
+
+    const result = await documentService.findSimilarPhotos('prop-1', HASH);
+
+    // Apunta a la original de la copia más cercana
+    expect(result.sameProperty).toEqual({ documentId: 'doc-0', distance: 2 });
+    expect(result.otherProperties).toEqual([{ documentId: 'doc-3', propertyId: 'prop-2', distance: 3 }]);
+  });
+});
+
+describe('documentService.backfillHashBands', () => {
+  test('calcula las bandas de las fotos que no las tienen', async () => {
+    prisma.document.findMany.mockResolvedValue([{ id: 'doc-1', hash_perceptual: HASH }]);
+
+    expect(await documentService.backfillHashBands()).toBe(1);
+    expect(prisma.document.update).toHaveBeenCalledWith({
+      where: { id: 'doc-1' },
+      data: { hash_bandas: documentService.getHashBands(HASH) }
+    });
+  });
+});
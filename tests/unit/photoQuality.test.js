@@ -0,0 +1,109 @@
+import { jest } from '@jest/globals';
+import sharp from 'sharp';
+import { mockDatabase, mockExternalServices } from '../helpers/mocks.js';
+import { PHOTO_QUALITY_ISSUES } from '../../src/utils/constants.js';
+
+const prisma = mockDatabase({
+  document: { findMany: jest.fn(async () => []) }
+});
+mockExternalServices();
+
+const { default: documentService } = await import('../../src/services/documentService.js');
+const { default: conversationManager } = await import('../../src/core/conversationManager.js');
+
+// Tablero de ajedrez con bordes marcados; light y dark fijan el brillo medio
+const checkerboard = ({ width = 1200, height = 800, cell = 20, light = 200, dark = 60 } = {}) => {
+  const pixels = Buffer.alloc(width * height);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      pixels[y * width + x] = (Math.floor(x / cell) + Math.floor(y / cell)) % 2 ? light : dark;
+    }
+  }
+
+  return sharp(pixels, { raw: { width, height, channels: 1 } }).png().toBuffer();
+};
+
+beforeEach(() => {
+  jest.clearAllMocks();
+});
+
+describe('documentService.scorePhotoQuality', () => {
+  test('una foto nítida, horizontal y bien expuesta se acepta sin consejos', async () => {
+    const result = await documentService.scorePhotoQuality(await checkerboard());
+
+    expect(result).toMatchObject({ score: 100, accepted: true, issues: [] });
+    expect(result.metrics).toMatchObject({ width: 1200, height: 800, brightness: 130 });
+  });
+
+  test('una foto muy oscura se rechaza con el consejo de luz', async () => {
+    const result = await documentService.scorePhotoQuality(await checkerboard({ light: 40, dark: 10 }));
+
+    expect(result.issues).toEqual([PHOTO_QUALITY_ISSUES.TOO_DARK]);
+    expect(result.accepted).toBe(false);
+  });
+
+  test('una foto borrosa se rechaza', async () => {
+    const blurred = await sharp(await checkerboard()).blur(10).png().toBuffer();
+
+    const result = await documentService.scorePhotoQuality(blurred);
+
+    expect(result.issues).toContain(PHOTO_QUALITY_ISSUES.BLURRY);
+    expect(result.accepted).toBe(false);
+  });
+
+  test('una foto vertical solo recibe un consejo y cuenta', async () => {
+    const result = await documentService.scorePhotoQuality(await checkerboard({ width: 800, height: 1200 }));
+
+    expect(result).toMatchObject({ accepted: true, issues: [PHOTO_QUALITY_ISSUES.PORTRAIT] });
+  });
+
+  test('el brillo se mide en escala de grises y no con el canal rojo', async () => {
+    const red = await sharp({ create: { width: 1200, height: 800, channels: 3, background: '#ff0000' } }).png().toBuffer();
+
+    const { metrics } = await documentService.scorePhotoQuality(red);
+
+    // El canal rojo da 255; la luminancia del rojo puro es cercana a la mitad
+    expect(metrics.brightness).toBeLessThan(150);
+  });
+});
+
+describe('documentService.isPhotoAccepted', () => {
+  test('compara con el puntaje mínimo configurado', () => {
+    expect(documentService.isPhotoAccepted(95)).toBe(true);
+    expect(documentService.isPhotoAccepted(60)).toBe(false);
+    // Documentos sin evaluación de calidad
+    expect(documentService.isPhotoAccepted(null)).toBe(true);
+  });
+});
+
+describe('documentService.findSimilarPhotos con fotos rechazadas', () => {
+  test('una foto rechazada de la propiedad no cuenta como original de su reintento', async () => {
+    const hash = 'f0e1d2c3b4a59687';
+    prisma.document.findMany.mockResolvedValue([
+      { id: 'doc-1', property_id: 'prop-1', hash_perceptual: hash, duplicado_de: null, puntaje_calidad: 70 }
+    ]);
+
+    const { sameProperty } = await documentService.findSimilarPhotos('prop-1', hash, 'doc-2');
+
+    expect(sameProperty).toBeNull();
+  });
+});
+
+describe('conversationManager.buildPhotoQualityMessage', () => {
+  test('una foto rechazada pide otra con los consejos', () => {
+    const message = conversationManager.buildPhotoQualityMessage([PHOTO_QUALITY_ISSUES.TOO_DARK], 80);
+
+    expect(message).toMatch(/no la puedo usar/);
+    expect(message).toMatch(/muy oscura/);
+  });
+
+  test('una foto aceptada solo recibe el consejo', () => {
+    const message = conversationManager.buildPhotoQualityMessage([PHOTO_QUALITY_ISSUES.PORTRAIT], 95);
+
+    expect(message).toMatch(/^💡 Consejo: toma las fotos en horizontal/);
+  });
+
+  test('sin problemas no hay mensaje', () => {
+    expect(conversationManager.buildPhotoQualityMessage([], 100)).toBe('');
+  });
+});
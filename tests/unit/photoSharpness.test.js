@@ -0,0 +1,62 @@
+import sharp from 'sharp';
+import { mockDatabase } from '../helpers/mocks.js';
+
+mockDatabase({});
+
+const { default: documentService } = await import('../../src/services/documentService.js');
+
+// Tablero de ajedrez en escala de grises: bordes marcados en toda la imagen
+const checkerboard = async (size = 400, cell = 20) => {
+  const pixels = Buffer.alloc(size * size);
+  for (let y = 0; y < size; y++) {
+    for (let x = 0; x < size; x++) {
+      pixels[y * size + x] = (Math.floor(x / cell) + Math.floor(y / cell)) % 2 ? 230 : 25;
+    }
+  }
+
+  return sharp(pixels, { raw: { width: size, height: size, channels: 1 } }).png().toBuffer();
+};
+
+describe('documentService.getImageSharpness', () => {
+  test('una imagen nítida supera el umbral y su versión borrosa no', async () => {
+    const sharpImage = await checkerboard();
+    const blurredImage = await sharp(sharpImage).blur(8).png().toBuffer();
+
+    const sharpness = await documentService.getImageSharpness(sharpImage);
+    const blurred = await documentService.getImageSharpness(blurredImage);
+
+    expect(sharpness).toBeGreaterThan(100);
+    expect(blurred).toBeLessThan(100);
+    expect(sharpness).toBeGreaterThan(blurred * 10);
+  });
+
+  test('una imagen plana no tiene bordes', async () => {
+    const flat = await sharp({ create: { width: 200, height: 200, channels: 3, background: '#808080' } }).png().toBuffer();
+
+    expect(await documentService.getImageSharpness(flat)).toBe(0);
+  });
+});
+
+describe('documentService.laplacianVariance', () => {
+  test('mide la varianza del laplaciano sobre píxeles crudos', () => {
+    // Un único punto brillante: laplaciano -4 en el centro y +1 en sus 4 vecinos (interior 3x3)
+    const data = Buffer.alloc(25);
+    data[12] = 1;
+
+    const variance = documentService.laplacianVariance(data, { width: 5, height: 5, channels: 1 });
+
+    const values = [0, 1, 0, 1, -4, 1, 0, 1, 0];
+    const mean = values.reduce((a, b) => a + b, 0) / 9;
+    const expected = values.reduce((total, value) => total + (value - mean) ** 2, 0) / 9;
+    expect(variance).toBeCloseTo(expected);
+  });
+});
+
+describe('documentService.pickEvenly', () => {
+  test('reparte los cuadros elegidos a lo largo del video', () => {
+    const frames = Array.from({ length: 10 }, (_, index) => index);
+
+    expect(documentService.pickEvenly(frames, 4)).toEqual([0, 2, 5, 7]);
+    expect(documentService.pickEvenly(frames.slice(0, 3), 4)).toEqual([0, 1, 2]);
+  });
+});
@@ -0,0 +1,88 @@
+import { jest } from '@jest/globals';
+import { mockDatabase, mockExternalServices } from '../helpers/mocks.js';
+
+const prisma = mockDatabase({
+  property: { findUnique: jest.fn(), update: jest.fn(async () => ({})) },
+  conversation: { update: jest.fn(async () => ({})) }
+});
+const { aiService } = mockExternalServices();
+
+const { default: conversationManager } = await import('../../src/core/conversationManager.js');
+const { default: completionChecker } = await import('../../src/core/completionChecker.js');
+
+const property = {
+  id: 'prop-1',
+  tipo_propiedad: 'apartamento',
+  area_construida: 80,
+  habitaciones: 3,
+  precio_venta: 350000000
+};
+const conversation = {
+  id: 'conv-1',
+  property_id: 'prop-1',
+  whatsapp_number: '573001112233',
+  contexto_actual: JSON.stringify({ step: 'review' })
+};
+
+beforeEach(() => {
+  jest.restoreAllMocks();
+  prisma.property.findUnique.mockResolvedValue(property);
+  jest.spyOn(conversationManager, 'handleCompletedProperty').mockResolvedValue({ success: true, type: 'completed' });
+});
+
+describe('completionChecker.buildReviewSummary', () => {
+  test('agrupa los campos por categoría con su etiqueta', () => {
+    const summary = completionChecker.buildReviewSummary(property);
+
+    expect(summary).toContain('*Características físicas*');
+    expect(summary).toContain('*Información comercial*');
+    expect(summary).toContain(`• ${completionChecker.getFieldLabel('habitaciones')}: 3`);
+    expect(summary).toContain(`• ${completionChecker.getFieldLabel('area_construida')}: 80`);
+    expect(summary.indexOf('*Información comercial*')).toBeGreaterThan(summary.indexOf('*Características físicas*'));
+  });
+});
+
+describe('conversationManager.startPropertyReview', () => {
+  test('deja la propiedad en revisión y envía el resumen', async () => {
+    const result = await conversationManager.startPropertyReview(conversation, 'prop-1', {});
+
+    expect(result.type).toBe('review');
+    expect(prisma.property.update).toHaveBeenCalledWith({
+      where: { id: 'prop-1' },
+      data: { estado_recoleccion: 'EN_REVISION' }
+    });
+    const context = JSON.parse(prisma.conversation.update.mock.calls.at(-1)[0].data.contexto_actual);
+    expect(context.step).toBe('review');
+  });
+});
+
+describe('conversationManager.handleReviewResponse', () => {
+  test('solo la confirmación completa la propiedad', async () => {
+    aiService.detectReviewResponse = jest.fn(async () => ({ type: 'confirmacion' }));
+    jest.spyOn(completionChecker, 'checkCompleteness').mockResolvedValue({ isComplete: true });
+
+    const result = await conversationManager.handleReviewResponse(conversation, 'sí, todo está bien');
+
+    expect(result.type).toBe('completed');
+    expect(conversationManager.handleCompletedProperty).toHaveBeenCalledWith(conversation, property);
+  });
+
+  test('una respuesta ambigua mantiene la revisión abierta', async () => {
+    aiService.detectReviewResponse = jest.fn(async () => ({ type: 'otro' }));
+
+    const result = await conversationManager.handleReviewResponse(conversation, 'mmm');
+
+    expect(result.type).toBe('review_pending');
+    expect(conversationManager.handleCompletedProperty).not.toHaveBeenCalled();
+  });
+
+  test('una corrección pasa al flujo de edición', async () => {
+    aiService.detectReviewResponse = jest.fn(async () => ({ type: 'correccion' }));
+    jest.spyOn(conversationManager, 'handleFieldCorrection').mockResolvedValue({ type: 'field_correction' });
+
+    const result = await conversationManager.handleReviewResponse(conversation, 'el área es 90');
+
+    expect(result.type).toBe('field_correction');
+    expect(conversationManager.handleCompletedProperty).not.toHaveBeenCalled();
+  });
+});
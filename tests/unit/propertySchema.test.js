@@ -0,0 +1,60 @@
+import { mockDatabase } from '../helpers/mocks.js';
+
+mockDatabase({});
+
+const { default: propertySchema } = await import('../../src/core/propertySchema.js');
+const { default: fieldTracker } = await import('../../src/core/fieldTracker.js');
+
+describe('propertySchema', () => {
+  test('los campos físicos dependen del tipo de propiedad', () => {
+    expect(propertySchema.getPhysicalFields('lote')).not.toContain('habitaciones');
+    expect(propertySchema.getPhysicalFields('apartamento')).toEqual(expect.arrayContaining(['habitaciones', 'piso']));
+    expect(propertySchema.getPhysicalFields('casa')).not.toContain('piso');
+  });
+
+  test('el estrato solo es obligatorio para inmuebles residenciales', () => {
+    expect(propertySchema.isFieldRequired('estrato', 'apartamento')).toBe(true);
+    expect(propertySchema.isFieldRequired('estrato', 'oficina')).toBe(false);
+    expect(propertySchema.isFieldApplicable('estrato', 'oficina')).toBe(true);
+  });
+
+  test('los campos configurables respetan los tipos del registro', () => {
+    expect(propertySchema.isFieldApplicable('ascensor', 'apartamento')).toBe(true);
+    expect(propertySchema.isFieldApplicable('ascensor', 'lote')).toBe(false);
+  });
+
+  test('sin tipo definido todos los campos aplican', () => {
+    expect(propertySchema.isFieldApplicable('habitaciones', null)).toBe(true);
+  });
+
+  test('el rango del tipo tiene prioridad sobre el del registro', () => {
+    expect(propertySchema.getFieldRange('area_construida', 'lote')).toEqual({ min: 20, max: 1000000 });
+    expect(propertySchema.getFieldRange('administracion_mensual', 'casa')).toEqual({ min: 0, max: 50000000 });
+  });
+
+  test('la pregunta se adapta al tipo de propiedad', () => {
+    expect(propertySchema.getFieldQuestion('piso', 'oficina')).toBe('¿En qué piso está ubicada la oficina?');
+    expect(propertySchema.getFieldQuestion('piso', 'apartamento')).toBe('¿En qué piso está ubicado el apartamento?');
+  });
+
+  test('el orden de recolección solo incluye campos obligatorios del tipo', () => {
+    const order = propertySchema.getCollectionOrder('lote');
+
+    expect(order).toContain('area_construida');
+    expect(order).not.toContain('habitaciones');
+    expect(order).not.toContain('estrato');
+  });
+});
+
+describe('fieldTracker.validateFieldValue con el esquema', () => {
+  test('rechaza campos que no aplican al tipo', async () => {
+    const result = await fieldTracker.validateFieldValue('habitaciones', 3, { tipo_propiedad: 'lote' });
+
+    expect(result.valid).toBe(false);
+  });
+
+  test('aplica el rango del tipo de propiedad', async () => {
+    expect((await fieldTracker.validateFieldValue('area_construida', 18, { tipo_propiedad: 'lote' })).valid).toBe(false);
+    expect((await fieldTracker.validateFieldValue('area_construida', 18, { tipo_propiedad: 'apartamento' })).valid).toBe(true);
+  });
+});
@@ -0,0 +1,151 @@
+import { jest } from '@jest/globals';
+import { mockDatabase, mockExternalServices } from '../helpers/mocks.js';
+
+const prisma = mockDatabase({
+  conversation: { findMany: jest.fn(), update: jest.fn(async () => ({})) }
+});
+mockExternalServices();
+
+const { default: conversationManager } = await import('../../src/core/conversationManager.js');
+
+const buildConversation = (id, property, seleccionadaEn = null) => ({
+  id,
+  property_id: `prop-${id}`,
+  whatsapp_number: '573001112233',
+  modo: 'BOT',
+  seleccionada_en: seleccionadaEn,
+  contexto_actual: '{}',
+  property: { ciudad_inmueble: 'Bogotá', porcentaje_completitud: 40, ...property }
+});
+
+const casa = buildConversation('c1', {
+  direccion_inmueble: 'Calle 45 # 12-30',
+  matricula_inmobiliaria: '50C-1234567'
+}, '2026-01-02T10:00:00Z');
+const apartamento = buildConversation('c2', {
+  direccion_inmueble: 'Carrera 7 # 80-15 Apto 502',
+  matricula_inmobiliaria: '50N-7654321'
+}, '2026-01-01T10:00:00Z');
+const open = [casa, apartamento];
+
+beforeEach(() => {
+  jest.restoreAllMocks();
+  prisma.conversation.findMany.mockResolvedValue(open);
+  jest.spyOn(conversationManager, 'switchToConversation').mockImplementation(async target => ({
+    type: 'property_switched',
+    conversationId: target.id
+  }));
+  jest.spyOn(conversationManager, 'requestPropertySelection').mockResolvedValue({ type: 'property_selection' });
+});
+
+describe('conversationManager.matchPropertyReference', () => {
+  test('identifica la propiedad por número de lista', () => {
+    expect(conversationManager.matchPropertyReference('2', open)).toBe(apartamento);
+  });
+
+  test('identifica la propiedad por matrícula sin importar guiones', () => {
+    expect(conversationManager.matchPropertyReference('la de matrícula 50N 7654321', open)).toBe(apartamento);
+  });
+
+  test('identifica la propiedad por dirección con abreviaturas', () => {
+    expect(conversationManager.matchPropertyReference('la de la cra 7 con 80', open)).toBe(apartamento);
+  });
+
+  test('no elige si la referencia es ambigua', () => {
+    expect(conversationManager.matchPropertyReference('la de bogotá', open)).toBeNull();
+  });
+
+  test('exige el mínimo de términos de dirección en común', () => {
+    expect(conversationManager.matchPropertyReference('son 45', open, { minAddressTokens: 2 })).toBeNull();
+    expect(conversationManager.matchPropertyReference('calle 45', open, { minAddressTokens: 2 })).toBe(casa);
+  });
+});
+
+describe('conversationManager.isPropertySwitchRequest', () => {
+  test.each([
+    'quiero cambiar el precio de la casa',
+    'pasar a otro dato',
+    'cambiar a 3 habitaciones',
+    'hablemos del parqueadero'
+  ])('una corrección no es un cambio de propiedad: "%s"', message => {
+    expect(conversationManager.isPropertySwitchRequest(message, open, casa)).toBe(false);
+  });
+
+  test.each([
+    'pasemos a la otra propiedad',
+    'quiero hablar del otro inmueble',
+    'sigamos con la otra propiedad',
+    'cambiemos a la de la carrera 7 con 80'
+  ])('un cambio explícito sí lo es: "%s"', message => {
+    expect(conversationManager.isPropertySwitchRequest(message, open, casa)).toBe(true);
+  });
+
+  test('nombrar la propiedad en foco no es un cambio', () => {
+    expect(conversationManager.isPropertySwitchRequest('sigamos con la calle 45', open, casa)).toBe(false);
+  });
+});
+
+describe('conversationManager.resolvePropertySelection', () => {
+  test('sigue con la propiedad en foco ante una corrección', async () => {
+    const result = await conversationManager.resolvePropertySelection('573001112233', 'quiero cambiar el precio de la casa');
+
+    expect(result).toBeNull();
+    expect(conversationManager.switchToConversation).not.toHaveBeenCalled();
+  });
+
+  test('con dos propiedades "la otra propiedad" cambia a la que no está en foco', async () => {
+    const result = await conversationManager.resolvePropertySelection('573001112233', 'pasemos a la otra propiedad');
+
+    expect(result).toEqual({ type: 'property_switched', conversationId: 'c2' });
+  });
+
+  test('no cambia de propiedad mientras un asesor atiende la conversación', async () => {
+    prisma.conversation.findMany.mockResolvedValue([{ ...casa, modo: 'HUMANO' }, apartamento]);
+
+    const result = await conversationManager.resolvePropertySelection('573001112233', 'pasemos a la otra propiedad');
+
+    expect(result).toBeNull();
+  });
+
+  test('sin propiedad en foco pide elegir si no hay referencia', async () => {
+    prisma.conversation.findMany.mockResolvedValue([
+      { ...casa, seleccionada_en: null },
+      { ...apartamento, seleccionada_en: null }
+    ]);
+
+    const result = await conversationManager.resolvePropertySelection('573001112233', 'hola');
+
+    expect(result).toEqual({ type: 'property_selection' });
+  });
+
+  test('la respuesta a la lista elige la propiedad aunque haya una en foco', async () => {
+    const local = buildConversation('c3', {
+      direccion_inmueble: 'Avenida 68 # 20-10',
+      matricula_inmobiliaria: '50S-1112223'
+    });
+    const focused = { ...casa };
+    prisma.conversation.findMany.mockResolvedValue([focused, { ...apartamento }, local]);
+    conversationManager.requestPropertySelection.mockRestore();
+    jest.spyOn(conversationManager, 'sendMessage').mockResolvedValue({ success: true });
+
+    // Con tres propiedades "la otra propiedad" es ambiguo: se envía la lista
+    const selection = await conversationManager.resolvePropertySelection('573001112233', 'pasemos a la otra propiedad');
+    expect(selection.type).toBe('property_selection');
+    expect(JSON.parse(focused.contexto_actual).pendingPropertySelection).toBeDefined();
+
+    const result = await conversationManager.resolvePropertySelection('573001112233', '2');
+
+    expect(result).toEqual({ type: 'property_switched', conversationId: 'c2' });
+    expect(JSON.parse(focused.contexto_actual).pendingPropertySelection).toBeUndefined();
+  });
+
+  test('una respuesta que no identifica la propiedad vuelve a enviar la lista', async () => {
+    const focused = { ...casa, contexto_actual: JSON.stringify({ pendingPropertySelection: { requestedAt: '2026-01-02T10:00:00Z' } }) };
+    prisma.conversation.findMany.mockResolvedValue([focused, apartamento]);
+
+    const result = await conversationManager.resolvePropertySelection('573001112233', 'no sé');
+
+    expect(result).toEqual({ type: 'property_selection' });
+    expect(conversationManager.switchToConversation).not.toHaveBeenCalled();
+  });
+});
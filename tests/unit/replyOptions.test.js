@@ -0,0 +1,71 @@
+import { jest } from '@jest/globals';
+import { mockDatabase, mockExternalServices } from '../helpers/mocks.js';
+
+mockDatabase({});
+mockExternalServices();
+
+const { default: fieldRegistry } = await import('../../src/core/fieldRegistry.js');
+const { default: whatsappService } = await import('../../src/services/whatsappService.js');
+const { default: conversationManager } = await import('../../src/core/conversationManager.js');
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('fieldRegistry.getReplyOptions', () => {
+  test('los campos booleanos se responden con Sí o No', () => {
+    expect(fieldRegistry.getReplyOptions('acepta_credito')).toEqual([
+      { id: 'acepta_credito=true', title: 'Sí', value: true },
+      { id: 'acepta_credito=false', title: 'No', value: false }
+    ]);
+  });
+
+  test('los campos enum tienen una opción por valor', () => {
+    const options = fieldRegistry.getReplyOptions('estado_propiedad');
+
+    expect(options.map(option => option.value)).toEqual(['nuevo', 'usado', 'remodelar']);
+    expect(options[0]).toMatchObject({ id: 'estado_propiedad=nuevo', title: 'Nuevo' });
+  });
+
+  test('los campos abiertos no tienen opciones', () => {
+    expect(fieldRegistry.getReplyOptions('area_construida')).toEqual([]);
+  });
+});
+
+describe('fieldRegistry.parseReplyId', () => {
+  test('convierte el ID en campo y valor tipado', () => {
+    expect(fieldRegistry.parseReplyId('acepta_credito=false')).toEqual({ field: 'acepta_credito', value: false });
+    expect(fieldRegistry.parseReplyId('tiempo_estimado_venta=más de 1 año'))
+      .toEqual({ field: 'tiempo_estimado_venta', value: 'más de 1 año' });
+  });
+
+  test.each([
+    ['sin separador', 'acepta_credito'],
+    ['valor fuera de las opciones', 'estado_propiedad=demoler'],
+    ['campo inexistente', 'color=azul'],
+    ['campo abierto', 'area_construida=80'],
+    ['no es texto', 42]
+  ])('rechaza un ID inválido (%s)', (_, replyId) => {
+    expect(fieldRegistry.parseReplyId(replyId)).toBeNull();
+  });
+});
+
+describe('conversationManager.resolveOptionReply', () => {
+  const context = { step: 'collecting', currentField: 'estado_propiedad' };
+
+  test('usa el ID de la opción elegida', () => {
+    expect(conversationManager.resolveOptionReply('Usado', { replyId: 'estado_propiedad=usado' }, context))
+      .toEqual({ field: 'estado_propiedad', value: 'usado' });
+  });
+
+  test('sin mensajes interactivos acepta el número de la opción', () => {
+    jest.spyOn(whatsappService, 'supportsInteractive').mockReturnValue(false);
+
+    expect(conversationManager.resolveOptionReply(' 3 ', {}, context)).toEqual({ field: 'estado_propiedad', value: 'remodelar' });
+    expect(conversationManager.resolveOptionReply('7', {}, context)).toBeNull();
+  });
+
+  test('en la revisión final no interpreta opciones', () => {
+    expect(conversationManager.resolveOptionReply('Usado', { replyId: 'estado_propiedad=usado' }, { step: 'review' })).toBeNull();
+  });
+});
@@ -0,0 +1,79 @@
+import { jest } from '@jest/globals';
+import { mockDatabase } from '../helpers/mocks.js';
+
+const prisma = mockDatabase({
+  scheduledJob: {
+    create: jest.fn(async ({ data }) => ({ id: 'nuevo', ...data })),
+    updateMany: jest.fn(),
+    update: jest.fn(async () => ({})),
+    deleteMany: jest.fn(async () => ({ count: 3 }))
+  }
+});
+
+const { default: schedulerService } = await import('../../src/services/schedulerService.js');
+
+beforeEach(() => {
+  jest.clearAllMocks();
+});
+
+describe('schedulerService.reschedule', () => {
+  test('mueve la tarea pendiente existente sin crear otra', async () => {
+    prisma.scheduledJob.updateMany.mockResolvedValueOnce({ count: 1 });
+    const runAt = new Date('2026-01-01T10:00:00Z');
+
+    const result = await schedulerService.reschedule('CONVERSATION_REMINDER', runAt, {
+      entityId: 'conv-1',
+      payload: { reminderIndex: 0 }
+    });
+
+    expect(result).toBeNull();
+    expect(prisma.scheduledJob.updateMany).toHaveBeenCalledWith({
+      where: {
+        tipo: 'CONVERSATION_REMINDER',
+        entidad_id: 'conv-1',
+        estado: 'PENDIENTE',
+        payload: { equals: { reminderIndex: 0 } }
+      },
+      data: { ejecutar_en: runAt }
+    });
+    expect(prisma.scheduledJob.create).not.toHaveBeenCalled();
+  });
+
+  test('crea la tarea si no hay una pendiente (ej: el recordatorio ya se envió)', async () => {
+    prisma.scheduledJob.updateMany.mockResolvedValueOnce({ count: 0 });
+    const runAt = new Date('2026-01-01T10:00:00Z');
+
+    const job = await schedulerService.reschedule('CONVERSATION_TIMEOUT', runAt, { entityId: 'conv-1' });
+
+    expect(prisma.scheduledJob.updateMany.mock.calls[0][0].where).not.toHaveProperty('payload');
+    expect(job).toMatchObject({ tipo: 'CONVERSATION_TIMEOUT', entidad_id: 'conv-1', ejecutar_en: runAt });
+  });
+});
+
+describe('schedulerService.purgeFinishedJobs', () => {
+  test('elimina solo tareas completadas o canceladas anteriores a la retención', async () => {
+    const count = await schedulerService.purgeFinishedJobs(7);
+    const after = Date.now();
+
+    expect(count).toBe(3);
+    const { where } = prisma.scheduledJob.deleteMany.mock.calls[0][0];
+    expect(where.estado).toEqual({ in: ['COMPLETADO', 'CANCELADO'] });
+    expect(after - where.updatedAt.lt.getTime()).toBeGreaterThanOrEqual(7 * 24 * 60 * 60 * 1000);
+  });
+});
+
+describe('schedulerService.executeJob', () => {
+  test('reintenta con espera exponencial y marca FALLIDO al agotar intentos', async () => {
+    schedulerService.registerHandler('FALLA', async () => {
+      throw new Error('boom');
+    });
+
+    await schedulerService.executeJob({ id: 'j1', tipo: 'FALLA', intentos: 2, ejecutar_en: new Date() });
+    const retry = prisma.scheduledJob.update.mock.calls[0][0].data;
+    expect(retry.estado).toBe('PENDIENTE');
+    expect(retry.ejecutar_en.getTime() - Date.now()).toBeGreaterThan(110000);
+
+    await schedulerService.executeJob({ id: 'j1', tipo: 'FALLA', intentos: 3, ejecutar_en: new Date() });
+    expect(prisma.scheduledJob.update.mock.calls[1][0].data.estado).toBe('FALLIDO');
+  });
+});
@@ -0,0 +1,90 @@
+import { jest } from '@jest/globals';
+import os from 'os';
+import path from 'path';
+import { promises as fs } from 'fs';
+import LocalStorageProvider from '../../src/services/providers/storage/localStorageProvider.js';
+
+const { default: storageService } = await import('../../src/services/storageService.js');
+
+let rootDir;
+let provider;
+
+beforeEach(async () => {
+  rootDir = await fs.mkdtemp(path.join(os.tmpdir(), 'almacenamiento-'));
+  provider = new LocalStorageProvider({
+    rootDir,
+    publicBaseUrl: 'https://bot.example.com/',
+    signingSecret: 'secreto'
+  });
+});
+
+afterEach(async () => {
+  jest.useRealTimers();
+  jest.restoreAllMocks();
+  await fs.rm(rootDir, { recursive: true, force: true });
+});
+
+describe('LocalStorageProvider', () => {
+  test('guarda, lista, lee y elimina por clave', async () => {
+    await provider.put('uploads/foto 1.jpg', Buffer.from('contenido'));
+    await provider.put('derivatives/foto_web.jpg', Buffer.from('web'));
+
+    expect((await provider.get('uploads/foto 1.jpg')).toString()).toBe('contenido');
+    expect((await provider.list('uploads')).map(file => file.key)).toEqual(['uploads/foto 1.jpg']);
+
+    await provider.delete('uploads/foto 1.jpg');
+    await provider.delete('uploads/foto 1.jpg');
+    expect(await provider.list('uploads')).toEqual([]);
+  });
+
+  test('rechaza claves que salen de la carpeta raíz', async () => {
+    await expect(provider.put('../fuera.txt', Buffer.from('x'))).rejects.toThrow('Clave de almacenamiento inválida');
+    await expect(provider.get('uploads/../../etc/passwd')).rejects.toThrow('Clave de almacenamiento inválida');
+    await expect(provider.get('/etc/passwd')).rejects.toThrow('Clave de almacenamiento inválida');
+    expect(() => provider.resolvePath('')).toThrow('Clave de almacenamiento inválida');
+  });
+
+  test('una carpeta hermana con el mismo prefijo no cuenta como raíz', () => {
+    expect(() => provider.resolvePath(`../${path.basename(rootDir)}-otra/archivo`)).toThrow('Clave de almacenamiento inválida');
+  });
+
+  test('la URL firmada se verifica y vence', async () => {
+    jest.useFakeTimers({ now: new Date('2026-10-01T12:00:00Z') });
+
+    const url = new URL(await provider.getSignedUrl('uploads/foto 1.jpg', 60));
+    const expires = url.searchParams.get('expires');
+    const signature = url.searchParams.get('signature');
+
+    expect(url.origin + url.pathname).toBe('https://bot.example.com/api/files/uploads/foto%201.jpg');
+    expect(provider.verifySignedUrl('uploads/foto 1.jpg', expires, signature)).toBe(true);
+    expect(provider.verifySignedUrl('uploads/otra.jpg', expires, signature)).toBe(false);
+    expect(provider.verifySignedUrl('uploads/foto 1.jpg', String(Number(expires) + 60), signature)).toBe(false);
+
+    jest.setSystemTime(new Date('2026-10-01T12:02:00Z'));
+    expect(provider.verifySignedUrl('uploads/foto 1.jpg', expires, signature)).toBe(false);
+  });
+
+  test('sin secreto no firma ni verifica', async () => {
+    const unsigned = new LocalStorageProvider({ rootDir, publicBaseUrl: 'https://bot.example.com' });
+
+    await expect(unsigned.getSignedUrl('uploads/a.jpg', 60)).rejects.toThrow('STORAGE_SIGNING_SECRET');
+    expect(unsigned.verifySignedUrl('uploads/a.jpg', '9999999999', 'firma')).toBe(false);
+  });
+});
+
+describe('storageService', () => {
+  test('usa el backend configurado y lo crea una sola vez', async () => {
+    expect(storageService.getProviderName()).toBe('local');
+    expect(await storageService.getProvider()).toBe(await storageService.getProvider());
+  });
+
+  test('no verifica URLs en backends sin verificación propia', async () => {
+    jest.spyOn(storageService, 'getProvider').mockResolvedValue({ name: 's3' });
+
+    expect(await storageService.verifySignedUrl('uploads/a.jpg', '9999999999', 'firma')).toBe(false);
+  });
+
+  test('arma las claves con su prefijo', () => {
+    expect(storageService.buildKey('uploads', 'foto.jpg')).toBe('uploads/foto.jpg');
+  });
+});
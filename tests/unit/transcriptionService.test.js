@@ -0,0 +1,47 @@
+import { jest } from '@jest/globals';
+import fs from 'fs/promises';
+
+const { default: transcriptionService } = await import('../../src/services/transcriptionService.js');
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('transcriptionService.transcribe', () => {
+  test('devuelve el texto del motor configurado', async () => {
+    transcriptionService.provider.setText('son tres habitaciones');
+
+    const result = await transcriptionService.transcribe(Buffer.from('audio'), { mimeType: 'audio/ogg; codecs=opus' });
+
+    expect(result).toMatchObject({ success: true, text: 'son tres habitaciones', provider: 'stub' });
+  });
+
+  test('usa la extensión del archivo y elimina el temporal', async () => {
+    const transcribe = jest.spyOn(transcriptionService.provider, 'transcribe');
+
+    await transcriptionService.transcribe(Buffer.from('audio'), { filename: 'nota.mp3' });
+
+    const [tempFilePath] = transcribe.mock.calls[0];
+    expect(tempFilePath).toMatch(/\.mp3$/);
+    await expect(fs.access(tempFilePath)).rejects.toThrow();
+  });
+
+  test('un error del motor no se propaga', async () => {
+    jest.spyOn(transcriptionService.provider, 'transcribe').mockRejectedValue(new Error('ffmpeg no disponible'));
+
+    const result = await transcriptionService.transcribe(Buffer.from('audio'), { filename: 'nota.ogg' });
+
+    expect(result).toMatchObject({ success: false, error: 'ffmpeg no disponible' });
+  });
+});
+
+describe('transcriptionService.isTooLong', () => {
+  test('compara con la duración máxima configurada', () => {
+    expect(transcriptionService.isTooLong(transcriptionService.maxDurationSeconds + 1)).toBe(true);
+    expect(transcriptionService.isTooLong(transcriptionService.maxDurationSeconds)).toBe(false);
+  });
+
+  test('sin duración reportada no se descarta', () => {
+    expect(transcriptionService.isTooLong(undefined)).toBe(false);
+  });
+});
@@ -0,0 +1,120 @@
+import crypto from 'crypto';
+import { jest } from '@jest/globals';
+import { mockDatabase } from '../helpers/mocks.js';
+
+process.env.WEBHOOK_SECRET = 'secreto';
+process.env.WEBHOOK_TOKEN = 'token-url';
+process.env.META_APP_SECRET = 'secreto-meta';
+
+const prisma = mockDatabase({
+  webhookNonce: { create: jest.fn(), deleteMany: jest.fn() },
+  activityLog: { create: jest.fn(async () => ({})) }
+});
+
+const { webhookAuth } = await import('../../src/middleware/auth.js');
+
+const hmac = (secret, payload) => crypto.createHmac('sha256', secret).update(payload).digest('hex');
+
+const buildRequest = ({ headers = {}, query = {}, body = '{"data":{}}' } = {}) => ({
+  ip: '127.0.0.1',
+  method: 'POST',
+  path: '/ultramsg',
+  baseUrl: '/api/webhooks',
+  query,
+  rawBody: Buffer.from(body),
+  get(name) {
+    const key = Object.keys(headers).find(header => header.toLowerCase() === name.toLowerCase());
+    return key ? headers[key] : undefined;
+  }
+});
+
+const signedHeaders = ({ body = '{"data":{}}', nonce = 'nonce-1', timestamp = Math.floor(Date.now() / 1000), secret = 'secreto' } = {}) => ({
+  'X-Webhook-Timestamp': String(timestamp),
+  'X-Webhook-Nonce': nonce,
+  'X-Webhook-Signature': `sha256=${hmac(secret, `${timestamp}.${nonce}.${body}`)}`
+});
+
+const run = async req => {
+  const res = { status: jest.fn(() => res), json: jest.fn(() => res) };
+  const next = jest.fn();
+  await webhookAuth(req, res, next);
+  return { res, next };
+};
+
+const duplicateKeyError = () => Object.assign(new Error('Unique constraint failed'), { code: 'P2002' });
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  prisma.webhookNonce.create.mockResolvedValue({});
+});
+
+describe('webhookAuth con firma HMAC', () => {
+  test('acepta una firma válida y registra el nonce', async () => {
+    const { next } = await run(buildRequest({ headers: signedHeaders() }));
+
+    expect(next).toHaveBeenCalled();
+    expect(prisma.webhookNonce.create.mock.calls[0][0].data.nonce).toBe('nonce-1');
+  });
+
+  test('rechaza una firma de otro body', async () => {
+    const { res, next } = await run(buildRequest({ headers: signedHeaders({ body: '{"data":{"x":1}}' }) }));
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(401);
+    expect(prisma.webhookNonce.create).not.toHaveBeenCalled();
+  });
+
+  test('rechaza un timestamp fuera de la ventana', async () => {
+    const timestamp = Math.floor(Date.now() / 1000) - 60 * 60;
+
+    const { res } = await run(buildRequest({ headers: signedHeaders({ timestamp }) }));
+
+    expect(res.status).toHaveBeenCalledWith(401);
+  });
+
+  test('rechaza un nonce ya usado (replay)', async () => {
+    prisma.webhookNonce.create.mockRejectedValue(duplicateKeyError());
+
+    const { res, next } = await run(buildRequest({ headers: signedHeaders() }));
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(401);
+    expect(prisma.activityLog.create.mock.calls[0][0].data.descripcion).toMatch(/replay/);
+  });
+
+  test('rechaza la petición si no se puede registrar el nonce', async () => {
+    prisma.webhookNonce.create.mockRejectedValue(new Error('sin conexión'));
+
+    const { next } = await run(buildRequest({ headers: signedHeaders() }));
+
+    expect(next).not.toHaveBeenCalled();
+  });
+});
+
+describe('webhookAuth con firma de Meta', () => {
+  test('verifica X-Hub-Signature-256 con el app secret', async () => {
+    const body = '{"entry":[]}';
+    const valid = buildRequest({ body, headers: { 'X-Hub-Signature-256': `sha256=${hmac('secreto-meta', body)}` } });
+    const invalid = buildRequest({ body, headers: { 'X-Hub-Signature-256': `sha256=${hmac('otro', body)}` } });
+
+    expect((await run(valid)).next).toHaveBeenCalled();
+    expect((await run(invalid)).next).not.toHaveBeenCalled();
+  });
+});
+
+describe('webhookAuth con token en la URL', () => {
+  test('acepta el token configurado y lo quita del query', async () => {
+    const req = buildRequest({ query: { token: 'token-url' } });
+
+    const { next } = await run(req);
+
+    expect(next).toHaveBeenCalled();
+    expect(req.query).not.toHaveProperty('token');
+  });
+
+  test('rechaza peticiones sin firma ni token', async () => {
+    const { res } = await run(buildRequest());
+
+    expect(res.status).toHaveBeenCalledWith(401);
+  });
+});
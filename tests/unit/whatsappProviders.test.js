@@ -0,0 +1,94 @@
+const { default: UltraMSGProvider } = await import('../../src/services/providers/whatsapp/ultramsgProvider.js');
+const { default: MetaCloudProvider } = await import('../../src/services/providers/whatsapp/metaCloudProvider.js');
+const { default: MockProvider } = await import('../../src/services/providers/whatsapp/mockProvider.js');
+
+const ultramsg = new UltraMSGProvider({ instanceId: 'instance1', token: 'token', baseUrl: 'https://api.ultramsg.com/instance1' });
+const meta = new MetaCloudProvider({ phoneNumberId: '123', accessToken: 'token', apiVersion: 'v19.0', verifyToken: 'verificar' });
+
+const metaWebhook = message => ({
+  entry: [{
+    changes: [{
+      value: {
+        contacts: [{ profile: { name: 'Ana' } }],
+        messages: [{ id: 'wamid.1', from: '573001112233', timestamp: '1760000000', ...message }]
+      }
+    }]
+  }]
+});
+
+describe('UltraMSGProvider.parseWebhook', () => {
+  test('normaliza un mensaje de texto', () => {
+    const [message] = ultramsg.parseWebhook({
+      event_type: 'message_received',
+      data: { id: 'm1', from: '573001112233@c.us', type: 'chat', body: 'hola', pushname: 'Ana' }
+    });
+
+    expect(message).toMatchObject({ id: 'm1', type: 'text', message: 'hola', metadata: { pushname: 'Ana' } });
+  });
+
+  test('normaliza un documento con su URL', () => {
+    const [message] = ultramsg.parseWebhook({
+      data: { id: 'm2', from: '573001112233@c.us', type: 'document', body: 'https://files.ultramsg.com/a.pdf', filename: 'a.pdf' }
+    });
+
+    expect(message).toMatchObject({ type: 'document', metadata: { url: 'https://files.ultramsg.com/a.pdf', filename: 'a.pdf' } });
+  });
+
+  test('ignora mensajes propios y acuses', () => {
+    expect(ultramsg.parseWebhook({ data: { id: 'm3', type: 'sent' } })).toEqual([]);
+    expect(ultramsg.parseWebhook({ event_type: 'message_ack', data: { id: 'm4', ack: 'read' } })).toEqual([]);
+  });
+});
+
+describe('MetaCloudProvider.parseWebhook', () => {
+  test('normaliza un mensaje de texto', () => {
+    const [message] = meta.parseWebhook(metaWebhook({ type: 'text', text: { body: 'hola' } }));
+
+    expect(message).toMatchObject({
+      id: 'wamid.1',
+      from: '573001112233',
+      timestamp: 1760000000000,
+      type: 'text',
+      message: 'hola',
+      metadata: { pushname: 'Ana' }
+    });
+  });
+
+  test('normaliza archivos por ID con extensión según el tipo MIME', () => {
+    const [message] = meta.parseWebhook(metaWebhook({
+      type: 'audio',
+      audio: { id: 'media-1', mime_type: 'audio/ogg; codecs=opus', voice: true }
+    }));
+
+    expect(message).toMatchObject({ type: 'audio', metadata: { mediaId: 'media-1', voice: true } });
+    expect(message.metadata.filename).toMatch(/\.ogg$/);
+  });
+
+  test('omite tipos no soportados', () => {
+    expect(meta.parseWebhook(metaWebhook({ type: 'sticker', sticker: {} }))).toEqual([]);
+  });
+
+  test('verifica la suscripción solo con el token configurado', () => {
+    const query = { 'hub.mode': 'subscribe', 'hub.verify_token': 'verificar', 'hub.challenge': 'abc' };
+
+    expect(meta.verifyWebhook(query)).toBe('abc');
+    expect(meta.verifyWebhook({ ...query, 'hub.verify_token': 'otro' })).toBeNull();
+  });
+});
+
+describe('MockProvider', () => {
+  test('registra los mensajes enviados en la bandeja de salida', async () => {
+    const mock = new MockProvider();
+
+    const result = await mock.sendText('573001112233', 'hola');
+
+    expect(result.messageId).toMatch(/^mock_/);
+    expect(mock.getOutbox('573001112233')).toHaveLength(1);
+  });
+
+  test('convierte un mensaje simulado al formato interno', () => {
+    const [message] = new MockProvider().parseWebhook({ from: '573001112233', body: 'hola' });
+
+    expect(message).toMatchObject({ from: '573001112233', type: 'text', message: 'hola' });
+  });
+});